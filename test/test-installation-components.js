@@ -13,11 +13,47 @@
 
 const path = require('node:path');
 const os = require('node:os');
+const nodeFs = require('node:fs');
 const fs = require('fs-extra');
+const yaml = require('yaml');
 const { YamlXmlBuilder } = require('../tools/cli/lib/yaml-xml-builder');
 const { ManifestGenerator } = require('../tools/cli/installers/lib/core/manifest-generator');
 const { IdeManager } = require('../tools/cli/installers/lib/ide/manager');
 const { clearCache, loadPlatformCodes } = require('../tools/cli/installers/lib/ide/platform-codes');
+const { Doctor } = require('../tools/cli/installers/lib/core/doctor');
+const { VirtualFileLayer } = require('../tools/cli/installers/lib/core/virtual-fs');
+const { InstallPlan } = require('../tools/cli/installers/lib/core/install-plan');
+const { SnapshotManager, SNAPSHOTS_FOLDER_NAME } = require('../tools/cli/installers/lib/core/snapshot-manager');
+const { Installer } = require('../tools/cli/installers/lib/core/installer');
+const { ConfigEditor } = require('../tools/cli/installers/lib/core/config-editor');
+const { ProjectFile } = require('../tools/cli/installers/lib/core/project-file');
+const { ConfigCollector } = require('../tools/cli/installers/lib/core/config-collector');
+const { LockFile } = require('../tools/cli/installers/lib/core/lock-file');
+const { ModuleManager } = require('../tools/cli/installers/lib/modules/manager');
+const { CustomHandler } = require('../tools/cli/installers/lib/custom/handler');
+const { ExternalModuleManager } = require('../tools/cli/installers/lib/modules/external-manager');
+const { MigrationRunner } = require('../tools/cli/installers/lib/core/migration-runner');
+const { MIGRATIONS } = require('../tools/cli/installers/lib/migrations');
+const { Detector } = require('../tools/cli/installers/lib/core/detector');
+const { BaselineStore } = require('../tools/cli/installers/lib/core/baseline-store');
+const { threeWayMerge } = require('../tools/cli/installers/lib/core/three-way-merge');
+const { ContentValidator } = require('../tools/cli/lib/content-validator');
+const { findInstalledSkadDir, loadModuleCommands } = require('../tools/cli/lib/module-commands');
+const { envAnswerName, loadAnswersFile } = require('../tools/cli/installers/lib/core/answers-file');
+const { Workspace } = require('../tools/cli/installers/lib/core/workspace');
+const { GlobalInstall } = require('../tools/cli/installers/lib/core/global-install');
+const { ConfigDrivenIdeSetup } = require('../tools/cli/installers/lib/ide/_config-driven');
+const { compileAgent, emitAgent, compileToXml } = require('../tools/cli/lib/agent/compiler');
+const { getAgentEmitter, isAgentCompanionFile } = require('../tools/cli/lib/agent/emitters');
+const { resolveAgentExtends } = require('../tools/cli/lib/agent/inheritance');
+const { mergeCustomizedList } = require('../tools/cli/lib/agent/customize-merge');
+const { AgentCompileCache } = require('../tools/cli/installers/lib/core/agent-cache');
+const { annotateAgent, provenancePath, hashContent } = require('../tools/cli/lib/agent/provenance');
+const { AgentLinter } = require('../tools/cli/lib/agent/linter');
+const { processTemplate } = require('../tools/cli/lib/agent/template-engine');
+const { findAgentOverlay } = require('../tools/cli/lib/agent/i18n');
+const prompts = require('../tools/cli/lib/prompts');
+const { CLIUtils } = require('../tools/cli/lib/cli-utils');
 
 // ANSI colors
 const colors = {
@@ -885,6 +921,11 @@ async function runTests() {
     const nameMatch17 = skillContent17.match(/^name:\s*(.+)$/m);
     assert(nameMatch17 && nameMatch17[1].trim() === 'skad-master', 'GitHub Copilot skill name frontmatter matches directory name exactly');
 
+    assert(
+      copilotInstaller?.agent_emitter === 'markdown' && skillContent17.includes('core/agents/skad-master.instructions.md'),
+      'GitHub Copilot launchers load the markdown agent',
+    );
+
     assert(!(await fs.pathExists(legacyAgentsDir17)), 'GitHub Copilot setup removes legacy agents dir');
 
     assert(!(await fs.pathExists(legacyPromptsDir17)), 'GitHub Copilot setup removes legacy prompts dir');
@@ -1699,6 +1740,2626 @@ async function runTests() {
 
   console.log('');
 
+  // ============================================================
+  // Suite 30: Doctor — files manifest and IDE target checks
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 30: Doctor${colors.reset}\n`);
+
+  let tempProject30;
+  try {
+    tempProject30 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-doctor-test-'));
+    const skadDir30 = path.join(tempProject30, '_skad');
+    const doctor30 = new Doctor();
+    const sha30 = (content) => require('node:crypto').createHash('sha256').update(content).digest('hex');
+
+    const helpSource30 = await fs.readFile(path.join(projectRoot, 'src', 'core', 'tasks', 'help.md'), 'utf8');
+    const shardSource30 = await fs.readFile(path.join(projectRoot, 'src', 'core', 'tasks', 'shard-doc.xml'), 'utf8');
+    const indexSource30 = await fs.readFile(path.join(projectRoot, 'src', 'core', 'tasks', 'index-docs.xml'), 'utf8');
+
+    await fs.ensureDir(path.join(skadDir30, 'core', 'tasks'));
+    await fs.writeFile(path.join(skadDir30, 'core', 'tasks', 'help.md'), helpSource30);
+    await fs.writeFile(path.join(skadDir30, 'core', 'tasks', 'shard-doc.xml'), shardSource30 + '\n<!-- local edit -->\n');
+    await fs.writeFile(path.join(skadDir30, 'core', 'tasks', 'notes.md'), 'my notes\n');
+    // index-docs.xml intentionally not written (missing)
+
+    await fs.ensureDir(path.join(skadDir30, '_config'));
+    await fs.writeFile(
+      path.join(skadDir30, '_config', 'files-manifest.csv'),
+      [
+        'type,name,module,path,hash',
+        `"md","help","core","core/tasks/help.md","${sha30(helpSource30)}"`,
+        `"xml","shard-doc","core","core/tasks/shard-doc.xml","${sha30(shardSource30)}"`,
+        `"xml","index-docs","core","core/tasks/index-docs.xml","${sha30(indexSource30)}"`,
+        '',
+      ].join('\n'),
+    );
+    await fs.writeFile(path.join(skadDir30, '_config', 'manifest.yaml'), 'installation:\n  version: 1.0.0\nmodules: []\nides:\n  - claude-code\n');
+
+    const skillsDir30 = path.join(tempProject30, '.claude', 'skills');
+    await fs.ensureDir(path.join(skillsDir30, 'skad-help'));
+    await fs.writeFile(path.join(skillsDir30, 'skad-help', 'SKILL.md'), 'LOAD {project-root}/_skad/core/tasks/help.md\n');
+
+    const report30 = await doctor30.diagnose(tempProject30, skadDir30);
+    const core30 = report30.modules.core;
+
+    assert(core30 && core30.missing.includes('core/tasks/index-docs.xml'), 'Doctor reports missing files');
+    assert(core30 && core30.modified.includes('core/tasks/shard-doc.xml'), 'Doctor reports modified files');
+    assert(core30 && core30.untracked.includes('core/tasks/notes.md'), 'Doctor reports untracked files');
+    assert(core30 && !core30.modified.includes('core/tasks/help.md'), 'Doctor does not flag pristine files');
+
+    const claude30 = report30.ides.find((ide) => ide.ide === 'claude-code');
+    assert(claude30 && claude30.targets[0].status === 'ok', 'IDE target with valid references is current');
+
+    await fs.ensureDir(path.join(skillsDir30, 'skad-gone'));
+    await fs.writeFile(path.join(skillsDir30, 'skad-gone', 'SKILL.md'), 'LOAD {project-root}/_skad/core/tasks/gone.md\n');
+    const staleReport30 = await doctor30.diagnose(tempProject30, skadDir30);
+    const staleTarget30 = staleReport30.ides.find((ide) => ide.ide === 'claude-code').targets[0];
+    assert(staleTarget30.status === 'stale', 'IDE target referencing removed _skad files is stale');
+    assert(
+      staleTarget30.brokenRefs.some((r) => r.ref === 'core/tasks/gone.md'),
+      'Stale IDE target lists the broken reference',
+      JSON.stringify(staleTarget30.brokenRefs),
+    );
+    assert(!staleReport30.healthy, 'Report with problems is not healthy');
+
+    const fixResult30 = await doctor30.fix(tempProject30, skadDir30, { ...report30, ides: [] });
+    assert(fixResult30.restored.includes('core/tasks/index-docs.xml'), 'Fix restores missing file from package source');
+    assert(fixResult30.restored.includes('core/tasks/shard-doc.xml'), 'Fix restores modified file from package source');
+    assert(
+      (await fs.readFile(path.join(skadDir30, 'core', 'tasks', 'shard-doc.xml'), 'utf8')) === shardSource30,
+      'Restored file matches pristine source',
+    );
+    assert(await fs.pathExists(path.join(skadDir30, 'core', 'tasks', 'shard-doc.xml.bak')), 'Fix keeps modified file as .bak');
+    assert(await fs.pathExists(path.join(skadDir30, 'core', 'tasks', 'notes.md')), 'Fix never removes untracked files');
+
+    // A source that no longer reproduces the recorded hash must not be used
+    await fs.remove(path.join(skadDir30, 'core', 'tasks', 'help.md'));
+    const mismatch30 = await doctor30.restoreFile(skadDir30, 'core/tasks/help.md', 'not-the-real-hash', false);
+    assert(!mismatch30.restored, 'Fix refuses a source that differs from the installed version');
+  } catch (error) {
+    assert(false, 'Doctor test succeeds', error.message);
+  } finally {
+    if (tempProject30) await fs.remove(tempProject30).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Suite 31: Dry run — virtual file layer and install plan
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 31: Dry Run Virtual File Layer${colors.reset}\n`);
+
+  let tempProject31;
+  let layer31;
+  try {
+    tempProject31 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-dry-run-test-'));
+    await fs.ensureDir(path.join(tempProject31, '_skad', 'old'));
+    await fs.writeFile(path.join(tempProject31, '_skad', 'old', 'stale.md'), 'stale\n');
+    await fs.writeFile(path.join(tempProject31, '_skad', 'keep.md'), 'original\n');
+    await fs.writeFile(path.join(tempProject31, '_skad', 'same.md'), 'same\n');
+
+    layer31 = new VirtualFileLayer({ passthrough: [] });
+    layer31.enable();
+
+    await fs.writeFile(path.join(tempProject31, '_skad', 'new.md'), 'new\n');
+    await fs.writeFile(path.join(tempProject31, '_skad', 'keep.md'), 'changed\n');
+    await fs.writeFile(path.join(tempProject31, '_skad', 'same.md'), 'same\n');
+    await fs.copy(path.join(projectRoot, 'src', 'core', 'tasks'), path.join(tempProject31, '_skad', 'core', 'tasks'));
+    await fs.remove(path.join(tempProject31, '_skad', 'old'));
+
+    assert(
+      (await fs.readFile(path.join(tempProject31, '_skad', 'new.md'), 'utf8')) === 'new\n',
+      'Virtual layer reads back its own writes',
+    );
+    assert(
+      await fs.pathExists(path.join(tempProject31, '_skad', 'core', 'tasks', 'help.md')),
+      'Virtual layer exposes copied directories',
+    );
+    assert(!(await fs.pathExists(path.join(tempProject31, '_skad', 'old', 'stale.md'))), 'Virtual layer hides removed files');
+    const listing31 = await fs.readdir(path.join(tempProject31, '_skad'));
+    assert(
+      listing31.includes('new.md') && listing31.includes('core') && !listing31.includes('old'),
+      'Virtual layer merges readdir results',
+      listing31.join(', '),
+    );
+
+    layer31.disable();
+
+    assert(!(await fs.pathExists(path.join(tempProject31, '_skad', 'new.md'))), 'Nothing is written to disk');
+    assert(
+      (await fs.readFile(path.join(tempProject31, '_skad', 'keep.md'), 'utf8')) === 'original\n',
+      'Existing files are left untouched',
+    );
+    assert(await fs.pathExists(path.join(tempProject31, '_skad', 'old', 'stale.md')), 'Removed files stay on disk');
+
+    const changes31 = layer31.getChanges(tempProject31);
+    assert(changes31.created.includes('_skad/new.md'), 'Plan lists created files');
+    assert(changes31.created.includes('_skad/core/tasks/help.md'), 'Plan lists files from copied directories');
+    assert(changes31.overwritten.includes('_skad/keep.md'), 'Plan lists overwritten files');
+    assert(!changes31.overwritten.includes('_skad/same.md'), 'Plan skips files rewritten with identical content');
+    assert(changes31.deleted.includes('_skad/old/stale.md'), 'Plan lists deleted files');
+
+    const configChanges31 = InstallPlan.diffConfig(
+      { core: { user_name: 'Ada', output_folder: '_skad-output' } },
+      { core: { user_name: 'Grace', output_folder: '_skad-output' }, bmm: { project_name: 'demo' }, _meta: { version: 'x' } },
+    );
+    assert(
+      configChanges31.some((c) => c.module === 'core' && c.key === 'user_name' && c.from === 'Ada' && c.to === 'Grace'),
+      'Config diff reports changed values',
+    );
+    assert(
+      configChanges31.some((c) => c.module === 'bmm' && c.key === 'project_name' && c.from === undefined),
+      'Config diff reports new keys',
+    );
+    assert(configChanges31.length === 2, 'Config diff ignores unchanged values and _meta');
+  } catch (error) {
+    assert(false, 'Dry run virtual file layer test succeeds', error.message);
+  } finally {
+    if (layer31) layer31.disable();
+    if (tempProject31) await fs.remove(tempProject31).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Suite 32: Install snapshots and rollback
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 32: Install Snapshots${colors.reset}\n`);
+
+  let tempProject32;
+  try {
+    tempProject32 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-snapshot-test-'));
+    await fs.ensureDir(path.join(tempProject32, '_skad', 'core'));
+    await fs.writeFile(path.join(tempProject32, '_skad', 'core', 'config.yaml'), 'user_name: Ada\n');
+    await fs.ensureDir(path.join(tempProject32, '.claude', 'skills', 'skad-help'));
+    await fs.writeFile(path.join(tempProject32, '.claude', 'skills', 'skad-help', 'SKILL.md'), 'original\n');
+    await fs.ensureDir(path.join(tempProject32, '_skad', '_memory', 'pm-sidecar'));
+    await fs.writeFile(path.join(tempProject32, '_skad', '_memory', 'pm-sidecar', 'memories.md'), 'first\n');
+
+    const snapshots32 = new SnapshotManager(tempProject32, { keep: 2 });
+    const snapshot32 = await snapshots32.create(['_skad', '.claude/skills'], { reason: 'install', version: '1.0.0' });
+    await snapshots32.addPaths(snapshot32.id, ['.cursor/skills']);
+
+    // Simulate a half-finished install
+    await fs.writeFile(path.join(tempProject32, '_skad', 'core', 'config.yaml'), 'user_name: Grace\n');
+    await fs.writeFile(path.join(tempProject32, '_skad', 'core', 'partial.md'), 'partial\n');
+    await fs.remove(path.join(tempProject32, '.claude', 'skills', 'skad-help'));
+    await fs.ensureDir(path.join(tempProject32, '.cursor', 'skills', 'skad-help'));
+    // Memories written after the snapshot
+    await fs.writeFile(path.join(tempProject32, '_skad', '_memory', 'pm-sidecar', 'memories.md'), 'first\nsecond\n');
+    await fs.writeFile(path.join(tempProject32, '_skad', '_memory', 'pm-sidecar', 'instructions.md'), 'new\n');
+
+    assert(
+      !(await fs.pathExists(path.join(tempProject32, SNAPSHOTS_FOLDER_NAME, snapshot32.id, 'files', '_skad', '_memory'))),
+      'Snapshots leave out _skad/_memory',
+    );
+
+    await snapshots32.restore(snapshot32.id);
+
+    assert(
+      (await fs.readFile(path.join(tempProject32, '_skad', 'core', 'config.yaml'), 'utf8')) === 'user_name: Ada\n',
+      'Restore puts modified files back',
+    );
+    assert(!(await fs.pathExists(path.join(tempProject32, '_skad', 'core', 'partial.md'))), 'Restore removes files added after the snapshot');
+    assert(
+      await fs.pathExists(path.join(tempProject32, '.claude', 'skills', 'skad-help', 'SKILL.md')),
+      'Restore brings back deleted IDE files',
+    );
+    assert(!(await fs.pathExists(path.join(tempProject32, '.cursor', 'skills'))), 'Restore removes IDE targets that did not exist before');
+    assert(
+      (await fs.readFile(path.join(tempProject32, '_skad', '_memory', 'pm-sidecar', 'memories.md'), 'utf8')) === 'first\nsecond\n' &&
+        (await fs.pathExists(path.join(tempProject32, '_skad', '_memory', 'pm-sidecar', 'instructions.md'))),
+      'Restore keeps memories written after the snapshot',
+    );
+
+    const listed32 = await snapshots32.list();
+    assert(listed32.length === 1 && listed32[0].version === '1.0.0', 'Snapshot metadata is listed');
+    assert(
+      (await fs.readFile(path.join(tempProject32, SNAPSHOTS_FOLDER_NAME, '.gitignore'), 'utf8')).split('\n').includes('*'),
+      'The snapshots folder ignores itself in git',
+    );
+
+    await snapshots32.create(['_skad'], { reason: 'install' });
+    await snapshots32.create(['_skad'], { reason: 'install' });
+    const pruned32 = await snapshots32.prune();
+    assert(pruned32.length === 1 && pruned32[0] === snapshot32.id, 'Prune removes the oldest snapshots beyond the keep count');
+    assert((await snapshots32.list()).length === 2, 'Prune keeps the newest snapshots');
+
+    let rejected32 = false;
+    try {
+      await snapshots32.create(['../outside']);
+    } catch {
+      rejected32 = true;
+    }
+    assert(rejected32, 'Snapshots refuse paths outside the project');
+
+    assert(
+      CLIUtils.parseKeepSnapshots() === undefined && CLIUtils.parseKeepSnapshots('0') === 0,
+      '--keep-snapshots is optional and accepts 0',
+    );
+    let keepError32 = null;
+    try {
+      CLIUtils.parseKeepSnapshots('-1');
+    } catch (error) {
+      keepError32 = error.message;
+    }
+    assert(keepError32 && keepError32.includes('"-1"'), 'Negative --keep-snapshots values are rejected', keepError32);
+
+    const ideManager32 = new IdeManager();
+    const managed32 = await ideManager32.getManagedPaths(['claude-code', 'github-copilot', 'not-a-platform']);
+    assert(managed32.includes('.claude/skills'), 'IDE managed paths include the target directory', managed32.join(', '));
+    assert(managed32.includes(path.join('.github', 'copilot-instructions.md')), 'IDE managed paths include files cleanup edits in place');
+  } catch (error) {
+    assert(false, 'Install snapshot test succeeds', error.message);
+  } finally {
+    if (tempProject32) await fs.remove(tempProject32).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Suite 33: skad status --json exit codes
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 33: Status JSON Output${colors.reset}\n`);
+
+  let tempProject33;
+  try {
+    const { spawnSync } = require('node:child_process');
+    const cliPath33 = path.join(projectRoot, 'tools', 'cli', 'skad-cli.js');
+    const runStatus33 = () =>
+      spawnSync(process.execPath, [cliPath33, 'status', '--json', '--directory', tempProject33], { encoding: 'utf8', timeout: 60_000 });
+
+    tempProject33 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-status-test-'));
+
+    const missing33 = runStatus33();
+    const missingJson33 = JSON.parse(missing33.stdout);
+    assert(missing33.status === 2, 'Status exits with 2 when SKAD is not installed', `exit ${missing33.status}`);
+    assert(missingJson33.installed === false, 'Status JSON reports a missing installation');
+
+    await fs.outputFile(
+      path.join(tempProject33, '_skad', '_config', 'manifest.yaml'),
+      'installation:\n  version: 1.0.0\nmodules:\n  - name: core\n    version: 1.0.0\n    source: built-in\nides: []\n',
+    );
+
+    const installed33 = runStatus33();
+    const installedJson33 = JSON.parse(installed33.stdout);
+    assert(installed33.status === 0, 'Status exits with 0 for a current installation', installed33.stderr || `exit ${installed33.status}`);
+    assert(
+      installedJson33.installed === true && installedJson33.modules[0].name === 'core' && Array.isArray(installedJson33.updates),
+      'Status JSON includes modules and updates',
+    );
+    assert(installedJson33.drift.detected === false, 'Status JSON reports no drift');
+
+    await fs.outputFile(path.join(tempProject33, '_skad', '_config', 'ides', 'claude-code.yaml'), 'ide: claude-code\n');
+    await fs.outputFile(
+      path.join(tempProject33, '_skad', '_config', 'manifest.yaml'),
+      'installation:\n  version: 1.0.0\nmodules: []\nides:\n  - claude-code\n',
+    );
+
+    const drifted33 = runStatus33();
+    const driftedJson33 = JSON.parse(drifted33.stdout);
+    assert(drifted33.status === 4, 'Status exits with 4 when drift is detected', `exit ${drifted33.status}`);
+    assert(
+      driftedJson33.drift.ides.some((ide) => ide.ide === 'claude-code' && ide.status === 'missing'),
+      'Status JSON lists IDE targets that are missing',
+    );
+  } catch (error) {
+    assert(false, 'Status JSON test succeeds', error.message);
+  } finally {
+    if (tempProject33) await fs.remove(tempProject33).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Suite 34: skad module add/remove
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 34: Module Add/Remove${colors.reset}\n`);
+
+  let tempProject34;
+  try {
+    tempProject34 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-module-change-test-'));
+    const skadDir34 = path.join(tempProject34, '_skad');
+    await fs.outputFile(
+      path.join(skadDir34, '_config', 'manifest.yaml'),
+      'installation:\n  version: 1.0.0\nmodules:\n  - name: core\n    version: 1.0.0\n    source: built-in\nides: []\n',
+    );
+    await fs.ensureDir(path.join(skadDir34, 'core', 'agents'));
+
+    const installer34 = new Installer();
+    const rejects34 = async (change) => {
+      try {
+        await installer34.changeModules({ directory: tempProject34, keepSnapshots: 0, ...change });
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    };
+
+    const coreError34 = await rejects34({ remove: ['core'] });
+    assert(coreError34 && coreError34.includes('cannot be removed'), 'Removing core is refused', coreError34);
+
+    const unknownError34 = await rejects34({ add: ['not-a-real-module'] });
+    assert(unknownError34 && unknownError34.includes('not found'), 'Adding an unknown module fails before changing anything', unknownError34);
+
+    const noop34 = await installer34.changeModules({ directory: tempProject34, add: ['core'], remove: ['bmm'], keepSnapshots: 0 });
+    assert(
+      noop34.added.length === 0 && noop34.removed.length === 0 && noop34.skipped.length === 2,
+      'Installed adds and missing removes are skipped',
+      JSON.stringify(noop34.skipped),
+    );
+
+    // Manifest rows of removed modules are dropped, others are kept
+    const cfgDir34 = path.join(skadDir34, '_config');
+    await fs.writeFile(
+      path.join(cfgDir34, 'agent-manifest.csv'),
+      'name,displayName,title,icon,capabilities,role,identity,communicationStyle,principles,module,path,canonicalId\n' +
+        '"skad-master","Master","","","","","","","","core","_skad/core/agents/skad-master.md",""\n' +
+        '"dev","Amelia","","","","","","","","bmm","_skad/bmm/agents/dev.md",""\n',
+    );
+    const generator34 = new ManifestGenerator();
+    generator34.removedModules = new Set(['bmm']);
+    await generator34.writeAgentManifest(cfgDir34);
+    const agentCsv34 = await fs.readFile(path.join(cfgDir34, 'agent-manifest.csv'), 'utf8');
+    assert(agentCsv34.includes('"skad-master"') && !agentCsv34.includes('"dev"'), 'Agent manifest drops rows of removed modules');
+
+    // Files that weren't reinstalled keep their recorded hash
+    await fs.outputFile(path.join(skadDir34, 'core', 'tasks', 'edited.md'), 'edited locally\n');
+    generator34.skadDir = skadDir34;
+    generator34.allInstalledFiles = [path.join(skadDir34, 'core', 'tasks', 'edited.md')];
+    generator34.preservedFileHashes = new Map([['core/tasks/edited.md', 'recorded-hash']]);
+    await generator34.writeFilesManifest(cfgDir34);
+    const filesCsv34 = await fs.readFile(path.join(cfgDir34, 'files-manifest.csv'), 'utf8');
+    assert(filesCsv34.includes('"core/tasks/edited.md","recorded-hash"'), 'Files manifest keeps recorded hashes of untouched files');
+  } catch (error) {
+    assert(false, 'Module add/remove test succeeds', error.message);
+  } finally {
+    if (tempProject34) await fs.remove(tempProject34).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 35: Config Get/Set/List
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 35: Config Get/Set/List${colors.reset}\n`);
+
+  let tempProject35;
+  const skadHome35 = process.env.SKAD_HOME;
+  try {
+    tempProject35 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-config-test-'));
+    const skadDir35 = path.join(tempProject35, '_skad');
+    await fs.outputFile(
+      path.join(skadDir35, '_config', 'manifest.yaml'),
+      'installation:\n  version: 1.0.0\nmodules:\n  - name: core\n    version: 1.0.0\n    source: built-in\nides: []\n',
+    );
+    await fs.outputFile(
+      path.join(skadDir35, 'core', 'config.yaml'),
+      'user_name: Tester\ncommunication_language: English\ndocument_output_language: English\noutput_folder: "{project-root}/_skad-output"\n',
+    );
+    await fs.outputFile(
+      path.join(skadDir35, 'bmm', 'config.yaml'),
+      'project_name: demo\nuser_skill_level: intermediate\nplanning_artifacts: "{project-root}/_skad-output/planning-artifacts"\n' +
+        'implementation_artifacts: "{project-root}/_skad-output/implementation-artifacts"\nproject_knowledge: "{project-root}/docs"\n' +
+        'user_name: Tester\ncommunication_language: English\ndocument_output_language: English\noutput_folder: "{project-root}/_skad-output"\n',
+    );
+    await fs.ensureDir(path.join(tempProject35, '_skad-output', 'planning-artifacts'));
+
+    const editor35 = new ConfigEditor(new Installer());
+    const rejects35 = async (moduleName, key, value) => {
+      try {
+        await editor35.set(tempProject35, moduleName, key, value);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    };
+
+    assert((await editor35.get(tempProject35, 'bmm', 'user_skill_level')) === 'intermediate', 'Config get reads the installed value');
+
+    const entries35 = await editor35.list(tempProject35);
+    const skill35 = entries35.find((e) => e.module === 'bmm' && e.key === 'user_skill_level');
+    assert(
+      skill35 && skill35.options.includes('expert') && !entries35.some((e) => e.module === 'bmm' && e.key === 'user_name'),
+      'Config list shows select options and lists core values only under core',
+    );
+
+    const selectError35 = await rejects35('bmm', 'user_skill_level', 'wizard');
+    assert(selectError35 && selectError35.includes('Allowed values'), 'Values outside single-select options are rejected', selectError35);
+
+    const unknownError35 = await rejects35('bmm', 'not_a_key', 'x');
+    assert(unknownError35 && unknownError35.includes('Unknown config key'), 'Unknown keys are rejected', unknownError35);
+
+    const change35 = await editor35.set(tempProject35, 'bmm', 'planning_artifacts', '_skad-output/plans');
+    const bmmConfig35 = await fs.readFile(path.join(skadDir35, 'bmm', 'config.yaml'), 'utf8');
+    assert(
+      change35.to === '{project-root}/_skad-output/plans' && bmmConfig35.includes('{project-root}/_skad-output/plans'),
+      'Config set stores the value through the result template',
+      change35.to,
+    );
+    assert(
+      (await fs.pathExists(path.join(tempProject35, '_skad-output', 'plans'))) &&
+        !(await fs.pathExists(path.join(tempProject35, '_skad-output', 'planning-artifacts'))),
+      'Config set moves the directory of a changed path value',
+    );
+
+    const unchanged35 = await editor35.set(tempProject35, 'bmm', 'planning_artifacts', '_skad-output/plans');
+    assert(unchanged35.changed === false, 'Setting the current value changes nothing');
+
+    // In the global installation, IDE skills are regenerated at user scope
+    const manifestPath35 = path.join(skadDir35, '_config', 'manifest.yaml');
+    await fs.writeFile(manifestPath35, (await fs.readFile(manifestPath35, 'utf8')).replace('ides: []', 'ides:\n  - claude-code'));
+    const scopes35 = [];
+    editor35.ideManager.ensureInitialized = async () => {};
+    editor35.ideManager.setup = async (ide, projectDir, skadDir, options) => {
+      scopes35.push(options.scope);
+      return { success: true };
+    };
+    process.env.SKAD_HOME = tempProject35;
+    await editor35.set(tempProject35, 'bmm', 'planning_artifacts', '_skad-output/planning');
+    assert(scopes35.join(',') === 'user', 'Config set in the global installation regenerates user-level IDE skills', scopes35.join(','));
+  } catch (error) {
+    assert(false, 'Config get/set/list test succeeds', error.message);
+  } finally {
+    if (skadHome35 === undefined) delete process.env.SKAD_HOME;
+    else process.env.SKAD_HOME = skadHome35;
+    if (tempProject35) await fs.remove(tempProject35).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 36: IDE Add/Remove
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 36: IDE Add/Remove${colors.reset}\n`);
+
+  let tempProject36;
+  try {
+    tempProject36 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-ide-change-test-'));
+    const skadDir36 = path.join(tempProject36, '_skad');
+    await fs.outputFile(
+      path.join(skadDir36, '_config', 'manifest.yaml'),
+      'installation:\n  version: 1.0.0\nmodules:\n  - name: core\n    version: 1.0.0\n    source: built-in\nides: []\n',
+    );
+    await fs.ensureDir(path.join(skadDir36, 'core', 'agents'));
+
+    const installer36 = new Installer();
+    let unknownError36 = null;
+    try {
+      await installer36.changeIdes({ directory: tempProject36, add: ['not-an-ide'], keepSnapshots: 0 });
+    } catch (error) {
+      unknownError36 = error.message;
+    }
+    assert(unknownError36 && unknownError36.includes('not supported'), 'Adding an unknown IDE fails', unknownError36);
+
+    const added36 = await installer36.changeIdes({ directory: tempProject36, add: ['cursor'], keepSnapshots: 0 });
+    const manifest36 = await fs.readFile(path.join(skadDir36, '_config', 'manifest.yaml'), 'utf8');
+    assert(
+      added36.added.includes('cursor') &&
+        manifest36.includes('- cursor') &&
+        (await fs.pathExists(path.join(skadDir36, '_config', 'ides', 'cursor.yaml'))),
+      'Added IDE is recorded in the manifest and _config/ides',
+    );
+
+    const removed36 = await installer36.changeIdes({ directory: tempProject36, remove: ['cursor', 'codex'], keepSnapshots: 0 });
+    const manifestAfter36 = await fs.readFile(path.join(skadDir36, '_config', 'manifest.yaml'), 'utf8');
+    assert(
+      removed36.removed.includes('cursor') &&
+        removed36.skipped.some((s) => s.ide === 'codex') &&
+        !manifestAfter36.includes('- cursor') &&
+        !(await fs.pathExists(path.join(skadDir36, '_config', 'ides', 'cursor.yaml'))),
+      'Removed IDE is dropped from the manifest and unconfigured IDEs are skipped',
+    );
+  } catch (error) {
+    assert(false, 'IDE add/remove test succeeds', error.message);
+  } finally {
+    if (tempProject36) await fs.remove(tempProject36).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 37: Project File (install --from / export)
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 37: Project File${colors.reset}\n`);
+
+  let tempProject37;
+  try {
+    tempProject37 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-project-file-test-'));
+    const skadDir37 = path.join(tempProject37, '_skad');
+    await fs.outputFile(
+      path.join(skadDir37, '_config', 'manifest.yaml'),
+      'installation:\n  version: 1.0.0\nmodules:\n  - name: core\n    source: built-in\n  - name: bmm\n    source: built-in\nides:\n  - claude-code\n',
+    );
+    await fs.outputFile(
+      path.join(skadDir37, 'core', 'config.yaml'),
+      'user_name: Tester\ncommunication_language: English\ndocument_output_language: English\noutput_folder: "{project-root}/out"\n',
+    );
+    await fs.outputFile(
+      path.join(skadDir37, 'bmm', 'config.yaml'),
+      'project_name: demo\nuser_skill_level: expert\nproject_knowledge: "{project-root}/docs"\nuser_name: Tester\noutput_folder: "{project-root}/out"\n',
+    );
+
+    // Export turns stored values back into answers
+    const { projectFile: exported37 } = await ProjectFile.fromInstallation(tempProject37, new Installer());
+    assert(
+      exported37.data.modules.join(',') === 'bmm' && exported37.data.ides.join(',') === 'claude-code',
+      'Export records modules and IDEs from the manifest',
+    );
+    assert(
+      exported37.data.config.core.output_folder === 'out' &&
+        exported37.data.config.bmm.project_knowledge === 'docs' &&
+        exported37.data.config.bmm.user_skill_level === 'expert' &&
+        exported37.data.config.bmm.user_name === undefined,
+      'Export writes answers with result templates undone and core values only under core',
+      JSON.stringify(exported37.data.config),
+    );
+
+    // The exported file round-trips into install options
+    const filePath37 = await exported37.save();
+    const loaded37 = await ProjectFile.load(filePath37);
+    const options37 = loaded37.toInstallOptions();
+    assert(
+      options37.yes && options37.modules === 'bmm' && options37.tools === 'claude-code' && options37.outputFolder === 'out',
+      'Project file becomes non-interactive install options',
+      JSON.stringify(options37),
+    );
+    assert(!loaded37.getModuleAnswers().core && loaded37.getModuleAnswers().bmm, 'Core answers are passed as options, module answers as presets');
+
+    await fs.writeFile(filePath37, 'version: 1\nmodule: [bmm]\n');
+    let shapeError37 = null;
+    try {
+      await ProjectFile.load(filePath37);
+    } catch (error) {
+      shapeError37 = error.message;
+    }
+    assert(shapeError37 && shapeError37.includes('Unknown field'), 'Unknown project file fields are rejected', shapeError37);
+
+    // Preset answers replace prompts, are validated, and must all match a prompt
+    const collector37 = new ConfigCollector();
+    collector37.setPresetAnswers({ bmm: { user_skill_level: 'beginner', project_knowledge: 'knowledge' } });
+    collector37.collectedConfig.core = { output_folder: '{project-root}/out' };
+    await collector37.collectAllConfigurations(['bmm'], tempProject37, { skipPrompts: true });
+    assert(
+      collector37.collectedConfig.bmm.user_skill_level === 'beginner' &&
+        collector37.collectedConfig.bmm.project_knowledge === '{project-root}/knowledge',
+      'Preset answers are used instead of prompts and go through result templates',
+    );
+
+    const badCollector37 = new ConfigCollector();
+    badCollector37.setPresetAnswers({ bmm: { user_skill_level: 'guru' } });
+    badCollector37.collectedConfig.core = { output_folder: '{project-root}/out' };
+    let presetError37 = null;
+    try {
+      await badCollector37.collectAllConfigurations(['bmm'], tempProject37, { skipPrompts: true });
+    } catch (error) {
+      presetError37 = error.message;
+    }
+    assert(presetError37 && presetError37.includes('Allowed values'), 'Preset answers outside select options are rejected', presetError37);
+
+    const typoCollector37 = new ConfigCollector();
+    typoCollector37.setPresetAnswers({ bmm: { project_nam: 'x' } });
+    typoCollector37.collectedConfig.core = { output_folder: '{project-root}/out' };
+    let typoError37 = null;
+    try {
+      await typoCollector37.collectAllConfigurations(['bmm'], tempProject37, { skipPrompts: true });
+    } catch (error) {
+      typoError37 = error.message;
+    }
+    assert(typoError37 && typoError37.includes('bmm.project_nam'), 'Preset answers that match no prompt are rejected', typoError37);
+  } catch (error) {
+    assert(false, 'Project file test succeeds', error.message);
+  } finally {
+    if (tempProject37) await fs.remove(tempProject37).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 38: Lockfile (skad.lock.yaml / install --frozen)
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 38: Lockfile${colors.reset}\n`);
+
+  let tempProject38;
+  try {
+    tempProject38 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-lock-file-test-'));
+    const skadDir38 = path.join(tempProject38, '_skad');
+    await fs.outputFile(
+      path.join(skadDir38, '_config', 'manifest.yaml'),
+      'installation:\n  version: 1.0.0\nmodules:\n  - name: core\n    version: 1.0.0\n    source: built-in\n  - name: bmm\n    version: 1.0.0\n    source: built-in\n',
+    );
+    await fs.outputFile(
+      path.join(skadDir38, '_config', 'files-manifest.csv'),
+      [
+        'type,name,module,path,hash',
+        '"md","help","core","core/tasks/help.md","aaa"',
+        '"yaml","config","bmm","bmm/config.yaml","bbb"',
+        '"md","notes","_memory","_memory/notes.md","ccc"',
+      ].join('\n') + '\n',
+    );
+
+    const lockFile38 = new LockFile(tempProject38);
+    const lock38 = await lockFile38.build(skadDir38);
+    assert(
+      lock38.modules.core && lock38.modules.bmm.source === 'built-in' && lock38.core.version,
+      'Lock records the core version and installed modules',
+    );
+    assert(
+      Object.keys(lock38.files).join(',') === 'core/tasks/help.md',
+      'Lock hashes installed files but not generated config or _memory sidecars',
+      Object.keys(lock38.files).join(','),
+    );
+
+    await lockFile38.write(lock38);
+    const reread38 = await lockFile38.read();
+    assert(lockFile38.compare(lock38, reread38).length === 0, 'Lock round-trips through skad.lock.yaml');
+
+    const changed38 = structuredClone(reread38);
+    changed38.files['core/tasks/help.md'] = 'zzz';
+    changed38.modules.bmm.version = '2.0.0';
+    const mismatches38 = lockFile38.compare(reread38, changed38);
+    assert(
+      mismatches38.some((m) => m.includes('core/tasks/help.md')) && mismatches38.some((m) => m.includes('module bmm version')),
+      'Lock comparison reports changed files and module versions',
+      mismatches38.join('; '),
+    );
+
+    const inputs38 = await lockFile38.verifyInputs(reread38, { modules: ['core', 'openproject'] });
+    assert(
+      inputs38.includes('module openproject is not in the lock') && inputs38.includes('module bmm is in the lock but not being installed'),
+      'Frozen installs refuse a module set that differs from the lock',
+      inputs38.join('; '),
+    );
+
+    reread38.modules.cis = { source: 'external', version: '1.0.0', commit: 'abc123' };
+    assert(lockFile38.getExternalCommits(reread38).cis === 'abc123', 'External module commits are read from the lock for pinning');
+
+    let missingError38 = null;
+    try {
+      await new LockFile(path.join(tempProject38, 'elsewhere')).pin();
+    } catch (error) {
+      missingError38 = error.message;
+    }
+    assert(missingError38 && missingError38.includes('skad.lock.yaml'), 'Frozen installs require a lockfile', missingError38);
+  } catch (error) {
+    assert(false, 'Lockfile test succeeds', error.message);
+  } finally {
+    if (tempProject38) await fs.remove(tempProject38).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 39: Offline External Module Sources
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 39: Offline External Module Sources${colors.reset}\n`);
+
+  let tempDir39;
+  try {
+    tempDir39 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-offline-test-'));
+    const sourceDir39 = path.join(tempDir39, 'cis-src');
+    await fs.outputFile(path.join(sourceDir39, 'src', 'module.yaml'), 'code: cis\nname: CIS\n');
+    await fs.outputFile(path.join(sourceDir39, 'node_modules', 'dep', 'index.js'), '');
+
+    const manager39 = new ModuleManager();
+    const cacheDir39 = path.join(tempDir39, 'cache', 'cis');
+    await fs.outputFile(path.join(cacheDir39, 'stale.md'), 'old');
+    await manager39.copyLocalExternalModule(sourceDir39, cacheDir39);
+    assert(
+      (await fs.pathExists(path.join(cacheDir39, 'src', 'module.yaml'))) &&
+        !(await fs.pathExists(path.join(cacheDir39, 'node_modules'))) &&
+        !(await fs.pathExists(path.join(cacheDir39, 'stale.md'))),
+      'Local directory sources replace the cached copy without node_modules',
+    );
+
+    const zipPath39 = path.join(tempDir39, 'cis.zip');
+    await fs.writeFile(zipPath39, '');
+    let formatError39 = null;
+    try {
+      await manager39.copyLocalExternalModule(zipPath39, cacheDir39);
+    } catch (error) {
+      formatError39 = error.message;
+    }
+    assert(formatError39 && formatError39.includes('.bundle'), 'Unsupported local source formats are rejected', formatError39);
+
+    let missingError39 = null;
+    try {
+      await manager39.copyLocalExternalModule(path.join(tempDir39, 'missing'), cacheDir39);
+    } catch (error) {
+      missingError39 = error.message;
+    }
+    assert(missingError39 && missingError39.includes('not found'), 'Missing local sources are reported', missingError39);
+
+    const externalManager39 = new ExternalModuleManager();
+    const configDir39 = path.dirname(externalManager39.externalModulesConfigPath);
+    assert(
+      externalManager39.resolveLocalSource('./mirror/cis.tgz') === path.join(configDir39, 'mirror', 'cis.tgz') &&
+        externalManager39.resolveLocalSource(null) === null,
+      'Registry source paths resolve against external-official-modules.yaml',
+    );
+  } catch (error) {
+    assert(false, 'Offline external module test succeeds', error.message);
+  } finally {
+    if (tempDir39) await fs.remove(tempDir39).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 40: Migrations
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 40: Migrations${colors.reset}\n`);
+
+  let tempProject40;
+  try {
+    tempProject40 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-migration-test-'));
+    const skadDir40 = path.join(tempProject40, '_skad');
+    await fs.outputFile(path.join(skadDir40, '_cfg', 'manifest.yaml'), 'installation:\n  version: 0.9.0\nmodules: []\n');
+    await fs.outputFile(path.join(skadDir40, 'bmm', 'config.yaml'), 'old_key: value\n');
+    await fs.outputFile(path.join(tempProject40, '.skad-method', 'agent.md'), 'v4');
+
+    // The registry's layout migrations are detected on disk; the v4 backup moves user files, so it is opt-in
+    const pending40 = (await new MigrationRunner().plan(tempProject40)).map((m) => m.id);
+    assert(pending40.join(',') === 'config-folder-rename', 'Registered migrations detect a legacy _cfg folder', pending40.join(','));
+    const optIn40 = (await new MigrationRunner().plan(tempProject40, { optIn: ['v4-folder-backup'] })).map((m) => m.id);
+    assert(
+      optIn40.join(',') === 'v4-folder-backup,config-folder-rename',
+      'Opt-in migrations are pending only when asked for',
+      optIn40.join(','),
+    );
+    const listed40 = await new MigrationRunner().list(tempProject40);
+    assert(
+      listed40.migrations.find((m) => m.id === 'v4-folder-backup').status === 'opt-in',
+      'Listed opt-in migrations that would apply are marked opt-in',
+    );
+
+    const renameKey40 = {
+      id: 'rename-old-key',
+      description: 'Rename old_key to new_key',
+      versions: '<1.0.0',
+      paths: ['_skad/bmm'],
+      async up({ skadDir }) {
+        const configPath = path.join(skadDir, 'bmm', 'config.yaml');
+        await fs.writeFile(configPath, (await fs.readFile(configPath, 'utf8')).replace('old_key', 'new_key'));
+      },
+    };
+    const futureOnly40 = { id: 'future', description: 'Not for this version', versions: '>=2.0.0', paths: [], async up() {} };
+    const runner40 = new MigrationRunner([...MIGRATIONS, renameKey40, futureOnly40]);
+
+    const result40 = await runner40.run(tempProject40, { keepSnapshots: 0 });
+    assert(
+      result40.applied.map((m) => m.id).join(',') === 'config-folder-rename,rename-old-key',
+      'Pending migrations run in registry order and out-of-range ones are skipped',
+      result40.applied.map((m) => m.id).join(','),
+    );
+    assert(
+      await fs.pathExists(path.join(tempProject40, '.skad-method', 'agent.md')),
+      'The v4 folder is left alone unless its backup is asked for',
+    );
+
+    const backup40 = await runner40.run(tempProject40, { optIn: ['v4-folder-backup'], keepSnapshots: 0 });
+    assert(backup40.applied.map((m) => m.id).join(',') === 'v4-folder-backup', 'An opt-in migration runs when asked for');
+    assert(
+      (await fs.pathExists(path.join(tempProject40, '.skad-method-v4-backup', 'agent.md'))) &&
+        (await fs.pathExists(path.join(skadDir40, '_config', 'manifest.yaml'))) &&
+        (await fs.readFile(path.join(skadDir40, 'bmm', 'config.yaml'), 'utf8')).includes('new_key'),
+      'Migrations transform folders and configs',
+    );
+    assert((await runner40.plan(tempProject40)).length === 0, 'Applied migrations are not pending again');
+
+    const failing40 = {
+      id: 'broken',
+      description: 'Fails halfway',
+      versions: '*',
+      paths: ['_skad/bmm'],
+      async up({ skadDir }) {
+        await fs.writeFile(path.join(skadDir, 'bmm', 'config.yaml'), 'half: done\n');
+        throw new Error('boom');
+      },
+    };
+    let failError40 = null;
+    try {
+      await new MigrationRunner([failing40]).run(tempProject40);
+    } catch (error) {
+      failError40 = error.message;
+    }
+    assert(
+      failError40 === 'Migration broken failed: boom' &&
+        (await fs.readFile(path.join(skadDir40, 'bmm', 'config.yaml'), 'utf8')).includes('new_key'),
+      'A failed migration is reported and its paths are restored from the snapshot',
+      failError40,
+    );
+
+    const check40 = await new Detector().checkMigrationNeeded(tempProject40);
+    assert(check40.needed === false && check40.migrations.length === 0, 'Detector reports no migrations once they have run');
+  } catch (error) {
+    assert(false, 'Migration test succeeds', error.message);
+  } finally {
+    if (tempProject40) await fs.remove(tempProject40).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 41: Three-Way Merge of Modified Files
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 41: Three-Way Merge of Modified Files${colors.reset}\n`);
+
+  let tempProject41;
+  try {
+    const base41 = 'title\none\ntwo\nthree\nfour\n';
+
+    const clean41 = threeWayMerge(base41, 'title\nONE\ntwo\nthree\nfour\n', 'title\none\ntwo\nthree\nFOUR\nfive\n');
+    assert(
+      clean41.conflicts === 0 && clean41.content === 'title\nONE\ntwo\nthree\nFOUR\nfive\n',
+      'Edits to different lines merge cleanly',
+      clean41.content,
+    );
+
+    const same41 = threeWayMerge(base41, 'title\none\nTWO\nthree\nfour\n', 'title\none\nTWO\nthree\nfour\n');
+    assert(same41.conflicts === 0 && same41.content.includes('TWO'), 'Identical edits on both sides merge cleanly');
+
+    const upstreamOnly41 = threeWayMerge(base41, base41, 'title\nnew\n');
+    assert(upstreamOnly41.content === 'title\nnew\n', 'An unedited file takes the upstream version');
+
+    const conflict41 = threeWayMerge(base41, 'title\none\nmine\nthree\nfour\n', 'title\none\ntheirs\nthree\nFOUR\n');
+    assert(
+      conflict41.conflicts === 1 &&
+        conflict41.content === 'title\none\n<<<<<<< yours\nmine\n=======\ntheirs\n>>>>>>> upstream\nthree\nFOUR\n',
+      'Conflicting hunks get conflict markers and the rest still merges',
+      conflict41.content,
+    );
+
+    const rej41 = threeWayMerge(base41, 'title\none\nmine\nthree\nfour\n', 'title\none\ntheirs\nthree\nFOUR\n', { style: 'rej' });
+    assert(
+      rej41.content === 'title\none\nmine\nthree\nFOUR\n' && rej41.rejects === '@@ -3,1 +3,1 @@\n-two\n+theirs\n',
+      'The rej style keeps local lines and returns the upstream hunk',
+      rej41.rejects,
+    );
+
+    tempProject41 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-merge-test-'));
+    const skadDir41 = path.join(tempProject41, '_skad');
+    const sha41 = (content) => require('node:crypto').createHash('sha256').update(content).digest('hex');
+    await fs.outputFile(path.join(skadDir41, 'core', 'tasks', 'help.md'), base41);
+    await fs.outputFile(path.join(skadDir41, 'core', 'tasks', 'edited.md'), 'edited\n');
+    await fs.outputFile(path.join(skadDir41, 'core', 'config.yaml'), 'user_name: Test\n');
+    await fs.outputFile(path.join(skadDir41, '_config', 'baseline', 'core', 'removed.md'), 'old\n');
+
+    const baselines41 = new BaselineStore(skadDir41);
+    const saved41 = await baselines41.save([
+      { path: 'core/tasks/help.md', hash: sha41(base41) },
+      { path: 'core/tasks/edited.md', hash: sha41('original\n') },
+      { path: 'core/config.yaml', hash: sha41('user_name: Test\n') },
+    ]);
+    assert(
+      saved41 === 1 &&
+        (await baselines41.read('core/tasks/help.md')) === base41 &&
+        (await baselines41.read('core/tasks/edited.md')) === null &&
+        (await baselines41.read('core/config.yaml')) === null,
+      'Baselines are saved only for unmodified, non-generated files',
+      String(saved41),
+    );
+    assert((await baselines41.read('core/removed.md')) === null, 'Baselines of files no longer installed are removed');
+
+    const helpPath41 = path.join(skadDir41, 'core', 'tasks', 'help.md');
+    const userCopy41 = path.join(tempProject41, 'user-help.md');
+    await fs.writeFile(userCopy41, 'title\none\nmine\nthree\nfour\n');
+    await fs.writeFile(helpPath41, 'title\none\ntheirs\nthree\nFOUR\n');
+    const merged41 = { clean: [], conflicted: [] };
+    const installer41 = new Installer();
+    const didMerge41 = await installer41.mergeModifiedFile(
+      { path: helpPath41, relativePath: 'core/tasks/help.md', baseline: base41 },
+      userCopy41,
+      'rej',
+      merged41,
+    );
+    assert(
+      didMerge41 &&
+        merged41.conflicted.length === 1 &&
+        (await fs.readFile(helpPath41, 'utf8')) === 'title\none\nmine\nthree\nFOUR\n' &&
+        (await fs.pathExists(helpPath41 + '.rej')),
+      'Installer merges a modified file and writes rejected hunks next to it',
+    );
+
+    const noBaseline41 = await installer41.mergeModifiedFile(
+      { path: helpPath41, relativePath: 'core/tasks/help.md', baseline: null },
+      userCopy41,
+      'markers',
+      merged41,
+    );
+    assert(!noBaseline41, 'Files without a baseline fall back to a .bak copy');
+  } catch (error) {
+    assert(false, 'Three-way merge test succeeds', error.message);
+  } finally {
+    if (tempProject41) await fs.remove(tempProject41).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 42: Content Validation
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 42: Content Validation${colors.reset}\n`);
+
+  let tempModule42;
+  try {
+    tempModule42 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-validate-test-'));
+    await fs.outputFile(path.join(tempModule42, 'module.yaml'), 'code: mymod\nname: My Module\n');
+    await fs.outputFile(
+      path.join(tempModule42, 'agents', 'helper.agent.yaml'),
+      [
+        'agent:',
+        '  metadata:',
+        '    id: helper',
+        '    name: Helper',
+        '    title: Helper',
+        '    icon: x',
+        '  persona:',
+        '    role: Helper',
+        '    identity: Helps',
+        '    communication_style: Short',
+        '    principles: Be brief',
+        '  menu:',
+        '    - trigger: DT or fuzzy match on do-thing',
+        "      workflow: '{project-root}/_skad/mymod/workflows/foo/workflow.md'",
+        '      description: Do the thing',
+        '',
+      ].join('\n'),
+    );
+    await fs.outputFile(
+      path.join(tempModule42, 'agents', 'skad-skill-manifest.yaml'),
+      'helper.agent.yaml:\n  canonicalId: skad-helper\n  type: agent\nghost.agent.yaml:\n  canonicalId: skad-helper\n  type: agnt\n',
+    );
+    await fs.outputFile(
+      path.join(tempModule42, 'workflows', 'foo', 'workflow.md'),
+      '---\nname: foo\n---\nLoad `./missing.md`, then {project-root}/_skad/core/tasks/help.md\n',
+    );
+
+    const validator42 = new ContentValidator();
+    const result42 = await validator42.validate(tempModule42);
+    const byRule42 = (rule) => result42.findings.filter((f) => f.rule === rule);
+
+    assert(
+      byRule42('agent-schema').some((f) => f.message.includes('hasSidecar') && f.line === 2 && f.severity === 'error'),
+      'Agent schema errors are reported with the line of the nearest YAML node',
+      JSON.stringify(byRule42('agent-schema')),
+    );
+    assert(
+      byRule42('file-ref').length === 1 && byRule42('file-ref')[0].message.includes('./missing.md') && byRule42('file-ref')[0].severity === 'warning',
+      'Broken references are warnings; references into the module and built-in modules resolve',
+      JSON.stringify(byRule42('file-ref')),
+    );
+    const manifestMessages42 = byRule42('skill-manifest').map((f) => f.message);
+    assert(
+      manifestMessages42.some((m) => m.includes('"ghost.agent.yaml" names a file')) &&
+        manifestMessages42.some((m) => m.includes('type "agnt"')),
+      'Skill manifest entries are checked for missing files and unknown types',
+      manifestMessages42.join('; '),
+    );
+
+    await fs.outputFile(
+      path.join(tempModule42, 'agents', 'skad-skill-manifest.yaml'),
+      'helper.agent.yaml:\n  canonicalId: skad-helper\n  type: agent\n',
+    );
+    await fs.outputFile(path.join(tempModule42, 'workflows', 'foo', 'skad-skill-manifest.yaml'), 'canonicalId: skad-helper\ntype: workflow\n');
+    const duplicate42 = (await validator42.validate(tempModule42)).findings.filter((f) => f.rule === 'skill-manifest');
+    assert(
+      duplicate42.length === 1 && duplicate42[0].message.includes('"skad-helper" is also used'),
+      'Duplicate skill names are reported',
+      JSON.stringify(duplicate42),
+    );
+
+    const sarif42 = validator42.toSarif(result42);
+    const firstResult42 = sarif42.runs[0].results[0];
+    assert(
+      sarif42.version === '2.1.0' &&
+        sarif42.runs[0].results.length === result42.findings.length &&
+        !path.isAbsolute(firstResult42.locations[0].physicalLocation.artifactLocation.uri) &&
+        firstResult42.locations[0].physicalLocation.region.startLine >= 1,
+      'Findings convert to SARIF with paths relative to the validated folder',
+    );
+
+    await fs.outputFile(path.join(tempModule42, '_skad', 'mymod', 'agents', 'helper.md'), '# Helper\n');
+    await fs.outputFile(path.join(tempModule42, '_skad', 'mymod', 'module-help.csv'), 'workflow-file\n_skad/mymod/agents/helper.agent.yaml\n');
+    await fs.outputFile(path.join(tempModule42, '_skad', '_config', 'broken.yaml'), 'key: [unclosed\n');
+    const installed42 = await validator42.validate(path.join(tempModule42, '_skad'), { installed: true });
+    assert(
+      installed42.findings.length === 0,
+      'Installed validation accepts compiled agents and skips _config',
+      JSON.stringify(installed42.findings),
+    );
+  } catch (error) {
+    assert(false, 'Content validation test succeeds', error.message);
+  } finally {
+    if (tempModule42) await fs.remove(tempModule42).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 43: Module CLI Commands
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 43: Module CLI Commands${colors.reset}\n`);
+
+  let tempProject43;
+  try {
+    tempProject43 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-module-commands-test-'));
+    const source43 = path.join(tempProject43, 'demo-src');
+    const skadDir43 = path.join(tempProject43, '_skad');
+    const target43 = path.join(skadDir43, 'demo');
+    await fs.outputFile(
+      path.join(source43, 'module.yaml'),
+      'code: demo\nname: Demo\ncli_commands:\n  - cli/hello.js\n  - cli/broken.js\n  - cli/missing.js\n  - ../escape.js\n',
+    );
+    await fs.outputFile(
+      path.join(target43, 'cli', 'hello.js'),
+      "module.exports = { command: 'hello [who]', description: 'Say hello', options: [['--shout', 'Shout']], action: async () => {} };\n",
+    );
+    await fs.outputFile(path.join(target43, 'cli', 'broken.js'), "module.exports = { command: 'broken' };\n");
+    await fs.outputFile(path.join(skadDir43, '_config', 'manifest.yaml'), 'installation:\n  version: 1.0.0\nmodules:\n  - name: demo\n');
+
+    const tracked43 = [];
+    const recorded43 = await new ModuleManager().installModuleCommands(source43, target43, 'demo', (file) => tracked43.push(file));
+    assert(
+      recorded43.join(',') === 'cli/hello.js,cli/broken.js' && tracked43.length === 1,
+      'Declared command files that exist in the module are recorded and tracked',
+      recorded43.join(','),
+    );
+
+    const loaded43 = loadModuleCommands(skadDir43);
+    assert(
+      loaded43.modules.length === 1 &&
+        loaded43.modules[0].code === 'demo' &&
+        loaded43.modules[0].commands.map((c) => c.command).join(',') === 'hello [who]',
+      'Installed module commands are loaded by module code',
+    );
+    assert(
+      loaded43.errors.length === 1 && loaded43.errors[0].includes('broken.js has no action function'),
+      'Command files with the wrong shape are reported instead of loaded',
+      loaded43.errors.join('; '),
+    );
+
+    const nested43 = path.join(tempProject43, 'src', 'deep');
+    await fs.ensureDir(nested43);
+    assert(findInstalledSkadDir(nested43) === skadDir43, 'The installation is found from a subdirectory of the project');
+
+    await fs.outputFile(path.join(source43, 'module.yaml'), 'code: demo\nname: Demo\n');
+    await new ModuleManager().installModuleCommands(source43, target43, 'demo');
+    assert(
+      !(await fs.pathExists(path.join(target43, 'cli-commands.yaml'))) && loadModuleCommands(skadDir43).modules.length === 0,
+      'Removing cli_commands from module.yaml unregisters the commands on the next install',
+    );
+
+    // Load problems are shown for help and module commands only; installed modules without commands say so
+    const { spawnSync } = require('node:child_process');
+    const runCli43 = (...args) =>
+      spawnSync(process.execPath, [path.join(projectRoot, 'tools', 'cli', 'skad-cli.js'), ...args], {
+        cwd: tempProject43,
+        encoding: 'utf8',
+        env: { ...process.env, SKAD_OFFLINE: 'true', SKAD_VERBOSE_INSTALL: '' },
+        timeout: 60_000,
+      });
+    await fs.outputFile(path.join(target43, 'cli-commands.yaml'), 'commands:\n  - cli/broken.js\n');
+    const version43 = runCli43('--version');
+    assert(
+      version43.status === 0 && !`${version43.stdout}${version43.stderr}`.includes('Module commands not loaded'),
+      'Built-in commands do not report module command problems',
+      version43.stderr,
+    );
+    const help43 = runCli43('help', 'demo');
+    const helpOutput43 = `${help43.stdout}${help43.stderr}`;
+    assert(
+      help43.status === 0 &&
+        helpOutput43.includes('Module commands not loaded: demo: cli/broken.js has no action function') &&
+        helpOutput43.includes('The demo module is installed but adds no commands'),
+      'skad help <module> reports load problems and says an installed module has no commands',
+      helpOutput43,
+    );
+  } catch (error) {
+    assert(false, 'Module commands test succeeds', error.message);
+  } finally {
+    if (tempProject43) await fs.remove(tempProject43).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 44: Answers File and Environment Answers
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 44: Answers File and Environment Answers${colors.reset}\n`);
+
+  let tempProject44;
+  try {
+    tempProject44 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-answers-test-'));
+    const answersPath44 = path.join(tempProject44, 'answers.yaml');
+
+    await fs.writeFile(answersPath44, 'core:\n  user_name: Ada\nbmm:\n  user_skill_level: beginner\n  project_name: demo\n');
+    const answers44 = await loadAnswersFile(answersPath44);
+    assert(answers44.core.user_name === 'Ada' && answers44.bmm.user_skill_level === 'beginner', 'Answers file is read per module and key');
+
+    await fs.writeFile(answersPath44, 'bmm:\n  - user_skill_level\n');
+    let shapeError44 = null;
+    try {
+      await loadAnswersFile(answersPath44);
+    } catch (error) {
+      shapeError44 = error.message;
+    }
+    assert(shapeError44 && shapeError44.includes('"bmm"'), 'Answers that are not keyed by config key are rejected', shapeError44);
+
+    assert(envAnswerName('bmm', 'user_skill_level') === 'SKAD_BMM_USER_SKILL_LEVEL', 'Environment answers are named SKAD_<MODULE>_<KEY>');
+    assert(envAnswerName('my-mod', 'key') === 'SKAD_MY_MOD_KEY', 'Module codes with dashes map to underscores');
+
+    // Environment variables win over the answers file and go through validation and result templates
+    const collector44 = new ConfigCollector();
+    collector44.env = { SKAD_BMM_USER_SKILL_LEVEL: 'expert', SKAD_BMM_PROJECT_KNOWLEDGE: 'docs', SKAD_DEBUG: 'true' };
+    collector44.setPresetAnswers({ bmm: { user_skill_level: 'beginner', project_name: 'demo' } });
+    collector44.collectedConfig.core = { output_folder: '{project-root}/out' };
+    await collector44.collectAllConfigurations(['bmm'], tempProject44, { skipPrompts: true });
+    assert(
+      collector44.collectedConfig.bmm.user_skill_level === 'expert' &&
+        collector44.collectedConfig.bmm.project_name === 'demo' &&
+        collector44.collectedConfig.bmm.project_knowledge === '{project-root}/docs',
+      'Environment answers override file answers; unrelated SKAD_* variables are ignored',
+      JSON.stringify(collector44.collectedConfig.bmm),
+    );
+
+    const badCollector44 = new ConfigCollector();
+    badCollector44.env = { SKAD_BMM_USER_SKILL_LEVEL: 'guru' };
+    badCollector44.collectedConfig.core = { output_folder: '{project-root}/out' };
+    let envError44 = null;
+    try {
+      await badCollector44.collectAllConfigurations(['bmm'], tempProject44, { skipPrompts: true });
+    } catch (error) {
+      envError44 = error.message;
+    }
+    assert(
+      envError44 && envError44.includes('SKAD_BMM_USER_SKILL_LEVEL') && envError44.includes('Allowed values'),
+      'Invalid environment answers name the variable',
+      envError44,
+    );
+
+    const typoCollector44 = new ConfigCollector();
+    typoCollector44.env = { SKAD_BMM_PROJECT_NAM: 'x' };
+    typoCollector44.collectedConfig.core = { output_folder: '{project-root}/out' };
+    let typoError44 = null;
+    try {
+      await typoCollector44.collectAllConfigurations(['bmm'], tempProject44, { skipPrompts: true });
+    } catch (error) {
+      typoError44 = error.message;
+    }
+    assert(typoError44 && typoError44.includes('SKAD_BMM_PROJECT_NAM'), 'Environment answers for unknown keys are rejected', typoError44);
+
+    // Quick update applies answers to existing keys instead of keeping the installed value
+    const quickCollector44 = new ConfigCollector();
+    quickCollector44.env = { SKAD_BMM_USER_SKILL_LEVEL: 'expert' };
+    quickCollector44.existingConfig = {
+      bmm: {
+        project_name: 'kept',
+        user_skill_level: 'intermediate',
+        planning_artifacts: '{project-root}/out/planning',
+        implementation_artifacts: '{project-root}/out/impl',
+        project_knowledge: '{project-root}/docs',
+      },
+    };
+    const quickChanged44 = await quickCollector44.collectModuleConfigQuick('bmm', tempProject44, true);
+    assert(
+      quickChanged44 &&
+        quickCollector44.collectedConfig.bmm.user_skill_level === 'expert' &&
+        quickCollector44.collectedConfig.bmm.project_name === 'kept' &&
+        quickCollector44.getUnusedPresetAnswers().length === 0,
+      'Quick update sets answered keys and keeps the rest',
+      JSON.stringify(quickCollector44.collectedConfig.bmm),
+    );
+  } catch (error) {
+    assert(false, 'Answers test succeeds', error.message);
+  } finally {
+    if (tempProject44) await fs.remove(tempProject44).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 45: Workspace Packages
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 45: Workspace Packages${colors.reset}\n`);
+
+  let tempProject45;
+  try {
+    tempProject45 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-workspace-test-'));
+    const skadDir45 = path.join(tempProject45, '_skad');
+    const api45 = path.join(tempProject45, 'packages', 'api');
+    const web45 = path.join(tempProject45, 'packages', 'web');
+    await fs.outputFile(path.join(skadDir45, '_config', 'manifest.yaml'), 'installation:\n  version: 1.0.0\nmodules:\n  - name: core\n  - name: bmm\n');
+    await fs.outputFile(
+      path.join(skadDir45, 'core', 'config.yaml'),
+      '# CORE Module Configuration\n# Generated by SKAD installer\n\nuser_name: Ada\noutput_folder: _skad-output\n',
+    );
+    await fs.outputFile(
+      path.join(skadDir45, 'bmm', 'config.yaml'),
+      '# BMM Module Configuration\n# Generated by SKAD installer\n\n' +
+        'project_name: mono\nplanning_artifacts: "{project-root}/_skad-output/planning-artifacts"\n' +
+        'project_knowledge: "{project-root}/docs"\nuser_name: Ada\noutput_folder: _skad-output\n',
+    );
+    await fs.outputJson(path.join(api45, 'package.json'), { name: '@acme/api' });
+    await fs.ensureDir(path.join(web45, 'src'));
+
+    const workspace45 = new Workspace(tempProject45);
+    const added45 = await workspace45.addPackage(api45);
+    await workspace45.addPackage(web45);
+    assert(
+      added45.package === 'packages/api' && added45.overlayCreated && (await fs.pathExists(path.join(api45, 'skad.package.yaml'))),
+      'Adding a package records it and creates its overlay file',
+    );
+    assert((await workspace45.packages()).join(',') === 'packages/api,packages/web', 'Workspace lists its packages');
+
+    await fs.writeFile(path.join(web45, 'skad.package.yaml'), 'core:\n  output_folder: out\nbmm:\n  project_knowledge: docs/knowledge\n');
+    await workspace45.sync();
+
+    const apiConfig45 = yaml.parse(await fs.readFile(path.join(api45, '_skad', 'bmm', 'config.yaml'), 'utf8'));
+    assert(
+      apiConfig45.project_name === '@acme/api' &&
+        apiConfig45.planning_artifacts === '{project-root}/packages/api/_skad-output/planning-artifacts' &&
+        apiConfig45.output_folder === '{project-root}/packages/api/_skad-output' &&
+        apiConfig45.user_name === 'Ada',
+      'Package configs move output folders into the package and use its package.json name',
+      JSON.stringify(apiConfig45),
+    );
+
+    const webConfig45 = yaml.parse(await fs.readFile(path.join(web45, '_skad', 'bmm', 'config.yaml'), 'utf8'));
+    assert(
+      webConfig45.project_name === 'web' &&
+        webConfig45.output_folder === '{project-root}/packages/web/out' &&
+        webConfig45.planning_artifacts === '{project-root}/packages/web/out/planning-artifacts' &&
+        webConfig45.project_knowledge === '{project-root}/packages/web/docs/knowledge',
+      'Overlay values apply relative to the package, and derived folders follow output_folder',
+      JSON.stringify(webConfig45),
+    );
+
+    const rootConfig45 = await fs.readFile(path.join(skadDir45, 'bmm', 'config.yaml'), 'utf8');
+    await workspace45.sync();
+    assert(
+      !rootConfig45.includes('packages/web') &&
+        (await fs.readFile(path.join(skadDir45, 'bmm', 'config.yaml'), 'utf8')) === rootConfig45 &&
+        yaml.parse(rootConfig45).project_name === 'mono',
+      'Root configs are left as they are, and syncing again changes nothing',
+    );
+
+    assert(
+      (await Workspace.resolveModuleConfig('bmm', path.join(web45, 'src'))) === path.join(path.resolve(web45), '_skad', 'bmm', 'config.yaml') &&
+        (await Workspace.resolveModuleConfig('bmm', tempProject45)) === path.join(path.resolve(skadDir45), 'bmm', 'config.yaml') &&
+        (await Workspace.resolveModuleConfig('bmm', path.join(tempProject45, 'packages'))) ===
+          path.join(path.resolve(tempProject45), 'packages', '_skad', 'bmm', 'config.yaml'),
+      'Module configs resolve to the package copy inside a package and to the root config elsewhere',
+    );
+    const editor45 = new ConfigEditor(new Installer());
+    assert(
+      (await editor45.get(tempProject45, 'bmm', 'project_name', path.join(web45, 'src'))) === 'web' &&
+        (await editor45.get(tempProject45, 'bmm', 'project_name')) === 'mono',
+      'Config get inside a package reads the package copy',
+    );
+    let setError45 = null;
+    try {
+      await editor45.set(tempProject45, 'bmm', 'project_name', 'renamed', path.join(web45, 'src'));
+    } catch (error) {
+      setError45 = error.message;
+    }
+    assert(
+      setError45?.includes('skad.package.yaml') &&
+        (await fs.readFile(path.join(skadDir45, 'bmm', 'config.yaml'), 'utf8')).includes('mono') &&
+        !(await fs.readFile(path.join(web45, '_skad', 'bmm', 'config.yaml'), 'utf8')).includes('renamed'),
+      'Config set inside a package is refused and points at skad.package.yaml',
+      setError45,
+    );
+
+    assert(
+      (await Workspace.resolveProjectDir(path.join(web45, 'src'))) === path.resolve(tempProject45) &&
+        (await Workspace.resolveProjectDir(path.join(tempProject45, 'packages'))) === path.join(path.resolve(tempProject45), 'packages'),
+      'Commands inside a package walk up to the workspace root, other folders do not',
+    );
+
+    await fs.writeFile(path.join(web45, 'skad.package.yaml'), 'bmm:\n  project_nam: x\n');
+    let overlayError45 = null;
+    try {
+      await workspace45.sync();
+    } catch (error) {
+      overlayError45 = error.message;
+    }
+    assert(overlayError45 && overlayError45.includes('bmm.project_nam'), 'Unknown overlay keys are rejected', overlayError45);
+
+    await workspace45.removePackage(web45);
+    await workspace45.removePackage(api45);
+    await workspace45.sync();
+    assert(
+      !(await fs.pathExists(path.join(web45, '_skad'))) &&
+        (await fs.pathExists(path.join(web45, 'skad.package.yaml'))),
+      'Removing packages deletes their config copies and keeps overlays',
+    );
+  } catch (error) {
+    assert(false, 'Workspace test succeeds', error.message);
+  } finally {
+    if (tempProject45) await fs.remove(tempProject45).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 46: Global Installation and Linked Projects
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 46: Global Installation and Linked Projects${colors.reset}\n`);
+
+  let tempDir46;
+  try {
+    tempDir46 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-global-test-'));
+    const home46 = path.join(tempDir46, 'home');
+    const project46 = path.join(tempDir46, 'my-app');
+    const globalSkad46 = path.join(home46, '_skad');
+    const projectSkad46 = path.join(project46, '_skad');
+
+    assert(
+      GlobalInstall.home({ SKAD_HOME: home46 }) === home46 && GlobalInstall.home({}) === path.join(os.homedir(), '.skad'),
+      'The global installation lives in SKAD_HOME, or ~/.skad by default',
+    );
+
+    await fs.outputFile(path.join(globalSkad46, '_config', 'manifest.yaml'), 'installation:\n  version: 1.0.0\nmodules:\n  - name: bmm\n');
+    await fs.outputFile(path.join(globalSkad46, '_config', 'files-manifest.csv'), 'type,name,module,path,hash\n');
+    await fs.outputFile(path.join(globalSkad46, '_config', 'agents', 'bmm-pm.customize.yaml'), 'memories: []\n');
+    await fs.outputFile(path.join(globalSkad46, 'bmm', 'config.yaml'), '# BMM Module Configuration\n\nproject_name: home\nuser_name: Ada\n');
+    await fs.outputFile(path.join(globalSkad46, 'bmm', 'workflows', 'plan', 'workflow.md'), '# Plan\n');
+    await fs.outputFile(path.join(globalSkad46, 'bmm', 'agents', 'pm.md'), '# PM\n');
+    await fs.ensureDir(project46);
+
+    const globalInstall46 = new GlobalInstall(home46);
+    const linked46 = await globalInstall46.link(project46);
+    const workflowsStat46 = await fs.lstat(path.join(projectSkad46, 'bmm', 'workflows'));
+    const localConfig46 = await fs.readFile(path.join(projectSkad46, 'bmm', 'config.yaml'), 'utf8');
+    assert(
+      workflowsStat46.isSymbolicLink() &&
+        (await fs.pathExists(path.join(projectSkad46, 'bmm', 'workflows', 'plan', 'workflow.md'))) &&
+        !(await fs.lstat(path.join(projectSkad46, 'bmm', 'config.yaml'))).isSymbolicLink() &&
+        localConfig46.startsWith('# BMM Module Configuration') &&
+        yaml.parse(localConfig46).project_name === 'my-app',
+      'Linking shares module content and seeds a local config named after the project',
+    );
+    assert(
+      linked46.createdConfigs.includes('bmm') &&
+        linked46.customizedModules.length === 0 &&
+        (await fs.pathExists(path.join(projectSkad46, '_config', 'agents', 'bmm-pm.customize.yaml'))) &&
+        (await GlobalInstall.readLink(projectSkad46))?.home === home46,
+      'Linking copies customize files and marks the project as linked',
+    );
+
+    await fs.writeFile(path.join(projectSkad46, 'bmm', 'config.yaml'), 'project_name: custom\n');
+    await fs.writeFile(path.join(projectSkad46, '_config', 'agents', 'bmm-pm.customize.yaml'), 'memories:\n  - Local\n');
+    const relinked46 = await globalInstall46.link(project46);
+    assert(
+      (await fs.readFile(path.join(projectSkad46, 'bmm', 'config.yaml'), 'utf8')) === 'project_name: custom\n' &&
+        relinked46.customizedModules.includes('bmm') &&
+        !(await fs.lstat(path.join(projectSkad46, 'bmm', 'agents'))).isSymbolicLink() &&
+        (await fs.pathExists(path.join(projectSkad46, 'bmm', 'agents', 'pm.md'))),
+      'Linking again keeps local configs and gives customized modules a local agents folder',
+    );
+
+    let linkedError46 = null;
+    try {
+      await new Installer().assertNotLinked(projectSkad46);
+    } catch (error) {
+      linkedError46 = error.message;
+    }
+    assert(linkedError46 && linkedError46.includes('skad link'), 'Installing into a linked project is refused', linkedError46);
+
+    const doctor46 = new Doctor();
+    const healthy46 = await doctor46.diagnose(project46, projectSkad46);
+    await fs.remove(path.join(globalSkad46, 'bmm', 'workflows'));
+    const broken46 = await doctor46.diagnose(project46, projectSkad46);
+    assert(
+      healthy46.link?.globalFound && healthy46.link.brokenLinks.length === 0 && healthy46.healthy,
+      'Doctor accepts a project whose links resolve',
+      JSON.stringify(healthy46.link),
+    );
+    assert(
+      broken46.link.brokenLinks.includes('bmm/workflows') && !broken46.healthy,
+      'Doctor reports links whose global content is gone',
+      JSON.stringify(broken46.link),
+    );
+
+    const userSetup46 = new ConfigDrivenIdeSetup('local-only', { name: 'Local Only', installer: { target_dir: '.local/skills' } });
+    const userResult46 = await userSetup46.setup(home46, globalSkad46, { scope: 'user', silent: true });
+    assert(
+      userResult46.reason === 'no-user-scope' &&
+        userSetup46.resolveTargetPath(project46, '~/.claude/skills') === path.join(os.homedir(), '.claude', 'skills') &&
+        userSetup46.resolveTargetPath(project46, '.claude/skills') === path.join(project46, '.claude', 'skills'),
+      'User-scope setup needs global_target_dir, and global target paths expand ~',
+    );
+
+    const platformCodes46 = await loadPlatformCodes();
+    assert(
+      platformCodes46.platforms['claude-code']?.installer?.global_target_dir === '~/.claude/skills',
+      'Claude Code declares its user-level skills folder',
+    );
+  } catch (error) {
+    assert(false, 'Global installation test succeeds', error.message);
+  } finally {
+    if (tempDir46) await fs.remove(tempDir46).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 47: Agent Emitters
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 47: Agent Emitters${colors.reset}\n`);
+
+  let tempDir47;
+  try {
+    tempDir47 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-emitter-test-'));
+    const agentYaml47 = await fs.readFile(path.join(projectRoot, 'src', 'bmm', 'agents', 'pm.agent.yaml'), 'utf8');
+    const compiled47 = await compileAgent(agentYaml47, {}, 'pm', 'bmm/agents/pm.md');
+
+    assert(
+      compiled47.xml === compiled47.content &&
+        compiled47.content.includes('```xml\n<agent id="bmm/agents/pm.md"') &&
+        compiled47.content.includes('<activation critical="MANDATORY">'),
+      'The default emitter still produces the XML agent',
+    );
+
+    const markdown47 = await emitAgent(compiled47.processedYaml, 'markdown', 'pm', 'bmm/agents/pm.md');
+    assert(
+      !markdown47.includes('<agent') &&
+        ['## Activation', '## Menu Handlers', '## Persona', '## Menu'].every((heading) => markdown47.includes(`\n${heading}\n`)) &&
+        markdown47.includes('[PM] Start Party Mode') &&
+        markdown47.includes(compiled47.processedYaml.agent.metadata.name),
+      'The markdown emitter renders persona, menu and handlers without XML',
+    );
+
+    const json47 = JSON.parse(await emitAgent(compiled47.processedYaml, 'json', 'pm', 'bmm/agents/pm.md'));
+    assert(
+      json47.id === 'bmm/agents/pm.md' &&
+        json47.persona.role === compiled47.processedYaml.agent.persona.role &&
+        json47.menu[0].description === '[MH] Redisplay Menu Help' &&
+        json47.menu.some((item) => item.handlers?.exec) &&
+        json47.activation.steps.length > 0 &&
+        json47.activation.handlers.length > 0,
+      'The json emitter returns structured activation, persona and menu',
+    );
+
+    let unknownError47 = null;
+    try {
+      getAgentEmitter('yaml');
+    } catch (error) {
+      unknownError47 = error.message;
+    }
+    assert(unknownError47?.includes('markdown'), 'Unknown emitters are rejected with the available ones', unknownError47);
+
+    const setup47 = new ConfigDrivenIdeSetup('md-only', {
+      name: 'Markdown Only',
+      installer: { target_dir: '.md-only', template_type: 'default', agent_emitter: 'markdown' },
+    });
+    const artifact47 = { type: 'agent-launcher', name: 'pm', module: 'bmm', agentPath: 'bmm/agents/pm.md', description: 'PM' };
+    await setup47.writeAgentArtifacts(tempDir47, [artifact47], 'default', setup47.installerConfig);
+    const launcher47 = await fs.readFile(path.join(tempDir47, (await fs.readdir(tempDir47))[0]), 'utf8');
+    assert(
+      launcher47.includes('bmm/agents/pm.instructions.md') && !launcher47.includes('bmm/agents/pm.md'),
+      'Launchers point at the compiled agent in the format the platform selects',
+    );
+
+    assert(
+      isAgentCompanionFile('pm.instructions.md') && isAgentCompanionFile('pm.json') && !isAgentCompanionFile('pm.md'),
+      'Files written by other emitters are told apart from the compiled agent',
+    );
+  } catch (error) {
+    assert(false, 'Agent emitter test succeeds', error.message);
+  } finally {
+    if (tempDir47) await fs.remove(tempDir47).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 48: Agent Inheritance
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 48: Agent Inheritance${colors.reset}\n`);
+
+  let tempDir48;
+  try {
+    tempDir48 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-extends-test-'));
+    const tempModule48 = path.join(tempDir48, 'mymod');
+    await fs.outputFile(path.join(tempModule48, 'module.yaml'), 'code: mymod\nname: My Module\n');
+    await fs.outputFile(path.join(tempModule48, 'workflows', 'fast-story.md'), '# Fast story\n');
+    const agentsDir48 = path.join(tempModule48, 'agents');
+    await fs.outputFile(
+      path.join(agentsDir48, 'fast-dev.agent.yaml'),
+      [
+        'agent:',
+        '  extends: bmm/dev',
+        '  metadata:',
+        '    id: "_skad/mymod/agents/fast-dev.md"',
+        '    name: Flash',
+        '  critical_actions:',
+        '    - Skip the story review',
+        '  menu:',
+        '    - trigger: DS or fuzzy match on dev-story',
+        "      exec: '{project-root}/_skad/mymod/workflows/fast-story.md'",
+        '      description: "[DS] Dev Story, fast"',
+        '    - trigger: SH or fuzzy match on ship-it',
+        '      action: Ship it',
+        '      description: "[SH] Ship It"',
+        '',
+      ].join('\n'),
+    );
+    await fs.outputFile(path.join(agentsDir48, 'faster-dev.agent.yaml'), 'agent:\n  extends: mymod/fast-dev\n  metadata:\n    name: Bolt\n');
+
+    const parent48 = yaml.parse(await fs.readFile(path.join(projectRoot, 'src', 'bmm', 'agents', 'dev.agent.yaml'), 'utf8')).agent;
+    const merged48 = await new YamlXmlBuilder().loadAndMergeAgent(path.join(agentsDir48, 'faster-dev.agent.yaml'));
+    const menu48 = merged48.agent.menu;
+    const devStory48 = menu48.filter((item) => item.trigger?.endsWith('dev-story'));
+    assert(
+      merged48.agent.metadata.name === 'Bolt' &&
+        merged48.agent.metadata.icon === parent48.metadata.icon &&
+        merged48.agent.persona.role === parent48.persona.role &&
+        merged48.agent.extends === undefined,
+      'The parent chain is merged field by field, nearest agent first',
+    );
+    assert(
+      devStory48.length === 1 &&
+        devStory48[0].exec.includes('fast-story.md') &&
+        menu48.indexOf(devStory48[0]) === parent48.menu.findIndex((item) => item.trigger?.endsWith('dev-story')) &&
+        menu48.at(-1).trigger.endsWith('ship-it') &&
+        menu48.length === parent48.menu.length + 1,
+      'Menu items merge by trigger: overrides stay in place, new items are added',
+    );
+    assert(
+      merged48.agent.critical_actions.at(-1) === 'Skip the story review' &&
+        merged48.agent.critical_actions.length === (parent48.critical_actions || []).length + 1,
+      'Critical actions of the parent come first',
+    );
+
+    const compiled48 = await compileAgent(await fs.readFile(path.join(agentsDir48, 'fast-dev.agent.yaml'), 'utf8'), {}, 'fast-dev', '', {
+      sourcePath: path.join(agentsDir48, 'fast-dev.agent.yaml'),
+    });
+    let noPathError48 = null;
+    try {
+      await compileAgent(await fs.readFile(path.join(agentsDir48, 'fast-dev.agent.yaml'), 'utf8'));
+    } catch (error) {
+      noPathError48 = error.message;
+    }
+    assert(
+      compiled48.xml.includes('name="Flash"') && compiled48.xml.includes('fast-story.md') && noPathError48?.includes('sourcePath'),
+      'The compiler resolves extends from the agent file path',
+      noPathError48,
+    );
+
+    await fs.outputFile(path.join(agentsDir48, 'loop-a.agent.yaml'), 'agent:\n  extends: mymod/loop-b\n');
+    await fs.outputFile(path.join(agentsDir48, 'loop-b.agent.yaml'), 'agent:\n  extends: mymod/loop-a\n');
+    await fs.outputFile(path.join(agentsDir48, 'orphan.agent.yaml'), '# Orphan\nagent:\n  extends: mymod/nobody\n');
+    let cycleError48 = null;
+    try {
+      resolveAgentExtends(yaml.parse('agent:\n  extends: mymod/loop-b\n'), path.join(agentsDir48, 'loop-a.agent.yaml'), {
+        moduleDirs: new Map([['mymod', tempModule48]]),
+      });
+    } catch (error) {
+      cycleError48 = error.message;
+    }
+    assert(cycleError48?.includes('mymod/loop-b -> mymod/loop-a'), 'Inheritance cycles are detected', cycleError48);
+
+    const result48 = await new ContentValidator().validate(tempModule48);
+    const extendsFindings48 = result48.findings.filter((f) => f.rule === 'agent-extends');
+    assert(
+      extendsFindings48.some((f) => f.file.endsWith('orphan.agent.yaml') && f.line === 3 && f.message.includes('mymod/nobody')) &&
+        extendsFindings48.some((f) => f.file.endsWith('loop-a.agent.yaml') && f.message.includes('cycle')) &&
+        !result48.findings.some((f) => f.file.includes('fast-dev') && f.severity === 'error'),
+      'validate reports missing parents and cycles, and checks merged agents against the schema',
+      JSON.stringify(result48.findings.filter((f) => f.severity === 'error')),
+    );
+  } catch (error) {
+    assert(false, 'Agent inheritance test succeeds', error.message);
+  } finally {
+    if (tempDir48) await fs.remove(tempDir48).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 49: Customize File Directives
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 49: Customize File Directives${colors.reset}\n`);
+
+  let tempDir49;
+  try {
+    tempDir49 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-directives-test-'));
+    const devPath49 = path.join(projectRoot, 'src', 'bmm', 'agents', 'dev.agent.yaml');
+    const dev49 = yaml.parse(await fs.readFile(devPath49, 'utf8')).agent;
+
+    const customized49 = await compileAgent(
+      await fs.readFile(devPath49, 'utf8'),
+      {
+        critical_actions: [{ $before: 0, text: 'Read the architecture first' }, { $remove: dev49.critical_actions.at(-1) }],
+        menu: [
+          { $remove: 'dev-tasks' },
+          { $replace: 'code-review', trigger: 'CR or fuzzy match on code-review', action: 'Review it my way', description: '[CR] Custom Review' },
+          { $after: 'DS or fuzzy match on dev-story', trigger: 'LT or fuzzy match on lint', action: 'Run the linter', description: '[LT] Lint' },
+        ],
+      },
+      'dev',
+      'bmm/agents/dev.md',
+    );
+    const agent49 = customized49.processedYaml.agent;
+    const triggers49 = agent49.menu.map((item) => item.trigger.split(' ').pop());
+    assert(
+      agent49.critical_actions[0] === 'Read the architecture first' && agent49.critical_actions.length === dev49.critical_actions.length,
+      'Critical actions can be inserted at a position and removed by text',
+    );
+    assert(
+      !triggers49.includes('dev-tasks') &&
+        triggers49.indexOf('lint') === triggers49.indexOf('dev-story') + 1 &&
+        agent49.menu.find((item) => item.trigger.endsWith('code-review')).description === '[CR] Custom Review' &&
+        triggers49.filter((t) => t === 'code-review').length === 1 &&
+        customized49.customizationWarnings.length === 0,
+      'Menu items are removed, replaced and inserted by trigger',
+      JSON.stringify(triggers49),
+    );
+
+    const stale49 = mergeCustomizedList('prompts', [{ id: 'keep', content: 'a' }], [
+      { $replace: 'gone', id: 'gone', content: 'b' },
+      { $remove: 'also-gone' },
+      { id: 'keep', content: 'c' },
+    ]);
+    assert(
+      stale49.warnings.length === 2 &&
+        stale49.warnings.every((w) => w.includes('matches nothing')) &&
+        stale49.items.length === 2 &&
+        stale49.items[0].content === 'c',
+      'Directives whose target no longer exists are reported; plain prompts still replace by id',
+      JSON.stringify(stale49),
+    );
+
+    const customizePath49 = path.join(tempDir49, 'bmm-dev.customize.yaml');
+    await fs.writeFile(customizePath49, 'menu:\n  - $remove: code-review\n  - $remove: no-such-item\n');
+    const merged49 = await new YamlXmlBuilder().loadAndMergeAgent(devPath49, customizePath49);
+    assert(
+      merged49.agent.menu.length === dev49.menu.length - 1 && !merged49.agent.menu.some((item) => item.trigger.endsWith('code-review')),
+      'YamlXmlBuilder applies the same directives',
+    );
+  } catch (error) {
+    assert(false, 'Customize directive test succeeds', error.message);
+  } finally {
+    if (tempDir49) await fs.remove(tempDir49).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 50: Compiled-Agent Cache
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 50: Compiled-Agent Cache${colors.reset}\n`);
+
+  let tempDir50;
+  const noCache50 = process.env.SKAD_NO_CACHE;
+  try {
+    tempDir50 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-agent-cache-test-'));
+    const source50 = path.join(tempDir50, 'src', 'mymod');
+    const skadDir50 = path.join(tempDir50, '_skad');
+    const target50 = path.join(skadDir50, 'mymod');
+    await fs.copy(path.join(projectRoot, 'src', 'bmm', 'agents', 'dev.agent.yaml'), path.join(source50, 'agents', 'dev.agent.yaml'));
+    await fs.ensureDir(path.join(skadDir50, '_config'));
+    const compile50 = () => new ModuleManager().compileModuleAgents(source50, target50, 'mymod', skadDir50);
+    const compiledPath50 = path.join(target50, 'agents', 'dev.md');
+
+    delete process.env.SKAD_NO_CACHE;
+    const first50 = await compile50();
+    const second50 = await compile50();
+    const cacheFile50 = yaml.parse(await fs.readFile(path.join(skadDir50, '_config', 'agent-cache.yaml'), 'utf8'));
+    assert(
+      first50.compiled === 1 && second50.compiled === 0 && second50.skipped === 1 && cacheFile50.agents['mymod/dev.agent.yaml']?.key,
+      'An agent is compiled once and skipped while its inputs are unchanged',
+      JSON.stringify({ first50, second50 }),
+    );
+
+    const customizePath50 = path.join(skadDir50, '_config', 'agents', 'mymod-dev.customize.yaml');
+    await fs.writeFile(customizePath50, yaml.stringify({ ...yaml.parse(await fs.readFile(customizePath50, 'utf8')), memories: ['Prefers tabs'] }));
+    const customized50 = await compile50();
+    assert(
+      customized50.compiled === 1 && (await fs.readFile(compiledPath50, 'utf8')).includes('Prefers tabs'),
+      'Changing the customize file recompiles the agent',
+    );
+
+    await fs.writeFile(compiledPath50, 'edited by hand\n');
+    const edited50 = await compile50();
+    await fs.remove(compiledPath50);
+    const removed50 = await compile50();
+    assert(
+      edited50.compiled === 1 && removed50.compiled === 1 && (await fs.readFile(compiledPath50, 'utf8')).includes('Prefers tabs'),
+      'Edited or deleted output is recompiled',
+    );
+
+    process.env.SKAD_NO_CACHE = 'true';
+    const forced50 = await compile50();
+    assert(forced50.compiled === 1 && forced50.skipped === 0, 'SKAD_NO_CACHE (--no-cache) recompiles unchanged agents');
+
+    const key50 = await AgentCompileCache.key({ agent: 'a' });
+    assert(
+      key50 === (await AgentCompileCache.key({ agent: 'a' })) && key50 !== (await AgentCompileCache.key({ agent: 'b' })),
+      'Cache keys depend only on the inputs',
+    );
+  } catch (error) {
+    assert(false, 'Compiled-agent cache test succeeds', error.message);
+  } finally {
+    if (noCache50 === undefined) {
+      delete process.env.SKAD_NO_CACHE;
+    } else {
+      process.env.SKAD_NO_CACHE = noCache50;
+    }
+    if (tempDir50) await fs.remove(tempDir50).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 51: Compiled Agent Provenance
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 51: Compiled Agent Provenance${colors.reset}\n`);
+
+  let tempDir51;
+  try {
+    tempDir51 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-provenance-test-'));
+    const devPath51 = path.join(projectRoot, 'src', 'bmm', 'agents', 'dev.agent.yaml');
+    const customizePath51 = path.join(tempDir51, '_skad', '_config', 'agents', 'bmm-dev.customize.yaml');
+    const compiled51 = await compileAgent(
+      await fs.readFile(devPath51, 'utf8'),
+      {
+        critical_actions: ['Read the architecture first'],
+        menu: [{ $after: 'dev-story', trigger: 'LT or fuzzy match on lint', action: 'Run the linter', description: '[LT] Lint' }],
+      },
+      'dev',
+      'bmm/agents/dev.md',
+      { sourcePath: devPath51, customizePath: customizePath51, projectDir: tempDir51 },
+    );
+    const lines51 = compiled51.content.split('\n');
+    const sourceOf51 = (pattern) => {
+      const lineNumber = lines51.findIndex((line) => line.includes(pattern)) + 1;
+      return compiled51.provenance.sections.findLast((s) => s.lines[0] <= lineNumber && lineNumber <= s.lines[1]);
+    };
+
+    assert(
+      compiled51.content === (await compileToXml(compiled51.processedYaml, 'dev', 'bmm/agents/dev.md')),
+      'Recording provenance does not change the compiled agent',
+    );
+    assert(
+      sourceOf51('[LT] Lint')?.file === '_skad/_config/agents/bmm-dev.customize.yaml' &&
+        sourceOf51('[LT] Lint')?.yamlPath === 'agent.menu[1]' &&
+        sourceOf51('Read the architecture first')?.file === '_skad/_config/agents/bmm-dev.customize.yaml' &&
+        sourceOf51('[DS] Dev Story')?.file === 'src/bmm/agents/dev.agent.yaml' &&
+        sourceOf51('<role>')?.yamlPath === 'agent.persona.role',
+      'Blocks are traced to the agent file or the customize file with their YAML path',
+      JSON.stringify(sourceOf51('[LT] Lint')),
+    );
+    assert(
+      sourceOf51('<step n="1">')?.fragment === 'activation-steps.txt' &&
+        sourceOf51('<rules>')?.file === 'src/utility/agent-components/activation-rules.txt' &&
+        sourceOf51('[PM] Start Party Mode')?.file === null,
+      'Activation fragments are named, and compiler-injected lines have no file',
+    );
+
+    const child51 = path.join(tempDir51, 'mymod', 'agents', 'fast-dev.agent.yaml');
+    await fs.outputFile(
+      child51,
+      'agent:\n  extends: bmm/dev\n  metadata:\n    name: Flash\n  menu:\n    - trigger: SH or fuzzy match on ship-it\n      action: Ship it\n      description: "[SH] Ship It"\n',
+    );
+    const extended51 = await compileAgent(await fs.readFile(child51, 'utf8'), {}, 'fast-dev', '', { sourcePath: child51 });
+    const extendedLines51 = extended51.content.split('\n');
+    const extendedSource51 = (pattern) => {
+      const lineNumber = extendedLines51.findIndex((line) => line.includes(pattern)) + 1;
+      return extended51.provenance.sections.findLast((s) => s.lines[0] <= lineNumber && lineNumber <= s.lines[1]);
+    };
+    assert(
+      extendedSource51('[DS] Dev Story')?.file === 'src/bmm/agents/dev.agent.yaml' && extendedSource51('[SH] Ship It')?.file === child51,
+      'Items inherited with agent.extends are traced to the parent agent',
+    );
+
+    const skadDir51 = path.join(tempDir51, '_skad');
+    const source51 = path.join(tempDir51, 'src', 'mymod');
+    await fs.copy(devPath51, path.join(source51, 'agents', 'dev.agent.yaml'));
+    await new ModuleManager().compileModuleAgents(source51, path.join(skadDir51, 'mymod'), 'mymod', skadDir51);
+    const installed51 = path.join(skadDir51, 'mymod', 'agents', 'dev.md');
+    const content51 = await fs.readFile(installed51, 'utf8');
+    const stored51 = await fs.readJson(provenancePath(installed51));
+    const blocks51 = annotateAgent(content51, stored51);
+    assert(
+      stored51.hash === hashContent(content51) &&
+        blocks51.reduce((count, block) => count + block.lines.length, 0) === content51.replace(/\n$/, '').split('\n').length &&
+        !blocks51.some((block) => block.source === null),
+      'The installer stores provenance next to the compiled agent and it covers every line',
+    );
+  } catch (error) {
+    assert(false, 'Compiled agent provenance test succeeds', error.message);
+  } finally {
+    if (tempDir51) await fs.remove(tempDir51).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 52: Semantic Agent Linter
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 52: Semantic Agent Linter${colors.reset}\n`);
+
+  let tempDir52;
+  const warn52 = prompts.log.warn;
+  try {
+    tempDir52 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-linter-test-'));
+    const module52 = path.join(tempDir52, 'src', 'mymod');
+    const agent52 = path.join(module52, 'agents', 'helper.agent.yaml');
+    await fs.outputFile(path.join(module52, 'module.yaml'), 'code: mymod\nname: My Module\ndependencies: []\n');
+    await fs.outputFile(
+      agent52,
+      [
+        'agent:',
+        '  metadata:',
+        '    id: "_skad/mymod/agents/helper.md"',
+        '    name: Helper',
+        '    title: Helper',
+        '    icon: "🧰"',
+        '    module: mymod',
+        '    hasSidecar: true',
+        '  persona:',
+        '    role: Helper',
+        '    identity: Helps out.',
+        '    communication_style: Brief.',
+        '    principles: Help first.',
+        '  menu:',
+        '    - trigger: DS or fuzzy match on dev-story',
+        '      action: Develop',
+        '      description: "[DS] Dev Story"',
+        '    - trigger: do-stuff',
+        '      action: Do stuff',
+        '      description: "[DS] Do Stuff"',
+        '    - trigger: MH or fuzzy match on my-help',
+        '      action: Help',
+        '      description: "[MH] Help"',
+        '    - trigger: GO or fuzzy match on go-missing',
+        '      workflow: "{project-root}/_skad/mymod/workflows/missing/workflow.md"',
+        '      description: "[GO] Missing"',
+        '    - trigger: PR or fuzzy match on prd',
+        '      exec: "{project-root}/_skad/bmm/workflows/2-plan-workflows/create-prd/workflow-create-prd.md"',
+        '      description: "[PR] PRD"',
+        '',
+      ].join('\n'),
+    );
+    const content52 = await fs.readFile(agent52, 'utf8');
+    const linter52 = new AgentLinter({ moduleDependencies: new Map([['mymod', []]]) });
+    const findings52 = linter52.lint(agent52, content52, { moduleCode: 'mymod' });
+    const at52 = (rule, line) => findings52.some((f) => f.rule === rule && f.line === line);
+
+    assert(
+      at52('menu-shortcut', 18) && at52('menu-shortcut', 21) && findings52.filter((f) => f.rule === 'menu-shortcut').length === 2,
+      'Menu items sharing a shortcut, or taking one every menu has (MH), are errors at their trigger line',
+      JSON.stringify(findings52),
+    );
+    assert(at52('menu-target', 25), 'A workflow target no module provides is an error at its line');
+    assert(
+      at52('menu-dependency', 28) && findings52.find((f) => f.rule === 'menu-dependency').severity === 'warning' && !at52('menu-target', 28),
+      'A target in a module missing from module.yaml dependencies is a warning; the target itself exists',
+    );
+    assert(at52('agent-sidecar', 8), 'hasSidecar without a sidecar folder is an error at the hasSidecar line');
+
+    await fs.ensureDir(path.join(module52, 'agents', 'helper-sidecar'));
+    await fs.outputFile(path.join(module52, 'module.yaml'), 'code: mymod\nname: My Module\ndependencies:\n  - bmm\n');
+    const clean52 = new AgentLinter({ moduleDependencies: new Map([['mymod', ['bmm']]]) }).lint(agent52, content52, { moduleCode: 'mymod' });
+    assert(
+      !clean52.some((f) => f.rule === 'agent-sidecar' || f.rule === 'menu-dependency'),
+      'Declaring the dependency and adding the sidecar folder clears those findings',
+    );
+
+    const child52 = path.join(module52, 'agents', 'child.agent.yaml');
+    await fs.outputFile(child52, '# Child\nagent:\n  extends: mymod/helper\n');
+    const inherited52 = new AgentLinter().lint(child52, await fs.readFile(child52, 'utf8'), { moduleCode: 'mymod' });
+    assert(
+      inherited52.some((f) => f.rule === 'menu-shortcut' && f.line === 3 && f.message.includes('inherited from mymod/helper')),
+      'Problems in inherited menu items are reported at the extends line',
+      JSON.stringify(inherited52),
+    );
+
+    const result52 = await new ContentValidator().validate(path.join(tempDir52, 'src'));
+    const helper52 = result52.findings.filter((f) => f.file === agent52);
+    assert(
+      helper52.some((f) => f.rule === 'menu-shortcut' && f.line === 18) &&
+        helper52.some((f) => f.rule === 'menu-target' && f.line === 25) &&
+        !helper52.some((f) => f.rule === 'file-ref' && f.line === 25),
+      'validate runs the linter and reports a missing menu target once',
+      JSON.stringify(helper52),
+    );
+
+    const warnings52 = [];
+    prompts.log.warn = async (message) => warnings52.push(message);
+    const skadDir52 = path.join(tempDir52, '_skad');
+    await new ModuleManager().compileModuleAgents(module52, path.join(skadDir52, 'mymod'), 'mymod', skadDir52);
+    prompts.log.warn = warn52;
+    assert(
+      (await fs.pathExists(path.join(skadDir52, 'mymod', 'agents', 'helper.md'))) &&
+        warnings52.some((w) => w.includes('mymod/agents/helper.agent.yaml:18') && w.includes('[menu-shortcut]')),
+      'The installer compiles the agent anyway and warns with file and line',
+      JSON.stringify(warnings52),
+    );
+  } catch (error) {
+    assert(false, 'Semantic agent linter test succeeds', error.message);
+  } finally {
+    prompts.log.warn = warn52;
+    if (tempDir52) await fs.remove(tempDir52).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 53: Agent Template Engine
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 53: Agent Template Engine${colors.reset}\n`);
+
+  try {
+    const template53 = [
+      'Team: {{team | default "core"}}',
+      '{{#each people}}',
+      '- {{@index}} {{name | upper}} ({{role | kebab}}){{#if @last}}.{{/if}}',
+      '{{/each}}',
+      '{{#if mode == "pair"}}',
+      'Pairs',
+      '{{else if people}}',
+      '{{#unless solo}}',
+      'Group of {{people.length}}',
+      '{{/unless}}',
+      '{{else}}',
+      'Nobody',
+      '{{/if}}',
+      'Stacks: {{stacks | join " / "}}',
+    ].join('\n');
+    const variables53 = {
+      people: [
+        { name: 'ann', role: 'TechLead' },
+        { name: 'bo', role: 'qa engineer' },
+      ],
+      stacks: ['node', 'python'],
+    };
+
+    assert(
+      processTemplate(template53, variables53) ===
+        'Team: core\n- 0 ANN (tech-lead)\n- 1 BO (qa-engineer).\nGroup of 2\nStacks: node / python',
+      'Loops, nested if/else-if/unless blocks and filters render, and block tags on their own line leave no blank line',
+      JSON.stringify(processTemplate(template53, variables53)),
+    );
+    assert(
+      processTemplate(template53, { mode: 'pair', stacks: 'node' }) === 'Team: core\nPairs\nStacks: node',
+      'else-if chains pick the first matching branch and join leaves single values alone',
+    );
+    assert(
+      processTemplate('Hello {{user_name}} and {{project-root}}', {}) === 'Hello {{user_name}} and {{project-root}}',
+      'Without strict mode, variables without an answer are left as written',
+    );
+
+    let strictError53 = null;
+    try {
+      processTemplate('line one\n{{#if ready}}\n{{missing | upper}}\n{{/if}}', { ready: true }, { strict: true, file: 'my.agent.yaml', line: 7 });
+    } catch (error) {
+      strictError53 = error;
+    }
+    assert(
+      strictError53?.message.startsWith('my.agent.yaml:9') && strictError53.message.includes('"missing"') && strictError53.line === 9,
+      'Strict mode errors on undefined variables with the file and line',
+      strictError53?.message,
+    );
+
+    const malformed53 = [];
+    for (const source of ['{{#if a}}open', '{{#each a}}{{/if}}', '{{a | shout}}', '{{else}}']) {
+      try {
+        processTemplate(source, { a: 1 });
+      } catch (error) {
+        malformed53.push(error.message);
+      }
+    }
+    assert(
+      malformed53.length === 4 && malformed53[2].includes('Unknown filter "shout"'),
+      'Unclosed and mismatched blocks, stray else and unknown filters are errors in either mode',
+      JSON.stringify(malformed53),
+    );
+
+    const agentYaml53 = [
+      'agent:',
+      '  install_config:',
+      '    strict: true',
+      '    questions:',
+      '      - var: stacks',
+      '        type: multiselect',
+      '        prompt: Stacks?',
+      '        default: [node]',
+      '  metadata:',
+      '    id: "_skad/custom/agents/templated.md"',
+      '    name: "Templated"',
+      '    title: Templated',
+      '    icon: "🧩"',
+      '    hasSidecar: false',
+      '  persona:',
+      '    role: "Engineer for {{team}}"',
+      '    identity: |',
+      '      {{#each stacks}}',
+      '      Knows {{this | upper}}.',
+      '      {{/each}}',
+      '    communication_style: Brief',
+      "    principles: 'Say \"{{motto | default ''ship it''}}\"'",
+      '  menu:',
+      '    - trigger: GO or fuzzy match on go',
+      '      action: Go',
+      '      description: "[GO] Go"',
+      '',
+    ].join('\n');
+    const compiled53 = await compileAgent(agentYaml53, { team: 'Platform', stacks: ['node', 'go'] }, 'templated');
+    assert(
+      compiled53.processedYaml.agent.persona.identity === 'Knows NODE.\nKnows GO.\n' &&
+        compiled53.content.includes('Engineer for Platform') &&
+        compiled53.content.includes('Say &quot;ship it&quot;'),
+      'The compiler renders answers into agent strings, quotes included',
+      compiled53.processedYaml.agent.persona.identity,
+    );
+
+    let compileError53 = null;
+    try {
+      await compileAgent(agentYaml53, { stacks: [] }, 'templated', '', { sourcePath: '/agents/templated.agent.yaml' });
+    } catch (error) {
+      compileError53 = error.message;
+    }
+    assert(
+      compileError53?.startsWith('/agents/templated.agent.yaml:16 (agent.persona.role)') && compileError53.includes('"team"'),
+      'install_config.strict makes the compiler fail on unanswered variables at their line in the agent file',
+      compileError53,
+    );
+  } catch (error) {
+    assert(false, 'Agent template engine test succeeds', error.message);
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 54: Agent Translation Overlays
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 54: Agent Translation Overlays${colors.reset}\n`);
+
+  let tempDir54;
+  const warn54 = prompts.log.warn;
+  try {
+    tempDir54 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-i18n-test-'));
+    const module54 = path.join(tempDir54, 'src', 'mymod');
+    const agent54 = path.join(module54, 'agents', 'dev.agent.yaml');
+    await fs.copy(path.join(projectRoot, 'src', 'bmm', 'agents', 'dev.agent.yaml'), agent54);
+    await fs.outputFile(
+      path.join(module54, 'agents', 'i18n', 'zh-CN', 'dev.yaml'),
+      [
+        'agent:',
+        '  metadata:',
+        '    title: 开发者',
+        '  persona:',
+        '    role: 高级软件工程师',
+        '  menu:',
+        '    dev-story: 开发故事',
+        '    no-such-item: 不存在',
+        '',
+      ].join('\n'),
+    );
+
+    assert(
+      findAgentOverlay(agent54, 'Chinese')?.endsWith(path.join('zh-CN', 'dev.yaml')) &&
+        findAgentOverlay(agent54, 'zh-cn') === findAgentOverlay(agent54, '中文') &&
+        findAgentOverlay(agent54, 'English') === null &&
+        findAgentOverlay(agent54, 'French') === null,
+      'Overlays are found by language name or code, and English needs none',
+    );
+
+    const yaml54 = await fs.readFile(agent54, 'utf8');
+    const english54 = await compileAgent(yaml54, {}, 'dev', 'mymod/agents/dev.md', { sourcePath: agent54, config: {} });
+    const chinese54 = await compileAgent(yaml54, {}, 'dev', 'mymod/agents/dev.md', {
+      sourcePath: agent54,
+      config: { communication_language: 'Chinese' },
+    });
+    const devStory54 = chinese54.processedYaml.agent.menu.find((item) => item.trigger.endsWith('dev-story'));
+    assert(
+      chinese54.content.includes('title="开发者"') &&
+        chinese54.content.includes('<role>高级软件工程师</role>') &&
+        devStory54.description === '[DS] 开发故事' &&
+        chinese54.processedYaml.agent.persona.identity === english54.processedYaml.agent.persona.identity,
+      'The overlay for communication_language is merged, keeps menu shortcuts, and English fills the rest',
+      devStory54.description,
+    );
+    assert(
+      english54.translationWarnings.length === 0 &&
+        chinese54.translationWarnings.some((w) => w.startsWith('mymod/agents/i18n/zh-CN/dev.yaml') && w.includes('agent.persona.identity')) &&
+        !chinese54.translationWarnings.some((w) => w.includes('agent.persona.role')) &&
+        chinese54.translationWarnings.some((w) => w.includes('agent.menu.no-such-item matches nothing')),
+      'Untranslated keys and overlay entries that match nothing are reported',
+      JSON.stringify(chinese54.translationWarnings),
+    );
+    const roleLine54 = chinese54.content.split('\n').findIndex((line) => line.includes('<role>')) + 1;
+    assert(
+      chinese54.provenance.sections.findLast((s) => s.lines[0] <= roleLine54 && roleLine54 <= s.lines[1])?.file.endsWith('zh-CN/dev.yaml'),
+      'Provenance points translated text at the overlay',
+    );
+
+    // Overlays of a nested agent and of the agent it extends are named by their modules
+    const child54 = path.join(tempDir54, 'src', 'childmod', 'agents', 'team', 'lead.agent.yaml');
+    await fs.outputFile(child54, 'agent:\n  extends: mymod/dev\n  metadata:\n    id: lead\n    name: Lead\n');
+    await fs.outputFile(
+      path.join(tempDir54, 'src', 'childmod', 'agents', 'i18n', 'zh-CN', 'lead.yaml'),
+      'agent:\n  persona:\n    identity: 团队负责人\n  menu:\n    ghost: 幽灵\n',
+    );
+    const lead54 = await compileAgent(await fs.readFile(child54, 'utf8'), {}, 'lead', 'childmod/agents/team/lead.md', {
+      sourcePath: child54,
+      config: { communication_language: 'Chinese' },
+    });
+    assert(
+      lead54.translationWarnings.includes('childmod/agents/i18n/zh-CN/lead.yaml: agent.menu.ghost matches nothing in the agent') &&
+        lead54.translationWarnings.some((w) => w.startsWith('mymod/agents/i18n/zh-CN/dev.yaml: agent.menu.no-such-item')),
+      'Overlay warnings name overlays by module, for nested agents and the agents they extend',
+      JSON.stringify(lead54.translationWarnings),
+    );
+
+    const warnings54 = [];
+    prompts.log.warn = async (message) => warnings54.push(message);
+    const skadDir54 = path.join(tempDir54, '_skad');
+    const manager54 = new ModuleManager();
+    manager54.setCoreConfig({ communication_language: 'Chinese' });
+    await manager54.compileModuleAgents(module54, path.join(skadDir54, 'mymod'), 'mymod', skadDir54);
+    assert(
+      (await fs.readFile(path.join(skadDir54, 'mymod', 'agents', 'dev.md'), 'utf8')).includes('title="开发者"') &&
+        warnings54.some((w) => w.includes('not translated')),
+      'The installer compiles agents in the configured language and reports untranslated keys',
+      JSON.stringify(warnings54),
+    );
+
+    await fs.outputFile(path.join(module54, 'agents', 'i18n', 'zh-CN', 'dev.yaml'), 'agent:\n  metadata:\n    title: 开发工程师\n');
+    await manager54.compileModuleAgents(module54, path.join(skadDir54, 'mymod'), 'mymod', skadDir54);
+    prompts.log.warn = warn54;
+    assert(
+      (await fs.readFile(path.join(skadDir54, 'mymod', 'agents', 'dev.md'), 'utf8')).includes('title="开发工程师"'),
+      'A changed overlay recompiles the agent',
+    );
+  } catch (error) {
+    assert(false, 'Agent translation overlay test succeeds', error.message);
+  } finally {
+    prompts.log.warn = warn54;
+    if (tempDir54) await fs.remove(tempDir54).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 55: Failed Agent Compile Rolls the Install Back
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 55: Failed Agent Compile Rolls the Install Back${colors.reset}\n`);
+
+  let tempDir55;
+  const home55 = process.env.HOME;
+  try {
+    const { spawnSync } = require('node:child_process');
+    tempDir55 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-compile-rollback-test-'));
+    const project55 = path.join(tempDir55, 'project');
+    const module55 = path.join(tempDir55, 'mymod');
+    const agentFile55 = path.join(module55, 'agents', 'helper.agent.yaml');
+    const agentYaml55 =
+      'agent:\n  metadata:\n    id: "_skad/mymod/agents/helper.md"\n    name: Helper\n    title: Helper\n    icon: 🧪\n    module: mymod\n' +
+      '  persona:\n    role: Tester\n    identity: Tests things\n    communication_style: Plain\n    principles: [Be clear]\n' +
+      '  menu:\n    - trigger: say-hi\n      action: Say hi\n      description: "[SH] Say hi"\n';
+    await fs.outputFile(path.join(module55, 'module.yaml'), 'code: mymod\nname: My Module\n');
+    await fs.outputFile(agentFile55, agentYaml55);
+
+    const install55 = () =>
+      spawnSync(
+        process.execPath,
+        [
+          path.join(projectRoot, 'tools', 'cli', 'skad-cli.js'),
+          'install',
+          '--directory',
+          project55,
+          '--modules',
+          'core',
+          '--tools',
+          'none',
+          '--custom-content',
+          module55,
+          '--yes',
+        ],
+        { encoding: 'utf8', timeout: 120_000 },
+      );
+    const readTree55 = async () => {
+      const files = {};
+      for (const entry of await fs.readdir(project55, { recursive: true })) {
+        const file = path.join(project55, entry);
+        if ((await fs.stat(file)).isFile()) files[entry] = await fs.readFile(file, 'utf8');
+      }
+      return files;
+    };
+
+    const fresh55 = install55();
+    assert(fresh55.status === 0, 'A fresh install succeeds', fresh55.stderr);
+    assert(!(await fs.pathExists(path.join(project55, SNAPSHOTS_FOLDER_NAME))), 'A fresh install leaves no snapshot folder behind');
+
+    const before55 = await readTree55();
+    await fs.writeFile(agentFile55, agentYaml55.replace('  metadata:\n', '  extends: nowhere/ghost\n  metadata:\n'));
+    const broken55 = install55();
+    assert(broken55.status !== 0, 'An install with an agent that does not compile fails', `exit ${broken55.status}`);
+    assert(
+      `${broken55.stdout}${broken55.stderr}`.includes('Failed to compile 1 agent(s) in mymod: helper'),
+      'The failure names the agent',
+      broken55.stderr,
+    );
+    assert(
+      JSON.stringify(await readTree55()) === JSON.stringify(before55),
+      'A failed compile leaves the previous install byte-identical',
+      Object.keys(await readTree55())
+        .filter((file) => before55[file] === undefined)
+        .join(', '),
+    );
+
+    // User-level skill folders of a global installation are snapshotted under ~/
+    process.env.HOME = path.join(tempDir55, 'home');
+    await fs.outputFile(path.join(process.env.HOME, '.claude', 'skills', 'skad-help', 'SKILL.md'), 'original\n');
+    const userPaths55 = await new IdeManager().getManagedPaths(['claude-code'], { scope: 'user' });
+    assert(userPaths55.length === 1 && userPaths55[0] === '~/.claude/skills', 'User-scope managed paths are the global target', userPaths55.join(', '));
+
+    const snapshots55 = new SnapshotManager(project55);
+    const snapshot55 = await snapshots55.create(userPaths55);
+    await fs.outputFile(path.join(process.env.HOME, '.claude', 'skills', 'skad-help', 'SKILL.md'), 'changed\n');
+    await fs.outputFile(path.join(process.env.HOME, '.claude', 'skills', 'skad-new', 'SKILL.md'), 'new\n');
+    await snapshots55.restore(snapshot55.id);
+    assert(
+      (await fs.readFile(path.join(process.env.HOME, '.claude', 'skills', 'skad-help', 'SKILL.md'), 'utf8')) === 'original\n' &&
+        !(await fs.pathExists(path.join(process.env.HOME, '.claude', 'skills', 'skad-new'))),
+      'Restore puts user-level skill folders back',
+    );
+
+    let rejected55 = false;
+    try {
+      await snapshots55.create(['~/../outside']);
+    } catch {
+      rejected55 = true;
+    }
+    assert(rejected55, 'Snapshots refuse ~/ paths outside the home folder');
+  } catch (error) {
+    assert(false, 'Compile rollback test succeeds', error.message);
+  } finally {
+    process.env.HOME = home55;
+    if (tempDir55) await fs.remove(tempDir55).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 56: Strict Agent Templates Fail the Install
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 56: Strict Agent Templates Fail the Install${colors.reset}\n`);
+
+  let tempDir56;
+  try {
+    const { spawnSync } = require('node:child_process');
+    tempDir56 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-strict-install-test-'));
+    const project56 = path.join(tempDir56, 'project');
+    const module56 = path.join(tempDir56, 'mymod');
+    const agentYaml56 =
+      'agent:\n  install_config:\n    strict: true\n' +
+      '  metadata:\n    id: "_skad/mymod/agents/helper.md"\n    name: Helper\n    title: Helper\n    icon: 🧪\n    module: mymod\n' +
+      '  persona:\n    role: Tester\n    identity: Works on the {{team_name}} team\n    communication_style: Plain\n    principles: [Be clear]\n' +
+      '  menu: []\n';
+    await fs.outputFile(path.join(module56, 'module.yaml'), 'code: mymod\nname: My Module\n');
+    await fs.outputFile(path.join(module56, 'agents', 'helper.agent.yaml'), agentYaml56);
+
+    const install56 = () =>
+      spawnSync(
+        process.execPath,
+        [
+          path.join(projectRoot, 'tools', 'cli', 'skad-cli.js'),
+          'install',
+          '--directory',
+          project56,
+          '--modules',
+          'core',
+          '--tools',
+          'none',
+          '--custom-content',
+          module56,
+          '--yes',
+        ],
+        { encoding: 'utf8', timeout: 120_000 },
+      );
+
+    const strict56 = install56();
+    const output56 = `${strict56.stdout}${strict56.stderr}`;
+    assert(strict56.status !== 0, 'Strict mode fails the install on an undefined variable', `exit ${strict56.status}`);
+    assert(
+      output56.includes('helper.agent.yaml:12 (agent.persona.identity): Undefined variable "team_name"'),
+      'The install error names the agent file and template line',
+      strict56.stderr,
+    );
+    assert(!(await fs.pathExists(path.join(project56, '_skad'))), 'The failed install is rolled back');
+
+    await fs.outputFile(path.join(module56, 'agents', 'helper.agent.yaml'), agentYaml56.replace('    strict: true\n', '    strict: false\n'));
+    const lenient56 = install56();
+    assert(lenient56.status === 0, 'Without strict mode the undefined variable is left for runtime', lenient56.stderr);
+    assert(
+      (await fs.readFile(path.join(project56, '_skad', 'mymod', 'agents', 'helper.md'), 'utf8')).includes('{{team_name}}'),
+      'The variable is left as written',
+    );
+  } catch (error) {
+    assert(false, 'Strict template install test succeeds', error.message);
+  } finally {
+    if (tempDir56) await fs.remove(tempDir56).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 57: Dry Run Leaves the Project Unchanged
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 57: Dry Run Leaves the Project Unchanged${colors.reset}\n`);
+
+  let tempDir57;
+  let layer57;
+  const skadHome57 = process.env.SKAD_HOME;
+  try {
+    const { spawnSync } = require('node:child_process');
+    tempDir57 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-dry-run-tree-test-'));
+    const project57 = path.join(tempDir57, 'project');
+    await fs.outputFile(path.join(project57, 'README.md'), 'mine\n');
+
+    const install57 = (...args) =>
+      spawnSync(
+        process.execPath,
+        [path.join(projectRoot, 'tools', 'cli', 'skad-cli.js'), 'install', '--directory', project57, '--modules', 'core', '--yes', ...args],
+        { encoding: 'utf8', timeout: 120_000, env: { ...process.env, SKAD_HOME: path.join(tempDir57, 'skad-home') } },
+      );
+    const readTree57 = async () => {
+      const entries = {};
+      for (const entry of await fs.readdir(project57, { recursive: true })) {
+        const stat = await fs.lstat(path.join(project57, entry));
+        entries[entry] = stat.isFile() ? await fs.readFile(path.join(project57, entry), 'utf8') : stat.isDirectory() ? 'dir' : 'other';
+      }
+      return entries;
+    };
+
+    const fresh57 = install57('--tools', 'claude-code', '--dry-run');
+    assert(fresh57.status === 0, 'A dry run of a fresh install succeeds', fresh57.stderr);
+    assert(
+      JSON.stringify(await readTree57()) === JSON.stringify({ 'README.md': 'mine\n' }),
+      'A dry run of a fresh install writes nothing',
+      Object.keys(await readTree57()).join(', '),
+    );
+
+    const real57 = install57('--tools', 'none');
+    assert(real57.status === 0, 'The real install succeeds', real57.stderr);
+    const before57 = await readTree57();
+    const update57 = install57('--tools', 'claude-code,cursor', '--dry-run');
+    assert(update57.status === 0, 'A dry run over an installation succeeds', update57.stderr);
+    assert(JSON.stringify(await readTree57()) === JSON.stringify(before57), 'A dry run over an installation leaves the tree unchanged');
+
+    // fs.promises, node:fs callbacks and links are recorded too
+    layer57 = new VirtualFileLayer({ passthrough: [] });
+    layer57.enable();
+    await nodeFs.promises.writeFile(path.join(project57, 'promised.md'), 'promised\n');
+    await nodeFs.promises.symlink('README.md', path.join(project57, 'linked.md'));
+    await new Promise((resolve, reject) =>
+      nodeFs.appendFile(path.join(project57, 'README.md'), 'more\n', (error) => (error ? reject(error) : resolve())),
+    );
+    await nodeFs.promises.rm(path.join(project57, '_skad'), { recursive: true });
+    const linked57 = await nodeFs.promises.readFile(path.join(project57, 'linked.md'), 'utf8');
+    layer57.disable();
+    assert(linked57 === 'mine\n', 'Links read as their target while the layer is enabled');
+    assert(
+      !(await fs.pathExists(path.join(project57, 'promised.md'))) &&
+        !(await fs.pathExists(path.join(project57, 'linked.md'))) &&
+        (await fs.readFile(path.join(project57, 'README.md'), 'utf8')) === 'mine\n' &&
+        (await fs.pathExists(path.join(project57, '_skad'))),
+      'fs.promises, callback and link calls do not touch the disk',
+    );
+    const changes57 = layer57.getChanges(project57);
+    assert(
+      changes57.created.includes('promised.md') && changes57.created.includes('linked.md') && changes57.overwritten.includes('README.md'),
+      'The plan lists files written through fs.promises and links',
+      JSON.stringify(changes57.created),
+    );
+
+    process.env.SKAD_HOME = path.join(tempDir57, 'skad-home');
+    assert(
+      new VirtualFileLayer().passthrough[0] === path.join(tempDir57, 'skad-home', 'cache'),
+      'The passthrough cache follows SKAD_HOME',
+      new VirtualFileLayer().passthrough.join(', '),
+    );
+  } catch (error) {
+    assert(false, 'Dry run project tree test succeeds', error.message);
+  } finally {
+    if (layer57) layer57.disable();
+    if (skadHome57 === undefined) delete process.env.SKAD_HOME;
+    else process.env.SKAD_HOME = skadHome57;
+    if (tempDir57) await fs.remove(tempDir57).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 58: Agent Formats Follow the Configured IDEs
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 58: Agent Formats Follow the Configured IDEs${colors.reset}\n`);
+
+  let tempDir58;
+  try {
+    const { spawnSync } = require('node:child_process');
+    tempDir58 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-agent-formats-test-'));
+    const project58 = path.join(tempDir58, 'project');
+    const runCli58 = (...args) =>
+      spawnSync(process.execPath, [path.join(projectRoot, 'tools', 'cli', 'skad-cli.js'), ...args, '--directory', project58, '--yes'], {
+        encoding: 'utf8',
+        timeout: 120_000,
+        env: { ...process.env, SKAD_HOME: path.join(tempDir58, 'skad-home'), SKAD_OFFLINE: 'true' },
+      });
+    const twin58 = path.join(project58, '_skad', 'core', 'agents', 'skad-master.instructions.md');
+
+    const install58 = runCli58('install', '--modules', 'core', '--tools', 'claude-code');
+    assert(install58.status === 0, 'Install without GitHub Copilot succeeds', install58.stderr);
+    assert(!(await fs.pathExists(twin58)), 'Agents are not compiled to formats no configured IDE reads');
+
+    const added58 = runCli58('ide', 'add', 'github-copilot');
+    assert(
+      added58.status === 0 && (await fs.pathExists(twin58)),
+      'Adding an IDE that reads another agent format compiles the agents to it',
+      added58.stderr,
+    );
+
+    const removed58 = runCli58('ide', 'remove', 'github-copilot');
+    assert(
+      removed58.status === 0 && !(await fs.pathExists(twin58)) && (await fs.pathExists(twin58.replace('.instructions.md', '.md'))),
+      'Removing the last IDE that reads a format removes it and keeps the XML agent',
+      removed58.stderr,
+    );
+
+    const manager58 = new ModuleManager();
+    manager58.setIdes(['github-copilot', 'claude-code']);
+    assert(
+      (await manager58.getAgentEmitterNames(path.join(project58, '_skad'))).join(',') === 'markdown' &&
+        (await new ModuleManager().getAgentEmitterNames(path.join(project58, '_skad'))).length === 0,
+      'Agent formats come from the IDEs set for the install, or else the installation manifest',
+    );
+  } catch (error) {
+    assert(false, 'Agent formats test succeeds', error.message);
+  } finally {
+    if (tempDir58) await fs.remove(tempDir58).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 59: Validating a Clean Installation
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 59: Validating a Clean Installation${colors.reset}\n`);
+
+  let tempDir59;
+  try {
+    const { spawnSync } = require('node:child_process');
+    tempDir59 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-validate-install-test-'));
+    const project59 = path.join(tempDir59, 'project');
+    const runCli59 = (...args) =>
+      spawnSync(process.execPath, [path.join(projectRoot, 'tools', 'cli', 'skad-cli.js'), ...args, '--directory', project59], {
+        encoding: 'utf8',
+        timeout: 120_000,
+        env: { ...process.env, SKAD_HOME: path.join(tempDir59, 'skad-home'), SKAD_OFFLINE: 'true' },
+      });
+
+    const install59 = runCli59('install', '--modules', 'core', '--tools', 'claude-code,github-copilot', '--yes');
+    assert(install59.status === 0, 'Install with an IDE that reads the markdown agent format succeeds', install59.stderr);
+
+    const validate59 = runCli59('validate', '--strict', '--format', 'json');
+    const report59 = JSON.parse(validate59.stdout || '{}');
+    assert(
+      validate59.status === 0 && report59.findings?.length === 0,
+      'skad validate --strict passes on a clean installation',
+      `${validate59.stderr}${JSON.stringify(report59.findings)}`,
+    );
+
+    const validator59 = new ContentValidator();
+    const agents59 = path.join(project59, '_skad', 'core', 'agents');
+    assert(
+      validator59.isGeneratedAgentOutput(path.join(agents59, 'skad-master.md')) &&
+        validator59.isGeneratedAgentOutput(path.join(agents59, 'skad-master.instructions.md')) &&
+        validator59.isGeneratedAgentOutput(path.join(agents59, 'skad-master.provenance.json')) &&
+        !validator59.isGeneratedAgentOutput(path.join(project59, '_skad', 'core', 'tasks', 'help.md')),
+      'Compiled agents, their other formats and provenance are told apart from module content',
+    );
+  } catch (error) {
+    assert(false, 'Clean installation validation test succeeds', error.message);
+  } finally {
+    if (tempDir59) await fs.remove(tempDir59).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 60: Custom Content Agents That Extend Others
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 60: Custom Content Agents That Extend Others${colors.reset}\n`);
+
+  let tempDir60;
+  const warn60 = prompts.log.warn;
+  try {
+    tempDir60 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-custom-extends-test-'));
+    const custom60 = path.join(tempDir60, 'custom');
+    const skadDir60 = path.join(tempDir60, '_skad');
+    await fs.outputFile(
+      path.join(custom60, 'agents', 'helper.agent.yaml'),
+      'agent:\n  extends: bmm/pm\n  metadata:\n    id: "_skad/custom/agents/helper.md"\n    name: Helper\n',
+    );
+    await fs.outputFile(path.join(custom60, 'agents', 'broken.agent.yaml'), 'agent:\n  extends: nowhere/ghost\n');
+    await fs.ensureDir(path.join(skadDir60, '_config', 'agents'));
+
+    prompts.log.warn = async () => {};
+    const result60 = await new CustomHandler().install(custom60, skadDir60, { user_name: 'Ada' });
+    prompts.log.warn = warn60;
+
+    const helper60 = await fs.readFile(path.join(skadDir60, 'custom', 'agents', 'helper.md'), 'utf8');
+    assert(
+      helper60.includes('name="Helper"') && helper60.includes('title="Product Manager"'),
+      'Custom content agents compile with the agent they extend merged in',
+      helper60.slice(0, 200),
+    );
+    assert(
+      result60.errors.length === 1 && result60.errors[0].includes('nowhere/ghost'),
+      'A custom agent extending a missing agent is reported as a compile error',
+      result60.errors.join('; '),
+    );
+  } catch (error) {
+    assert(false, 'Custom content extends test succeeds', error.message);
+  } finally {
+    prompts.log.warn = warn60;
+    if (tempDir60) await fs.remove(tempDir60).catch(() => {});
+  }
+
+  console.log('');
+
+  // ============================================================
+  // Test Suite 61: Merge Baselines
+  // ============================================================
+  console.log(`${colors.yellow}Test Suite 61: Merge Baselines${colors.reset}\n`);
+
+  let tempDir61;
+  try {
+    const { spawnSync } = require('node:child_process');
+    tempDir61 = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-baselines-test-'));
+    const project61 = path.join(tempDir61, 'project');
+    const runCli61 = (...args) =>
+      spawnSync(process.execPath, [path.join(projectRoot, 'tools', 'cli', 'skad-cli.js'), ...args, '--directory', project61, '--yes'], {
+        encoding: 'utf8',
+        timeout: 120_000,
+        env: { ...process.env, SKAD_HOME: path.join(tempDir61, 'skad-home'), SKAD_OFFLINE: 'true' },
+      });
+    const baselineDir61 = path.join(project61, '_skad', '_config', 'baseline');
+
+    const install61 = runCli61('install', '--modules', 'bmm', '--tools', 'claude-code');
+    assert(install61.status === 0 && (await fs.pathExists(path.join(baselineDir61, 'bmm'))), 'Install records baselines', install61.stderr);
+
+    const baselines61 = new BaselineStore(path.join(project61, '_skad'));
+    assert(
+      baselines61.isTracked('core/tasks/workflow.xml') &&
+        !baselines61.isTracked('core/agents/skad-skill-manifest.yaml') &&
+        !baselines61.isTracked('bmm/docs/diagram.png') &&
+        !(await fs.pathExists(path.join(baselineDir61, 'core', 'agents', 'skad-skill-manifest.yaml'))),
+      'Baselines are kept only for editable text files',
+    );
+
+    const removed61 = runCli61('module', 'remove', 'bmm');
+    assert(
+      removed61.status === 0 &&
+        !(await fs.pathExists(path.join(baselineDir61, 'bmm'))) &&
+        (await fs.pathExists(path.join(baselineDir61, 'core', 'tasks', 'workflow.xml'))),
+      "Removing a module deletes its baselines and keeps the others'",
+      removed61.stderr,
+    );
+  } catch (error) {
+    assert(false, 'Merge baselines test succeeds', error.message);
+  } finally {
+    if (tempDir61) await fs.remove(tempDir61).catch(() => {});
+  }
+
+  console.log('');
+
   // ============================================================
   // Summary
   // ============================================================
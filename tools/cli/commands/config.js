@@ -0,0 +1,126 @@
+const path = require('node:path');
+const prompts = require('../lib/prompts');
+const { Installer } = require('../installers/lib/core/installer');
+const { Workspace } = require('../installers/lib/core/workspace');
+const { ConfigEditor } = require('../installers/lib/core/config-editor');
+
+const installer = new Installer();
+const editor = new ConfigEditor(installer);
+
+const ACTIONS = ['get', 'set', 'list'];
+
+/**
+ * Split a "module.key" argument
+ * @param {string} target - Argument such as "bmm.user_skill_level"
+ * @returns {{moduleName: string, key: string}}
+ */
+function parseTarget(target) {
+  const dot = (target || '').indexOf('.');
+  if (dot <= 0 || dot === target.length - 1) {
+    throw new Error(`Expected <module>.<key> (for example bmm.user_skill_level), got "${target || ''}"`);
+  }
+  return { moduleName: target.slice(0, dot), key: target.slice(dot + 1) };
+}
+
+/**
+ * Format a config value for display
+ * @param {*} value - Stored value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value === null || value === undefined) return '';
+  return String(value);
+}
+
+module.exports = {
+  command: 'config <action> [key] [value]',
+  description: 'Read or change installed module settings (action: get, set, list)',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--json', 'Print results as JSON'],
+  ],
+  action: async (action, key, value, options) => {
+    const printJson = (data) => process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+
+    try {
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`Unknown action "${action}". Use one of: ${ACTIONS.join(', ')}`);
+      }
+      const cwd = path.resolve(options.directory || process.cwd());
+      const projectDir = await Workspace.resolveProjectDir(cwd);
+
+      if (action === 'list') {
+        // "config list" or "config list bmm"
+        // Inside a workspace package, values come from the package's config copies
+        const entries = await editor.list(projectDir, key || null, cwd);
+        if (options.json) {
+          printJson(entries);
+        } else {
+          const lines = entries.map((entry) => {
+            const choices = entry.options ? `  [${entry.options.join(', ')}]` : '';
+            const computed = entry.settable ? '' : '  (computed)';
+            return `${entry.module}.${entry.key} = ${formatValue(entry.value)}${choices}${computed}`;
+          });
+          await prompts.note(lines.join('\n') || 'No settings found', 'SKAD Configuration');
+        }
+        process.exit(0);
+        return;
+      }
+
+      const { moduleName, key: configKey } = parseTarget(key);
+
+      if (action === 'get') {
+        const current = await editor.get(projectDir, moduleName, configKey, cwd);
+        if (options.json) {
+          printJson({ module: moduleName, key: configKey, value: current });
+        } else {
+          process.stdout.write(formatValue(current) + '\n');
+        }
+        process.exit(0);
+        return;
+      }
+
+      if (value === undefined) {
+        throw new Error(`No value given. Usage: skad config set ${key} <value>`);
+      }
+
+      const change = await editor.set(projectDir, moduleName, configKey, value, cwd);
+      if (options.json) {
+        printJson(change);
+        process.exit(0);
+        return;
+      }
+
+      if (!change.changed) {
+        await prompts.log.info(`${moduleName}.${configKey} is already ${formatValue(change.to)}`);
+        process.exit(0);
+        return;
+      }
+
+      for (const moved of change.movedDirs) {
+        await prompts.log.message(`Moved ${moved}`);
+      }
+      for (const created of change.createdDirs) {
+        await prompts.log.message(`Created ${created}`);
+      }
+      for (const ide of change.ides) {
+        if (!ide.success) {
+          await prompts.log.warn(`Could not regenerate ${ide.ide}: ${ide.error || 'failed'}`);
+        }
+      }
+      await prompts.log.success(`${moduleName}.${configKey}: ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+      process.exit(0);
+    } catch (error) {
+      if (options.json) {
+        printJson({ error: error.message });
+      } else {
+        await prompts.log.error(`Config ${action} failed: ${error.message}`);
+        if (process.env.SKAD_DEBUG) {
+          await prompts.log.message(error.stack);
+        }
+      }
+      process.exit(1);
+    }
+  },
+};
@@ -0,0 +1,150 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const prompts = require('../lib/prompts');
+const { Installer } = require('../installers/lib/core/installer');
+const { Workspace } = require('../installers/lib/core/workspace');
+const { Doctor } = require('../installers/lib/core/doctor');
+
+const installer = new Installer();
+const doctor = new Doctor();
+
+/**
+ * Print the findings of a doctor run
+ * @param {Object} report - Result of Doctor.diagnose()
+ */
+async function displayReport(report) {
+  const color = await prompts.getColor();
+
+  await prompts.note([`Location:      ${report.skadDir}`, `Tracked files: ${report.trackedFiles}`].join('\n'), 'SKAD Doctor');
+
+  if (report.link) {
+    if (!report.link.globalFound) {
+      await prompts.log.error(`Linked to ${report.link.home}, but there is no global installation there`);
+    } else if (report.link.brokenLinks.length > 0) {
+      const links = report.link.brokenLinks.map((p) => `  ${color.red('broken')}     ${p}`);
+      await prompts.log.warn(`Links to ${report.link.home} no longer resolve\n${links.join('\n')}`);
+      await prompts.log.message('Run "skad link" to refresh them.');
+    } else {
+      await prompts.log.success(`Linked to the global installation at ${report.link.home}`);
+    }
+  }
+
+  if (report.trackedFiles === 0) {
+    await prompts.log.warn('No files-manifest.csv entries found - file integrity cannot be verified.');
+  }
+
+  for (const [moduleName, result] of Object.entries(report.modules)) {
+    const issues = [
+      ...result.missing.map((p) => `  ${color.red('missing')}    ${p}`),
+      ...result.modified.map((p) => `  ${color.yellow('modified')}   ${p}`),
+      ...result.untracked.map((p) => `  ${color.dim('untracked')}  ${p}`),
+    ];
+
+    if (issues.length === 0) {
+      await prompts.log.success(`${moduleName}: all files match the manifest`);
+    } else {
+      await prompts.log.warn(`${moduleName}: ${issues.length} issue(s)\n${issues.join('\n')}`);
+    }
+  }
+
+  if (report.ides.length === 0) {
+    await prompts.log.message('No IDEs configured');
+  }
+
+  for (const ide of report.ides) {
+    for (const target of ide.targets) {
+      switch (target.status) {
+        case 'ok': {
+          await prompts.log.success(`${ide.name}: ${target.dir} is current`);
+          break;
+        }
+        case 'missing': {
+          await prompts.log.warn(`${ide.name}: no SKAD skills found in ${target.dir}`);
+          break;
+        }
+        case 'unknown': {
+          await prompts.log.warn(`${ide.name}: not a supported platform code`);
+          break;
+        }
+        default: {
+          const refs = target.brokenRefs.map((r) => `  ${r.artifact} -> ${r.ref}`);
+          await prompts.log.warn(`${ide.name}: ${target.dir} references files no longer in _skad\n${refs.join('\n')}`);
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  command: 'doctor',
+  description: 'Verify the SKAD installation against its files manifest and IDE targets',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--fix', 'Restore missing or modified files from the package source and regenerate stale IDE skills'],
+  ],
+  action: async (options) => {
+    try {
+      const projectDir = await Workspace.resolveProjectDir(options.directory || process.cwd());
+      const { skadDir } = await installer.findSkadDir(projectDir);
+
+      if (!(await fs.pathExists(skadDir))) {
+        await prompts.log.warn('No SKAD installation found.');
+        await prompts.log.message(`Expected location: ${skadDir}`);
+        process.exit(1);
+        return;
+      }
+
+      let report = await doctor.diagnose(projectDir, skadDir);
+      await displayReport(report);
+
+      if (report.healthy) {
+        await prompts.log.success('No problems found');
+        process.exit(0);
+        return;
+      }
+
+      if (!options.fix) {
+        await prompts.log.message('Run "skad doctor --fix" to repair, or "skad install --action update" to reinstall.');
+        process.exit(1);
+        return;
+      }
+
+      const fixResult = await doctor.fix(projectDir, skadDir, report);
+
+      for (const restored of fixResult.restored) {
+        await prompts.log.message(`  Restored ${restored}`);
+      }
+      for (const skipped of fixResult.skipped) {
+        await prompts.log.warn(`Could not restore ${skipped.path}: ${skipped.reason}`);
+      }
+      for (const ide of fixResult.ides) {
+        if (ide.success) {
+          await prompts.log.message(`  Regenerated ${ide.ide}`);
+        } else {
+          await prompts.log.warn(`Could not regenerate ${ide.ide}: ${ide.error || 'failed'}`);
+        }
+      }
+
+      // Untracked files are user content and are never removed
+      report = await doctor.diagnose(projectDir, skadDir);
+      const remaining = Object.values(report.modules).some((m) => m.missing.length > 0 || m.modified.length > 0);
+      const remainingIdes = report.ides.some((ide) => ide.targets.some((t) => t.status !== 'ok'));
+      const remainingLinks = report.link && (!report.link.globalFound || report.link.brokenLinks.length > 0);
+
+      if (remaining || remainingIdes || remainingLinks) {
+        await prompts.log.warn('Some problems could not be fixed automatically');
+        process.exit(1);
+        return;
+      }
+
+      await prompts.log.success('Installation repaired');
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Doctor failed: ${error.message}`);
+      if (process.env.SKAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
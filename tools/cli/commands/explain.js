@@ -0,0 +1,125 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const prompts = require('../lib/prompts');
+const { Installer } = require('../installers/lib/core/installer');
+const { Workspace } = require('../installers/lib/core/workspace');
+const { provenancePath, hashContent, annotateAgent } = require('../lib/agent/provenance');
+const { isAgentCompanionFile } = require('../lib/agent/emitters');
+
+const installer = new Installer();
+
+const KINDS = ['agent'];
+
+/**
+ * Find compiled agents by name
+ * @param {string} skadDir - SKAD installation directory
+ * @param {string} name - Agent name ("dev") or module and name ("bmm/dev")
+ * @returns {Promise<Array<string>>} Paths of matching compiled agents
+ */
+async function findCompiledAgents(skadDir, name) {
+  const [moduleName, agentName] = name.includes('/') ? name.split('/') : [null, name];
+  const matches = [];
+
+  async function search(dir) {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await search(fullPath);
+      } else if (entry.name === `${agentName}.md` && !isAgentCompanionFile(entry.name)) {
+        matches.push(fullPath);
+      }
+    }
+  }
+
+  for (const entry of await fs.readdir(skadDir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name.startsWith('_')) continue;
+    if (moduleName && entry.name !== moduleName) continue;
+    const agentsDir = path.join(skadDir, entry.name, 'agents');
+    if (await fs.pathExists(agentsDir)) {
+      await search(agentsDir);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Describe where a block of a compiled agent came from
+ * @param {Object|null} source - Provenance section
+ * @returns {string}
+ */
+function describeSource(source) {
+  if (!source) return 'unknown';
+  const origin = source.file || 'written by the compiler';
+  return `${source.section}: ${origin}${source.yamlPath ? ` (${source.yamlPath})` : ''}`;
+}
+
+module.exports = {
+  command: 'explain <kind> <name>',
+  description: 'Show a compiled agent with the source of each block (kind: agent; name: "dev" or "bmm/dev")',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--json', 'Print the blocks and their sources as JSON'],
+  ],
+  action: async (kind, name, options) => {
+    try {
+      if (!KINDS.includes(kind)) {
+        throw new Error(`Unknown kind "${kind}". Use one of: ${KINDS.join(', ')}`);
+      }
+
+      const projectDir = await Workspace.resolveProjectDir(options.directory || process.cwd());
+      const { skadDir } = await installer.findSkadDir(projectDir);
+      if (!(await fs.pathExists(skadDir))) {
+        throw new Error(`No SKAD installation found at ${skadDir}`);
+      }
+
+      const matches = await findCompiledAgents(skadDir, name);
+      if (matches.length === 0) {
+        throw new Error(`No compiled agent named "${name}" in ${skadDir}`);
+      }
+      if (matches.length > 1) {
+        const names = matches.map((match) => `${path.relative(skadDir, match).split(path.sep)[0]}/${name}`);
+        throw new Error(`"${name}" matches several agents; name one of: ${names.join(', ')}`);
+      }
+
+      const agentPath = matches[0];
+      const relativePath = path.relative(projectDir, agentPath).split(path.sep).join('/');
+      if (!(await fs.pathExists(provenancePath(agentPath)))) {
+        throw new Error(`${relativePath} has no provenance record. Run "skad install --action compile-agents" to compile it again.`);
+      }
+
+      const content = await fs.readFile(agentPath, 'utf8');
+      const provenance = await fs.readJson(provenancePath(agentPath));
+      const blocks = annotateAgent(content, provenance);
+      const edited = provenance.hash !== hashContent(content);
+
+      if (options.json) {
+        process.stdout.write(JSON.stringify({ agent: relativePath, edited, blocks }, null, 2) + '\n');
+        process.exit(0);
+        return;
+      }
+
+      if (edited) {
+        await prompts.log.warn(`${relativePath} was changed after it was compiled; the sources below may be off`);
+      }
+
+      const color = await prompts.getColor();
+      const width = String(blocks.at(-1)?.end || 1).length;
+      const output = [color.bold(relativePath), ''];
+      for (const block of blocks) {
+        output.push(color.cyan(`── ${describeSource(block.source)}`));
+        for (const [offset, line] of block.lines.entries()) {
+          output.push(`${color.dim(`${String(block.start + offset).padStart(width)} │`)} ${line}`);
+        }
+      }
+      process.stdout.write(output.join('\n') + '\n');
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Explain failed: ${error.message}`);
+      if (process.env.SKAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
@@ -0,0 +1,37 @@
+const path = require('node:path');
+const prompts = require('../lib/prompts');
+const { Installer } = require('../installers/lib/core/installer');
+const { Workspace } = require('../installers/lib/core/workspace');
+const { ProjectFile, PROJECT_FILE_NAME } = require('../installers/lib/core/project-file');
+
+const installer = new Installer();
+
+module.exports = {
+  command: 'export',
+  description: `Write the installation's modules, IDEs and config answers to a project file (${PROJECT_FILE_NAME})`,
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['-o, --output <file>', `Where to write the project file (default: ${PROJECT_FILE_NAME} in the project directory)`],
+  ],
+  action: async (options) => {
+    try {
+      const projectDir = await Workspace.resolveProjectDir(options.directory || process.cwd());
+      const { projectFile, warnings } = await ProjectFile.fromInstallation(projectDir, installer);
+
+      for (const warning of warnings) {
+        await prompts.log.warn(warning);
+      }
+
+      const outputPath = await projectFile.save(options.output ? path.resolve(options.output) : projectFile.filePath);
+      await prompts.log.success(`Project file written to ${outputPath}`);
+      await prompts.log.message(`Recreate this setup with: npx skad-method install --from ${path.relative(projectDir, outputPath)}`);
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Export failed: ${error.message}`);
+      if (process.env.SKAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
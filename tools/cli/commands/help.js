@@ -0,0 +1,66 @@
+const { program } = require('commander');
+const prompts = require('../lib/prompts');
+const { findInstalledSkadDir, readInstalledModules } = require('../lib/module-commands');
+
+/**
+ * Describe a command's usage and options as lines of text
+ * @param {Command} command - Registered commander command
+ * @param {string} prefix - Words before the command name (e.g. "skad openproject")
+ * @returns {Array<string>}
+ */
+function describeCommand(command, prefix) {
+  const lines = [`${prefix} ${command.name()} ${command.usage()}`.trimEnd(), `  ${command.description()}`];
+  for (const option of command.options) {
+    lines.push(`    ${option.flags.padEnd(28)} ${option.description}`);
+  }
+  return lines;
+}
+
+/**
+ * Whether the project in the current directory has a module installed
+ * @param {string} code - Module code
+ * @returns {boolean}
+ */
+function isInstalledModule(code) {
+  const skadDir = findInstalledSkadDir(process.cwd());
+  if (!skadDir) return false;
+  try {
+    return readInstalledModules(skadDir).includes(code);
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  command: 'help [name]',
+  description: 'Show help for a command, or list the commands a module adds (skad help <module>)',
+  options: [],
+  action: async (name) => {
+    if (!name) {
+      program.outputHelp();
+      return;
+    }
+
+    const command = program.commands.find((c) => c.name() === name);
+    if (!command && isInstalledModule(name)) {
+      await prompts.log.info(`The ${name} module is installed but adds no commands.`);
+      return;
+    }
+    if (!command) {
+      await prompts.log.error(
+        `Unknown command or module "${name}". Module commands are available inside a project that has the module installed.`,
+      );
+      process.exit(1);
+      return;
+    }
+
+    // Module command groups have subcommands; built-in commands show their own help
+    if (command.commands.length === 0) {
+      command.outputHelp();
+      return;
+    }
+
+    const lines = command.commands.flatMap((sub) => [...describeCommand(sub, `skad ${name}`), '']);
+    await prompts.note(lines.join('\n').trimEnd(), `Commands from the ${name} module`);
+  },
+};
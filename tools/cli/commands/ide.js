@@ -0,0 +1,114 @@
+const prompts = require('../lib/prompts');
+const { CLIUtils } = require('../lib/cli-utils');
+const { Installer } = require('../installers/lib/core/installer');
+const { Workspace } = require('../installers/lib/core/workspace');
+const { Doctor } = require('../installers/lib/core/doctor');
+const { IdeManager } = require('../installers/lib/ide/manager');
+
+const installer = new Installer();
+const doctor = new Doctor();
+const ideManager = new IdeManager();
+
+const ACTIONS = ['add', 'remove', 'list'];
+
+// How a target directory status from Doctor.checkIdes reads in the list
+const TARGET_LABELS = {
+  ok: 'current',
+  missing: 'missing',
+  stale: 'stale',
+  unknown: 'unknown platform',
+};
+
+module.exports = {
+  command: 'ide <action> [codes...]',
+  description: 'Add, remove or list IDE/tool targets in an existing installation (action: add, remove, list)',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['-y, --yes', 'Use IDE config defaults instead of prompting'],
+    ['--keep-snapshots <count>', 'Number of snapshots to keep for "skad rollback" (default: 3, 0 disables snapshots)'],
+    ['--json', 'Print the list as JSON'],
+  ],
+  action: async (action, codes, options) => {
+    try {
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`Unknown action "${action}". Use one of: ${ACTIONS.join(', ')}`);
+      }
+
+      const projectDir = await Workspace.resolveProjectDir(options.directory || process.cwd());
+
+      if (action === 'list') {
+        const { skadDir } = await installer.findSkadDir(projectDir);
+        const configured = await doctor.checkIdes(projectDir, skadDir);
+        await ideManager.ensureInitialized();
+        const configuredCodes = new Set(configured.map((ide) => ide.ide));
+        const available = ideManager
+          .getAvailableIdes()
+          .map((ide) => ide.value)
+          .filter((code) => !configuredCodes.has(code));
+
+        if (options.json) {
+          process.stdout.write(JSON.stringify({ configured, available }, null, 2) + '\n');
+          process.exit(0);
+          return;
+        }
+
+        if (configured.length === 0) {
+          await prompts.log.info('No IDEs configured.');
+        } else {
+          const lines = configured.map((ide) => {
+            const targets = ide.targets.map((t) => `${t.dir || '?'} (${TARGET_LABELS[t.status] || t.status})`).join(', ');
+            return `${ide.ide.padEnd(16)} ${targets}`;
+          });
+          await prompts.note(lines.join('\n'), 'Configured IDEs');
+          if (configured.some((ide) => ide.targets.some((t) => t.status !== 'ok'))) {
+            await prompts.log.message('Run "skad doctor --fix" to regenerate missing or stale targets.');
+          }
+        }
+        await prompts.log.message(`Available: ${available.join(', ')}`);
+        process.exit(0);
+        return;
+      }
+
+      // Accept both "ide add cursor codex" and "ide add cursor,codex"
+      const ideCodes = (codes || [])
+        .flatMap((code) => code.split(','))
+        .map((code) => code.trim())
+        .filter(Boolean);
+      if (ideCodes.length === 0) {
+        throw new Error(`No IDE codes given. Usage: skad ide ${action} <code...>`);
+      }
+
+      const keepSnapshots = CLIUtils.parseKeepSnapshots(options.keepSnapshots);
+
+      const result = await installer.changeIdes({
+        directory: projectDir,
+        add: action === 'add' ? ideCodes : [],
+        remove: action === 'remove' ? ideCodes : [],
+        skipPrompts: Boolean(options.yes),
+        keepSnapshots,
+      });
+
+      for (const skipped of result.skipped) {
+        await prompts.log.warn(`Skipped ${skipped.ide}: ${skipped.reason}`);
+      }
+
+      if (result.added.length > 0) {
+        await prompts.log.success(`Added ${result.added.join(', ')}`);
+      }
+      if (result.removed.length > 0) {
+        await prompts.log.success(`Removed ${result.removed.join(', ')}`);
+      }
+      if (result.added.length === 0 && result.removed.length === 0) {
+        await prompts.log.info('Nothing to change');
+      }
+
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`IDE ${action} failed: ${error.message}`);
+      if (process.env.SKAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
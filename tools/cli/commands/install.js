@@ -1,11 +1,94 @@
 const path = require('node:path');
 const prompts = require('../lib/prompts');
 const { Installer } = require('../installers/lib/core/installer');
+const { VirtualFileLayer } = require('../installers/lib/core/virtual-fs');
+const { InstallPlan } = require('../installers/lib/core/install-plan');
+const { ProjectFile, CORE_OPTIONS } = require('../installers/lib/core/project-file');
+const { loadAnswersFile, readEnvAnswers } = require('../installers/lib/core/answers-file');
+const { LockFile } = require('../installers/lib/core/lock-file');
+const { MERGE_STYLES } = require('../installers/lib/core/three-way-merge');
+const { Workspace } = require('../installers/lib/core/workspace');
+const { GlobalInstall } = require('../installers/lib/core/global-install');
+const { setExternalModuleSources } = require('../installers/lib/modules/manager');
 const { UI } = require('../lib/ui');
+const { CLIUtils } = require('../lib/cli-utils');
 
 const installer = new Installer();
 const ui = new UI();
 
+/**
+ * Stop recording a dry run and report what it would have changed
+ * @param {VirtualFileLayer} layer - Enabled layer the run was recorded in
+ * @param {Object} config - Install config from the UI
+ * @param {Object} result - Return value of the install action
+ * @param {string} [planJsonPath] - Where to write the plan as JSON
+ */
+async function finishDryRun(layer, config, result, planJsonPath) {
+  layer.disable();
+
+  const plan = await InstallPlan.build(layer, {
+    projectDir: config.directory,
+    modules: result?.modules || config.modules,
+    ides: result?.ides || config.ides,
+    configCollector: installer.configCollector,
+  });
+  await plan.display();
+
+  if (planJsonPath) {
+    const fs = require('fs-extra');
+    const outputPath = path.resolve(planJsonPath);
+    await fs.outputFile(outputPath, JSON.stringify(plan, null, 2) + '\n');
+    await prompts.log.info(`Plan written to ${outputPath}`);
+  }
+}
+
+/**
+ * Parse --module-source into module codes and local paths
+ * @param {string} value - Comma-separated code=path pairs
+ * @returns {Object} Module code to absolute path
+ */
+function parseModuleSources(value) {
+  const sources = {};
+  for (const pair of value
+    .split(',')
+    .map((p) => p.trim())
+    .filter(Boolean)) {
+    const separator = pair.indexOf('=');
+    if (separator <= 0 || separator === pair.length - 1) {
+      throw new Error(`--module-source expects code=path, got "${pair}"`);
+    }
+    sources[pair.slice(0, separator)] = path.resolve(CLIUtils.expandPath(pair.slice(separator + 1)));
+  }
+  return sources;
+}
+
+/**
+ * Turn core answers into the install command's core config options
+ * Core is configured before the modules are chosen, so its answers travel as options
+ * (like --user-name) rather than as preset answers. SKAD_CORE_<KEY> variables win over the file.
+ * @param {Object} [fileAnswers] - Core section of the answers file
+ * @returns {Object} Install options such as {userName}
+ */
+function coreAnswerOptions(fileAnswers = {}) {
+  const keys = Object.keys(CORE_OPTIONS);
+  const { answers: envAnswers, unknown } = readEnvAnswers(process.env, 'core', keys);
+  const unknownAnswers = [
+    ...Object.keys(fileAnswers)
+      .filter((key) => !keys.includes(key))
+      .map((key) => `core.${key}`),
+    ...unknown,
+  ];
+  if (unknownAnswers.length > 0) {
+    throw new Error(`Unknown config answers: ${unknownAnswers.join(', ')}`);
+  }
+
+  const options = {};
+  for (const [key, value] of Object.entries({ ...fileAnswers, ...envAnswers })) {
+    options[CORE_OPTIONS[key]] = String(value);
+  }
+  return options;
+}
+
 module.exports = {
   command: 'install',
   description: 'Install SKAD Core agents and tools',
@@ -24,8 +107,22 @@ module.exports = {
     ['--document-output-language <lang>', 'Language for document output (default: English)'],
     ['--output-folder <path>', 'Output folder path relative to project root (default: _skad-output)'],
     ['-y, --yes', 'Accept all defaults and skip prompts where possible'],
+    ['--dry-run', 'Show what would be installed, overwritten and deleted without writing any files'],
+    ['--plan-json <file>', 'Write the dry-run plan as JSON to a file (implies --dry-run)'],
+    ['--keep-snapshots <count>', 'Number of pre-install snapshots to keep for "skad rollback" (default: 3, 0 disables snapshots)'],
+    ['--from <file>', 'Install without prompts from a project file (skad.config.yaml); other flags override its values'],
+    ['--frozen', 'Refuse to install anything that differs from skad.lock.yaml'],
+    ['--offline', 'Never use the network; external modules come from the cache or --module-source'],
+    ['--no-cache', 'Recompile every agent instead of skipping agents unchanged since the last compile'],
+    ['--module-source <sources>', 'Comma-separated code=path pairs installing external modules from a directory, .tgz or git bundle'],
+    ['--merge-conflicts <style>', 'How updates mark conflicts in files you edited: markers (default) or rej'],
+    ['--answers <file>', 'Answer module config prompts from a YAML file keyed by module and key (SKAD_<MODULE>_<KEY> variables also work)'],
+    ['--global', 'Install into the user-level SKAD home (SKAD_HOME, default ~/.skad) for projects to use with "skad link"'],
   ],
   action: async (options) => {
+    const dryRun = Boolean(options.dryRun || options.planJson);
+    const layer = dryRun ? new VirtualFileLayer() : null;
+
     try {
       // Set debug flag as environment variable for all components
       if (options.debug) {
@@ -33,17 +130,98 @@ module.exports = {
         await prompts.log.info('Debug mode enabled');
       }
 
-      const config = await ui.promptInstall(options);
+      // Everything after this point, including the UI's legacy folder migration, is recorded instead of written
+      if (layer) {
+        layer.enable();
+      }
+
+      // A project file supplies modules, IDEs and config answers; explicit flags still win
+      let installOptions = options;
+      let presetAnswers = {};
+      if (options.from) {
+        const projectFile = await ProjectFile.load(options.from);
+        installOptions = { ...projectFile.toInstallOptions(), directory: path.dirname(projectFile.filePath), ...options };
+        presetAnswers = projectFile.getModuleAnswers();
+      }
+
+      // An answers file and SKAD_<MODULE>_<KEY> variables answer config prompts, over the project file
+      const { core: coreAnswers, ...moduleAnswers } = options.answers ? await loadAnswersFile(options.answers) : {};
+      installOptions = { ...installOptions, ...coreAnswerOptions(coreAnswers), ...options };
+      for (const [moduleName, answers] of Object.entries(moduleAnswers)) {
+        presetAnswers[moduleName] = { ...presetAnswers[moduleName], ...answers };
+      }
+      installer.configCollector.setPresetAnswers(presetAnswers);
+
+      // Offline installs take external modules from the cache or local sources only
+      if (options.offline) {
+        process.env.SKAD_OFFLINE = 'true';
+      }
+      // Agents recompile even when the compiled-agent cache says they are unchanged
+      if (options.cache === false) {
+        process.env.SKAD_NO_CACHE = 'true';
+      }
+      if (options.moduleSource) {
+        setExternalModuleSources(parseModuleSources(options.moduleSource));
+      }
+
+      if (options.mergeConflicts && !MERGE_STYLES.includes(options.mergeConflicts)) {
+        throw new Error(`--merge-conflicts must be one of ${MERGE_STYLES.join(', ')}, got "${options.mergeConflicts}"`);
+      }
+
+      if (options.global) {
+        if (options.directory) {
+          throw new Error('--global and --directory cannot be used together (set SKAD_HOME to move the global installation)');
+        }
+        const homeDir = GlobalInstall.home();
+        if (!dryRun) {
+          const fs = require('fs-extra');
+          await fs.ensureDir(homeDir);
+        }
+        await prompts.log.info(`Installing globally into ${homeDir}`);
+        installOptions = { ...installOptions, directory: homeDir };
+      } else {
+        // Inside a workspace package, the installation being changed is the workspace root's
+        const requestedDir = path.resolve(installOptions.directory || process.cwd());
+        const workspaceRoot = await Workspace.resolveProjectDir(requestedDir);
+        if (workspaceRoot !== requestedDir) {
+          await prompts.log.info(`Using workspace root ${workspaceRoot}`);
+          installOptions = { ...installOptions, directory: workspaceRoot };
+        }
+      }
+
+      // A linked project shares its modules with the global installation and is refreshed with "skad link"
+      const { skadDir: targetSkadDir } = await installer.findSkadDir(path.resolve(installOptions.directory || process.cwd()));
+      await installer.assertNotLinked(targetSkadDir);
+
+      // Pin external modules before the UI or config collection can fetch them
+      if (options.frozen) {
+        await new LockFile(path.resolve(installOptions.directory || process.cwd())).pin();
+      }
+
+      const config = await ui.promptInstall(installOptions);
+      config.dryRun = dryRun;
+      config.frozen = Boolean(options.frozen);
+      config.mergeConflicts = options.mergeConflicts || 'markers';
+      config.keepSnapshots = CLIUtils.parseKeepSnapshots(options.keepSnapshots);
 
       // Handle cancel
       if (config.actionType === 'cancel') {
+        layer?.disable();
         await prompts.log.warn('Installation cancelled.');
         process.exit(0);
       }
 
       // Handle quick update separately
       if (config.actionType === 'quick-update') {
+        // Quick update re-checks core itself, so core answers are presets there
+        if (coreAnswers) {
+          installer.configCollector.setPresetAnswers({ ...presetAnswers, core: coreAnswers });
+        }
         const result = await installer.quickUpdate(config);
+        if (layer) {
+          await finishDryRun(layer, config, result, options.planJson);
+          process.exit(0);
+        }
         await prompts.log.success('Quick update complete!');
         await prompts.log.info(`Updated ${result.moduleCount} modules with preserved settings (${result.modules.join(', ')})`);
         process.exit(0);
@@ -52,6 +230,10 @@ module.exports = {
       // Handle compile agents separately
       if (config.actionType === 'compile-agents') {
         const result = await installer.compileAgents(config);
+        if (layer) {
+          await finishDryRun(layer, config, result, options.planJson);
+          process.exit(0);
+        }
         await prompts.log.info(`Recompiled ${result.agentCount} agents with customizations applied`);
         process.exit(0);
       }
@@ -59,6 +241,11 @@ module.exports = {
       // Regular install/update flow
       const result = await installer.install(config);
 
+      if (layer && result && !result.cancelled) {
+        await finishDryRun(layer, config, result, options.planJson);
+        process.exit(0);
+      }
+
       // Check if installation was cancelled
       if (result && result.cancelled) {
         process.exit(0);
@@ -69,6 +256,7 @@ module.exports = {
         process.exit(0);
       }
     } catch (error) {
+      layer?.disable();
       try {
         if (error.fullMessage) {
           await prompts.log.error(error.fullMessage);
@@ -0,0 +1,40 @@
+const path = require('node:path');
+const prompts = require('../lib/prompts');
+const { Installer } = require('../installers/lib/core/installer');
+const { GlobalInstall } = require('../installers/lib/core/global-install');
+
+const installer = new Installer();
+
+module.exports = {
+  command: 'link',
+  description: 'Use the global installation (skad install --global) in this project, keeping configs and customizations local',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--home <path>', 'Global installation to link to (default: SKAD_HOME or ~/.skad)'],
+  ],
+  action: async (options) => {
+    try {
+      const projectDir = path.resolve(options.directory || process.cwd());
+      const globalInstall = new GlobalInstall(options.home ? path.resolve(options.home) : GlobalInstall.home());
+
+      const result = await globalInstall.link(projectDir);
+      await prompts.log.success(`Linked to ${globalInstall.homeDir} (${result.modules.join(', ')})`);
+      if (result.createdConfigs.length > 0) {
+        await prompts.log.message(`  Created local config for ${result.createdConfigs.join(', ')}`);
+      }
+
+      // Local customizations need agents compiled into the project
+      if (result.customizedModules.length > 0) {
+        const compiled = await installer.compileAgents({ directory: projectDir, onlyModules: result.customizedModules });
+        await prompts.log.info(`Compiled ${compiled.agentCount} agents with local customizations (${result.customizedModules.join(', ')})`);
+      }
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Link failed: ${error.message}`);
+      if (process.env.SKAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
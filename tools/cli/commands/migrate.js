@@ -0,0 +1,91 @@
+const prompts = require('../lib/prompts');
+const { CLIUtils } = require('../lib/cli-utils');
+const { Installer } = require('../installers/lib/core/installer');
+const { Workspace } = require('../installers/lib/core/workspace');
+const { MigrationRunner } = require('../installers/lib/core/migration-runner');
+const { VirtualFileLayer } = require('../installers/lib/core/virtual-fs');
+
+const installer = new Installer();
+const runner = new MigrationRunner();
+
+// Folder renames touch every file below them, so long change lists are cut short
+const MAX_CHANGES_SHOWN = 40;
+
+module.exports = {
+  command: 'migrate',
+  description: 'Run the migrations an older installation needs (they also run automatically on update)',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--list', 'List all migrations and whether each is pending'],
+    ['--include <ids>', 'Comma-separated opt-in migrations to run as well (e.g. v4-folder-backup)'],
+    ['--dry-run', 'Show the pending migrations and the files they would change without writing anything'],
+    ['--keep-snapshots <count>', 'Number of snapshots to keep for "skad rollback" (default: 3, 0 disables snapshots)'],
+  ],
+  action: async (options) => {
+    try {
+      const projectDir = await Workspace.resolveProjectDir(options.directory || process.cwd());
+
+      if (options.list) {
+        const { fromVersion, toVersion, migrations } = await runner.list(projectDir);
+        const lines = migrations.map((m) => {
+          const versions = m.versions === '*' ? '' : `, installed ${m.versions}`;
+          return `${m.id} [${m.status}${versions}]\n  ${m.description}`;
+        });
+        await prompts.note(
+          lines.join('\n') || 'No migrations registered',
+          `Migrations (installed ${fromVersion || 'unknown'} → ${toVersion})`,
+        );
+        process.exit(0);
+        return;
+      }
+
+      const optIn = options.include ? options.include.split(',').map((id) => id.trim()) : [];
+      const unknown = optIn.filter((id) => !runner.migrations.some((m) => m.id === id));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown migration(s): ${unknown.join(', ')}`);
+      }
+
+      const pending = await runner.plan(projectDir, { optIn });
+      if (pending.length === 0) {
+        await prompts.log.info('No migrations pending');
+        process.exit(0);
+        return;
+      }
+
+      if (options.dryRun) {
+        await prompts.note(pending.map((m) => `${m.id}  ${m.description}`).join('\n'), 'Would run');
+
+        // Run for real against an in-memory layer, the same way install --dry-run does
+        const layer = new VirtualFileLayer();
+        layer.enable();
+        try {
+          await runner.run(projectDir, { optIn, keepSnapshots: 0 });
+        } finally {
+          layer.disable();
+        }
+
+        const { created, overwritten, deleted } = layer.getChanges(projectDir);
+        const lines = [...created.map((p) => `+ ${p}`), ...overwritten.map((p) => `~ ${p}`), ...deleted.map((p) => `- ${p}`)];
+        const shown = lines.slice(0, MAX_CHANGES_SHOWN);
+        if (lines.length > shown.length) {
+          shown.push(`...and ${lines.length - shown.length} more`);
+        }
+        await prompts.note(shown.join('\n') || 'No file changes', 'Would change');
+        process.exit(0);
+        return;
+      }
+
+      const keepSnapshots = CLIUtils.parseKeepSnapshots(options.keepSnapshots);
+
+      const result = await installer.runMigrations(projectDir, { optIn, keepSnapshots });
+      await prompts.log.success(`Applied ${result.applied.length} migration(s)`);
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Migrate failed: ${error.message}`);
+      if (process.env.SKAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
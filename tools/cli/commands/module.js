@@ -0,0 +1,71 @@
+const prompts = require('../lib/prompts');
+const { CLIUtils } = require('../lib/cli-utils');
+const { Installer } = require('../installers/lib/core/installer');
+const { Workspace } = require('../installers/lib/core/workspace');
+
+const installer = new Installer();
+
+const ACTIONS = ['add', 'remove'];
+
+module.exports = {
+  command: 'module <action> [codes...]',
+  description: 'Add or remove modules in an existing installation (action: add, remove)',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['-y, --yes', 'Use module config defaults instead of prompting'],
+    ['--keep-snapshots <count>', 'Number of snapshots to keep for "skad rollback" (default: 3, 0 disables snapshots)'],
+  ],
+  action: async (action, codes, options) => {
+    try {
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`Unknown action "${action}". Use one of: ${ACTIONS.join(', ')}`);
+      }
+
+      // Accept both "module add bmm cis" and "module add bmm,cis"
+      const moduleCodes = (codes || [])
+        .flatMap((code) => code.split(','))
+        .map((code) => code.trim())
+        .filter(Boolean);
+      if (moduleCodes.length === 0) {
+        throw new Error(`No module codes given. Usage: skad module ${action} <code...>`);
+      }
+
+      const keepSnapshots = CLIUtils.parseKeepSnapshots(options.keepSnapshots);
+
+      const result = await installer.changeModules({
+        directory: await Workspace.resolveProjectDir(options.directory || process.cwd()),
+        add: action === 'add' ? moduleCodes : [],
+        remove: action === 'remove' ? moduleCodes : [],
+        skipPrompts: Boolean(options.yes),
+        keepSnapshots,
+      });
+
+      for (const skipped of result.skipped) {
+        await prompts.log.warn(`Skipped ${skipped.module}: ${skipped.reason}`);
+      }
+      for (const ide of result.ides) {
+        if (!ide.success) {
+          await prompts.log.warn(`Could not regenerate ${ide.ide}: ${ide.error || 'failed'}`);
+        }
+      }
+
+      if (result.added.length > 0) {
+        await prompts.log.success(`Added ${result.added.join(', ')}`);
+      }
+      if (result.removed.length > 0) {
+        await prompts.log.success(`Removed ${result.removed.join(', ')}`);
+      }
+      if (result.added.length === 0 && result.removed.length === 0) {
+        await prompts.log.info('Nothing to change');
+      }
+
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Module ${action} failed: ${error.message}`);
+      if (process.env.SKAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
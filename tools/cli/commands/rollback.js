@@ -0,0 +1,81 @@
+const path = require('node:path');
+const prompts = require('../lib/prompts');
+const { SnapshotManager } = require('../installers/lib/core/snapshot-manager');
+const { Workspace } = require('../installers/lib/core/workspace');
+
+/**
+ * One-line description of a snapshot for lists and prompts
+ * @param {Object} snapshot - Snapshot metadata
+ * @returns {string}
+ */
+function describeSnapshot(snapshot) {
+  const details = [snapshot.reason || 'install'];
+  if (snapshot.version) details.push(`v${snapshot.version}`);
+  if (snapshot.modules?.length > 0) details.push(snapshot.modules.join(', '));
+  return `${snapshot.id}  ${details.join(' - ')}`;
+}
+
+module.exports = {
+  command: 'rollback',
+  description: 'Restore _skad and IDE files from a snapshot taken before an install',
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--list', 'List available snapshots'],
+    ['--to <id>', 'Snapshot to restore (default: the most recent)'],
+    ['-y, --yes', 'Restore without prompting'],
+  ],
+  action: async (options) => {
+    try {
+      const projectDir = await Workspace.resolveProjectDir(options.directory || process.cwd());
+      const snapshots = new SnapshotManager(projectDir);
+      const available = await snapshots.list();
+
+      if (available.length === 0) {
+        await prompts.log.warn('No snapshots found.');
+        await prompts.log.message(`Snapshots are taken by "skad install" in ${snapshots.snapshotsDir}`);
+        process.exit(1);
+        return;
+      }
+
+      if (options.list) {
+        await prompts.note(available.map((s) => describeSnapshot(s)).join('\n'), 'SKAD Snapshots (newest first)');
+        process.exit(0);
+        return;
+      }
+
+      const snapshot = options.to ? available.find((s) => s.id === options.to) : available[0];
+      if (!snapshot) {
+        await prompts.log.error(`Snapshot not found: ${options.to}`);
+        await prompts.log.message('Run "skad rollback --list" to see available snapshots.');
+        process.exit(1);
+        return;
+      }
+
+      await prompts.log.info(`Snapshot: ${describeSnapshot(snapshot)}`);
+      await prompts.log.message(`Restores: ${snapshot.paths.map((p) => p.path).join(', ')}`);
+
+      if (!options.yes) {
+        const confirmed = await prompts.confirm({
+          message: 'Replace the current files with this snapshot?',
+          default: false,
+        });
+        if (!confirmed) {
+          await prompts.log.warn('Rollback cancelled.');
+          process.exit(0);
+          return;
+        }
+      }
+
+      await snapshots.restore(snapshot.id);
+      // The snapshot is kept so the same state can be restored again
+      await prompts.log.success(`Restored snapshot ${snapshot.id}`);
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Rollback failed: ${error.message}`);
+      if (process.env.SKAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
@@ -1,65 +1,150 @@
 const path = require('node:path');
 const prompts = require('../lib/prompts');
 const { Installer } = require('../installers/lib/core/installer');
+const { Workspace } = require('../installers/lib/core/workspace');
 const { Manifest } = require('../installers/lib/core/manifest');
+const { Doctor } = require('../installers/lib/core/doctor');
+const { GlobalInstall } = require('../installers/lib/core/global-install');
 const { UI } = require('../lib/ui');
 
 const installer = new Installer();
 const manifest = new Manifest();
+const doctor = new Doctor();
 const ui = new UI();
 
+// Exit codes let CI pipelines tell these cases apart without parsing output
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  notInstalled: 2,
+  updatesAvailable: 3,
+  driftDetected: 4,
+};
+
+/**
+ * Reduce a doctor report to the parts that count as drift
+ * @param {Object} report - Result of Doctor.diagnose()
+ * @returns {Object} {detected, modules: {name: {missing, modified}}, ides: [{ide, dir, status}]}
+ */
+function summarizeDrift(report) {
+  const modules = {};
+  for (const [moduleName, result] of Object.entries(report.modules)) {
+    if (result.missing.length > 0 || result.modified.length > 0) {
+      modules[moduleName] = { missing: result.missing, modified: result.modified };
+    }
+  }
+
+  const ides = report.ides.flatMap((ide) =>
+    ide.targets.filter((t) => t.status !== 'ok').map((t) => ({ ide: ide.ide, dir: t.dir || null, status: t.status })),
+  );
+
+  return { detected: !report.healthy, modules, ides };
+}
+
 module.exports = {
   command: 'status',
   description: 'Display SKAD installation status and module versions',
-  options: [],
+  options: [
+    ['--directory <path>', 'Project directory (default: current directory)'],
+    ['--json', 'Print status as JSON'],
+  ],
   action: async (options) => {
+    const printJson = (data) => process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+
     try {
       // Find the skad directory
-      const projectDir = process.cwd();
+      const projectDir = await Workspace.resolveProjectDir(options.directory || process.cwd());
       const { skadDir } = await installer.findSkadDir(projectDir);
 
       // Check if skad directory exists
       const fs = require('fs-extra');
-      if (!(await fs.pathExists(skadDir))) {
-        await prompts.log.warn('No SKAD installation found in the current directory.');
-        await prompts.log.message(`Expected location: ${skadDir}`);
-        await prompts.log.message('Run "skad install" to set up a new installation.');
-        process.exit(0);
-        return;
-      }
-
-      // Read manifest
-      const manifestData = await manifest._readRaw(skadDir);
+      const manifestData = (await fs.pathExists(skadDir)) ? await manifest._readRaw(skadDir) : null;
 
       if (!manifestData) {
-        await prompts.log.warn('No SKAD installation manifest found.');
-        await prompts.log.message('Run "skad install" to set up a new installation.');
-        process.exit(0);
+        const link = (await fs.pathExists(skadDir)) ? await GlobalInstall.readLink(skadDir) : null;
+        if (options.json) {
+          printJson({ installed: false, skadDir, linkedTo: link?.home || null, exitCode: EXIT_CODES.notInstalled });
+        } else if (link) {
+          await prompts.log.warn(`This project is linked to ${link.home}, but there is no global installation there.`);
+          await prompts.log.message('Run "skad install --global" to recreate it, then "skad link".');
+        } else {
+          await prompts.log.warn('No SKAD installation found in the current directory.');
+          await prompts.log.message(`Expected location: ${skadDir}`);
+          await prompts.log.message('Run "skad install" to set up a new installation.');
+        }
+        process.exit(EXIT_CODES.notInstalled);
         return;
       }
 
       // Get installation info
       const installation = manifestData.installation || {};
       const modules = manifestData.modules || [];
+      const ides = manifestData.ides || [];
 
       // Check for available updates (only for external modules)
       const availableUpdates = await manifest.checkForUpdates(skadDir);
 
+      // Compare installed files and IDE targets with what was installed
+      const report = await doctor.diagnose(projectDir, skadDir);
+      const drift = summarizeDrift(report);
+
+      // A global installation serves linked projects; a linked project uses one
+      let globalInstall = null;
+      if (report.link) {
+        globalInstall = { role: 'linked', home: report.link.home, found: report.link.globalFound, brokenLinks: report.link.brokenLinks };
+      } else if (GlobalInstall.isGlobalHome(projectDir)) {
+        globalInstall = { role: 'global', home: projectDir };
+      }
+
+      let exitCode = EXIT_CODES.ok;
+      if (drift.detected) {
+        exitCode = EXIT_CODES.driftDetected;
+      } else if (availableUpdates.length > 0) {
+        exitCode = EXIT_CODES.updatesAvailable;
+      }
+
+      if (options.json) {
+        printJson({
+          installed: true,
+          skadDir,
+          installation,
+          modules,
+          updates: availableUpdates,
+          ides,
+          global: globalInstall,
+          drift,
+          exitCode,
+        });
+        process.exit(exitCode);
+        return;
+      }
+
       // Display status
       await ui.displayStatus({
         installation,
         modules,
         availableUpdates,
+        ides,
         skadDir,
+        globalInstall,
       });
 
-      process.exit(0);
+      if (drift.detected) {
+        await prompts.log.warn('Installed files differ from the files manifest');
+        await prompts.log.message('Run "skad doctor" for details.');
+      }
+
+      process.exit(exitCode);
     } catch (error) {
-      await prompts.log.error(`Status check failed: ${error.message}`);
-      if (process.env.SKAD_DEBUG) {
-        await prompts.log.message(error.stack);
+      if (options.json) {
+        printJson({ error: error.message, exitCode: EXIT_CODES.error });
+      } else {
+        await prompts.log.error(`Status check failed: ${error.message}`);
+        if (process.env.SKAD_DEBUG) {
+          await prompts.log.message(error.stack);
+        }
       }
-      process.exit(1);
+      process.exit(EXIT_CODES.error);
     }
   },
 };
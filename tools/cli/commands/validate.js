@@ -0,0 +1,134 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const prompts = require('../lib/prompts');
+const { Installer } = require('../installers/lib/core/installer');
+const { Workspace } = require('../installers/lib/core/workspace');
+const { ContentValidator } = require('../lib/content-validator');
+
+const installer = new Installer();
+const validator = new ContentValidator();
+
+const FORMATS = ['text', 'json', 'sarif'];
+
+/**
+ * Work out what to validate
+ * @param {string} [target] - Path argument: an installed _skad, a project containing one, or module sources
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<Object>} {dir, installed, skadDir}
+ */
+async function resolveTarget(target, projectDir) {
+  const { skadDir } = await installer.findSkadDir(projectDir);
+  const projectSkadDir = (await fs.pathExists(skadDir)) ? skadDir : null;
+
+  if (!target) {
+    if (!projectSkadDir) {
+      throw new Error(`No SKAD installation found at ${skadDir}. Pass a path to validate module sources instead.`);
+    }
+    return { dir: projectSkadDir, installed: true };
+  }
+
+  const dir = path.resolve(target);
+  if (await fs.pathExists(path.join(dir, '_config', 'manifest.yaml'))) {
+    return { dir, installed: true };
+  }
+  const nested = await installer.findSkadDir(dir);
+  if (await fs.pathExists(path.join(nested.skadDir, '_config', 'manifest.yaml'))) {
+    return { dir: nested.skadDir, installed: true };
+  }
+  return { dir, installed: false, skadDir: projectSkadDir };
+}
+
+/**
+ * Print findings grouped by file
+ * @param {Object} result - Result of ContentValidator.validate()
+ */
+async function printText(result) {
+  const byFile = new Map();
+  for (const finding of result.findings) {
+    const file = validator.relative(result.root, finding.file);
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(`  ${String(finding.line).padStart(4)}  ${finding.severity.padEnd(7)}  ${finding.message}  [${finding.rule}]`);
+  }
+
+  await prompts.log.info(`Validated ${result.filesChecked} files in ${result.root}`);
+  for (const [file, lines] of byFile) {
+    await prompts.log.message(`${file}\n${lines.join('\n')}`);
+  }
+}
+
+/**
+ * Render a report for a file or for machine consumers
+ * @param {Object} result - Result of ContentValidator.validate()
+ * @param {string} format - text, json or sarif
+ * @param {Object} counts - {errors, warnings}
+ * @returns {string}
+ */
+function formatReport(result, format, { errors, warnings }) {
+  if (format === 'sarif') {
+    return JSON.stringify(validator.toSarif(result), null, 2) + '\n';
+  }
+
+  const findings = result.findings.map((f) => ({ ...f, file: validator.relative(result.root, f.file) }));
+  if (format === 'text') {
+    return findings.map((f) => `${f.file}:${f.line}: ${f.severity}: ${f.message} [${f.rule}]\n`).join('');
+  }
+  return (
+    JSON.stringify(
+      { root: result.root, installed: result.installed, filesChecked: result.filesChecked, errors, warnings, findings },
+      null,
+      2,
+    ) + '\n'
+  );
+}
+
+module.exports = {
+  command: 'validate [path]',
+  description: 'Check agents, file references and skill manifests in an installation or in custom module sources',
+  options: [
+    ['--directory <path>', 'Project directory whose installation is validated when no path is given (default: current directory)'],
+    ['--format <format>', 'Output format: text, json or sarif (default: text)'],
+    ['--output <file>', 'Write the report to a file instead of the terminal'],
+    ['--strict', 'Exit with an error on warnings too'],
+  ],
+  action: async (target, options) => {
+    try {
+      const format = options.format || 'text';
+      if (!FORMATS.includes(format)) {
+        throw new Error(`--format must be one of ${FORMATS.join(', ')}, got "${format}"`);
+      }
+
+      const projectDir = await Workspace.resolveProjectDir(options.directory || process.cwd());
+      const { dir, installed, skadDir } = await resolveTarget(target, projectDir);
+      const result = await validator.validate(dir, { installed, skadDir });
+
+      const errors = result.findings.filter((f) => f.severity === 'error').length;
+      const warnings = result.findings.length - errors;
+
+      if (format === 'text' && !options.output) {
+        await printText(result);
+      } else {
+        const output = formatReport(result, format, { errors, warnings });
+        if (options.output) {
+          const outputPath = path.resolve(options.output);
+          await fs.outputFile(outputPath, output);
+          await prompts.log.info(`Report written to ${outputPath}`);
+        } else {
+          process.stdout.write(output);
+        }
+      }
+
+      const failed = errors > 0 || (options.strict && warnings > 0);
+      if (format === 'text' || options.output) {
+        const summary = `${errors} error(s), ${warnings} warning(s)`;
+        await (failed ? prompts.log.error(summary) : prompts.log.success(result.findings.length > 0 ? summary : 'No problems found'));
+      }
+      process.exit(failed ? 1 : 0);
+    } catch (error) {
+      await prompts.log.error(`Validate failed: ${error.message}`);
+      if (process.env.SKAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
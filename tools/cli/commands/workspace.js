@@ -0,0 +1,76 @@
+const path = require('node:path');
+const prompts = require('../lib/prompts');
+const { Workspace, PACKAGE_FILE } = require('../installers/lib/core/workspace');
+const { findInstalledSkadDir } = require('../lib/module-commands');
+
+const ACTIONS = ['add', 'remove', 'list', 'sync'];
+
+module.exports = {
+  command: 'workspace <action> [paths...]',
+  description: 'Share one installation between the packages of a monorepo (action: add, remove, list, sync)',
+  options: [['--directory <path>', 'Workspace root or a folder inside it (default: current directory)']],
+  action: async (action, paths, options) => {
+    try {
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`Unknown action "${action}". Use one of: ${ACTIONS.join(', ')}`);
+      }
+
+      // Packages are added from inside them before they belong to the workspace, so use the nearest installation
+      const skadDir = findInstalledSkadDir(options.directory || process.cwd());
+      if (!skadDir) {
+        throw new Error('No SKAD installation found here or in a parent folder. Install at the workspace root first.');
+      }
+      const projectDir = path.dirname(skadDir);
+      const workspace = new Workspace(projectDir);
+
+      if ((action === 'add' || action === 'remove') && (!paths || paths.length === 0)) {
+        throw new Error(`No package paths given. Usage: skad workspace ${action} <path...>`);
+      }
+
+      switch (action) {
+        case 'add': {
+          for (const packagePath of paths) {
+            const result = await workspace.addPackage(path.resolve(packagePath));
+            await (result.added
+              ? prompts.log.success(`Added ${result.package}`)
+              : prompts.log.info(`${result.package} is already a package`));
+            if (result.overlayCreated) {
+              await prompts.log.message(`  Created ${result.package}/${PACKAGE_FILE} for package settings`);
+            }
+          }
+          break;
+        }
+        case 'remove': {
+          for (const packagePath of paths) {
+            const relativeDir = workspace.relativePackagePath(path.resolve(packagePath));
+            const removed = await workspace.removePackage(path.resolve(packagePath));
+            await (removed ? prompts.log.success(`Removed ${relativeDir}`) : prompts.log.warn(`${relativeDir} is not a package`));
+          }
+          break;
+        }
+        case 'list': {
+          const packages = await workspace.packages();
+          if (packages.length === 0) {
+            await prompts.log.info('No workspace packages. Add one with: skad workspace add <path>');
+          } else {
+            await prompts.log.info(`Workspace root: ${projectDir}`);
+            await prompts.log.message(packages.map((pkg) => `  ${pkg}`).join('\n'));
+          }
+          process.exit(0);
+          return;
+        }
+        // No default: sync only regenerates
+      }
+
+      const synced = await workspace.sync();
+      await prompts.log.success(`Workspace configs up to date (${synced.length} package${synced.length === 1 ? '' : 's'})`);
+      process.exit(0);
+    } catch (error) {
+      await prompts.log.error(`Workspace ${action} failed: ${error.message}`);
+      if (process.env.SKAD_DEBUG) {
+        await prompts.log.message(error.stack);
+      }
+      process.exit(1);
+    }
+  },
+};
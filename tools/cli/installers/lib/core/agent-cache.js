@@ -0,0 +1,153 @@
+const path = require('node:path');
+const crypto = require('node:crypto');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { getProjectRoot, getSourcePath } = require('../../../lib/project-root');
+const { COMPILER_VERSION } = require('../../../lib/agent/compiler');
+
+const AGENT_CACHE_FILE = path.join('_config', 'agent-cache.yaml');
+const NO_CACHE_ENV = 'SKAD_NO_CACHE';
+
+let fragmentsHash = null;
+
+/**
+ * Compiled-agent cache, kept in _skad/_config/agent-cache.yaml so quick updates and
+ * agent recompiles skip agents whose inputs have not changed.
+ *
+ * An agent's key hashes everything its output depends on: the agent YAML merged with
+ * the agents it extends, its customize answers, the activation fragments in
+ * src/utility/agent-components, and the compiler and package versions. An agent is
+ * skipped only when its key matches and every file it wrote is still there unchanged.
+ *
+ * --no-cache (SKAD_NO_CACHE=true) compiles everything but still records the results.
+ *
+ * @example
+ * const cache = new AgentCompileCache(skadDir);
+ * await cache.load();
+ * const key = await AgentCompileCache.key({ agent, answers });
+ * if (!(await cache.isFresh('bmm/pm.agent.yaml', key))) {
+ *   // compile, write outputs
+ *   await cache.record('bmm/pm.agent.yaml', key, [targetMdPath]);
+ * }
+ * await cache.save();
+ */
+class AgentCompileCache {
+  /**
+   * @param {string} skadDir - SKAD installation directory
+   */
+  constructor(skadDir) {
+    this.skadDir = skadDir;
+    this.cachePath = path.join(skadDir, AGENT_CACHE_FILE);
+    this.entries = {};
+    this.enabled = process.env[NO_CACHE_ENV] !== 'true';
+    this.changed = false;
+  }
+
+  /**
+   * Hash of the activation fragments every compiled agent includes
+   * @returns {Promise<string>}
+   */
+  static async fragmentsHash() {
+    if (!fragmentsHash) {
+      const hash = crypto.createHash('sha256');
+      const fragmentsDir = getSourcePath('utility', 'agent-components');
+      for (const file of (await fs.readdir(fragmentsDir)).sort()) {
+        hash
+          .update(file)
+          .update('\0')
+          .update(await fs.readFile(path.join(fragmentsDir, file)));
+      }
+      fragmentsHash = hash.digest('hex');
+    }
+    return fragmentsHash;
+  }
+
+  /**
+   * Cache key for one agent
+   * @param {Object} inputs - Everything the output depends on besides the fragments and versions
+   *   (e.g. {agent, answers, emitters}); must be JSON-serializable
+   * @returns {Promise<string>}
+   */
+  static async key(inputs) {
+    const packageVersion = require(path.join(getProjectRoot(), 'package.json')).version;
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ compiler: COMPILER_VERSION, package: packageVersion, fragments: await AgentCompileCache.fragmentsHash() }))
+      .update('\0')
+      .update(JSON.stringify(inputs))
+      .digest('hex');
+  }
+
+  /**
+   * Read the cache file (a missing or unreadable file is an empty cache)
+   */
+  async load() {
+    try {
+      this.entries = yaml.parse(await fs.readFile(this.cachePath, 'utf8'))?.agents || {};
+    } catch {
+      this.entries = {};
+    }
+  }
+
+  /**
+   * Whether an agent's recorded outputs are current
+   * @param {string} id - Agent id (<module>/<path inside agents/>)
+   * @param {string} key - From AgentCompileCache.key()
+   * @returns {Promise<boolean>}
+   */
+  async isFresh(id, key) {
+    const entry = this.entries[id];
+    if (!this.enabled || !entry || entry.key !== key) {
+      return false;
+    }
+    for (const [relativePath, hash] of Object.entries(entry.outputs || {})) {
+      const outputPath = path.join(this.skadDir, relativePath);
+      if (!(await fs.pathExists(outputPath)) || (await this.hashFile(outputPath)) !== hash) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Record an agent's key and the files compiled from it
+   * @param {string} id - Agent id
+   * @param {string} key - From AgentCompileCache.key()
+   * @param {Array<string>} outputPaths - Absolute paths of the files written
+   */
+  async record(id, key, outputPaths) {
+    const outputs = {};
+    for (const outputPath of outputPaths) {
+      outputs[path.relative(this.skadDir, outputPath).replaceAll('\\', '/')] = await this.hashFile(outputPath);
+    }
+    this.entries[id] = { key, outputs };
+    this.changed = true;
+  }
+
+  /**
+   * Write the cache file when anything was recorded
+   */
+  async save() {
+    if (!this.changed) return;
+    const sorted = Object.fromEntries(Object.entries(this.entries).sort(([a], [b]) => a.localeCompare(b)));
+    await fs.outputFile(
+      this.cachePath,
+      `# Compiled-agent cache. Safe to delete; "skad install --no-cache" ignores it.\n${yaml.stringify({ agents: sorted })}`,
+    );
+    this.changed = false;
+  }
+
+  /**
+   * SHA-256 of a file
+   * @param {string} filePath - File to hash
+   * @returns {Promise<string>}
+   */
+  async hashFile(filePath) {
+    return crypto
+      .createHash('sha256')
+      .update(await fs.readFile(filePath))
+      .digest('hex');
+  }
+}
+
+module.exports = { AgentCompileCache, AGENT_CACHE_FILE, NO_CACHE_ENV };
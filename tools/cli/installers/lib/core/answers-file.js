@@ -0,0 +1,91 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+
+/**
+ * Answers to module config prompts supplied up front, for unattended installs.
+ *
+ * An answers file is keyed by module code, then by the config key from module.yaml:
+ *
+ *   core:
+ *     user_name: Ada
+ *   bmm:
+ *     user_skill_level: expert
+ *
+ * Any single answer can also come from an environment variable named
+ * SKAD_<MODULE>_<KEY> (upper case, non-alphanumerics as underscores), e.g.
+ * SKAD_BMM_USER_SKILL_LEVEL=expert. Environment variables win over files.
+ */
+
+const ANSWERS_ENV_PREFIX = 'SKAD_';
+
+/**
+ * Environment variable name that answers a config key
+ * @param {string} moduleName - Module code
+ * @param {string} key - Config key
+ * @returns {string}
+ */
+function envAnswerName(moduleName, key) {
+  return `${ANSWERS_ENV_PREFIX}${moduleName}_${key}`.toUpperCase().replaceAll(/[^A-Z0-9_]/g, '_');
+}
+
+/**
+ * Read and validate an answers file
+ * @param {string} filePath - Path to the YAML answers file
+ * @returns {Promise<Object>} Module code to {key: value}
+ */
+async function loadAnswersFile(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  if (!(await fs.pathExists(resolvedPath))) {
+    throw new Error(`Answers file not found: ${resolvedPath}`);
+  }
+
+  let data;
+  try {
+    data = yaml.parse(await fs.readFile(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse ${resolvedPath}: ${error.message}`);
+  }
+
+  data = data || {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new TypeError(`${resolvedPath}: expected a mapping of module codes to answers`);
+  }
+  for (const [moduleName, answers] of Object.entries(data)) {
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      throw new Error(`${resolvedPath}: answers for "${moduleName}" must be a mapping of config keys to values`);
+    }
+    for (const [key, value] of Object.entries(answers)) {
+      const isList = Array.isArray(value) && value.every((v) => v === null || typeof v !== 'object');
+      if (value === null || (typeof value === 'object' && !isList)) {
+        throw new Error(`${resolvedPath}: ${moduleName}.${key} must be a string, number, boolean or list`);
+      }
+    }
+  }
+  return data;
+}
+
+/**
+ * Answers for known keys of one module from environment variables
+ * @param {Object} env - Environment (usually process.env)
+ * @param {string} moduleName - Module code
+ * @param {Array<string>} keys - Config keys the module asks for
+ * @returns {Object} {answers: {key: value}, unknown: [variable names]}
+ */
+function readEnvAnswers(env, moduleName, keys) {
+  const answers = {};
+  const known = new Set();
+  for (const key of keys) {
+    const name = envAnswerName(moduleName, key);
+    known.add(name);
+    if (env[name] !== undefined) {
+      answers[key] = env[name];
+    }
+  }
+
+  const prefix = envAnswerName(moduleName, '');
+  const unknown = Object.keys(env).filter((name) => name.startsWith(prefix) && !known.has(name));
+  return { answers, unknown };
+}
+
+module.exports = { ANSWERS_ENV_PREFIX, envAnswerName, loadAnswersFile, readEnvAnswers };
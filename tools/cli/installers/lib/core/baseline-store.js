@@ -0,0 +1,127 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const { Manifest } = require('./manifest');
+const { Doctor } = require('./doctor');
+
+const BASELINE_FOLDER = path.join('_config', 'baseline');
+
+// Text formats an update can three-way merge; edits to anything else fall back to a .bak copy
+const EDITABLE_EXTENSIONS = new Set(['.md', '.xml', '.yaml', '.yml', '.csv', '.json', '.txt']);
+
+// Installer metadata next to the content, read by the IDE generators rather than edited
+const INSTALLER_FILES = new Set(['skad-skill-manifest.yaml']);
+
+/**
+ * Pristine copies of installed files, kept in _skad/_config/baseline/ so an update can
+ * three-way merge a user's edits with the new upstream version of a file.
+ *
+ * Only text files copied from module sources that a user can edit are kept: generated
+ * config, _memory sidecars, installer metadata and binary files are skipped.
+ *
+ * @example
+ * const baselines = new BaselineStore(skadDir);
+ * const base = await baselines.read('core/tasks/help.md');
+ * await baselines.save(await new Doctor().readFilesManifest(skadDir));
+ */
+class BaselineStore {
+  /**
+   * @param {string} skadDir - SKAD installation directory
+   */
+  constructor(skadDir) {
+    this.skadDir = skadDir;
+    this.baselineDir = path.join(skadDir, BASELINE_FOLDER);
+    this.manifest = new Manifest();
+    this.doctor = new Doctor();
+  }
+
+  /**
+   * Whether a files-manifest path gets a baseline
+   * @param {string} relativePath - POSIX path relative to the skad directory
+   * @returns {boolean}
+   */
+  isTracked(relativePath) {
+    return (
+      !this.doctor.isGeneratedFile(relativePath) &&
+      !relativePath.startsWith('_memory/') &&
+      EDITABLE_EXTENSIONS.has(path.posix.extname(relativePath).toLowerCase()) &&
+      !INSTALLER_FILES.has(path.posix.basename(relativePath))
+    );
+  }
+
+  /**
+   * Read the baseline of an installed file
+   * @param {string} relativePath - Path relative to the skad directory
+   * @returns {Promise<string|null>} Baseline content, or null when there is none
+   */
+  async read(relativePath) {
+    const baselinePath = path.join(this.baselineDir, relativePath);
+    if (!(await fs.pathExists(baselinePath))) {
+      return null;
+    }
+    return fs.readFile(baselinePath, 'utf8');
+  }
+
+  /**
+   * Record the installed files as the new baselines
+   * Files whose content no longer matches their manifest hash keep their previous baseline,
+   * and baselines of files that are no longer installed are removed.
+   * @param {Array} filesManifest - Entries from files-manifest.csv
+   * @returns {Promise<number>} Number of baselines written
+   */
+  async save(filesManifest) {
+    const kept = new Set();
+    let written = 0;
+
+    for (const entry of filesManifest) {
+      if (!entry.path || !entry.hash) continue;
+      const relativePath = entry.path.replaceAll('\\', '/');
+      if (!this.isTracked(relativePath)) continue;
+
+      const filePath = path.join(this.skadDir, relativePath);
+      if (!(await fs.pathExists(filePath))) continue;
+      kept.add(relativePath);
+
+      if ((await this.manifest.calculateFileHash(filePath)) !== entry.hash) continue;
+      const baselinePath = path.join(this.baselineDir, relativePath);
+      await fs.ensureDir(path.dirname(baselinePath));
+      await fs.copy(filePath, baselinePath, { overwrite: true });
+      written++;
+    }
+
+    await this.prune(this.baselineDir, kept);
+    return written;
+  }
+
+  /**
+   * Remove every baseline of a module
+   * @param {string} moduleName - Module code
+   */
+  async removeModule(moduleName) {
+    await fs.remove(path.join(this.baselineDir, moduleName));
+  }
+
+  /**
+   * Remove baselines of files that are no longer installed, and directories left empty
+   * @param {string} dir - Baseline directory to scan
+   * @param {Set<string>} kept - Relative paths to keep
+   */
+  async prune(dir, kept) {
+    if (!(await fs.pathExists(dir))) {
+      return;
+    }
+
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await this.prune(fullPath, kept);
+        if ((await fs.readdir(fullPath)).length === 0) {
+          await fs.remove(fullPath);
+        }
+      } else if (!kept.has(path.relative(this.baselineDir, fullPath).replaceAll('\\', '/'))) {
+        await fs.remove(fullPath);
+      }
+    }
+  }
+}
+
+module.exports = { BaselineStore, BASELINE_FOLDER };
@@ -4,6 +4,7 @@ const yaml = require('yaml');
 const { getProjectRoot, getModulePath } = require('../../../lib/project-root');
 const { CLIUtils } = require('../../../lib/cli-utils');
 const prompts = require('../../../lib/prompts');
+const { envAnswerName } = require('./answers-file');
 
 class ConfigCollector {
   constructor() {
@@ -11,6 +12,12 @@ class ConfigCollector {
     this.existingConfig = null;
     this.currentProjectDir = null;
     this._moduleManagerInstance = null;
+    // Answers supplied up front ({module: {key: value}}), used instead of prompting
+    this.presetAnswers = {};
+    this._usedPresetAnswers = new Set();
+    // SKAD_<MODULE>_<KEY> variables answer prompts too, and win over preset answers
+    this.env = process.env;
+    this._configuredModules = new Set();
   }
 
   /**
@@ -328,6 +335,12 @@ class ConfigCollector {
       }
     }
 
+    // A preset answer that matched no prompt is a typo or a module that isn't being installed
+    const unusedAnswers = this.getUnusedPresetAnswers();
+    if (unusedAnswers.length > 0) {
+      throw new Error(`Unknown config answers: ${unusedAnswers.join(', ')}`);
+    }
+
     // Add metadata
     this.collectedConfig._meta = {
       version: require(path.join(getProjectRoot(), 'package.json')).version,
@@ -409,6 +422,7 @@ class ConfigCollector {
 
     // Compare schema with existing config to find new/missing fields
     const configKeys = Object.keys(moduleConfig).filter((key) => key !== 'prompt');
+    this._configuredModules.add(moduleName);
     const existingKeys = this.existingConfig && this.existingConfig[moduleName] ? Object.keys(this.existingConfig[moduleName]) : [];
 
     // Check if this module has no configuration keys at all (like CIS)
@@ -432,6 +446,12 @@ class ConfigCollector {
       return item && typeof item === 'object' && item.prompt && !existingKeys.includes(key);
     });
 
+    // Existing fields answered up front are set again with the new answer
+    const answeredKeys = configKeys.filter((key) => {
+      const item = moduleConfig[key];
+      return item && typeof item === 'object' && item.prompt && !newKeys.includes(key) && this.hasPresetAnswer(moduleName, key);
+    });
+
     // Find new static fields (without prompt, just result)
     const newStaticKeys = configKeys.filter((key) => {
       const item = moduleConfig[key];
@@ -439,7 +459,7 @@ class ConfigCollector {
     });
 
     // If in silent mode and no new keys (neither interactive nor static), use existing config and skip prompts
-    if (silentMode && newKeys.length === 0 && newStaticKeys.length === 0) {
+    if (silentMode && newKeys.length === 0 && newStaticKeys.length === 0 && answeredKeys.length === 0) {
       if (this.existingConfig && this.existingConfig[moduleName]) {
         if (!this.collectedConfig[moduleName]) {
           this.collectedConfig[moduleName] = {};
@@ -480,15 +500,17 @@ class ConfigCollector {
     }
 
     // If we have new fields (interactive or static), process them
-    if (newKeys.length > 0 || newStaticKeys.length > 0) {
+    if (newKeys.length > 0 || newStaticKeys.length > 0 || answeredKeys.length > 0) {
       const questions = [];
       const staticAnswers = {};
 
       // Build questions for interactive fields
-      for (const key of newKeys) {
+      for (const key of [...newKeys, ...answeredKeys]) {
         const item = moduleConfig[key];
         const question = await this.buildQuestion(moduleName, key, item, moduleConfig);
-        if (question) {
+        if (question && Object.hasOwn(question, 'presetAnswer')) {
+          staticAnswers[question.name] = question.presetAnswer;
+        } else if (question) {
           questions.push(question);
         }
       }
@@ -509,8 +531,8 @@ class ConfigCollector {
 
         // Merge prompted answers with static answers
         Object.assign(allAnswers, promptedAnswers);
-      } else if (newStaticKeys.length > 0) {
-        // Only static fields, no questions - show no config message
+      } else if (newStaticKeys.length > 0 || answeredKeys.length > 0) {
+        // Only static or answered fields, no questions - show no config message
         await prompts.log.message(`  \u2713 ${moduleName.toUpperCase()} module configuration updated`);
       }
 
@@ -559,7 +581,122 @@ class ConfigCollector {
 
     await this.displayModulePostConfigNotes(moduleName, moduleConfig);
 
-    return newKeys.length > 0 || newStaticKeys.length > 0; // Return true if we had any new fields (interactive or static)
+    return newKeys.length > 0 || newStaticKeys.length > 0 || answeredKeys.length > 0; // Return true if any field was set (interactive, static or answered)
+  }
+
+  /**
+   * Supply answers up front so the matching prompts are skipped
+   * @param {Object} answers - Module name to {key: value}
+   */
+  setPresetAnswers(answers) {
+    this.presetAnswers = answers || {};
+    this._usedPresetAnswers = new Set();
+    this._configuredModules = new Set();
+  }
+
+  /**
+   * Check whether an answer was supplied up front for a config key
+   * @param {string} moduleName - Module name
+   * @param {string} key - Config key
+   * @returns {boolean}
+   */
+  hasPresetAnswer(moduleName, key) {
+    if (this.env?.[envAnswerName(moduleName, key)] !== undefined) {
+      return true;
+    }
+    const moduleAnswers = this.presetAnswers?.[moduleName];
+    return Boolean(moduleAnswers) && Object.prototype.hasOwnProperty.call(moduleAnswers, key);
+  }
+
+  /**
+   * Validate and consume a preset answer
+   * @param {string} moduleName - Module name
+   * @param {string} key - Config key
+   * @param {Object} question - Question built by buildQuestion
+   * @returns {*} Validated answer
+   */
+  takePresetAnswer(moduleName, key, question) {
+    this._usedPresetAnswers.add(`${moduleName}.${key}`);
+    const envName = envAnswerName(moduleName, key);
+    const fromEnv = this.env?.[envName] !== undefined;
+    try {
+      return this.validateAnswer(question, fromEnv ? this.env[envName] : this.presetAnswers[moduleName][key]);
+    } catch (error) {
+      throw new Error(`${fromEnv ? envName : `${moduleName}.${key}`}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Preset answers that didn't match any prompt of the configured modules
+   * Environment variables are only checked for modules that were configured, since
+   * SKAD_* is shared with other settings (SKAD_DEBUG) and modules that aren't installed.
+   * @returns {Array<string>} Keys as "module.key", and unused variable names
+   */
+  getUnusedPresetAnswers() {
+    const unused = [];
+    for (const [moduleName, moduleAnswers] of Object.entries(this.presetAnswers || {})) {
+      for (const key of Object.keys(moduleAnswers || {})) {
+        if (!this._usedPresetAnswers.has(`${moduleName}.${key}`)) {
+          unused.push(`${moduleName}.${key}`);
+        }
+      }
+    }
+
+    const usedNames = new Set([...this._usedPresetAnswers].map((answer) => envAnswerName(...answer.split('.'))));
+    const prefixes = [...this._configuredModules].map((moduleName) => envAnswerName(moduleName, ''));
+    for (const name of Object.keys(this.env || {})) {
+      if (usedNames.has(name)) continue;
+      // SKAD_BMM_EXT_KEY belongs to a configured bmm-ext rather than to bmm
+      const owner = prefixes.filter((prefix) => name.startsWith(prefix)).sort((a, b) => b.length - a.length)[0];
+      if (owner && name.length > owner.length) {
+        unused.push(name);
+      }
+    }
+    return unused;
+  }
+
+  /**
+   * Check an answer given outside a prompt against what the prompt would accept
+   * Strings are converted the way the prompt would (comma lists for multi-select, yes/no for confirms).
+   * @param {Object} question - Question built by buildQuestion
+   * @param {*} value - Answer
+   * @returns {*} Answer typed for the question
+   */
+  validateAnswer(question, value) {
+    const allowed = (question.choices || []).map((choice) => choice.value);
+
+    switch (question.type) {
+      case 'list': {
+        const answer = String(value);
+        if (!allowed.includes(answer)) {
+          throw new Error(`Invalid value "${answer}". Allowed values: ${allowed.join(', ')}`);
+        }
+        return answer;
+      }
+      case 'checkbox': {
+        const values = (Array.isArray(value) ? value : String(value).split(',')).map((v) => String(v).trim()).filter(Boolean);
+        const invalid = values.filter((v) => !allowed.includes(v));
+        if (invalid.length > 0) {
+          throw new Error(`Invalid value(s) ${invalid.join(', ')}. Allowed values: ${allowed.join(', ')}`);
+        }
+        const validation = question.validate ? question.validate(values) : true;
+        if (validation !== true) throw new Error(validation);
+        return values;
+      }
+      case 'confirm': {
+        if (typeof value === 'boolean') return value;
+        const answer = String(value).toLowerCase();
+        if (['true', 'yes', 'y', '1'].includes(answer)) return true;
+        if (['false', 'no', 'n', '0'].includes(answer)) return false;
+        throw new Error(`Invalid value "${value}". Expected true or false`);
+      }
+      default: {
+        const answer = String(value);
+        const validation = question.validate ? question.validate(answer) : true;
+        if (validation !== true) throw new Error(validation);
+        return answer;
+      }
+    }
   }
 
   /**
@@ -700,6 +837,7 @@ class ConfigCollector {
     const questions = [];
     const staticAnswers = {};
     const configKeys = Object.keys(moduleConfig).filter((key) => key !== 'prompt');
+    this._configuredModules.add(moduleName);
 
     for (const key of configKeys) {
       const item = moduleConfig[key];
@@ -719,7 +857,10 @@ class ConfigCollector {
       // Handle interactive values (with prompt)
       if (item.prompt) {
         const question = await this.buildQuestion(moduleName, key, item, moduleConfig);
-        if (question) {
+        if (question && Object.hasOwn(question, 'presetAnswer')) {
+          // Preset answers are processed like static answers, through the result template
+          staticAnswers[question.name] = question.presetAnswer;
+        } else if (question) {
           questions.push(question);
         }
       }
@@ -1203,6 +1344,11 @@ class ConfigCollector {
       };
     }
 
+    // Answers supplied up front replace the prompt; they are validated like typed input
+    if (this.hasPresetAnswer(moduleName, key)) {
+      question.presetAnswer = this.takePresetAnswer(moduleName, key, question);
+    }
+
     return question;
   }
 
@@ -0,0 +1,336 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { ConfigCollector } = require('./config-collector');
+const { IdeConfigManager } = require('./ide-config-manager');
+const { Manifest } = require('./manifest');
+const { GlobalInstall } = require('./global-install');
+const { Workspace, PACKAGE_FILE } = require('./workspace');
+const { IdeManager } = require('../ide/manager');
+const { ModuleManager } = require('../modules/manager');
+const { getSourcePath } = require('../../../lib/project-root');
+
+// Top-level module.yaml keys that describe the module rather than a config value
+const METADATA_KEYS = new Set(['code', 'name', 'description', 'header', 'subheader', 'default_selected', 'directories', 'wds_folders']);
+
+/**
+ * Reads and writes installed module config values for `skad config`.
+ * Values are validated against the prompt definitions in each module's module.yaml
+ * (single-select and multi-select options, regex and required) and stored through the
+ * same result templates the installer uses, so `set` produces what a reinstall would.
+ *
+ * @example
+ * const editor = new ConfigEditor(installer);
+ * const change = await editor.set(projectDir, 'bmm', 'user_skill_level', 'expert');
+ */
+class ConfigEditor {
+  /**
+   * @param {Installer} installer - Installer used to regenerate config files, agents and IDE skills
+   */
+  constructor(installer) {
+    this.installer = installer;
+    this.configCollector = new ConfigCollector();
+    // Values are given explicitly here; SKAD_<MODULE>_<KEY> answers only apply to installs
+    this.configCollector.env = {};
+    this.ideConfigManager = new IdeConfigManager();
+    this.ideManager = new IdeManager();
+    this.manifest = new Manifest();
+    this.moduleManager = new ModuleManager();
+  }
+
+  /**
+   * Load the installed config of every module
+   * @param {string} projectDir - Project root directory
+   * @param {string} [cwd] - Directory the command runs in; inside a workspace package its config copies are read
+   * @returns {Promise<{skadDir: string, configs: Object}>} Module name to config values
+   */
+  async load(projectDir, cwd = null) {
+    const { skadDir } = await this.installer.findSkadDir(projectDir);
+    if (!(await fs.pathExists(path.join(skadDir, '_config', 'manifest.yaml')))) {
+      throw new Error(`No SKAD installation found at ${skadDir}`);
+    }
+
+    await this.configCollector.loadExistingConfig(projectDir);
+    const configs = { ...this.configCollector.existingConfig };
+    if (cwd) {
+      for (const moduleName of Object.keys(configs)) {
+        const configPath = await Workspace.resolveModuleConfig(moduleName, cwd);
+        if (path.dirname(path.dirname(configPath)) !== skadDir) {
+          configs[moduleName] = yaml.parse(await fs.readFile(configPath, 'utf8')) || {};
+        }
+      }
+    }
+    return { skadDir, configs };
+  }
+
+  /**
+   * Load a module's module.yaml from its source (or the custom module cache)
+   * @param {string} moduleName - Module code
+   * @param {string} skadDir - SKAD installation directory
+   * @returns {Promise<Object|null>} Parsed module.yaml, or null when the source isn't available
+   */
+  async loadSchema(moduleName, skadDir) {
+    const candidates = [path.join(skadDir, '_config', 'custom', moduleName)];
+    if (moduleName === 'core') {
+      candidates.push(getSourcePath('core'));
+    } else {
+      const sourcePath = await this.moduleManager.findModuleSource(moduleName, { silent: true });
+      if (sourcePath) candidates.push(sourcePath);
+    }
+
+    for (const candidate of candidates) {
+      const schemaPath = path.join(candidate, 'module.yaml');
+      if (await fs.pathExists(schemaPath)) {
+        return yaml.parse(await fs.readFile(schemaPath, 'utf8'));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List config values of installed modules
+   * Core values that the installer copies into every module's config.yaml are only listed under core.
+   * @param {string} projectDir - Project root directory
+   * @param {string} [onlyModule] - Limit the listing to one module
+   * @param {string} [cwd] - Directory the command runs in (see load())
+   * @returns {Promise<Array>} [{module, key, value, settable, options}]
+   */
+  async list(projectDir, onlyModule = null, cwd = null) {
+    const { skadDir, configs } = await this.load(projectDir, cwd);
+    if (onlyModule && !configs[onlyModule]) {
+      throw new Error(`Module '${onlyModule}' is not installed`);
+    }
+
+    const coreKeys = new Set(Object.keys(configs.core || {}));
+    const entries = [];
+
+    for (const [moduleName, values] of Object.entries(configs)) {
+      if (onlyModule && moduleName !== onlyModule) continue;
+      const schema = (await this.loadSchema(moduleName, skadDir)) || {};
+
+      for (const [key, value] of Object.entries(values)) {
+        if (moduleName !== 'core' && coreKeys.has(key) && !schema[key]) continue;
+        const item = this.getItem(schema, key);
+        entries.push({
+          module: moduleName,
+          key,
+          value,
+          settable: Boolean(item?.prompt),
+          options: this.getOptions(item),
+        });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Read one config value
+   * @param {string} projectDir - Project root directory
+   * @param {string} moduleName - Module code
+   * @param {string} key - Config key
+   * @param {string} [cwd] - Directory the command runs in (see load())
+   * @returns {Promise<*>} Stored value
+   */
+  async get(projectDir, moduleName, key, cwd = null) {
+    const { configs } = await this.load(projectDir, cwd);
+    if (!configs[moduleName]) {
+      throw new Error(`Module '${moduleName}' is not installed`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(configs[moduleName], key)) {
+      throw new Error(`Unknown config key: ${moduleName}.${key}`);
+    }
+    return configs[moduleName][key];
+  }
+
+  /**
+   * Installed values as the answers that would reproduce them
+   * Only settable keys are included; stored values are turned back into the raw answer
+   * by undoing the key's result template (e.g. "{project-root}/docs" becomes "docs").
+   * @param {string} projectDir - Project root directory
+   * @returns {Promise<Object>} Module name to {key: answer}
+   */
+  async answers(projectDir) {
+    const { skadDir, configs } = await this.load(projectDir);
+    const coreKeys = new Set(Object.keys(configs.core || {}));
+    const answers = {};
+
+    for (const [moduleName, values] of Object.entries(configs)) {
+      const schema = (await this.loadSchema(moduleName, skadDir)) || {};
+      for (const [key, value] of Object.entries(values)) {
+        if (moduleName !== 'core' && coreKeys.has(key) && !schema[key]) continue;
+        const item = this.getItem(schema, key);
+        if (!item?.prompt) continue;
+        answers[moduleName] = answers[moduleName] || {};
+        answers[moduleName][key] = this.toAnswer(item, value);
+      }
+    }
+
+    return answers;
+  }
+
+  /**
+   * Undo a result template to recover the answer a stored value came from
+   * @param {Object} item - Prompt definition
+   * @param {*} value - Stored value
+   * @returns {*} Answer
+   */
+  toAnswer(item, value) {
+    if (typeof value !== 'string') return value;
+
+    const template = typeof item.result === 'string' ? item.result : '{value}';
+    const parts = template.split('{value}');
+    if (parts.length === 2 && value.startsWith(parts[0]) && value.endsWith(parts[1])) {
+      return value.slice(parts[0].length, value.length - parts[1].length);
+    }
+    return value.replace(/^\{project-root\}\//, '');
+  }
+
+  /**
+   * Validate a value for a config key and build the value that would be stored
+   * @param {string} projectDir - Project root directory
+   * @param {string} moduleName - Module code
+   * @param {string} key - Config key
+   * @param {string} input - Value as typed on the command line
+   * @returns {Promise<{skadDir, configs, from, to}>} Current configs, the old value and the stored form of the new one
+   */
+  async prepare(projectDir, moduleName, key, input) {
+    const { skadDir, configs } = await this.load(projectDir);
+    if (!configs[moduleName]) {
+      throw new Error(`Module '${moduleName}' is not installed`);
+    }
+
+    const schema = await this.loadSchema(moduleName, skadDir);
+    if (!schema) {
+      throw new Error(`Source for module '${moduleName}' is not available, so its config cannot be validated`);
+    }
+
+    const item = this.getItem(schema, key);
+    if (!item) {
+      const known = Object.keys(schema).filter((k) => this.getItem(schema, k)?.prompt);
+      throw new Error(`Unknown config key: ${moduleName}.${key}. Settable keys: ${known.join(', ') || 'none'}`);
+    }
+    if (!item.prompt) {
+      throw new Error(`${moduleName}.${key} is computed by the installer and cannot be set`);
+    }
+
+    // Let result templates and defaults resolve references to other installed values
+    const collector = this.configCollector;
+    collector.currentProjectDir = projectDir;
+    collector.collectedConfig = structuredClone(configs);
+    collector.allAnswers = {};
+    for (const [mod, values] of Object.entries(configs)) {
+      for (const [k, v] of Object.entries(values)) {
+        collector.allAnswers[`${mod}_${k}`] = typeof v === 'string' ? v.replace(/^\{project-root\}\//, '') : v;
+      }
+    }
+
+    const question = await collector.buildQuestion(moduleName, key, item, schema);
+    const value = collector.validateAnswer(question, String(input));
+
+    let to = value;
+    if (!Array.isArray(value) && item.result) {
+      to = collector.processResultTemplate(item.result, value);
+    }
+
+    return { skadDir, configs, from: configs[moduleName][key], to };
+  }
+
+  /**
+   * Change a config value and regenerate what depends on it
+   * Writes the module's config.yaml (every module's for core values, which are copied into each one),
+   * creates or moves directories declared in module.yaml, recompiles agents and regenerates IDE skills.
+   * @param {string} projectDir - Project root directory
+   * @param {string} moduleName - Module code
+   * @param {string} key - Config key
+   * @param {string} input - Value as typed on the command line
+   * @param {string} [cwd] - Directory the command runs in; inside a workspace package the change is refused,
+   *   since the package's config copies come from the root installation and its skad.package.yaml
+   * @returns {Promise<Object>} {module, key, from, to, changed, createdDirs, movedDirs, ides}
+   */
+  async set(projectDir, moduleName, key, input, cwd = null) {
+    const found = cwd ? await Workspace.findPackage(cwd) : null;
+    if (found) {
+      throw new Error(
+        `${path.resolve(cwd)} is in workspace package ${found.package}, whose config is generated. ` +
+          `Set ${moduleName}.${key} in ${found.package}/${PACKAGE_FILE} and run "skad workspace sync", ` +
+          `or run "skad config set" from ${found.projectDir} to change it for the whole workspace.`,
+      );
+    }
+
+    const { skadDir, configs, from, to } = await this.prepare(projectDir, moduleName, key, input);
+    const change = { module: moduleName, key, from, to, changed: false, createdDirs: [], movedDirs: [], ides: [] };
+
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      return change;
+    }
+    change.changed = true;
+
+    const updated = structuredClone(configs);
+    updated[moduleName][key] = to;
+    const affectedModules = moduleName === 'core' ? Object.keys(updated) : [moduleName];
+
+    await this.installer.generateModuleConfigs(skadDir, updated, affectedModules);
+    await this.installer.syncWorkspace(path.dirname(skadDir));
+
+    for (const affected of affectedModules) {
+      const result = await this.moduleManager.createModuleDirectories(affected, skadDir, {
+        moduleConfig: updated[affected],
+        existingModuleConfig: configs[affected] || {},
+        coreConfig: updated.core || {},
+        silent: true,
+      });
+      change.createdDirs.push(...result.createdDirs);
+      change.movedDirs.push(...result.movedDirs);
+    }
+
+    await this.installer.compileAgents({ directory: projectDir, onlyModules: affectedModules });
+
+    // Linked projects use the global installation's user-level skills, which do not change here
+    const manifestData = await this.manifest._readRaw(skadDir);
+    const ides = (await GlobalInstall.readLink(skadDir)) ? [] : manifestData?.ides || [];
+    if (ides.length > 0) {
+      await this.ideManager.ensureInitialized();
+      const selectedModules = (manifestData.modules || []).map((m) => m.name).filter((name) => name !== 'core');
+      const savedConfigs = await this.ideConfigManager.loadAllIdeConfigs(skadDir);
+      for (const ide of ides) {
+        const setupResult = await this.ideManager.setup(ide, projectDir, skadDir, {
+          scope: this.installer.ideScope(projectDir),
+          selectedModules,
+          preCollectedConfig: savedConfigs[ide] || null,
+          silent: true,
+        });
+        change.ides.push({ ide, success: setupResult.success, error: setupResult.error });
+      }
+    }
+
+    return change;
+  }
+
+  /**
+   * Get the prompt definition for a key, ignoring module metadata
+   * @param {Object} schema - Parsed module.yaml
+   * @param {string} key - Config key
+   * @returns {Object|null}
+   */
+  getItem(schema, key) {
+    const item = schema?.[key];
+    if (METADATA_KEYS.has(key) || !item || typeof item !== 'object' || Array.isArray(item)) {
+      return null;
+    }
+    return item;
+  }
+
+  /**
+   * Allowed values for select-style keys
+   * @param {Object|null} item - Prompt definition
+   * @returns {Array|null}
+   */
+  getOptions(item) {
+    const choices = item?.['single-select'] || item?.['multi-select'];
+    if (!choices) return null;
+    return choices.map((choice) => (typeof choice === 'object' ? choice.value : choice));
+  }
+}
+
+module.exports = { ConfigEditor };
@@ -2,6 +2,7 @@ const path = require('node:path');
 const fs = require('fs-extra');
 const yaml = require('yaml');
 const { Manifest } = require('./manifest');
+const { SKAD_FOLDER_NAME } = require('../ide/shared/path-utils');
 
 class Detector {
   /**
@@ -185,20 +186,23 @@ class Detector {
   }
 
   /**
-   * Check if migration from legacy is needed
+   * Check if migration is needed, from a legacy layout or through registered migrations
    * @param {string} projectDir - Project directory
-   * @returns {Object} Migration requirements
+   * @returns {Object} Migration requirements, with the ids of pending migrations in `migrations`
    */
   async checkMigrationNeeded(projectDir) {
-    const skadDir = path.join(projectDir, 'skad');
+    const { MigrationRunner } = require('./migration-runner');
+    const skadDir = path.join(projectDir, SKAD_FOLDER_NAME);
     const current = await this.detect(skadDir);
     const legacy = await this.detectLegacy(projectDir);
+    const pending = await new MigrationRunner().plan(projectDir);
 
     return {
-      needed: legacy.hasLegacy && !current.installed,
-      canMigrate: legacy.hasLegacy,
+      needed: (legacy.hasLegacy && !current.installed) || pending.length > 0,
+      canMigrate: legacy.hasLegacy || pending.length > 0,
       legacy: legacy,
       current: current,
+      migrations: pending.map((m) => m.id),
     };
   }
 
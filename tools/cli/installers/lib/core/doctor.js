@@ -0,0 +1,441 @@
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('fs-extra');
+const csv = require('csv-parse/sync');
+const { Manifest } = require('./manifest');
+const { GlobalInstall } = require('./global-install');
+const { IdeConfigManager } = require('./ide-config-manager');
+const { IdeManager } = require('../ide/manager');
+const { ModuleManager } = require('../modules/manager');
+const { loadPlatformCodes } = require('../ide/platform-codes');
+const { getModulePath } = require('../../../lib/project-root');
+const { SKAD_FOLDER_NAME } = require('../ide/shared/path-utils');
+const { isAgentCompanionFile } = require('../../../lib/agent/emitters');
+
+/**
+ * Installation health checks for `skad doctor`.
+ * Verifies installed files against the hashes recorded in _config/files-manifest.csv
+ * and checks that generated IDE skill directories still point at files in _skad.
+ *
+ * @example
+ * const doctor = new Doctor();
+ * const report = await doctor.diagnose(projectDir, skadDir);
+ * if (!report.healthy) await doctor.fix(projectDir, skadDir, report);
+ */
+class Doctor {
+  constructor() {
+    this.manifest = new Manifest();
+    this.ideConfigManager = new IdeConfigManager();
+    this.ideManager = new IdeManager();
+    this.moduleManager = new ModuleManager();
+    this.skadFolderName = SKAD_FOLDER_NAME;
+  }
+
+  /**
+   * Run all checks against an installation
+   * @param {string} projectDir - Project root directory
+   * @param {string} skadDir - SKAD installation directory
+   * @returns {Object} Report with per-module file findings, per-IDE target findings and,
+   *   for a project linked to the global installation, the state of its links
+   */
+  async diagnose(projectDir, skadDir) {
+    const link = await this.checkLink(skadDir);
+    const filesManifest = await this.readFilesManifest(skadDir);
+    const modules = await this.checkFiles(skadDir, filesManifest);
+    const ides = await this.checkIdes(projectDir, skadDir, { userScope: Boolean(link) || GlobalInstall.isGlobalHome(projectDir) });
+
+    // Untracked files are reported but don't make an installation unhealthy - they are usually user content
+    const fileIssues = Object.values(modules).some((m) => m.missing.length > 0 || m.modified.length > 0);
+    const ideIssues = ides.some((ide) => ide.targets.some((t) => t.status !== 'ok'));
+    const linkIssues = Boolean(link) && (!link.globalFound || link.brokenLinks.length > 0);
+
+    return {
+      skadDir,
+      trackedFiles: filesManifest.length,
+      link,
+      modules,
+      ides,
+      healthy: !fileIssues && !ideIssues && !linkIssues,
+    };
+  }
+
+  /**
+   * Check the links of a project that uses the global installation
+   * @param {string} skadDir - SKAD installation directory
+   * @returns {Object|null} {home, globalFound, brokenLinks}, or null when the project is not linked
+   */
+  async checkLink(skadDir) {
+    const link = await GlobalInstall.readLink(skadDir);
+    if (!link) return null;
+
+    const globalInstall = new GlobalInstall(link.home);
+    return {
+      home: link.home,
+      globalFound: await globalInstall.exists(),
+      brokenLinks: await globalInstall.findBrokenLinks(skadDir),
+    };
+  }
+
+  /**
+   * Read files-manifest.csv
+   * @param {string} skadDir - SKAD installation directory
+   * @returns {Array} Array of {type, name, module, path, hash} entries
+   */
+  async readFilesManifest(skadDir) {
+    const filesManifestPath = path.join(skadDir, '_config', 'files-manifest.csv');
+    if (!(await fs.pathExists(filesManifestPath))) {
+      return [];
+    }
+
+    const content = await fs.readFile(filesManifestPath, 'utf8');
+    return csv.parse(content, {
+      columns: true,
+      skip_empty_lines: true,
+    });
+  }
+
+  /**
+   * Compare installed files with the files manifest
+   * Files under _config/ and module config.yaml files are regenerated on every install,
+   * so only their presence is verified.
+   * @param {string} skadDir - SKAD installation directory
+   * @param {Array} filesManifest - Entries from files-manifest.csv
+   * @returns {Object} Map of module name to {missing, modified, untracked} relative paths
+   */
+  async checkFiles(skadDir, filesManifest) {
+    const modules = {};
+    const ensureModule = (name) => {
+      if (!modules[name]) {
+        modules[name] = { missing: [], modified: [], untracked: [] };
+      }
+      return modules[name];
+    };
+
+    const tracked = new Set();
+    for (const entry of filesManifest) {
+      if (!entry.path) continue;
+      const relativePath = entry.path.replaceAll('\\', '/');
+      tracked.add(relativePath);
+
+      const moduleName = entry.module || relativePath.split('/')[0];
+      const result = ensureModule(moduleName);
+      const filePath = path.join(skadDir, relativePath);
+
+      if (!(await fs.pathExists(filePath))) {
+        result.missing.push(relativePath);
+        continue;
+      }
+
+      if (!entry.hash || this.isGeneratedFile(relativePath)) {
+        continue;
+      }
+
+      const currentHash = await this.manifest.calculateFileHash(filePath);
+      if (currentHash && currentHash !== entry.hash) {
+        result.modified.push(relativePath);
+      }
+    }
+
+    // Untracked detection only makes sense when there is a manifest to compare with
+    if (filesManifest.length > 0) {
+      for (const relativePath of await this.listInstalledFiles(skadDir)) {
+        if (tracked.has(relativePath) || this.isCompiledAgent(relativePath)) continue;
+        ensureModule(relativePath.split('/')[0]).untracked.push(relativePath);
+      }
+    }
+
+    return modules;
+  }
+
+  /**
+   * Whether a file is regenerated by the installer rather than copied from a module source
+   * @param {string} relativePath - Path relative to the skad directory
+   * @returns {boolean}
+   */
+  isGeneratedFile(relativePath) {
+    return relativePath.startsWith('_config/') || path.posix.basename(relativePath) === 'config.yaml';
+  }
+
+  /**
+   * Whether a file is agent output compiled from .agent.yaml (not tracked in files-manifest.csv)
+   * @param {string} relativePath - Path relative to the skad directory
+   * @returns {boolean}
+   */
+  isCompiledAgent(relativePath) {
+    return (relativePath.endsWith('.md') || isAgentCompanionFile(relativePath)) && relativePath.includes('/agents/');
+  }
+
+  /**
+   * List installed module files relative to the skad directory
+   * Skips _config/ and agent sidecars in _memory/, which hold user data.
+   * @param {string} skadDir - SKAD installation directory
+   * @returns {Array<string>} Relative POSIX paths
+   */
+  async listInstalledFiles(skadDir) {
+    const files = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        const relativePath = path.relative(skadDir, fullPath).replaceAll('\\', '/');
+
+        if (entry.isDirectory()) {
+          if (entry.name === 'node_modules' || entry.name === '.git') continue;
+          if (relativePath === '_config' || relativePath === '_memory') continue;
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          if (path.basename(relativePath) === 'config.yaml') continue;
+          files.push(relativePath);
+        }
+      }
+    };
+
+    await walk(skadDir);
+    return files.sort();
+  }
+
+  /**
+   * Check every configured IDE's target directories
+   * An IDE is considered configured if it appears in manifest.yaml or has a saved config in _config/ides.
+   * Global and linked installations are checked against the user-level folder (global_target_dir).
+   * @param {string} projectDir - Project root directory
+   * @param {string} skadDir - SKAD installation directory
+   * @param {Object} [options] - {userScope}
+   * @returns {Array} Array of {ide, name, targets: [{dir, status, brokenRefs}]}
+   */
+  async checkIdes(projectDir, skadDir, options = {}) {
+    const manifestData = await this.manifest._readRaw(skadDir);
+    const savedConfigs = await this.ideConfigManager.loadAllIdeConfigs(skadDir);
+    const ideNames = [...new Set([...(manifestData?.ides || []), ...Object.keys(savedConfigs)])].filter(Boolean);
+
+    const platformCodes = await loadPlatformCodes();
+    const results = [];
+
+    for (const ide of ideNames) {
+      const platform = platformCodes.platforms?.[ide];
+      if (!platform || !platform.installer) {
+        results.push({ ide, name: ide, targets: [{ dir: null, status: 'unknown', brokenRefs: [] }] });
+        continue;
+      }
+
+      if (platform.suspended) {
+        continue;
+      }
+
+      // Platforms without a user-level skills folder are set up per project
+      if (options.userScope && !platform.installer.global_target_dir) {
+        continue;
+      }
+
+      let targetDirs;
+      if (options.userScope) {
+        targetDirs = [platform.installer.global_target_dir];
+      } else if (platform.installer.targets) {
+        targetDirs = platform.installer.targets.map((t) => t.target_dir);
+      } else {
+        targetDirs = [platform.installer.target_dir].filter(Boolean);
+      }
+
+      const targets = [];
+      for (const targetDir of targetDirs) {
+        targets.push(await this.checkIdeTarget(projectDir, skadDir, targetDir));
+      }
+
+      results.push({ ide, name: platform.name || ide, targets });
+    }
+
+    return results;
+  }
+
+  /**
+   * Check one IDE target directory for SKAD artifacts that reference files missing from _skad
+   * @param {string} projectDir - Project root directory
+   * @param {string} skadDir - SKAD installation directory
+   * @param {string} targetDir - Target directory from platform-codes.yaml
+   * @returns {Object} {dir, status: 'ok'|'missing'|'stale', brokenRefs}
+   */
+  async checkIdeTarget(projectDir, skadDir, targetDir) {
+    const targetPath = targetDir.startsWith('~') ? path.join(os.homedir(), targetDir.slice(1)) : path.resolve(projectDir, targetDir);
+
+    let entries = [];
+    if (await fs.pathExists(targetPath)) {
+      entries = (await fs.readdir(targetPath)).filter((e) => e.startsWith('skad') && !e.startsWith('skad-os-'));
+    }
+
+    if (entries.length === 0) {
+      return { dir: targetDir, status: 'missing', brokenRefs: [] };
+    }
+
+    const refPattern = new RegExp(String.raw`\{project-root\}/${this.skadFolderName}/([^\s'"\`)<>\]]+)`, 'g');
+    const brokenRefs = [];
+
+    for (const entry of entries) {
+      const entryPath = path.join(targetPath, entry);
+      const artifactFiles = (await fs.stat(entryPath)).isDirectory()
+        ? (await this.moduleManager.getFileList(entryPath)).map((f) => path.join(entryPath, f))
+        : [entryPath];
+
+      for (const artifactFile of artifactFiles) {
+        let content;
+        try {
+          content = await fs.readFile(artifactFile, 'utf8');
+        } catch {
+          continue;
+        }
+
+        for (const match of content.matchAll(refPattern)) {
+          const ref = match[1].replace(/[.,;:]+$/, '');
+          if (ref.includes('{')) continue; // Unresolved runtime placeholder
+          if (!(await fs.pathExists(path.join(skadDir, ref)))) {
+            brokenRefs.push({ artifact: path.join(targetDir, path.relative(targetPath, artifactFile)).replaceAll('\\', '/'), ref });
+          }
+        }
+      }
+    }
+
+    return { dir: targetDir, status: brokenRefs.length > 0 ? 'stale' : 'ok', brokenRefs };
+  }
+
+  /**
+   * Repair what diagnose() found
+   * Missing and modified files are re-copied from the package source when the source still
+   * hashes to the recorded value; modified files are kept as .bak first. Stale or missing
+   * IDE targets are regenerated through IdeManager.setup.
+   * @param {string} projectDir - Project root directory
+   * @param {string} skadDir - SKAD installation directory
+   * @param {Object} report - Result of diagnose()
+   * @returns {Object} {restored, skipped: [{path, reason}], ides: [{ide, success, error}]}
+   */
+  async fix(projectDir, skadDir, report) {
+    const restored = [];
+    const skipped = [];
+    const hashes = new Map((await this.readFilesManifest(skadDir)).map((entry) => [entry.path.replaceAll('\\', '/'), entry.hash]));
+
+    for (const result of Object.values(report.modules)) {
+      for (const relativePath of [...result.missing, ...result.modified]) {
+        // Restoring through a link would change the shared global installation
+        if (report.link) {
+          skipped.push({
+            path: relativePath,
+            reason: `linked from ${report.link.home}; run "skad doctor --fix --directory ${report.link.home}"`,
+          });
+          continue;
+        }
+        const isModified = result.modified.includes(relativePath);
+        const outcome = await this.restoreFile(skadDir, relativePath, hashes.get(relativePath), isModified);
+        if (outcome.restored) {
+          restored.push(relativePath);
+        } else {
+          skipped.push({ path: relativePath, reason: outcome.reason });
+        }
+      }
+    }
+
+    const ides = [];
+    const brokenIdes = report.ides.filter((ide) => ide.targets.some((t) => t.status === 'missing' || t.status === 'stale'));
+    if (brokenIdes.length > 0) {
+      await this.ideManager.ensureInitialized();
+      const manifestData = await this.manifest._readRaw(skadDir);
+      const selectedModules = (manifestData?.modules || []).map((m) => m.name).filter((name) => name !== 'core');
+      const savedConfigs = await this.ideConfigManager.loadAllIdeConfigs(skadDir);
+
+      for (const { ide } of brokenIdes) {
+        const setupResult = await this.ideManager.setup(ide, projectDir, skadDir, {
+          scope: report.link || GlobalInstall.isGlobalHome(projectDir) ? 'user' : 'project',
+          selectedModules,
+          preCollectedConfig: savedConfigs[ide] || null,
+          silent: true,
+        });
+        ides.push({ ide, success: setupResult.success, error: setupResult.error });
+      }
+    }
+
+    return { restored, skipped, ides };
+  }
+
+  /**
+   * Re-copy one file from its module source
+   * The source is only used if it reproduces the hash recorded at install time, so a
+   * newer package never silently replaces files from an older installation.
+   * @param {string} skadDir - SKAD installation directory
+   * @param {string} relativePath - Path relative to the skad directory
+   * @param {string} expectedHash - Hash from files-manifest.csv
+   * @param {boolean} keepBackup - Save the current file as .bak before overwriting
+   * @returns {Object} {restored: boolean, reason?: string}
+   */
+  async restoreFile(skadDir, relativePath, expectedHash, keepBackup) {
+    if (this.isGeneratedFile(relativePath)) {
+      return { restored: false, reason: 'generated by the installer; run "skad install --action quick-update"' };
+    }
+
+    const sourceFile = await this.resolveSourceFile(skadDir, relativePath);
+    if (!sourceFile) {
+      if (this.isCompiledAgent(relativePath)) {
+        return { restored: false, reason: 'compiled agent; run "skad install --action compile-agents"' };
+      }
+      return { restored: false, reason: 'source file not found' };
+    }
+
+    const targetFile = path.join(skadDir, relativePath);
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'skad-doctor-'));
+    try {
+      const tempFile = path.join(tempDir, path.basename(relativePath));
+      if (relativePath.endsWith('workflow.yaml')) {
+        await this.moduleManager.copyWorkflowYamlStripped(sourceFile, tempFile);
+      } else {
+        await this.moduleManager.copyFileWithPlaceholderReplacement(sourceFile, tempFile);
+      }
+
+      if (expectedHash) {
+        const sourceHash = await this.manifest.calculateFileHash(tempFile);
+        if (sourceHash !== expectedHash) {
+          return { restored: false, reason: 'package source differs from the installed version; run "skad install --action update"' };
+        }
+      }
+
+      if (keepBackup && (await fs.pathExists(targetFile))) {
+        await fs.copy(targetFile, `${targetFile}.bak`, { overwrite: true });
+      }
+      await fs.ensureDir(path.dirname(targetFile));
+      await fs.copy(tempFile, targetFile, { overwrite: true });
+      return { restored: true };
+    } finally {
+      await fs.remove(tempDir);
+    }
+  }
+
+  /**
+   * Resolve the package source for an installed file
+   * Lookup order: cached custom module source, built-in module, external module cache.
+   * @param {string} skadDir - SKAD installation directory
+   * @param {string} relativePath - Path relative to the skad directory
+   * @returns {string|null} Absolute source file path, or null if it cannot be found
+   */
+  async resolveSourceFile(skadDir, relativePath) {
+    const [moduleName, ...rest] = relativePath.split('/');
+    const subPath = rest.join('/');
+    if (!moduleName || !subPath) return null;
+
+    const candidates = [path.join(skadDir, '_config', 'custom', moduleName), getModulePath(moduleName)];
+    const moduleSource = await this.moduleManager.findModuleSource(moduleName, { silent: true }).catch(() => null);
+    if (moduleSource) candidates.push(moduleSource);
+
+    for (const root of candidates) {
+      const sourceFile = path.join(root, subPath);
+      if (await fs.pathExists(sourceFile)) {
+        return sourceFile;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = { Doctor };
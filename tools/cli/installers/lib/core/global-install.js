@@ -0,0 +1,346 @@
+const os = require('node:os');
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { SKAD_FOLDER_NAME } = require('../ide/shared/path-utils');
+const { AGENT_CACHE_FILE } = require('./agent-cache');
+
+const GLOBAL_LINK_FILE = path.join('_config', 'global.yaml');
+const GLOBAL_HOME_ENV = 'SKAD_HOME';
+
+/**
+ * User-level installation shared by many projects.
+ *
+ * `skad install --global` installs modules once into the SKAD home (SKAD_HOME, default
+ * ~/.skad) and puts IDE skills in the user-level folder of platforms that have one
+ * (global_target_dir in platform-codes.yaml). `skad link` then gives a project a _skad
+ * folder whose module content links to the global copy, while these stay local:
+ *
+ *   _skad/<module>/config.yaml        project config, seeded from the global one
+ *   _skad/_config/agents/             agent customize files
+ *   _skad/_memory/                    agent memories
+ *
+ * A module whose customize files differ from the global ones gets a local agents/ folder
+ * so it can be recompiled. _skad/_config/global.yaml marks the project as linked.
+ *
+ * @example
+ * const globalInstall = new GlobalInstall();
+ * const result = await globalInstall.link(projectDir);
+ * // recompile result.customizedModules with installer.compileAgents()
+ */
+class GlobalInstall {
+  /**
+   * @param {string} [homeDir] - SKAD home (default: GlobalInstall.home())
+   */
+  constructor(homeDir = GlobalInstall.home()) {
+    this.homeDir = path.resolve(homeDir);
+    this.skadDir = path.join(this.homeDir, SKAD_FOLDER_NAME);
+  }
+
+  /**
+   * Directory that holds the global installation
+   * @param {Object} [env] - Environment (default: process.env)
+   * @returns {string} Absolute path
+   */
+  static home(env = process.env) {
+    const configured = env[GLOBAL_HOME_ENV];
+    if (!configured) {
+      return path.join(os.homedir(), '.skad');
+    }
+    return path.resolve(configured.startsWith('~') ? path.join(os.homedir(), configured.slice(1)) : configured);
+  }
+
+  /**
+   * Cache folder in the SKAD home (external module clones live in its external-modules folder)
+   * @param {Object} [env] - Environment (default: process.env)
+   * @returns {string} Absolute path
+   */
+  static cacheDir(env = process.env) {
+    return path.join(GlobalInstall.home(env), 'cache');
+  }
+
+  /**
+   * Whether a project directory is the global installation itself
+   * @param {string} projectDir - Project directory
+   * @param {Object} [env] - Environment (default: process.env)
+   * @returns {boolean}
+   */
+  static isGlobalHome(projectDir, env = process.env) {
+    return path.resolve(projectDir) === GlobalInstall.home(env);
+  }
+
+  /**
+   * Read the link marker of a project installation
+   * @param {string} skadDir - Project SKAD directory
+   * @returns {Promise<Object|null>} {home, skadDir} of the global installation, or null when not linked
+   */
+  static async readLink(skadDir) {
+    const markerPath = path.join(skadDir, GLOBAL_LINK_FILE);
+    if (!(await fs.pathExists(markerPath))) {
+      return null;
+    }
+    const data = yaml.parse(await fs.readFile(markerPath, 'utf8')) || {};
+    if (!data.home) {
+      return null;
+    }
+    return { home: data.home, skadDir: path.join(data.home, SKAD_FOLDER_NAME) };
+  }
+
+  /**
+   * Whether the global installation exists
+   * @returns {Promise<boolean>}
+   */
+  async exists() {
+    return fs.pathExists(path.join(this.skadDir, '_config', 'manifest.yaml'));
+  }
+
+  /**
+   * Module codes installed globally
+   * @returns {Promise<Array<string>>}
+   */
+  async modules() {
+    const manifest = yaml.parse(await fs.readFile(path.join(this.skadDir, '_config', 'manifest.yaml'), 'utf8')) || {};
+    return (manifest.modules || []).map((m) => (typeof m === 'string' ? m : m?.name)).filter(Boolean);
+  }
+
+  /**
+   * Create or refresh a project's links to the global installation
+   * Safe to run again after the global installation changes: new modules are linked,
+   * removed ones are dropped, and local configs, customizations and memories are kept.
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<Object>} {modules, createdConfigs, customizedModules}
+   */
+  async link(projectDir) {
+    const resolvedProject = path.resolve(projectDir);
+    if (resolvedProject === this.homeDir) {
+      throw new Error('The global installation cannot be linked to itself');
+    }
+    if (!(await this.exists())) {
+      throw new Error(`No global installation at ${this.skadDir}. Run "skad install --global" first.`);
+    }
+
+    const projectSkad = path.join(resolvedProject, SKAD_FOLDER_NAME);
+    const hasManifest = await fs.pathExists(path.join(projectSkad, '_config', 'manifest.yaml'));
+    if (hasManifest && !(await GlobalInstall.readLink(projectSkad))) {
+      throw new Error(`${projectSkad} is a full installation. Uninstall it before linking the project.`);
+    }
+
+    await fs.ensureDir(path.join(projectSkad, '_config', 'agents'));
+    await this.linkConfig(projectSkad);
+
+    // Memories are per project; seed them from the global installation once
+    const localMemory = path.join(projectSkad, '_memory');
+    const globalMemory = path.join(this.skadDir, '_memory');
+    if (!(await fs.pathExists(localMemory)) && (await fs.pathExists(globalMemory))) {
+      await fs.copy(globalMemory, localMemory);
+    }
+
+    const modules = await this.modules();
+    const projectName = path.basename(resolvedProject);
+    const createdConfigs = [];
+    const customizedModules = [];
+
+    for (const moduleName of modules) {
+      const moduleDir = path.join(projectSkad, moduleName);
+      const globalModuleDir = path.join(this.skadDir, moduleName);
+      if (!(await fs.pathExists(globalModuleDir))) continue;
+
+      await fs.ensureDir(moduleDir);
+      if (await this.seedConfig(moduleDir, globalModuleDir, projectName)) {
+        createdConfigs.push(moduleName);
+      }
+
+      const customized = await this.hasLocalCustomizations(projectSkad, moduleName);
+      if (customized) {
+        customizedModules.push(moduleName);
+      }
+
+      const globalEntries = await fs.readdir(globalModuleDir);
+      for (const entry of globalEntries) {
+        if (entry === 'config.yaml') continue;
+        const localPath = path.join(moduleDir, entry);
+        const globalPath = path.join(globalModuleDir, entry);
+
+        // Customized agents are compiled into a local folder instead of the shared one
+        if (entry === 'agents' && customized) {
+          if (await this.isLink(localPath)) {
+            await fs.remove(localPath);
+          }
+          if (!(await fs.pathExists(localPath))) {
+            await fs.copy(globalPath, localPath, { dereference: true });
+          }
+          continue;
+        }
+
+        await this.replaceWithLink(localPath, globalPath);
+      }
+
+      // Drop links to content the global module no longer has
+      for (const entry of await fs.readdir(moduleDir)) {
+        if (!globalEntries.includes(entry) && (await this.isLink(path.join(moduleDir, entry)))) {
+          await fs.remove(path.join(moduleDir, entry));
+        }
+      }
+    }
+
+    // Modules removed from the global installation
+    for (const entry of await fs.readdir(projectSkad)) {
+      if (entry.startsWith('_') || modules.includes(entry)) continue;
+      const moduleDir = path.join(projectSkad, entry);
+      if ((await fs.stat(moduleDir)).isDirectory() && (await this.isLinkedModuleDir(moduleDir))) {
+        await fs.remove(moduleDir);
+      }
+    }
+
+    await fs.writeFile(
+      path.join(projectSkad, GLOBAL_LINK_FILE),
+      `# Linked to a global SKAD installation. Refresh with: skad link\n${yaml.stringify({ home: this.homeDir })}`,
+    );
+
+    return { modules, createdConfigs, customizedModules };
+  }
+
+  /**
+   * Link the shared parts of _config and copy customize files the project does not have yet
+   * @param {string} projectSkad - Project SKAD directory
+   */
+  async linkConfig(projectSkad) {
+    const globalConfig = path.join(this.skadDir, '_config');
+    const localConfig = path.join(projectSkad, '_config');
+
+    for (const entry of await fs.readdir(globalConfig)) {
+      // The compiled-agent cache describes this installation's own agent files
+      if (entry === 'global.yaml' || entry === path.basename(AGENT_CACHE_FILE)) continue;
+      if (entry === 'agents') {
+        await fs.copy(path.join(globalConfig, entry), path.join(localConfig, entry), { overwrite: false, errorOnExist: false });
+        continue;
+      }
+      await this.replaceWithLink(path.join(localConfig, entry), path.join(globalConfig, entry));
+    }
+  }
+
+  /**
+   * Copy the global module config into the project, named after the project
+   * @param {string} moduleDir - Project module directory
+   * @param {string} globalModuleDir - Global module directory
+   * @param {string} projectName - Project folder name
+   * @returns {Promise<boolean>} Whether a config was created
+   */
+  async seedConfig(moduleDir, globalModuleDir, projectName) {
+    const localConfig = path.join(moduleDir, 'config.yaml');
+    const globalConfig = path.join(globalModuleDir, 'config.yaml');
+    if ((await fs.pathExists(localConfig)) || !(await fs.pathExists(globalConfig))) {
+      return false;
+    }
+
+    const doc = yaml.parseDocument(await fs.readFile(globalConfig, 'utf8'));
+    if (doc.has('project_name')) {
+      doc.set('project_name', projectName);
+    }
+    await fs.writeFile(localConfig, doc.toString());
+    return true;
+  }
+
+  /**
+   * Whether any of a module's customize files differ from the global ones
+   * @param {string} projectSkad - Project SKAD directory
+   * @param {string} moduleName - Module code
+   * @returns {Promise<boolean>}
+   */
+  async hasLocalCustomizations(projectSkad, moduleName) {
+    const localAgents = path.join(projectSkad, '_config', 'agents');
+    const globalAgents = path.join(this.skadDir, '_config', 'agents');
+    if (!(await fs.pathExists(localAgents))) return false;
+
+    for (const file of await fs.readdir(localAgents)) {
+      if (!file.startsWith(`${moduleName}-`) || !file.endsWith('.customize.yaml')) continue;
+      const globalFile = path.join(globalAgents, file);
+      if (!(await fs.pathExists(globalFile))) return true;
+      const [local, shared] = await Promise.all([fs.readFile(path.join(localAgents, file), 'utf8'), fs.readFile(globalFile, 'utf8')]);
+      if (local !== shared) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Point a path at the global copy, replacing an older link or copy
+   * @param {string} localPath - Path inside the project
+   * @param {string} globalPath - Path inside the global installation
+   */
+  async replaceWithLink(localPath, globalPath) {
+    if (await this.isLink(localPath)) {
+      if ((await fs.readlink(localPath)) === globalPath) return;
+      await fs.remove(localPath);
+    } else if (await fs.pathExists(localPath)) {
+      await fs.remove(localPath);
+    }
+
+    const isDirectory = (await fs.stat(globalPath)).isDirectory();
+    // Junctions need no special rights on Windows
+    const type = isDirectory ? (process.platform === 'win32' ? 'junction' : 'dir') : 'file';
+    await fs.symlink(globalPath, localPath, type);
+  }
+
+  /**
+   * Whether a path is a symbolic link (broken links included)
+   * @param {string} p - Path to check
+   * @returns {Promise<boolean>}
+   */
+  async isLink(p) {
+    try {
+      return (await fs.lstat(p)).isSymbolicLink();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Whether a project module folder only holds links and its local config
+   * @param {string} moduleDir - Project module directory
+   * @returns {Promise<boolean>}
+   */
+  async isLinkedModuleDir(moduleDir) {
+    const entries = await fs.readdir(moduleDir);
+    let links = 0;
+    for (const entry of entries) {
+      if (await this.isLink(path.join(moduleDir, entry))) {
+        links++;
+      } else if (entry !== 'config.yaml' && entry !== 'agents') {
+        return false;
+      }
+    }
+    return links > 0;
+  }
+
+  /**
+   * Find links in a project installation whose global target is gone
+   * @param {string} projectSkad - Project SKAD directory
+   * @returns {Promise<Array<string>>} Broken link paths relative to the project SKAD directory
+   */
+  async findBrokenLinks(projectSkad) {
+    const broken = [];
+    const check = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir);
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry);
+        if ((await this.isLink(entryPath)) && !(await fs.pathExists(entryPath))) {
+          broken.push(path.relative(projectSkad, entryPath).replaceAll('\\', '/'));
+        }
+      }
+    };
+
+    await check(path.join(projectSkad, '_config'));
+    for (const entry of await fs.readdir(projectSkad)) {
+      if (entry.startsWith('_')) continue;
+      await check(path.join(projectSkad, entry));
+    }
+    return broken.sort();
+  }
+}
+
+module.exports = { GlobalInstall, GLOBAL_LINK_FILE, GLOBAL_HOME_ENV };
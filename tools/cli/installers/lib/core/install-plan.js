@@ -0,0 +1,146 @@
+const path = require('node:path');
+const prompts = require('../../../lib/prompts');
+const { loadPlatformCodes } = require('../ide/platform-codes');
+
+/**
+ * Plan produced by `skad install --dry-run`.
+ * Combines the file changes recorded by a VirtualFileLayer with the IDE targets
+ * and config values the run would have written.
+ */
+class InstallPlan {
+  /**
+   * @param {Object} data
+   * @param {string} data.projectDir - Project root directory
+   * @param {Array<string>} data.modules - Modules the run would install
+   * @param {Object} data.files - {created, overwritten, deleted} paths relative to projectDir
+   * @param {Array} data.ides - [{ide, name, targets: [{dir, created, overwritten, deleted}]}]
+   * @param {Array} data.configChanges - [{module, key, from, to}]
+   */
+  constructor(data) {
+    this.projectDir = data.projectDir;
+    this.modules = data.modules || [];
+    this.files = data.files;
+    this.ides = data.ides || [];
+    this.configChanges = data.configChanges || [];
+  }
+
+  /**
+   * Build a plan from a finished dry run
+   * @param {VirtualFileLayer} layer - Layer the run was recorded in (already disabled)
+   * @param {Object} context
+   * @param {string} context.projectDir - Project root directory
+   * @param {Array<string>} [context.modules] - Modules that were installed
+   * @param {Array<string>} [context.ides] - IDEs that were configured
+   * @param {ConfigCollector} [context.configCollector] - Collector holding existing and collected config
+   * @returns {Promise<InstallPlan>}
+   */
+  static async build(layer, context) {
+    const projectDir = path.resolve(context.projectDir);
+    const files = layer.getChanges(projectDir);
+
+    const platformCodes = await loadPlatformCodes();
+    const ides = [];
+    for (const ide of context.ides || []) {
+      const installerConfig = platformCodes.platforms?.[ide]?.installer;
+      const targetDirs = installerConfig?.targets
+        ? installerConfig.targets.map((t) => t.target_dir)
+        : [installerConfig?.target_dir].filter(Boolean);
+
+      ides.push({
+        ide,
+        name: platformCodes.platforms?.[ide]?.name || ide,
+        targets: targetDirs.map((dir) => {
+          const prefix = dir.replaceAll('\\', '/').replace(/\/$/, '') + '/';
+          const count = (list) => list.filter((p) => p.startsWith(prefix)).length;
+          return { dir, created: count(files.created), overwritten: count(files.overwritten), deleted: count(files.deleted) };
+        }),
+      });
+    }
+
+    return new InstallPlan({
+      projectDir,
+      modules: context.modules,
+      files,
+      ides,
+      configChanges: InstallPlan.diffConfig(context.configCollector?.existingConfig, context.configCollector?.collectedConfig),
+    });
+  }
+
+  /**
+   * List config values that differ between the existing installation and the collected answers
+   * @param {Object} existingConfig - Module name to config values currently on disk
+   * @param {Object} collectedConfig - Module name to config values the run would write
+   * @returns {Array} [{module, key, from, to}] where from is undefined for new keys
+   */
+  static diffConfig(existingConfig = {}, collectedConfig = {}) {
+    const changes = [];
+
+    for (const [moduleName, values] of Object.entries(collectedConfig || {})) {
+      if (moduleName === '_meta' || !values || typeof values !== 'object') continue;
+      const existing = existingConfig?.[moduleName] || {};
+
+      for (const [key, to] of Object.entries(values)) {
+        const from = existing[key];
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+          changes.push({ module: moduleName, key, from, to });
+        }
+      }
+    }
+
+    return changes;
+  }
+
+  toJSON() {
+    return {
+      projectDir: this.projectDir,
+      modules: this.modules,
+      files: this.files,
+      ides: this.ides,
+      configChanges: this.configChanges,
+    };
+  }
+
+  /**
+   * Print the plan
+   */
+  async display() {
+    const color = await prompts.getColor();
+    const { created, overwritten, deleted } = this.files;
+    const formatValue = (value) => (value === undefined ? color.dim('(unset)') : JSON.stringify(value));
+
+    const lines = [
+      `  Location:     ${color.dim(this.projectDir)}`,
+      `  Modules:      ${this.modules.length > 0 ? this.modules.join(', ') : color.dim('none')}`,
+      `  Create:       ${created.length} file(s)`,
+      `  Overwrite:    ${overwritten.length} file(s)`,
+      `  Delete:       ${deleted.length} file(s)`,
+    ];
+    await prompts.note(lines.join('\n'), 'Install Plan (Dry Run)');
+
+    const sections = [
+      ['Files to create', created, color.green('+')],
+      ['Files to overwrite', overwritten, color.yellow('~')],
+      ['Files to delete', deleted, color.red('-')],
+    ];
+    for (const [title, list, marker] of sections) {
+      if (list.length === 0) continue;
+      await prompts.log.step(`${title} (${list.length})\n${list.map((p) => `  ${marker} ${p}`).join('\n')}`);
+    }
+
+    if (this.ides.length > 0) {
+      const ideLines = this.ides.flatMap((ide) =>
+        ide.targets.map((t) => `  ${ide.name}: ${t.dir} (+${t.created} ~${t.overwritten} -${t.deleted})`),
+      );
+      await prompts.log.step(`IDE targets\n${ideLines.join('\n')}`);
+    }
+
+    if (this.configChanges.length > 0) {
+      const configLines = this.configChanges.map((c) => `  ${c.module}.${c.key}: ${formatValue(c.from)} -> ${formatValue(c.to)}`);
+      await prompts.log.step(`Config changes\n${configLines.join('\n')}`);
+    }
+
+    await prompts.log.info('Dry run only - no files were written.');
+  }
+}
+
+module.exports = { InstallPlan };
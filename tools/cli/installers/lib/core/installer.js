@@ -16,6 +16,14 @@ const { IdeConfigManager } = require('./ide-config-manager');
 const { CustomHandler } = require('../custom/handler');
 const prompts = require('../../../lib/prompts');
 const { SKAD_FOLDER_NAME } = require('../ide/shared/path-utils');
+const { SnapshotManager } = require('./snapshot-manager');
+const { LockFile, LOCK_FILE_NAME } = require('./lock-file');
+const { MigrationRunner } = require('./migration-runner');
+const { BaselineStore } = require('./baseline-store');
+const { threeWayMerge } = require('./three-way-merge');
+const { Workspace } = require('./workspace');
+const { GlobalInstall } = require('./global-install');
+const { isAgentCompanionFile } = require('../../../lib/agent/emitters');
 
 class Installer {
   constructor() {
@@ -258,6 +266,16 @@ class Installer {
       }
     }
 
+    // Bring an existing installation up to the current layout before its config is read
+    // (quick update has already done this)
+    if (!config._quickUpdate) {
+      await this.runMigrations(projectDir, { keepSnapshots: config.dryRun ? 0 : config.keepSnapshots });
+    }
+
+    // A frozen install pins external modules to the lock before any of them is fetched
+    const lockFile = new LockFile(projectDir);
+    const lock = config.frozen ? await lockFile.pin() : null;
+
     // Collect configurations for modules (skip if quick update already collected them)
     let moduleConfigs;
     let customModulePaths = new Map();
@@ -408,6 +426,26 @@ class Installer {
       spinner.message('Checking for existing installation...');
       const existingInstall = await this.detector.detect(skadDir);
 
+      // Snapshot _skad and the IDE targets so a failed install can be rolled back
+      const snapshots = new SnapshotManager(projectDir, { keep: config.keepSnapshots });
+      if (!config.dryRun && snapshots.keep > 0) {
+        spinner.message('Creating snapshot...');
+        const snapshotIdes = [...new Set([...(existingInstall.ides || []), ...(config.ides || [])])];
+        config._snapshot = await snapshots.create(
+          [
+            SKAD_FOLDER_NAME,
+            LOCK_FILE_NAME,
+            ...(await this.ideManager.getManagedPaths(snapshotIdes, { scope: this.ideScope(projectDir) })),
+          ],
+          {
+            reason: config._quickUpdate ? 'quick-update' : 'install',
+            version: existingInstall.version || null,
+            modules: (existingInstall.modules || []).map((m) => m.id),
+            ides: existingInstall.ides || [],
+          },
+        );
+      }
+
       if (existingInstall.installed && !config.force && !config._quickUpdate) {
         spinner.stop('Existing installation detected');
 
@@ -737,6 +775,14 @@ class Installer {
         }
       }
 
+      // IDEs picked in the tool selection weren't known when the snapshot was taken
+      if (config._snapshot && config.ides.length > 0) {
+        config._snapshot = await snapshots.addPaths(
+          config._snapshot.id,
+          await this.ideManager.getManagedPaths(config.ides, { scope: this.ideScope(projectDir) }),
+        );
+      }
+
       // Detect IDEs that were previously installed but are NOT in the new selection (to be removed)
       if (config._isUpdate && config._existingInstall) {
         const previouslyInstalledIdes = new Set(config._existingInstall.ides || []);
@@ -803,6 +849,9 @@ class Installer {
         }
       }
 
+      // Agents are compiled in the formats the selected IDEs read
+      this.moduleManager.setIdes(config.skipIde ? [] : config.ides || []);
+
       // Results collector for consolidated summary
       const results = [];
       const addResult = (step, status, detail = '') => results.push({ step, status, detail });
@@ -817,6 +866,9 @@ class Installer {
       spinner.message('Creating directory structure...');
       await this.createDirectoryStructure(skadDir);
 
+      // Source paths, before caching repoints them, for checking against the lock
+      const customSourcePaths = new Map(customModulePaths);
+
       // Cache custom modules if any
       if (customModulePaths && customModulePaths.size > 0) {
         spinner.message('Caching custom modules...');
@@ -895,6 +947,18 @@ class Installer {
         return !isCustom;
       });
 
+      // Refuse a frozen install whose modules or custom sources differ from the lock
+      if (lock) {
+        spinner.message(`Checking ${LOCK_FILE_NAME}...`);
+        const mismatches = await lockFile.verifyInputs(lock, {
+          modules: ['core', ...allModules, ...(config._preserveModules || [])],
+          customModulePaths: customSourcePaths,
+        });
+        if (mismatches.length > 0) {
+          throw lockFile.mismatchError(mismatches);
+        }
+      }
+
       // Stop spinner before tasks() takes over progress display
       spinner.stop('Preparation complete');
 
@@ -1121,6 +1185,7 @@ class Installer {
         task: async (message) => {
           // Generate clean config.yaml files for each installed module
           await this.generateModuleConfigs(skadDir, moduleConfigs);
+          await this.syncWorkspace(projectDir);
           addResult('Configurations', 'ok', 'generated');
 
           // Pre-register manifest files
@@ -1226,6 +1291,7 @@ class Installer {
               }
               try {
                 const setupResult = await this.ideManager.setup(ide, projectDir, skadDir, {
+                  scope: this.ideScope(projectDir),
                   selectedModules: allModules || [],
                   preCollectedConfig: ideConfigurations[ide] || null,
                   verbose: config.verbose,
@@ -1262,6 +1328,15 @@ class Installer {
       // ─────────────────────────────────────────────────────────────────────────
       const postIdeTasks = [];
 
+      // Pristine copies of the installed files, used to merge local edits on the next update
+      postIdeTasks.push({
+        title: 'Recording file baselines',
+        task: async () => {
+          const saved = await new BaselineStore(skadDir).save(await this.readFilesManifest(skadDir));
+          return `Recorded ${saved} file baselines`;
+        },
+      });
+
       // File restoration task (only for updates)
       if (
         config._isUpdate &&
@@ -1272,6 +1347,8 @@ class Installer {
           task: async (message) => {
             let customFiles = [];
             let modifiedFiles = [];
+            const backedUpFiles = [];
+            const mergedFiles = { clean: [], conflicted: [] };
 
             if (config._customFiles && config._customFiles.length > 0) {
               message(`Restoring ${config._customFiles.length} custom files...`);
@@ -1297,17 +1374,19 @@ class Installer {
               modifiedFiles = config._modifiedFiles;
 
               if (config._tempModifiedBackupDir && (await fs.pathExists(config._tempModifiedBackupDir))) {
-                message(`Restoring ${modifiedFiles.length} modified files as .bak...`);
+                message(`Merging ${modifiedFiles.length} modified files...`);
 
                 for (const modifiedFile of modifiedFiles) {
                   const relativePath = path.relative(skadDir, modifiedFile.path);
                   const tempBackupPath = path.join(config._tempModifiedBackupDir, relativePath);
-                  const bakPath = modifiedFile.path + '.bak';
+                  if (!(await fs.pathExists(tempBackupPath))) continue;
 
-                  if (await fs.pathExists(tempBackupPath)) {
-                    await fs.ensureDir(path.dirname(bakPath));
-                    await fs.copy(tempBackupPath, bakPath, { overwrite: true });
-                  }
+                  if (await this.mergeModifiedFile(modifiedFile, tempBackupPath, config.mergeConflicts, mergedFiles)) continue;
+
+                  const bakPath = modifiedFile.path + '.bak';
+                  await fs.ensureDir(path.dirname(bakPath));
+                  await fs.copy(tempBackupPath, bakPath, { overwrite: true });
+                  backedUpFiles.push(modifiedFile);
                 }
 
                 await fs.remove(config._tempModifiedBackupDir);
@@ -1316,7 +1395,8 @@ class Installer {
 
             // Store for summary access
             config._restoredCustomFiles = customFiles;
-            config._restoredModifiedFiles = modifiedFiles;
+            config._restoredModifiedFiles = backedUpFiles;
+            config._mergedFiles = mergedFiles;
 
             return 'Installation finalized';
           },
@@ -1325,21 +1405,46 @@ class Installer {
 
       await prompts.tasks(postIdeTasks);
 
+      // Record what was installed; a frozen install must have reproduced the lock exactly
+      if (!config.dryRun) {
+        const installedLock = await lockFile.build(skadDir);
+        if (lock) {
+          const mismatches = lockFile.compare(lock, installedLock);
+          if (mismatches.length > 0) {
+            throw lockFile.mismatchError(mismatches);
+          }
+        } else {
+          await lockFile.write(installedLock);
+        }
+      }
+
       // Retrieve restored file info for summary
       const customFiles = config._restoredCustomFiles || [];
       const modifiedFiles = config._restoredModifiedFiles || [];
+      const mergedFiles = config._mergedFiles || { clean: [], conflicted: [] };
 
-      // Render consolidated summary
-      await this.renderInstallSummary(results, {
-        skadDir,
-        modules: config.modules,
-        ides: config.ides,
-        customFiles: customFiles.length > 0 ? customFiles : undefined,
-        modifiedFiles: modifiedFiles.length > 0 ? modifiedFiles : undefined,
-      });
+      // Render consolidated summary (dry runs print an install plan instead)
+      if (!config.dryRun) {
+        await this.renderInstallSummary(results, {
+          skadDir,
+          modules: config.modules,
+          ides: config.ides,
+          customFiles: customFiles.length > 0 ? customFiles : undefined,
+          modifiedFiles: modifiedFiles.length > 0 ? modifiedFiles : undefined,
+          mergedFiles,
+        });
+      }
+
+      // A fresh install has nothing to roll back to, so its snapshot is only kept until it succeeds
+      if (config._snapshot && config._snapshot.paths.some((entry) => entry.existed)) {
+        await snapshots.prune();
+      } else if (config._snapshot) {
+        await snapshots.remove(config._snapshot.id);
+      }
 
       return {
         success: true,
+        dryRun: Boolean(config.dryRun),
         path: skadDir,
         modules: config.modules,
         ides: config.ides,
@@ -1368,14 +1473,69 @@ class Installer {
         // Best-effort cleanup — don't mask the original error
       }
 
+      // Put _skad and the IDE targets back the way they were before this run
+      if (config._snapshot) {
+        try {
+          const snapshots = new SnapshotManager(projectDir);
+          await snapshots.restore(config._snapshot.id);
+          await snapshots.remove(config._snapshot.id);
+          await prompts.log.warn('Restored the project to its state before this installation');
+        } catch (restoreError) {
+          try {
+            await prompts.log.error(`Could not restore snapshot ${config._snapshot.id}: ${restoreError.message}`);
+            await prompts.log.message('Run "skad rollback" to retry.');
+          } catch {
+            // Don't mask the original error
+          }
+        }
+      }
+
       throw error;
     }
   }
 
+  /**
+   * Three-way merge a user-modified file with its new upstream version
+   * Falls back (returns false) when there is no baseline from the previous install, the file
+   * is no longer installed, or either side is not text; the caller then keeps a .bak copy.
+   * @param {Object} modifiedFile - Entry from detectCustomFiles(): {path, relativePath, baseline}
+   * @param {string} userCopyPath - Backup of the user's version
+   * @param {string} [style='markers'] - Conflict style: "markers" or "rej" (see three-way-merge.js)
+   * @param {Object} mergedFiles - {clean, conflicted} lists the result is added to
+   * @returns {Promise<boolean>} Whether the file was merged
+   */
+  async mergeModifiedFile(modifiedFile, userCopyPath, style, mergedFiles) {
+    if (modifiedFile.baseline === null || modifiedFile.baseline === undefined || !(await fs.pathExists(modifiedFile.path))) {
+      return false;
+    }
+
+    const ours = await fs.readFile(userCopyPath, 'utf8');
+    const theirs = await fs.readFile(modifiedFile.path, 'utf8');
+    if ([modifiedFile.baseline, ours, theirs].some((text) => text.includes('\0'))) {
+      return false;
+    }
+
+    const result = threeWayMerge(modifiedFile.baseline, ours, theirs, { style });
+    await fs.writeFile(modifiedFile.path, result.content);
+
+    if (result.conflicts === 0) {
+      mergedFiles.clean.push({ relativePath: modifiedFile.relativePath });
+      return true;
+    }
+
+    let rejectFile = null;
+    if (result.rejects) {
+      rejectFile = modifiedFile.path + '.rej';
+      await fs.writeFile(rejectFile, `--- ${modifiedFile.relativePath}\n+++ ${modifiedFile.relativePath} (upstream)\n${result.rejects}`);
+    }
+    mergedFiles.conflicted.push({ relativePath: modifiedFile.relativePath, conflicts: result.conflicts, rejectFile });
+    return true;
+  }
+
   /**
    * Render a consolidated install summary using prompts.note()
    * @param {Array} results - Array of {step, status: 'ok'|'error'|'warn', detail}
-   * @param {Object} context - {skadDir, modules, ides, customFiles, modifiedFiles}
+   * @param {Object} context - {skadDir, modules, ides, customFiles, modifiedFiles, mergedFiles}
    */
   async renderInstallSummary(results, context = {}) {
     const color = await prompts.getColor();
@@ -1406,6 +1566,17 @@ class Installer {
     if (context.modifiedFiles && context.modifiedFiles.length > 0) {
       lines.push(`  ${color.yellow(`Modified files backed up (.bak): ${context.modifiedFiles.length}`)}`);
     }
+    if (context.mergedFiles?.clean.length > 0) {
+      lines.push(`  ${color.cyan(`Modified files merged with the update: ${context.mergedFiles.clean.length}`)}`);
+    }
+    if (context.mergedFiles?.conflicted.length > 0) {
+      lines.push(`  ${color.yellow(`Modified files with merge conflicts: ${context.mergedFiles.conflicted.length}`)}`);
+      for (const conflict of context.mergedFiles.conflicted) {
+        lines.push(
+          `    ${conflict.relativePath} ${color.dim(`(${conflict.conflicts} ${conflict.rejectFile ? 'hunks in .rej' : 'marked'})`)}`,
+        );
+      }
+    }
 
     // Next steps
     lines.push(
@@ -1590,7 +1761,9 @@ class Installer {
     const removed = { modules: false, ideConfigs: false, outputFolder: false };
 
     // 2. IDE CLEANUP (before _skad/ deletion so configs are accessible)
-    if (options.removeIdeConfigs !== false) {
+    // A linked project has no IDE files of its own; the user-level skills belong to the global installation
+    const linked = await GlobalInstall.readLink(skadDir);
+    if (options.removeIdeConfigs !== false && !linked) {
       await this.uninstallIdeConfigs(projectDir, existingInstall, { silent: options.silent });
       removed.ideConfigs = true;
     }
@@ -1617,7 +1790,7 @@ class Installer {
    */
   async uninstallIdeConfigs(projectDir, existingInstall, options = {}) {
     await this.ideManager.ensureInitialized();
-    const cleanupOptions = { isUninstall: true, silent: options.silent };
+    const cleanupOptions = { isUninstall: true, silent: options.silent, scope: this.ideScope(projectDir) };
     const ideList = existingInstall.ides || [];
     if (ideList.length > 0) {
       return this.ideManager.cleanupByList(projectDir, ideList, cleanupOptions);
@@ -1653,6 +1826,7 @@ class Installer {
   async uninstallModules(projectDir) {
     const { skadDir } = await this.findSkadDir(projectDir);
     if (await fs.pathExists(skadDir)) {
+      await new Workspace(projectDir).removePackageConfigs();
       await fs.remove(skadDir);
       return true;
     }
@@ -1968,8 +2142,9 @@ class Installer {
    * Generate clean config.yaml files for each installed module
    * @param {string} skadDir - SKAD installation directory
    * @param {Object} moduleConfigs - Collected configuration values
+   * @param {Array<string>} [onlyModules] - Only write config.yaml for these modules (default: all installed)
    */
-  async generateModuleConfigs(skadDir, moduleConfigs) {
+  async generateModuleConfigs(skadDir, moduleConfigs, onlyModules = null) {
     const yaml = require('yaml');
 
     // Extract core config values to share with other modules
@@ -1979,7 +2154,8 @@ class Installer {
     const entries = await fs.readdir(skadDir, { withFileTypes: true });
     const installedModules = entries
       .filter((entry) => entry.isDirectory() && entry.name !== '_config' && entry.name !== 'docs')
-      .map((entry) => entry.name);
+      .map((entry) => entry.name)
+      .filter((name) => !onlyModules || onlyModules.includes(name));
 
     // Generate config.yaml for each installed module
     for (const moduleName of installedModules) {
@@ -2060,6 +2236,40 @@ class Installer {
     }
   }
 
+  /**
+   * Where IDE skills of an installation go: the global installation writes user-level skills
+   * @param {string} projectDir - Project directory
+   * @returns {string} 'user' or 'project'
+   */
+  ideScope(projectDir) {
+    return GlobalInstall.isGlobalHome(projectDir) ? 'user' : 'project';
+  }
+
+  /**
+   * Refuse to change a project linked to the global installation, whose module files are shared
+   * @param {string} skadDir - SKAD installation directory
+   */
+  async assertNotLinked(skadDir) {
+    const link = await GlobalInstall.readLink(skadDir);
+    if (link) {
+      throw new Error(
+        `This project is linked to the global installation at ${link.home}. ` +
+          'Change the global installation with "skad install --global", then refresh the project with "skad link".',
+      );
+    }
+  }
+
+  /**
+   * Regenerate the config copies of workspace packages after the root configs changed
+   * @param {string} projectDir - Workspace root
+   */
+  async syncWorkspace(projectDir) {
+    const workspace = new Workspace(projectDir);
+    if ((await workspace.packages()).length > 0) {
+      await workspace.sync();
+    }
+  }
+
   /**
    * Install core with resolved dependencies
    * @param {string} skadDir - SKAD installation directory
@@ -2340,8 +2550,8 @@ class Installer {
         continue;
       }
 
-      // Only process .md files (already compiled from YAML)
-      if (!agentFile.endsWith('.md')) {
+      // Only process .md files (already compiled from YAML), not other formats written next to them
+      if (!agentFile.endsWith('.md') || isAgentCompanionFile(agentFile)) {
         continue;
       }
 
@@ -2391,6 +2601,9 @@ class Installer {
    * @returns {Object} Update result
    */
   async quickUpdate(config) {
+    // Migrate before the existing configs are read
+    await this.runMigrations(path.resolve(config.directory), { keepSnapshots: config.dryRun ? 0 : config.keepSnapshots });
+
     const spinner = await prompts.spinner();
     spinner.start('Starting quick update...');
 
@@ -2575,6 +2788,12 @@ class Installer {
         }
       }
 
+      // Answers for modules that aren't being updated, or for keys they don't have, are mistakes
+      const unusedAnswers = this.configCollector.getUnusedPresetAnswers();
+      if (unusedAnswers.length > 0) {
+        throw new Error(`Unknown config answers: ${unusedAnswers.join(', ')}`);
+      }
+
       if (!promptedForNewFields) {
         await prompts.log.success('All configuration is up to date, no new options to configure');
       }
@@ -2596,6 +2815,10 @@ class Installer {
         coreConfig: this.configCollector.collectedConfig.core,
         actionType: 'install', // Use regular install flow
         _quickUpdate: true, // Flag to skip certain prompts
+        dryRun: config.dryRun, // Record instead of writing (skad install --dry-run)
+        keepSnapshots: config.keepSnapshots,
+        frozen: config.frozen, // Refuse anything that differs from skad.lock.yaml
+        mergeConflicts: config.mergeConflicts, // Conflict style for merging user-modified files
         _preserveModules: skippedModules, // Preserve these in manifest even though we didn't update them
         _savedIdeConfigs: savedIdeConfigs, // Pass saved IDE configs to installer
         _customModuleSources: customModuleSources, // Pass custom module sources for updates
@@ -2629,6 +2852,7 @@ class Installer {
   /**
    * Compile agents with customizations only
    * @param {Object} config - Configuration with directory
+   * @param {Array<string>} [config.onlyModules] - Only recompile agents of these modules
    * @returns {Object} Compilation result
    */
   async compileAgents(config) {
@@ -2685,8 +2909,17 @@ class Installer {
         }
       }
 
-      // Process each installed module
-      for (const moduleId of installedModules) {
+      // A linked project only compiles the agents folders it keeps locally
+      const linked = await GlobalInstall.readLink(skadDir);
+
+      // Process each installed module (or only the ones a config change affected)
+      const modulesToCompile = config.onlyModules ? installedModules.filter((m) => config.onlyModules.includes(m)) : installedModules;
+      for (const moduleId of modulesToCompile) {
+        if (linked) {
+          const agentsStat = await fs.lstat(path.join(skadDir, moduleId, 'agents')).catch(() => null);
+          if (!agentsStat || agentsStat.isSymbolicLink()) continue;
+        }
+
         spinner.message(`Recompiling agents in ${moduleId}...`);
 
         // Get source path
@@ -2716,7 +2949,7 @@ class Installer {
         const agentsPath = path.join(targetPath, 'agents');
         if (await fs.pathExists(agentsPath)) {
           const agentFiles = await fs.readdir(agentsPath);
-          const agentCount = agentFiles.filter((f) => f.endsWith('.md')).length;
+          const agentCount = agentFiles.filter((f) => f.endsWith('.md') && !isAgentCompanionFile(f)).length;
           totalAgentCount += agentCount;
         }
       }
@@ -2726,7 +2959,7 @@ class Installer {
       return {
         success: true,
         agentCount: totalAgentCount,
-        modules: installedModules,
+        modules: modulesToCompile,
       };
     } catch (error) {
       spinner.error('Agent recompilation failed');
@@ -2734,6 +2967,384 @@ class Installer {
     }
   }
 
+  /**
+   * Add or remove modules in an existing installation without going through the full install flow
+   * Only the affected modules are installed, configured or removed. Manifests, the help catalog
+   * and the configured IDEs are then regenerated from what is on disk.
+   * @param {Object} config - Change configuration
+   * @param {string} config.directory - Project directory
+   * @param {Array<string>} [config.add] - Module codes to install
+   * @param {Array<string>} [config.remove] - Module codes to remove
+   * @param {boolean} [config.skipPrompts] - Use module config defaults instead of prompting
+   * @param {number} [config.keepSnapshots] - Snapshots to keep (0 disables the pre-change snapshot)
+   * @returns {Object} {added, removed, skipped, ides}
+   */
+  async changeModules(config) {
+    const projectDir = path.resolve(config.directory);
+    const { skadDir } = await this.findSkadDir(projectDir);
+
+    if (!(await fs.pathExists(skadDir))) {
+      throw new Error(`SKAD not installed at ${skadDir}. Use regular install for first-time setup.`);
+    }
+
+    await this.assertNotLinked(skadDir);
+
+    const existingInstall = await this.detector.detect(skadDir);
+    const installedModules = existingInstall.modules.map((m) => m.id);
+    const configuredIdes = existingInstall.ides || [];
+    const skipped = [];
+
+    // Validate everything up front so a typo doesn't leave a half-applied change
+    const toAdd = [];
+    for (const moduleName of new Set(config.add || [])) {
+      if (installedModules.includes(moduleName)) {
+        skipped.push({ module: moduleName, reason: 'already installed' });
+      } else if (await this.moduleManager.findModuleSource(moduleName, { silent: true })) {
+        toAdd.push(moduleName);
+      } else {
+        throw new Error(`Module '${moduleName}' not found. Run "skad install" to see the available modules.`);
+      }
+    }
+
+    const toRemove = [];
+    for (const moduleName of new Set(config.remove || [])) {
+      if (moduleName === 'core') {
+        throw new Error('The core module cannot be removed. Use "skad uninstall" to remove SKAD.');
+      } else if (installedModules.includes(moduleName)) {
+        toRemove.push(moduleName);
+      } else {
+        skipped.push({ module: moduleName, reason: 'not installed' });
+      }
+    }
+
+    if (toAdd.length === 0 && toRemove.length === 0) {
+      return { added: [], removed: [], skipped, ides: [] };
+    }
+
+    // Collect config for the new modules only; existing modules keep their config.yaml as-is
+    await this.configCollector.loadExistingConfig(projectDir);
+    this.configCollector.skipPrompts = Boolean(config.skipPrompts);
+    await this.configCollector.collectModuleConfigQuick('core', projectDir, true);
+    for (const moduleName of toAdd) {
+      await this.configCollector.collectModuleConfig(moduleName, projectDir, true);
+    }
+    const moduleConfigs = this.configCollector.collectedConfig;
+
+    this.installedFiles = new Set();
+    this.moduleManager.setSkadFolderName(SKAD_FOLDER_NAME);
+    this.moduleManager.setCoreConfig(moduleConfigs.core || {});
+    this.moduleManager.setIdes(configuredIdes);
+    this.ideManager.setSkadFolderName(SKAD_FOLDER_NAME);
+
+    const snapshots = new SnapshotManager(projectDir, { keep: config.keepSnapshots });
+    let snapshot = null;
+    if (snapshots.keep > 0) {
+      const idePaths = await this.ideManager.getManagedPaths(configuredIdes, { scope: this.ideScope(projectDir) });
+      snapshot = await snapshots.create([SKAD_FOLDER_NAME, LOCK_FILE_NAME, ...idePaths], {
+        reason: 'module change',
+        version: existingInstall.version || null,
+        modules: installedModules,
+        ides: configuredIdes,
+      });
+    }
+
+    const spinner = await prompts.spinner();
+    spinner.start('Applying module changes...');
+
+    try {
+      for (const moduleName of toRemove) {
+        spinner.message(`Removing ${moduleName}...`);
+        await this.moduleManager.remove(moduleName, skadDir);
+        await this.manifest.removeModule(skadDir, moduleName);
+        await new BaselineStore(skadDir).removeModule(moduleName);
+
+        // Custom modules also leave a cached copy of their source behind
+        const cachedPath = path.join(skadDir, '_config', 'custom', moduleName);
+        if (await fs.pathExists(cachedPath)) {
+          await fs.remove(cachedPath);
+          await this.manifest.removeCustomModule(skadDir, moduleName);
+        }
+      }
+
+      if (toAdd.length > 0) {
+        spinner.message('Resolving dependencies...');
+        const resolution = await this.dependencyResolver.resolve(getProjectRoot(), toAdd, {
+          moduleManager: new ModuleManager({ skadDir }),
+        });
+
+        for (const moduleName of toAdd) {
+          spinner.message(`Installing ${moduleName}...`);
+          await this.installModuleWithDependencies(moduleName, skadDir, resolution.byModule?.[moduleName]);
+          await this.moduleManager.createModuleDirectories(moduleName, skadDir, {
+            installedIDEs: configuredIdes,
+            moduleConfig: moduleConfigs[moduleName] || {},
+            existingModuleConfig: {},
+            coreConfig: moduleConfigs.core || {},
+            silent: true,
+          });
+        }
+
+        // Files the new modules need from modules that aren't installed
+        const remainingModules = new Set([...installedModules.filter((m) => !toRemove.includes(m)), ...toAdd]);
+        for (const [moduleName, files] of Object.entries(resolution.byModule || {})) {
+          if (remainingModules.has(moduleName)) continue;
+          const totalFiles = Object.values(files).reduce((sum, list) => sum + (Array.isArray(list) ? list.length : 0), 0);
+          if (totalFiles > 0) {
+            await this.installPartialModule(moduleName, skadDir, files);
+          }
+        }
+
+        await this.generateModuleConfigs(skadDir, moduleConfigs, toAdd);
+      }
+      await this.syncWorkspace(projectDir);
+
+      spinner.message('Generating manifests...');
+      const modules = [...installedModules.filter((m) => !toRemove.includes(m)), ...toAdd];
+      const cfgDir = path.join(skadDir, '_config');
+      for (const manifestFile of ['manifest.yaml', 'workflow-manifest.csv', 'agent-manifest.csv', 'task-manifest.csv']) {
+        this.installedFiles.add(path.join(cfgDir, manifestFile));
+      }
+
+      // Files of untouched modules keep their recorded hashes
+      const changedModules = new Set([...toAdd, ...toRemove]);
+      const preservedFileHashes = new Map();
+      for (const entry of await this.readFilesManifest(skadDir)) {
+        const filePath = path.join(skadDir, entry.path);
+        if (changedModules.has(entry.module) || entry.path.startsWith('_config/') || !(await fs.pathExists(filePath))) {
+          continue;
+        }
+        this.installedFiles.add(filePath);
+        if (entry.hash) {
+          preservedFileHashes.set(entry.path, entry.hash);
+        }
+      }
+
+      const manifestGen = new ManifestGenerator();
+      await manifestGen.generateManifests(skadDir, modules, [...this.installedFiles], {
+        ides: configuredIdes,
+        preservedModules: modules,
+        preservedFileHashes,
+        removedModules: toRemove,
+      });
+
+      spinner.message('Generating help catalog...');
+      await this.mergeModuleHelpCatalogs(skadDir);
+
+      const ides = [];
+      if (configuredIdes.length > 0) {
+        await this.ideManager.ensureInitialized();
+        const savedIdeConfigs = await this.ideConfigManager.loadAllIdeConfigs(skadDir);
+        for (const ide of configuredIdes) {
+          spinner.message(`Regenerating ${ide}...`);
+          const setupResult = await this.ideManager.setup(ide, projectDir, skadDir, {
+            scope: this.ideScope(projectDir),
+            selectedModules: modules.filter((m) => m !== 'core'),
+            preCollectedConfig: savedIdeConfigs[ide] || null,
+            silent: true,
+          });
+          ides.push({ ide, success: setupResult.success, error: setupResult.error });
+        }
+      }
+
+      // Keep an existing lock in step with the new module set
+      const lockFile = new LockFile(projectDir);
+      if (await fs.pathExists(lockFile.lockPath)) {
+        await lockFile.write(await lockFile.build(skadDir));
+      }
+
+      spinner.stop('Module changes applied');
+
+      if (snapshot) {
+        await snapshots.prune();
+      }
+
+      return { added: toAdd, removed: toRemove, skipped, ides };
+    } catch (error) {
+      spinner.error('Module changes failed');
+
+      if (snapshot) {
+        try {
+          await snapshots.restore(snapshot.id);
+          await snapshots.remove(snapshot.id);
+          await prompts.log.warn('Restored the project to its state before this change');
+        } catch (restoreError) {
+          await prompts.log.error(`Could not restore snapshot ${snapshot.id}: ${restoreError.message}`);
+          await prompts.log.message('Run "skad rollback" to retry.');
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Add or remove IDE/tool targets in an existing installation without going through the full install flow
+   * New IDEs are configured (prompting only if their handler collects configuration), generated with
+   * IdeManager.setup, and recorded in the manifest and _config/ides. Removed IDEs are cleaned up with
+   * IdeManager.cleanupByList; remaining IDEs that share a target directory with them are regenerated.
+   * @param {Object} config - Change configuration
+   * @param {string} config.directory - Project directory
+   * @param {Array<string>} [config.add] - Platform codes to set up
+   * @param {Array<string>} [config.remove] - Platform codes to remove
+   * @param {boolean} [config.skipPrompts] - Use IDE config defaults instead of prompting
+   * @param {number} [config.keepSnapshots] - Snapshots to keep (0 disables the pre-change snapshot)
+   * @returns {Object} {added, removed, skipped, results: [{ide, success, error}]}
+   */
+  async changeIdes(config) {
+    const projectDir = path.resolve(config.directory);
+    const { skadDir } = await this.findSkadDir(projectDir);
+
+    if (!(await fs.pathExists(skadDir))) {
+      throw new Error(`SKAD not installed at ${skadDir}. Use regular install for first-time setup.`);
+    }
+
+    await this.assertNotLinked(skadDir);
+
+    const existingInstall = await this.detector.detect(skadDir);
+    const selectedModules = existingInstall.modules.map((m) => m.id).filter((m) => m !== 'core');
+    const configuredIdes = existingInstall.ides || [];
+    const skipped = [];
+
+    await this.ideManager.ensureInitialized();
+    this.ideManager.setSkadFolderName(SKAD_FOLDER_NAME);
+    const availableIdes = this.ideManager.getAvailableIdes().map((ide) => ide.value);
+
+    // Validate everything up front so a typo doesn't leave a half-applied change
+    const toAdd = [];
+    for (const ide of new Set(config.add || [])) {
+      if (configuredIdes.includes(ide)) {
+        skipped.push({ ide, reason: 'already configured' });
+      } else if (availableIdes.includes(ide)) {
+        toAdd.push(ide);
+      } else {
+        throw new Error(`IDE '${ide}' is not supported. Available: ${availableIdes.join(', ')}`);
+      }
+    }
+
+    const toRemove = [];
+    for (const ide of new Set(config.remove || [])) {
+      if (configuredIdes.includes(ide)) {
+        toRemove.push(ide);
+      } else {
+        skipped.push({ ide, reason: 'not configured' });
+      }
+    }
+
+    if (toAdd.length === 0 && toRemove.length === 0) {
+      return { added: [], removed: [], skipped, results: [] };
+    }
+
+    // Collect configuration for new IDEs before anything is written
+    const ideConfigurations = {};
+    for (const ide of toAdd) {
+      const handler = this.ideManager.handlers.get(ide);
+      ideConfigurations[ide] =
+        typeof handler.collectConfiguration === 'function'
+          ? await handler.collectConfiguration({ selectedModules, projectDir, skadDir, skipPrompts: Boolean(config.skipPrompts) })
+          : { _noConfigNeeded: true };
+    }
+
+    // Remaining IDEs that write into a directory a removed IDE cleans up must be regenerated
+    const remainingIdes = configuredIdes.filter((ide) => !toRemove.includes(ide));
+    const scope = this.ideScope(projectDir);
+    const removedPaths = new Set(await this.ideManager.getManagedPaths(toRemove, { scope }));
+    const toRegenerate = [];
+    for (const ide of remainingIdes) {
+      const paths = await this.ideManager.getManagedPaths([ide], { scope });
+      if (paths.some((p) => removedPaths.has(p))) {
+        toRegenerate.push(ide);
+      }
+    }
+
+    // Agents are recompiled when the IDEs change which agent formats are read
+    const { getAgentEmittersForPlatforms } = require('../ide/platform-codes');
+    const emittersBefore = await getAgentEmittersForPlatforms(configuredIdes);
+    const emittersAfter = await getAgentEmittersForPlatforms([...remainingIdes, ...toAdd]);
+    const recompileAgents = emittersBefore.join(',') !== emittersAfter.join(',');
+    const agentDirs = recompileAgents
+      ? existingInstall.modules.map((m) => path.relative(projectDir, path.join(skadDir, m.id, 'agents')))
+      : [];
+
+    const snapshots = new SnapshotManager(projectDir, { keep: config.keepSnapshots });
+    let snapshot = null;
+    if (snapshots.keep > 0) {
+      const ideConfigDir = path.relative(projectDir, this.ideConfigManager.getIdeConfigDir(skadDir));
+      const manifestPath = path.relative(projectDir, path.join(skadDir, '_config', 'manifest.yaml'));
+      snapshot = await snapshots.create(
+        [manifestPath, ideConfigDir, ...agentDirs, ...(await this.ideManager.getManagedPaths([...configuredIdes, ...toAdd], { scope }))],
+        {
+          reason: 'ide change',
+          version: existingInstall.version || null,
+          modules: existingInstall.modules.map((m) => m.id),
+          ides: configuredIdes,
+        },
+      );
+    }
+
+    const spinner = await prompts.spinner();
+    spinner.start('Applying IDE changes...');
+
+    try {
+      const results = [];
+
+      if (toRemove.length > 0) {
+        spinner.message(`Removing ${toRemove.join(', ')}...`);
+        await this.ideManager.cleanupByList(projectDir, toRemove, { silent: true, scope: this.ideScope(projectDir) });
+        for (const ide of toRemove) {
+          await this.ideConfigManager.deleteIdeConfig(skadDir, ide);
+          await this.manifest.removeIde(skadDir, ide);
+        }
+      }
+
+      const savedIdeConfigs = await this.ideConfigManager.loadAllIdeConfigs(skadDir);
+      for (const ide of [...toRegenerate, ...toAdd]) {
+        spinner.message(`Configuring ${ide}...`);
+        const setupResult = await this.ideManager.setup(ide, projectDir, skadDir, {
+          scope: this.ideScope(projectDir),
+          selectedModules,
+          preCollectedConfig: ideConfigurations[ide] || savedIdeConfigs[ide] || null,
+          silent: true,
+        });
+        results.push({ ide, success: setupResult.success, error: setupResult.error });
+        if (!setupResult.success) {
+          throw new Error(`Failed to set up ${ide}: ${setupResult.error || 'unknown error'}`);
+        }
+
+        if (toAdd.includes(ide)) {
+          await this.ideConfigManager.saveIdeConfig(skadDir, ide, ideConfigurations[ide]);
+          await this.manifest.addIde(skadDir, ide);
+        }
+      }
+
+      spinner.stop('IDE changes applied');
+
+      if (recompileAgents) {
+        await this.compileAgents({ directory: projectDir });
+      }
+
+      if (snapshot) {
+        await snapshots.prune();
+      }
+
+      return { added: toAdd, removed: toRemove, skipped, results };
+    } catch (error) {
+      spinner.error('IDE changes failed');
+
+      if (snapshot) {
+        try {
+          await snapshots.restore(snapshot.id);
+          await snapshots.remove(snapshot.id);
+          await prompts.log.warn('Restored the project to its state before this change');
+        } catch (restoreError) {
+          await prompts.log.error(`Could not restore snapshot ${snapshot.id}: ${restoreError.message}`);
+          await prompts.log.message('Run "skad rollback" to retry.');
+        }
+      }
+
+      throw error;
+    }
+  }
+
   /**
    * Private: Prompt for update action
    */
@@ -2746,16 +3357,29 @@ class Installer {
   }
 
   /**
-   * Handle legacy SKAD v4 detection with simple warning
-   * @param {string} _projectDir - Project directory (unused in simplified version)
-   * @param {Object} _legacyV4 - Legacy V4 detection result (unused in simplified version)
+   * Run pending installation migrations (see installers/lib/migrations) and report them
+   * @param {string} projectDir - Project directory
+   * @param {Object} [options] - Passed to MigrationRunner.run (ids, optIn, keepSnapshots)
+   * @returns {Promise<Object>} {fromVersion, toVersion, applied}
    */
-  async handleLegacyV4Migration(_projectDir, _legacyV4) {
+  async runMigrations(projectDir, options = {}) {
+    const result = await new MigrationRunner().run(projectDir, options);
+    for (const migration of result.applied) {
+      await prompts.log.info(`Migrated: ${migration.description}`);
+    }
+    return result;
+  }
+
+  /**
+   * Handle a legacy SKAD v4 .skad-method folder by offering the v4-folder-backup migration
+   * The folder is only renamed when the user picks that; the default is to exit
+   * @param {string} projectDir - Project directory
+   * @param {Object} legacyV4 - Result of Detector.detectLegacyV4
+   */
+  async handleLegacyV4Migration(projectDir, legacyV4) {
     await prompts.note(
-      'Found .skad-method folder from SKAD v4 installation.\n\n' +
-        'Before continuing with installation, we recommend:\n' +
-        '  1. Remove the .skad-method folder, OR\n' +
-        '  2. Back it up by renaming it to another name (e.g., skad-method-backup)\n\n' +
+      `Found ${legacyV4.offenders.map((p) => path.relative(projectDir, p)).join(', ')} from a SKAD v4 installation.\n\n` +
+        'It can be backed up as .skad-method-v4-backup so the new installation does not mix with it.\n' +
         'If your v4 installation set up rules or commands, you should remove those as well.',
       'Legacy SKAD v4 detected',
     );
@@ -2768,10 +3392,15 @@ class Installer {
           value: 'exit',
           hint: 'Exit installation',
         },
+        {
+          name: 'Back up the v4 folder and continue',
+          value: 'migrate',
+          hint: 'Renames .skad-method',
+        },
         {
           name: 'Continue with installation anyway',
           value: 'continue',
-          hint: 'Continue',
+          hint: 'Leaves .skad-method as it is',
         },
       ],
       default: 'exit',
@@ -2784,7 +3413,12 @@ class Installer {
       return;
     }
 
-    await prompts.log.warn('Proceeding with installation despite legacy v4 folder');
+    if (proceed === 'continue') {
+      await prompts.log.warn('Proceeding with installation despite legacy v4 folder');
+      return;
+    }
+
+    await this.runMigrations(projectDir, { ids: ['v4-folder-backup'] });
   }
 
   /**
@@ -2855,6 +3489,7 @@ class Installer {
 
     // Memory is always in _skad/_memory
     const skadMemoryPath = '_memory';
+    const baselines = new BaselineStore(skadDir);
 
     // Check if the manifest has hashes - if not, we can't detect modifications
     let manifestHasHashes = false;
@@ -2933,7 +3568,8 @@ class Installer {
               // File not in manifest = custom file
               // EXCEPT: Agent .md files in module folders are generated files, not custom
               // Only treat .md files under _config/agents/ as custom
-              if (!(fileName.endsWith('.md') && relativePath.includes('/agents/') && !relativePath.startsWith('_config/'))) {
+              const isCompiledAgent = fileName.endsWith('.md') || isAgentCompanionFile(fileName);
+              if (!(isCompiledAgent && relativePath.includes('/agents/') && !relativePath.startsWith('_config/'))) {
                 customFiles.push(fullPath);
               }
             } else if (manifestHasHashes && fileInfo.hash) {
@@ -2941,9 +3577,11 @@ class Installer {
               const currentHash = await this.manifest.calculateFileHash(fullPath);
               if (currentHash && currentHash !== fileInfo.hash) {
                 // Hash changed = file was modified
+                // Keep the pristine copy from the last install so the edit can be merged into the update
                 modifiedFiles.push({
                   path: fullPath,
                   relativePath: fileInfo.relativePath,
+                  baseline: await baselines.read(fileInfo.relativePath),
                 });
               }
             }
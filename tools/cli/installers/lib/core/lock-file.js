@@ -0,0 +1,241 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { Manifest } = require('./manifest');
+const { Doctor } = require('./doctor');
+const { CustomModuleCache } = require('./custom-module-cache');
+const { ModuleManager, pinExternalModules } = require('../modules/manager');
+const { SKAD_FOLDER_NAME } = require('../ide/shared/path-utils');
+const { getProjectRoot } = require('../../../lib/project-root');
+
+const LOCK_FILE_NAME = 'skad.lock.yaml';
+const LOCK_FILE_VERSION = 1;
+
+/**
+ * Lockfile recording exactly what an install produced, written to the project root.
+ * `skad install --frozen` pins external modules to the recorded commits and refuses
+ * to finish an install whose result differs from the lock.
+ *
+ * Contents:
+ *   core.version           skad-method package version
+ *   modules.<code>         source, version, and per source: commit (external git clone),
+ *                          hash (custom module source hash from CustomModuleCache)
+ *   files.<path>           sha256 of every installed file in files-manifest.csv,
+ *                          except generated config and _memory sidecars
+ *
+ * @example
+ * const lockFile = new LockFile(projectDir);
+ * await lockFile.write(await lockFile.build(skadDir));
+ */
+class LockFile {
+  /**
+   * @param {string} projectDir - Project root directory
+   */
+  constructor(projectDir) {
+    this.projectDir = path.resolve(projectDir);
+    this.lockPath = path.join(this.projectDir, LOCK_FILE_NAME);
+  }
+
+  /**
+   * Read the lockfile
+   * @returns {Promise<Object|null>} Parsed lock, or null when there is none
+   */
+  async read() {
+    if (!(await fs.pathExists(this.lockPath))) {
+      return null;
+    }
+
+    const lock = yaml.parse(await fs.readFile(this.lockPath, 'utf8'));
+    if (!lock || lock.lockfileVersion !== LOCK_FILE_VERSION) {
+      throw new Error(`Unsupported lockfile format in ${this.lockPath}`);
+    }
+    return lock;
+  }
+
+  /**
+   * Read the lock for a frozen install and pin external modules to its commits
+   * Must run before any external module is cloned or updated.
+   * @returns {Promise<Object>} Parsed lock
+   */
+  async pin() {
+    const lock = await this.read();
+    if (!lock) {
+      throw new Error(`--frozen needs ${LOCK_FILE_NAME} in ${this.projectDir}. Run "skad install" without --frozen to create it.`);
+    }
+    pinExternalModules(this.getExternalCommits(lock));
+    return lock;
+  }
+
+  /**
+   * Build the error for a frozen install that differs from the lock
+   * @param {Array<string>} mismatches - Descriptions from verifyInputs() or compare()
+   * @returns {Error}
+   */
+  mismatchError(mismatches) {
+    const shown = mismatches.slice(0, 20).map((m) => `  - ${m}`);
+    if (mismatches.length > shown.length) {
+      shown.push(`  - ...and ${mismatches.length - shown.length} more`);
+    }
+    return new Error(`Installation does not match ${LOCK_FILE_NAME}:\n${shown.join('\n')}`);
+  }
+
+  /**
+   * Write the lockfile
+   * @param {Object} lock - Lock built by build()
+   */
+  async write(lock) {
+    const header = '# Generated by skad install. Commit this file; "skad install --frozen" refuses anything that differs.\n';
+    await fs.writeFile(this.lockPath, header + yaml.stringify(lock, { indent: 2, lineWidth: 0, sortKeys: false }));
+  }
+
+  /**
+   * Describe an installation as a lock
+   * @param {string} skadDir - SKAD installation directory
+   * @returns {Promise<Object>}
+   */
+  async build(skadDir) {
+    const manifestData = (await new Manifest()._readRaw(skadDir)) || {};
+    const cacheManifest = await new CustomModuleCache(skadDir).getCacheManifest();
+    const externalCacheDir = new ModuleManager().getExternalCacheDir();
+
+    const modules = {};
+    for (const module of manifestData.modules || []) {
+      const entry = { source: module.source || 'built-in', version: module.version || null };
+      if (entry.source === 'external') {
+        entry.repoUrl = module.repoUrl || null;
+        entry.npmPackage = module.npmPackage || null;
+        entry.commit = this.readCommit(path.join(externalCacheDir, module.name));
+      } else if (entry.source === 'custom') {
+        entry.hash = cacheManifest[module.name]?.originalHash || null;
+      }
+      modules[module.name] = entry;
+    }
+
+    const doctor = new Doctor();
+    const files = {};
+    const entries = await doctor.readFilesManifest(skadDir);
+    for (const entry of entries.sort((a, b) => a.path.localeCompare(b.path))) {
+      const relativePath = entry.path.replaceAll('\\', '/');
+      if (!entry.hash || doctor.isGeneratedFile(relativePath) || relativePath.startsWith('_memory/')) continue;
+      files[relativePath] = entry.hash;
+    }
+
+    return {
+      lockfileVersion: LOCK_FILE_VERSION,
+      core: { version: require(path.join(getProjectRoot(), 'package.json')).version },
+      modules,
+      files,
+    };
+  }
+
+  /**
+   * Check an install's inputs against the lock before anything is written
+   * @param {Object} lock - Parsed lock
+   * @param {Object} inputs
+   * @param {Array<string>} inputs.modules - Modules being installed (including core)
+   * @param {Map<string, string>} [inputs.customModulePaths] - Custom module id to source path
+   * @returns {Promise<Array<string>>} Mismatch descriptions (empty when the inputs match)
+   */
+  async verifyInputs(lock, { modules, customModulePaths = new Map() }) {
+    const mismatches = [];
+    const packageVersion = require(path.join(getProjectRoot(), 'package.json')).version;
+    if (lock.core?.version !== packageVersion) {
+      mismatches.push(`core version is ${packageVersion}, lock has ${lock.core?.version}`);
+    }
+
+    const locked = new Set(Object.keys(lock.modules || {}));
+    const requested = new Set(modules);
+    for (const moduleName of requested) {
+      if (!locked.has(moduleName)) mismatches.push(`module ${moduleName} is not in the lock`);
+    }
+    for (const moduleName of locked) {
+      if (!requested.has(moduleName)) mismatches.push(`module ${moduleName} is in the lock but not being installed`);
+    }
+
+    const cache = new CustomModuleCache(path.join(this.projectDir, SKAD_FOLDER_NAME));
+    for (const [moduleName, sourcePath] of customModulePaths) {
+      const lockedHash = lock.modules?.[moduleName]?.hash;
+      if (!lockedHash || !(await fs.pathExists(sourcePath))) continue;
+      if ((await cache.calculateHash(sourcePath)) !== lockedHash) {
+        mismatches.push(`custom module ${moduleName} source changed since the lock was written`);
+      }
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * External module commits recorded in the lock
+   * @param {Object} lock - Parsed lock
+   * @returns {Object} Module code to commit
+   */
+  getExternalCommits(lock) {
+    const commits = {};
+    for (const [moduleName, entry] of Object.entries(lock.modules || {})) {
+      if (entry.source === 'external' && entry.commit) {
+        commits[moduleName] = entry.commit;
+      }
+    }
+    return commits;
+  }
+
+  /**
+   * Compare two locks
+   * @param {Object} expected - Lock on disk
+   * @param {Object} actual - Lock built from the install that just ran
+   * @returns {Array<string>} Mismatch descriptions (empty when they match)
+   */
+  compare(expected, actual) {
+    const mismatches = [];
+
+    if (expected.core?.version !== actual.core?.version) {
+      mismatches.push(`core version ${actual.core?.version} differs from locked ${expected.core?.version}`);
+    }
+
+    const moduleNames = new Set([...Object.keys(expected.modules || {}), ...Object.keys(actual.modules || {})]);
+    for (const moduleName of moduleNames) {
+      const want = expected.modules?.[moduleName];
+      const got = actual.modules?.[moduleName];
+      if (!want || !got) {
+        mismatches.push(`module ${moduleName} ${want ? 'was not installed' : 'is not in the lock'}`);
+        continue;
+      }
+      for (const field of ['source', 'version', 'commit', 'hash']) {
+        if ((want[field] ?? null) !== (got[field] ?? null)) {
+          mismatches.push(`module ${moduleName} ${field} ${got[field] ?? 'none'} differs from locked ${want[field] ?? 'none'}`);
+        }
+      }
+    }
+
+    const filePaths = new Set([...Object.keys(expected.files || {}), ...Object.keys(actual.files || {})]);
+    for (const filePath of [...filePaths].sort()) {
+      const want = expected.files?.[filePath];
+      const got = actual.files?.[filePath];
+      if (want === got) continue;
+      if (!want) mismatches.push(`file ${filePath} is not in the lock`);
+      else if (got) mismatches.push(`file ${filePath} content differs from the lock`);
+      else mismatches.push(`file ${filePath} was not installed`);
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Commit checked out in a git working copy
+   * @param {string} dir - Repository directory
+   * @returns {string|null}
+   */
+  readCommit(dir) {
+    if (!fs.pathExistsSync(path.join(dir, '.git'))) {
+      return null;
+    }
+    try {
+      const { execSync } = require('node:child_process');
+      return execSync('git rev-parse HEAD', { cwd: dir, stdio: 'pipe' }).toString().trim();
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = { LockFile, LOCK_FILE_NAME };
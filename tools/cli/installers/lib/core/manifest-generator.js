@@ -28,6 +28,8 @@ class ManifestGenerator {
     this.modules = [];
     this.files = [];
     this.selectedIdes = [];
+    this.preservedFileHashes = new Map();
+    this.removedModules = new Set();
   }
 
   /** Delegate to shared skill-manifest module */
@@ -66,6 +68,11 @@ class ManifestGenerator {
    * @param {string} skadDir - _skad
    * @param {Array} selectedModules - Selected modules for installation
    * @param {Array} installedFiles - All installed files (optional, for hash tracking)
+   * @param {Object} options - Generation options
+   * @param {Array<string>} options.ides - Configured IDEs (required)
+   * @param {Array<string>} [options.preservedModules] - Modules to keep in the manifests as-is
+   * @param {Map<string, string>} [options.preservedFileHashes] - Relative path to recorded hash for files that were not reinstalled
+   * @param {Array<string>} [options.removedModules] - Modules whose existing manifest rows should be dropped
    */
   async generateManifests(skadDir, selectedModules, installedFiles = [], options = {}) {
     // Create _config directory if it doesn't exist
@@ -92,6 +99,8 @@ class ManifestGenerator {
     this.skadDir = skadDir;
     this.skadFolderName = path.basename(skadDir); // Get the actual folder name (e.g., '_skad' or 'skad')
     this.allInstalledFiles = installedFiles;
+    this.preservedFileHashes = options.preservedFileHashes || new Map();
+    this.removedModules = new Set(options.removedModules || []);
 
     if (!Object.prototype.hasOwnProperty.call(options, 'ides')) {
       throw new Error('ManifestGenerator requires `options.ides` to be provided – installer should supply the selected IDEs array.');
@@ -1017,6 +1026,7 @@ class ManifestGenerator {
         skip_empty_lines: true,
       });
       for (const record of records) {
+        if (this.removedModules.has(record.module)) continue;
         existingEntries.set(`${record.module}:${record.name}`, record);
       }
     }
@@ -1091,6 +1101,7 @@ class ManifestGenerator {
         skip_empty_lines: true,
       });
       for (const record of records) {
+        if (this.removedModules.has(record.module)) continue;
         existingEntries.set(`${record.module}:${record.name}`, record);
       }
     }
@@ -1155,6 +1166,7 @@ class ManifestGenerator {
         skip_empty_lines: true,
       });
       for (const record of records) {
+        if (this.removedModules.has(record.module)) continue;
         existingEntries.set(`${record.module}:${record.name}`, record);
       }
     }
@@ -1242,8 +1254,8 @@ class ManifestGenerator {
         const pathParts = relativePath.split('/');
         const module = pathParts.length > 0 ? pathParts[0] : 'unknown';
 
-        // Calculate hash
-        const hash = await this.calculateFileHash(filePath);
+        // Calculate hash (files that weren't reinstalled keep their recorded hash so local edits stay detectable)
+        const hash = this.preservedFileHashes.get(relativePath) || (await this.calculateFileHash(filePath));
 
         allFiles.push({
           type: ext.slice(1) || 'file',
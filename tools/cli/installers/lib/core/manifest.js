@@ -419,6 +419,24 @@ class Manifest {
     }
   }
 
+  /**
+   * Remove an IDE configuration from the manifest
+   * @param {string} skadDir - Path to skad directory
+   * @param {string} ideName - IDE name to remove
+   */
+  async removeIde(skadDir, ideName) {
+    const manifest = await this._readRaw(skadDir);
+    if (!manifest || !manifest.ides) {
+      return;
+    }
+
+    const index = manifest.ides.indexOf(ideName);
+    if (index !== -1) {
+      manifest.ides.splice(index, 1);
+      await this._writeRaw(skadDir, manifest);
+    }
+  }
+
   /**
    * Calculate SHA256 hash of a file
    * @param {string} filePath - Path to file
@@ -835,7 +853,6 @@ class Manifest {
    * @returns {Object} Version info object with version, source, npmPackage, repoUrl
    */
   async getModuleVersionInfo(moduleName, skadDir, moduleSourcePath = null) {
-    const os = require('node:os');
     const yaml = require('yaml');
 
     // Built-in modules use SKad version (only core and bmm are in SKAD-METHOD repo)
@@ -869,7 +886,8 @@ class Manifest {
 
       // If npm didn't work, try reading from cached repo's package.json
       if (!version) {
-        const cacheDir = path.join(os.homedir(), '.skad', 'cache', 'external-modules', moduleName);
+        const { GlobalInstall } = require('./global-install');
+        const cacheDir = path.join(GlobalInstall.cacheDir(), 'external-modules', moduleName);
         const packageJsonPath = path.join(cacheDir, 'package.json');
 
         if (await fs.pathExists(packageJsonPath)) {
@@ -924,6 +942,10 @@ class Manifest {
    * @returns {string|null} Latest version or null
    */
   async fetchNpmVersion(packageName) {
+    if (process.env.SKAD_OFFLINE === 'true') {
+      return null;
+    }
+
     try {
       const https = require('node:https');
       const { execSync } = require('node:child_process');
@@ -0,0 +1,203 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const semver = require('semver');
+const { SnapshotManager } = require('./snapshot-manager');
+const { MIGRATIONS } = require('../migrations');
+const { SKAD_FOLDER_NAME } = require('../ide/shared/path-utils');
+const { getProjectRoot } = require('../../../lib/project-root');
+
+/**
+ * Runs the migrations in the registry (installers/lib/migrations) that an installation needs.
+ * A migration is pending when the installed version from the manifest falls in its `versions`
+ * range, it has not been recorded as applied, and its applies() check (if any) passes.
+ * Installations without a readable version are treated as 0.0.0.
+ * Opt-in migrations (optIn: true) are only pending when they are asked for by id.
+ *
+ * Migrations without an applies() check are recorded under `installation.migrations` in the
+ * manifest once they run, so running `skad migrate` twice does nothing the second time.
+ * Migrations with one detect their own work on disk and are not recorded.
+ *
+ * @example
+ * const runner = new MigrationRunner();
+ * const pending = await runner.plan(projectDir);
+ * const { applied } = await runner.run(projectDir);
+ */
+class MigrationRunner {
+  /**
+   * @param {Array<Object>} [migrations] - Migrations to consider, oldest first (defaults to the registry)
+   */
+  constructor(migrations = MIGRATIONS) {
+    this.migrations = migrations;
+  }
+
+  /**
+   * Read the installation's manifest, from _config or the legacy _cfg folder
+   * @param {string} skadDir - SKAD installation directory
+   * @returns {Promise<Object|null>}
+   */
+  async readManifest(skadDir) {
+    for (const folder of ['_config', '_cfg']) {
+      const manifestPath = path.join(skadDir, folder, 'manifest.yaml');
+      if (await fs.pathExists(manifestPath)) {
+        try {
+          return yaml.parse(await fs.readFile(manifestPath, 'utf8')) || null;
+        } catch {
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build the context passed to each migration
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<Object>} {projectDir, skadDir, fromVersion, toVersion, manifest}
+   */
+  async getContext(projectDir) {
+    const resolvedDir = path.resolve(projectDir);
+    const skadDir = path.join(resolvedDir, SKAD_FOLDER_NAME);
+    const manifest = await this.readManifest(skadDir);
+    return {
+      projectDir: resolvedDir,
+      skadDir,
+      fromVersion: manifest?.installation?.version || null,
+      toVersion: require(path.join(getProjectRoot(), 'package.json')).version,
+      manifest,
+    };
+  }
+
+  /**
+   * Check an installed version against a migration's range
+   * @param {string|null} version - Installed version (null when unknown)
+   * @param {string} range - Semver range
+   * @returns {boolean}
+   */
+  inRange(version, range) {
+    const parsed = semver.valid(version) || semver.valid(semver.coerce(version)) || '0.0.0';
+    return semver.satisfies(parsed, range, { includePrerelease: true });
+  }
+
+  /**
+   * Migrations that would run for a project
+   * @param {string} projectDir - Project directory
+   * @param {Object} [options]
+   * @param {Array<string>} [options.ids] - Only consider these migrations (opt-in ones included)
+   * @param {Array<string>} [options.optIn] - Opt-in migrations to consider as well
+   * @returns {Promise<Array<Object>>} Pending migrations, in run order
+   */
+  async plan(projectDir, options = {}) {
+    const context = await this.getContext(projectDir);
+    const applied = new Set(context.manifest?.installation?.migrations || []);
+    const requested = new Set([...(options.ids || []), ...(options.optIn || [])]);
+    const pending = [];
+
+    for (const migration of this.migrations) {
+      if (options.ids && !options.ids.includes(migration.id)) continue;
+      if (migration.optIn && !requested.has(migration.id)) continue;
+      if (applied.has(migration.id) || !this.inRange(context.fromVersion, migration.versions)) continue;
+      if (migration.applies && !(await migration.applies(context))) continue;
+      pending.push(migration);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Every registered migration with its state for a project
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<Object>} {fromVersion, toVersion, migrations: [{id, description, versions, status}]}
+   *   status is pending, opt-in (would apply, but only runs when asked for), applied or not needed
+   */
+  async list(projectDir) {
+    const context = await this.getContext(projectDir);
+    const applied = new Set(context.manifest?.installation?.migrations || []);
+    const pending = new Set((await this.plan(projectDir, { optIn: this.migrations.map((m) => m.id) })).map((m) => m.id));
+
+    const status = (m) => {
+      if (pending.has(m.id)) return m.optIn ? 'opt-in' : 'pending';
+      return applied.has(m.id) ? 'applied' : 'not needed';
+    };
+    return {
+      fromVersion: context.fromVersion,
+      toVersion: context.toVersion,
+      migrations: this.migrations.map((m) => ({
+        id: m.id,
+        description: m.description,
+        versions: m.versions,
+        status: status(m),
+      })),
+    };
+  }
+
+  /**
+   * Run the pending migrations
+   * The paths they touch are snapshotted first and restored if one of them fails.
+   * @param {string} projectDir - Project directory
+   * @param {Object} [options]
+   * @param {Array<string>} [options.ids] - Only run these migrations (opt-in ones included)
+   * @param {Array<string>} [options.optIn] - Opt-in migrations to run as well
+   * @param {number} [options.keepSnapshots] - Snapshots to keep (0 disables the pre-migration snapshot)
+   * @returns {Promise<Object>} {fromVersion, toVersion, applied: [migration]}
+   */
+  async run(projectDir, options = {}) {
+    const pending = await this.plan(projectDir, options);
+    const context = await this.getContext(projectDir);
+    const result = { fromVersion: context.fromVersion, toVersion: context.toVersion, applied: [] };
+    if (pending.length === 0) {
+      return result;
+    }
+
+    const snapshots = new SnapshotManager(context.projectDir, { keep: options.keepSnapshots });
+    let snapshot = null;
+    if (snapshots.keep > 0) {
+      snapshot = await snapshots.create([...new Set(pending.flatMap((m) => m.paths || []))], {
+        reason: 'migration',
+        version: context.fromVersion,
+        migrations: pending.map((m) => m.id),
+      });
+    }
+
+    let current = null;
+    try {
+      for (const migration of pending) {
+        current = migration;
+        await migration.up(await this.getContext(context.projectDir));
+        result.applied.push(migration);
+      }
+      await this.recordApplied(context.skadDir, result.applied);
+    } catch (error) {
+      if (snapshot) {
+        await snapshots.restore(snapshot.id);
+        await snapshots.remove(snapshot.id);
+      }
+      throw new Error(`Migration ${current.id} failed: ${error.message}`);
+    }
+
+    if (snapshot) {
+      await snapshots.prune();
+    }
+    return result;
+  }
+
+  /**
+   * Record applied migrations in the manifest (when the installation has one)
+   * @param {string} skadDir - SKAD installation directory
+   * @param {Array<Object>} applied - Migrations that ran
+   */
+  async recordApplied(skadDir, applied) {
+    const recorded = applied.filter((m) => !m.applies);
+    const manifestPath = path.join(skadDir, '_config', 'manifest.yaml');
+    if (recorded.length === 0 || !(await fs.pathExists(manifestPath))) {
+      return;
+    }
+
+    const manifest = yaml.parse(await fs.readFile(manifestPath, 'utf8')) || {};
+    manifest.installation = manifest.installation || {};
+    manifest.installation.migrations = [...new Set([...(manifest.installation.migrations || []), ...recorded.map((m) => m.id)])];
+    await fs.writeFile(manifestPath, yaml.stringify(manifest, { indent: 2, lineWidth: 0, sortKeys: false }));
+  }
+}
+
+module.exports = { MigrationRunner };
@@ -0,0 +1,217 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { Manifest } = require('./manifest');
+const { ConfigEditor } = require('./config-editor');
+
+const PROJECT_FILE_NAME = 'skad.config.yaml';
+const PROJECT_FILE_VERSION = 1;
+const LIST_FIELDS = ['modules', 'external_modules', 'custom_content', 'ides'];
+
+// Core answers map onto the install command's core config flags
+const CORE_OPTIONS = {
+  user_name: 'userName',
+  communication_language: 'communicationLanguage',
+  document_output_language: 'documentOutputLanguage',
+  output_folder: 'outputFolder',
+};
+
+/**
+ * Declarative project file describing a SKAD setup, committed with the repository.
+ * `skad install --from skad.config.yaml` installs it without prompts and `skad export`
+ * writes it from an existing installation.
+ *
+ * Format:
+ *   version: 1
+ *   modules: [bmm]                  built-in modules (core is always installed)
+ *   external_modules: [cis]         modules from the external modules registry
+ *   custom_content: [./my-module]   custom module paths, relative to the file
+ *   ides: [claude-code, cursor]     platform codes from platform-codes.yaml
+ *   config:                         answers to module.yaml prompts, per module
+ *     core: { user_name: Ada }
+ *     bmm: { user_skill_level: expert }
+ *
+ * @example
+ * const projectFile = await ProjectFile.load('skad.config.yaml');
+ * const options = projectFile.toInstallOptions();
+ */
+class ProjectFile {
+  /**
+   * @param {Object} data - Parsed project file
+   * @param {string} [filePath] - Where the file lives (relative custom_content paths resolve against it)
+   */
+  constructor(data, filePath = null) {
+    this.data = data;
+    this.filePath = filePath ? path.resolve(filePath) : null;
+  }
+
+  /**
+   * Read and validate a project file
+   * @param {string} filePath - Path to the project file
+   * @returns {Promise<ProjectFile>}
+   */
+  static async load(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    if (!(await fs.pathExists(resolvedPath))) {
+      throw new Error(`Project file not found: ${resolvedPath}`);
+    }
+
+    let data;
+    try {
+      data = yaml.parse(await fs.readFile(resolvedPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse ${resolvedPath}: ${error.message}`);
+    }
+
+    const projectFile = new ProjectFile(data || {}, resolvedPath);
+    projectFile.validate();
+    return projectFile;
+  }
+
+  /**
+   * Build a project file from an existing installation
+   * @param {string} projectDir - Project root directory
+   * @param {Installer} installer - Installer used to locate the installation
+   * @returns {Promise<{projectFile: ProjectFile, warnings: Array<string>}>}
+   */
+  static async fromInstallation(projectDir, installer) {
+    const { skadDir } = await installer.findSkadDir(projectDir);
+    const manifestData = await new Manifest()._readRaw(skadDir);
+    if (!manifestData) {
+      throw new Error(`No SKAD installation found at ${skadDir}`);
+    }
+
+    const warnings = [];
+    const modules = [];
+    const externalModules = [];
+    const customContent = [];
+    const customModules = new Map((manifestData.customModules || []).map((m) => [m.id, m]));
+
+    for (const module of manifestData.modules || []) {
+      if (module.name === 'core') continue;
+      if (module.source === 'external') {
+        externalModules.push(module.name);
+      } else if (module.source === 'custom') {
+        const sourcePath = customModules.get(module.name)?.sourcePath;
+        if (sourcePath) {
+          const relativePath = path.relative(projectDir, sourcePath);
+          customContent.push(relativePath.startsWith('..') || path.isAbsolute(relativePath) ? sourcePath : `./${relativePath}`);
+        } else {
+          warnings.push(`Custom module '${module.name}' has no recorded source path and was left out`);
+        }
+      } else {
+        modules.push(module.name);
+      }
+    }
+
+    const answers = await new ConfigEditor(installer).answers(projectDir);
+    const installed = new Set(['core', ...modules, ...externalModules, ...customModules.keys()]);
+    const config = {};
+    for (const moduleName of [...installed].filter((m) => answers[m])) {
+      config[moduleName] = answers[moduleName];
+    }
+
+    const data = { version: PROJECT_FILE_VERSION, modules };
+    if (externalModules.length > 0) data.external_modules = externalModules;
+    if (customContent.length > 0) data.custom_content = customContent;
+    data.ides = manifestData.ides || [];
+    data.config = config;
+
+    return { projectFile: new ProjectFile(data, path.join(projectDir, PROJECT_FILE_NAME)), warnings };
+  }
+
+  /**
+   * Check the file's shape; throws on the first problem found
+   */
+  validate() {
+    const data = this.data;
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      throw new TypeError('Project file must be a YAML mapping');
+    }
+
+    const knownFields = new Set(['version', ...LIST_FIELDS, 'config']);
+    const unknownFields = Object.keys(data).filter((field) => !knownFields.has(field));
+    if (unknownFields.length > 0) {
+      throw new Error(`Unknown field(s) in project file: ${unknownFields.join(', ')}`);
+    }
+
+    if (data.version !== undefined && data.version !== PROJECT_FILE_VERSION) {
+      throw new Error(`Unsupported project file version ${data.version} (expected ${PROJECT_FILE_VERSION})`);
+    }
+
+    for (const field of LIST_FIELDS) {
+      const value = data[field];
+      if (value !== undefined && (!Array.isArray(value) || value.some((entry) => typeof entry !== 'string' || !entry.trim()))) {
+        throw new Error(`"${field}" must be a list of names`);
+      }
+    }
+
+    const config = data.config || {};
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      throw new TypeError('"config" must map module codes to answers');
+    }
+    for (const [moduleName, answers] of Object.entries(config)) {
+      if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+        throw new Error(`config.${moduleName} must map config keys to answers`);
+      }
+    }
+
+    const unknownCoreKeys = Object.keys(config.core || {}).filter((key) => !CORE_OPTIONS[key]);
+    if (unknownCoreKeys.length > 0) {
+      throw new Error(`Unknown config answers: ${unknownCoreKeys.map((key) => `core.${key}`).join(', ')}`);
+    }
+  }
+
+  /**
+   * Translate the file into install command options
+   * Custom content paths are resolved against the file's directory.
+   * @returns {Object} Options for UI.promptInstall
+   */
+  toInstallOptions() {
+    const data = this.data;
+    const baseDir = this.filePath ? path.dirname(this.filePath) : process.cwd();
+    const modules = [...(data.modules || []), ...(data.external_modules || [])].filter((m) => m !== 'core');
+    const ides = data.ides || [];
+
+    const options = {
+      yes: true,
+      // Existing installations are updated so the file's modules and answers apply
+      action: 'update',
+      // "core" alone keeps an empty module list from falling back to the default modules
+      modules: modules.length > 0 ? modules.join(',') : 'core',
+      tools: ides.length > 0 ? ides.join(',') : 'none',
+    };
+
+    if (data.custom_content?.length > 0) {
+      options.customContent = data.custom_content.map((p) => (p.startsWith('~') ? p : path.resolve(baseDir, p))).join(',');
+    }
+
+    for (const [key, value] of Object.entries(data.config?.core || {})) {
+      options[CORE_OPTIONS[key]] = String(value);
+    }
+
+    return options;
+  }
+
+  /**
+   * Answers for the module config prompts, excluding core (which is passed as install options)
+   * @returns {Object} Module name to {key: value}
+   */
+  getModuleAnswers() {
+    return Object.fromEntries(Object.entries(this.data.config || {}).filter(([moduleName]) => moduleName !== 'core'));
+  }
+
+  /**
+   * Write the project file
+   * @param {string} [filePath] - Destination (defaults to the file's own path)
+   * @returns {Promise<string>} Path written
+   */
+  async save(filePath = this.filePath) {
+    const outputPath = path.resolve(filePath);
+    const header = '# SKAD project file - install with: npx skad-method install --from ' + path.basename(outputPath) + '\n';
+    await fs.outputFile(outputPath, header + yaml.stringify(this.data, { indent: 2, lineWidth: 0 }));
+    return outputPath;
+  }
+}
+
+module.exports = { ProjectFile, PROJECT_FILE_NAME, CORE_OPTIONS };
@@ -0,0 +1,268 @@
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+
+const SNAPSHOTS_FOLDER_NAME = '_skad-snapshots';
+const DEFAULT_KEEP = 3;
+
+// Written into the snapshots folder so git never picks up the copies, whatever the project's .gitignore says
+// Folders inside a recorded path that a snapshot neither copies nor restores.
+// Agent memories and sidecar data keep growing after an install, and a rollback must not throw them away.
+const PRESERVED_FOLDERS = new Set(['_memory']);
+
+const SNAPSHOTS_GITIGNORE = '# Pre-install copies made by the SKAD installer for "skad rollback". Not meant for version control.\n*\n';
+
+/**
+ * Project snapshots taken before an install touches the project.
+ * A snapshot records a list of project-relative paths (the _skad folder and the IDE
+ * target directories) and copies whatever exists at each one, so a failed install can be
+ * rolled back and `skad rollback` can return to an earlier state.
+ * Paths starting with ~/ are in the user's home folder (the user-level skills folders a
+ * global installation writes to).
+ * A `_memory` folder directly inside a recorded path is left out: a restore keeps the live one.
+ *
+ * Layout:
+ *   _skad-snapshots/<id>/snapshot.yaml   metadata and the recorded paths
+ *   _skad-snapshots/<id>/files/<path>    copies of the project paths that existed
+ *   _skad-snapshots/<id>/home/<path>     copies of the ~/ paths that existed
+ *   _skad-snapshots/.gitignore           ignores the whole folder
+ *
+ * @example
+ * const snapshots = new SnapshotManager(projectDir);
+ * const snapshot = await snapshots.create(['_skad', '.claude/skills'], { reason: 'install' });
+ * await snapshots.restore(snapshot.id);
+ */
+class SnapshotManager {
+  /**
+   * @param {string} projectDir - Project root directory
+   * @param {Object} [options]
+   * @param {number} [options.keep] - How many snapshots to keep when pruning
+   */
+  constructor(projectDir, options = {}) {
+    this.projectDir = path.resolve(projectDir);
+    this.snapshotsDir = path.join(this.projectDir, SNAPSHOTS_FOLDER_NAME);
+    this.keep = Number.isInteger(options.keep) && options.keep >= 0 ? options.keep : DEFAULT_KEEP;
+  }
+
+  /**
+   * Snapshot a set of paths
+   * @param {Array<string>} paths - Project-relative or ~/ paths to record
+   * @param {Object} [metadata] - Extra metadata stored with the snapshot (reason, version, modules, ides)
+   * @returns {Promise<Object>} Snapshot metadata including its id
+   */
+  async create(paths, metadata = {}) {
+    const createdAt = new Date();
+    const baseId = createdAt.toISOString().replaceAll(':', '-').replace('.', '-');
+    let id = baseId;
+    // Two snapshots in the same millisecond get a numeric suffix
+    for (let suffix = 1; await fs.pathExists(path.join(this.snapshotsDir, id)); suffix++) {
+      id = `${baseId}-${suffix}`;
+    }
+
+    const snapshotDir = path.join(this.snapshotsDir, id);
+    await fs.ensureDir(path.join(snapshotDir, 'files'));
+    const gitignorePath = path.join(this.snapshotsDir, '.gitignore');
+    if (!(await fs.pathExists(gitignorePath))) {
+      await fs.writeFile(gitignorePath, SNAPSHOTS_GITIGNORE);
+    }
+
+    const snapshot = {
+      id,
+      createdAt: createdAt.toISOString(),
+      ...metadata,
+      paths: [],
+    };
+    await fs.writeFile(path.join(snapshotDir, 'snapshot.yaml'), yaml.stringify(snapshot, { indent: 2, lineWidth: 0, sortKeys: false }));
+
+    return this.addPaths(id, paths);
+  }
+
+  /**
+   * Record more paths in an existing snapshot
+   * Used when the install learns about new IDE targets after the snapshot was taken.
+   * Paths already in the snapshot are left as they were recorded.
+   * @param {string} id - Snapshot id
+   * @param {Array<string>} paths - Project-relative or ~/ paths to add
+   * @returns {Promise<Object>} Updated snapshot metadata
+   */
+  async addPaths(id, paths) {
+    const snapshot = await this.get(id);
+    if (!snapshot) {
+      throw new Error(`Snapshot not found: ${id}`);
+    }
+
+    const snapshotDir = path.join(this.snapshotsDir, snapshot.id);
+    const recorded = new Set((snapshot.paths || []).map((entry) => entry.path));
+    for (const relativePath of paths) {
+      const normalized = this.normalize(relativePath);
+      if (recorded.has(normalized)) continue;
+
+      const existed = await fs.pathExists(this.livePath(normalized));
+      if (existed) {
+        await this.copyWithoutPreserved(this.livePath(normalized), this.copyPath(snapshotDir, normalized));
+      }
+      snapshot.paths.push({ path: normalized, existed });
+      recorded.add(normalized);
+    }
+
+    await fs.writeFile(path.join(snapshotDir, 'snapshot.yaml'), yaml.stringify(snapshot, { indent: 2, lineWidth: 0, sortKeys: false }));
+    return snapshot;
+  }
+
+  /**
+   * Put every recorded path back the way it was when the snapshot was taken
+   * Paths that did not exist at snapshot time are removed. Preserved folders such as
+   * `_skad/_memory` stay as they are now.
+   * @param {string} id - Snapshot id
+   * @returns {Promise<Object>} Snapshot metadata
+   */
+  async restore(id) {
+    const snapshot = await this.get(id);
+    if (!snapshot) {
+      throw new Error(`Snapshot not found: ${id}`);
+    }
+
+    const snapshotDir = path.join(this.snapshotsDir, snapshot.id);
+    for (const entry of snapshot.paths || []) {
+      const normalized = this.normalize(entry.path);
+      const targetPath = this.livePath(normalized);
+      if (!entry.existed) {
+        await fs.remove(targetPath);
+        continue;
+      }
+
+      const targetStat = await fs.lstat(targetPath).catch(() => null);
+      if (targetStat && targetStat.isDirectory()) {
+        for (const name of await fs.readdir(targetPath)) {
+          if (!PRESERVED_FOLDERS.has(name)) {
+            await fs.remove(path.join(targetPath, name));
+          }
+        }
+      } else {
+        await fs.remove(targetPath);
+      }
+      await this.copyWithoutPreserved(this.copyPath(snapshotDir, normalized), targetPath);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Copy a file or folder, skipping preserved folders directly inside it
+   * @param {string} source - Path to copy from
+   * @param {string} destination - Path to copy to
+   */
+  async copyWithoutPreserved(source, destination) {
+    await fs.copy(source, destination, {
+      filter: (current) => path.dirname(current) !== source || !PRESERVED_FOLDERS.has(path.basename(current)),
+    });
+  }
+
+  /**
+   * Read one snapshot's metadata
+   * @param {string} id - Snapshot id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    if (!id || id.includes('/') || id.includes('\\') || id.startsWith('.')) {
+      return null;
+    }
+
+    const metadataPath = path.join(this.snapshotsDir, id, 'snapshot.yaml');
+    if (!(await fs.pathExists(metadataPath))) {
+      return null;
+    }
+
+    try {
+      return yaml.parse(await fs.readFile(metadataPath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * List snapshots, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    if (!(await fs.pathExists(this.snapshotsDir))) {
+      return [];
+    }
+
+    const snapshots = [];
+    for (const entry of await fs.readdir(this.snapshotsDir)) {
+      const snapshot = await this.get(entry);
+      if (snapshot) {
+        snapshots.push(snapshot);
+      }
+    }
+
+    return snapshots.sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} id - Snapshot id
+   */
+  async remove(id) {
+    if (await this.get(id)) {
+      await fs.remove(path.join(this.snapshotsDir, id));
+    }
+
+    // Don't leave an empty snapshots folder behind in the project
+    if ((await fs.pathExists(this.snapshotsDir)) && (await fs.readdir(this.snapshotsDir)).every((name) => name === '.gitignore')) {
+      await fs.remove(this.snapshotsDir);
+    }
+  }
+
+  /**
+   * Delete all but the newest snapshots
+   * @param {number} [keep] - Number of snapshots to keep (defaults to the constructor option)
+   * @returns {Promise<Array<string>>} Ids of removed snapshots
+   */
+  async prune(keep = this.keep) {
+    const snapshots = await this.list();
+    const removed = [];
+    for (const snapshot of snapshots.slice(keep)) {
+      await this.remove(snapshot.id);
+      removed.push(snapshot.id);
+    }
+    return removed;
+  }
+
+  /**
+   * Validate and normalize a project-relative or ~/ path
+   * @param {string} relativePath - Path relative to the project root, or to the home folder when it starts with ~/
+   * @returns {string}
+   */
+  normalize(relativePath) {
+    const inHome = relativePath.startsWith('~/');
+    const normalized = path.normalize(inHome ? relativePath.slice(2) : relativePath);
+    if (path.isAbsolute(normalized) || normalized === '.' || normalized.startsWith('..')) {
+      throw new Error(`Snapshot paths must be inside the project or the home folder: ${relativePath}`);
+    }
+    return inHome ? `~/${normalized}` : normalized;
+  }
+
+  /**
+   * Where a recorded path is on disk
+   * @param {string} normalized - Path from normalize()
+   * @returns {string} Absolute path
+   */
+  livePath(normalized) {
+    return normalized.startsWith('~/') ? path.join(os.homedir(), normalized.slice(2)) : path.join(this.projectDir, normalized);
+  }
+
+  /**
+   * Where a snapshot keeps its copy of a recorded path
+   * @param {string} snapshotDir - Snapshot folder
+   * @param {string} normalized - Path from normalize()
+   * @returns {string} Absolute path
+   */
+  copyPath(snapshotDir, normalized) {
+    return normalized.startsWith('~/') ? path.join(snapshotDir, 'home', normalized.slice(2)) : path.join(snapshotDir, 'files', normalized);
+  }
+}
+
+module.exports = { SnapshotManager, SNAPSHOTS_FOLDER_NAME, DEFAULT_KEEP };
@@ -0,0 +1,180 @@
+/**
+ * Line-based three-way merge (diff3) used to carry local edits of installed files across updates.
+ *
+ * Both edited versions are aligned against the common base with an LCS of their lines. Regions
+ * changed on one side only take that side; regions changed identically on both sides merge
+ * cleanly; anything else is a conflict, written either as conflict markers or, for the "rej"
+ * style, by keeping the local lines and returning the upstream hunk for a .rej file.
+ */
+
+// Above this many LCS cells (after trimming the common prefix and suffix) the differing middle
+// is treated as one changed block instead of being aligned line by line
+const MAX_LCS_CELLS = 4_000_000;
+
+const MERGE_STYLES = ['markers', 'rej'];
+
+/**
+ * Split text into lines, keeping line endings
+ * @param {string} text - Text to split
+ * @returns {Array<string>}
+ */
+function splitLines(text) {
+  return text === '' ? [] : text.split(/(?<=\n)/);
+}
+
+/**
+ * Align two line arrays
+ * @param {Array<string>} a - Base lines
+ * @param {Array<string>} b - Edited lines
+ * @returns {Int32Array} For each line of a, the index of its matching line in b, or -1
+ */
+function matchLines(a, b) {
+  const matches = new Int32Array(a.length).fill(-1);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    matches[endA] = endB;
+  }
+
+  const rows = endA - start;
+  const columns = endB - start;
+  if (rows === 0 || columns === 0 || rows * columns > MAX_LCS_CELLS) {
+    return matches;
+  }
+
+  // lengths[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+  const width = columns + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[start + i] === b[start + j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < columns) {
+    if (a[start + i] === b[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Compare two line arrays
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @returns {boolean}
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Make sure a block ends with a line break before a marker is appended after it
+ * @param {Array<string>} lines - Block lines
+ * @returns {Array<string>}
+ */
+function terminated(lines) {
+  if (lines.length === 0 || lines.at(-1).endsWith('\n')) {
+    return lines;
+  }
+  return [...lines.slice(0, -1), lines.at(-1) + '\n'];
+}
+
+/**
+ * Merge local and upstream edits of a file
+ * @param {string} base - Content both sides started from (the stored baseline)
+ * @param {string} ours - Local version
+ * @param {string} theirs - New upstream version
+ * @param {Object} [options]
+ * @param {string} [options.style='markers'] - "markers" writes conflict markers; "rej" keeps local lines and returns rejected hunks
+ * @returns {{content: string, conflicts: number, rejects: string|null}}
+ */
+function threeWayMerge(base, ours, theirs, options = {}) {
+  const style = options.style || 'markers';
+  const baseLines = splitLines(base);
+  const ourLines = splitLines(ours);
+  const theirLines = splitLines(theirs);
+  const ourMatches = matchLines(baseLines, ourLines);
+  const theirMatches = matchLines(baseLines, theirLines);
+
+  const output = [];
+  const rejects = [];
+  let conflicts = 0;
+  let i = 0;
+  let ourIndex = 0;
+  let theirIndex = 0;
+
+  for (;;) {
+    // Lines unchanged on both sides
+    while (i < baseLines.length && ourMatches[i] === ourIndex && theirMatches[i] === theirIndex) {
+      output.push(baseLines[i]);
+      i++;
+      ourIndex++;
+      theirIndex++;
+    }
+
+    // The next base line both sides kept ends the changed region
+    let next = i;
+    while (next < baseLines.length && !(ourMatches[next] >= ourIndex && theirMatches[next] >= theirIndex)) {
+      next++;
+    }
+    const ourEnd = next < baseLines.length ? ourMatches[next] : ourLines.length;
+    const theirEnd = next < baseLines.length ? theirMatches[next] : theirLines.length;
+
+    if (next === i && ourEnd === ourIndex && theirEnd === theirIndex) {
+      break;
+    }
+
+    const baseChunk = baseLines.slice(i, next);
+    const ourChunk = ourLines.slice(ourIndex, ourEnd);
+    const theirChunk = theirLines.slice(theirIndex, theirEnd);
+
+    if (sameLines(ourChunk, baseChunk)) {
+      output.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+      output.push(...ourChunk);
+    } else {
+      conflicts++;
+      if (style === 'rej') {
+        output.push(...ourChunk);
+        rejects.push(
+          `@@ -${i + 1},${baseChunk.length} +${theirIndex + 1},${theirChunk.length} @@\n`,
+          ...terminated(baseChunk).map((line) => `-${line}`),
+          ...terminated(theirChunk).map((line) => `+${line}`),
+        );
+      } else {
+        output.push('<<<<<<< yours\n', ...terminated(ourChunk), '=======\n', ...terminated(theirChunk), '>>>>>>> upstream\n');
+      }
+    }
+
+    i = next;
+    ourIndex = ourEnd;
+    theirIndex = theirEnd;
+  }
+
+  return { content: output.join(''), conflicts, rejects: rejects.length > 0 ? rejects.join('') : null };
+}
+
+module.exports = { threeWayMerge, MERGE_STYLES };
@@ -0,0 +1,538 @@
+const path = require('node:path');
+const nodeFs = require('node:fs');
+const { Readable, Writable } = require('node:stream');
+const fs = require('fs-extra');
+const { GlobalInstall } = require('./global-install');
+
+/**
+ * Copy-on-write file layer used by `skad install --dry-run`.
+ *
+ * While enabled, the fs-extra, node:fs and fs.promises functions that write, copy, move,
+ * link or remove (and the ones that read) are patched so that changes land in an in-memory
+ * overlay instead of on disk. Links are recorded as copies of their target. Reads see the
+ * overlay first, so the installer runs its normal code path end to end.
+ * Paths under a passthrough root (by default the cache in the SKAD home, which git and npm
+ * populate from child processes) are left untouched.
+ *
+ * @example
+ * const layer = new VirtualFileLayer();
+ * layer.enable();
+ * try {
+ *   await installer.install(config);
+ * } finally {
+ *   layer.disable();
+ * }
+ * const { created, overwritten, deleted } = layer.getChanges(projectDir);
+ */
+class VirtualFileLayer {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.passthrough] - Directories whose contents are read and written for real
+   */
+  constructor(options = {}) {
+    const defaultPassthrough = [GlobalInstall.cacheDir()];
+    this.passthrough = (options.passthrough || defaultPassthrough).map((p) => path.resolve(p));
+    this.files = new Map(); // absolute path -> { content: Buffer } | { source: absolute real path }
+    this.dirs = new Set();
+    this.removed = new Set();
+    this.originals = null;
+  }
+
+  /**
+   * Patch fs-extra, node:fs and fs.promises. Safe to call once per layer.
+   */
+  enable() {
+    if (this.originals) return;
+
+    const sync = {
+      existsSync: (p) => this.exists(p),
+      pathExistsSync: (p) => this.exists(p),
+      accessSync: (p, mode) => this.access(p, mode),
+      realpathSync: (p) => this.realpath(p),
+      readFileSync: (p, options) => this.readFile(p, options),
+      readJsonSync: (p, options) => JSON.parse(this.readFile(p, 'utf8'), options?.reviver),
+      readdirSync: (p, options) => this.readdir(p, options),
+      statSync: (p) => this.stat(p),
+      lstatSync: (p) => this.stat(p),
+      writeFileSync: (p, data, options) => this.writeFile(p, data, options),
+      appendFileSync: (p, data, options) => this.appendFile(p, data, options),
+      outputFileSync: (p, data, options) => this.writeFile(p, data, options),
+      writeJsonSync: (p, obj, options = {}) => this.writeFile(p, JSON.stringify(obj, null, options.spaces) + '\n'),
+      outputJsonSync: (p, obj, options = {}) => this.writeFile(p, JSON.stringify(obj, null, options.spaces) + '\n'),
+      mkdirSync: (p) => this.mkdir(p),
+      ensureDirSync: (p) => this.mkdir(p),
+      mkdirsSync: (p) => this.mkdir(p),
+      mkdirpSync: (p) => this.mkdir(p),
+      ensureFileSync: (p) => this.ensureFile(p),
+      copyFileSync: (src, dest) => this.copy(src, dest),
+      copySync: (src, dest, options) => this.copy(src, dest, options),
+      cpSync: (src, dest, options) => this.copy(src, dest, options),
+      moveSync: (src, dest, options) => this.move(src, dest, options),
+      renameSync: (src, dest) => this.move(src, dest, { overwrite: true }),
+      symlinkSync: (target, p) => this.symlink(target, p),
+      ensureSymlinkSync: (target, p) => this.symlink(target, p),
+      linkSync: (target, p) => this.copy(target, p),
+      ensureLinkSync: (target, p) => this.copy(target, p),
+      removeSync: (p) => this.remove(p),
+      rmSync: (p) => this.remove(p),
+      rmdirSync: (p) => this.remove(p),
+      unlinkSync: (p) => this.remove(p),
+      emptyDirSync: (p) => this.emptyDir(p),
+      chmodSync: (p) => this.access(p),
+      utimesSync: (p) => this.access(p),
+      createReadStream: (p, options) => this.createReadStream(p, options),
+      createWriteStream: (p, options) => this.createWriteStream(p, options),
+    };
+
+    // The same operations in promise form, shared by fs-extra and fs.promises
+    const promised = {
+      access: async (p, mode) => this.access(p, mode),
+      readFile: async (p, options) => this.readFile(p, options),
+      readdir: async (p, options) => this.readdir(p, options),
+      stat: async (p) => this.stat(p),
+      lstat: async (p) => this.stat(p),
+      realpath: async (p) => this.realpath(p),
+      writeFile: async (p, data, options) => this.writeFile(p, data, options),
+      appendFile: async (p, data, options) => this.appendFile(p, data, options),
+      mkdir: async (p) => this.mkdir(p),
+      copyFile: async (src, dest) => this.copy(src, dest),
+      cp: async (src, dest, options) => this.copy(src, dest, options),
+      rename: async (src, dest) => this.move(src, dest, { overwrite: true }),
+      symlink: async (target, p) => this.symlink(target, p),
+      link: async (target, p) => this.copy(target, p),
+      rm: async (p) => this.remove(p),
+      rmdir: async (p) => this.remove(p),
+      unlink: async (p) => this.remove(p),
+      chmod: async (p) => this.access(p),
+      utimes: async (p) => this.access(p),
+    };
+
+    const asyncFns = {
+      ...promised,
+      pathExists: async (p) => this.exists(p),
+      readJson: async (p, options) => JSON.parse(this.readFile(p, 'utf8'), options?.reviver),
+      outputFile: async (p, data, options) => this.writeFile(p, data, options),
+      writeJson: async (p, obj, options = {}) => this.writeFile(p, JSON.stringify(obj, null, options.spaces) + '\n'),
+      outputJson: async (p, obj, options = {}) => this.writeFile(p, JSON.stringify(obj, null, options.spaces) + '\n'),
+      ensureDir: async (p) => this.mkdir(p),
+      mkdirs: async (p) => this.mkdir(p),
+      mkdirp: async (p) => this.mkdir(p),
+      ensureFile: async (p) => this.ensureFile(p),
+      createFile: async (p) => this.ensureFile(p),
+      copy: async (src, dest, options) => this.copy(src, dest, options),
+      move: async (src, dest, options) => this.move(src, dest, options),
+      ensureSymlink: async (target, p) => this.symlink(target, p),
+      createSymlink: async (target, p) => this.symlink(target, p),
+      ensureLink: async (target, p) => this.copy(target, p),
+      createLink: async (target, p) => this.copy(target, p),
+      remove: async (p) => this.remove(p),
+      emptyDir: async (p) => this.emptyDir(p),
+    };
+
+    // node:fs callback functions call back with the result (fs-extra's take a callback too)
+    const callbackFns = {};
+    for (const [name, fn] of Object.entries(promised)) {
+      callbackFns[name] = (...args) => {
+        const callback = typeof args.at(-1) === 'function' ? args.pop() : null;
+        const result = fn(...args);
+        if (!callback) return result;
+        result.then((value) => callback(null, value), callback);
+      };
+    }
+    for (const [name, fn] of Object.entries(asyncFns)) {
+      asyncFns[name] = callbackFns[name] || fn;
+    }
+
+    // File descriptors, Buffers and URLs are left to the real implementation
+    const patch = (target, store, name, fn) => {
+      const original = target[name];
+      store[name] = original;
+      target[name] = function (p, ...rest) {
+        return typeof p === 'string' ? fn(p, ...rest) : original.call(this, p, ...rest);
+      };
+    };
+
+    this.originals = { fsExtra: {}, nodeFs: {}, promises: {} };
+    for (const [name, fn] of Object.entries({ ...sync, ...asyncFns })) {
+      if (typeof fs[name] === 'function') patch(fs, this.originals.fsExtra, name, fn);
+    }
+    for (const [name, fn] of Object.entries({ ...sync, ...callbackFns })) {
+      if (typeof nodeFs[name] === 'function') patch(nodeFs, this.originals.nodeFs, name, fn);
+    }
+    for (const [name, fn] of Object.entries(promised)) {
+      if (typeof nodeFs.promises[name] === 'function') patch(nodeFs.promises, this.originals.promises, name, fn);
+    }
+  }
+
+  /**
+   * Restore the original fs functions
+   */
+  disable() {
+    if (!this.originals) return;
+    Object.assign(fs, this.originals.fsExtra);
+    Object.assign(nodeFs, this.originals.nodeFs);
+    Object.assign(nodeFs.promises, this.originals.promises);
+    this.originals = null;
+  }
+
+  /**
+   * Original (unpatched) node:fs function, usable whether or not the layer is enabled
+   * @param {string} name - Function name
+   * @returns {Function}
+   */
+  real(name) {
+    return this.originals?.nodeFs[name] || nodeFs[name];
+  }
+
+  isPassthrough(p) {
+    const resolved = path.resolve(p);
+    return this.passthrough.some((root) => resolved === root || resolved.startsWith(root + path.sep));
+  }
+
+  isRemoved(resolved) {
+    let current = resolved;
+    while (true) {
+      if (this.removed.has(current)) return true;
+      const parent = path.dirname(current);
+      if (parent === current) return false;
+      current = parent;
+    }
+  }
+
+  /**
+   * Resolve what a path currently is from the installer's point of view
+   * @param {string} p - Path
+   * @returns {'file'|'dir'|'real'|null} Virtual file, virtual dir, untouched on-disk path, or nothing
+   */
+  lookup(p) {
+    const resolved = path.resolve(String(p));
+    if (this.isPassthrough(resolved)) return this.real('existsSync')(resolved) ? 'real' : null;
+    if (this.files.has(resolved)) return 'file';
+    if (this.dirs.has(resolved)) return 'dir';
+    if (this.isRemoved(resolved)) return null;
+    return this.real('existsSync')(resolved) ? 'real' : null;
+  }
+
+  exists(p) {
+    return this.lookup(p) !== null;
+  }
+
+  notFound(syscall, p) {
+    const error = new Error(`ENOENT: no such file or directory, ${syscall} '${p}'`);
+    error.code = 'ENOENT';
+    error.errno = -2;
+    error.syscall = syscall;
+    error.path = String(p);
+    return error;
+  }
+
+  access(p, mode) {
+    const kind = this.lookup(p);
+    if (kind === null) throw this.notFound('access', p);
+    if (kind === 'real') this.real('accessSync')(p, mode);
+  }
+
+  realpath(p) {
+    const kind = this.lookup(p);
+    if (kind === null) throw this.notFound('realpath', p);
+    if (kind === 'real') return this.real('realpathSync')(p);
+    return path.resolve(p);
+  }
+
+  readFile(p, options) {
+    const resolved = path.resolve(String(p));
+    const kind = this.lookup(resolved);
+    const encoding = typeof options === 'string' ? options : options?.encoding;
+
+    if (kind === null) throw this.notFound('open', p);
+    if (kind === 'dir') {
+      const error = new Error(`EISDIR: illegal operation on a directory, read`);
+      error.code = 'EISDIR';
+      throw error;
+    }
+
+    const buffer = kind === 'file' ? this.readVirtual(resolved) : this.real('readFileSync')(resolved);
+    return encoding ? buffer.toString(encoding) : buffer;
+  }
+
+  readVirtual(resolved) {
+    const entry = this.files.get(resolved);
+    return entry.content || this.real('readFileSync')(entry.source);
+  }
+
+  stat(p) {
+    const resolved = path.resolve(String(p));
+    const kind = this.lookup(resolved);
+    if (kind === null) throw this.notFound('stat', p);
+    if (kind === 'real') return this.real('statSync')(resolved);
+
+    const now = new Date();
+    const size = kind === 'file' ? this.readVirtual(resolved).length : 0;
+    return {
+      size,
+      mtime: now,
+      mtimeMs: now.getTime(),
+      isFile: () => kind === 'file',
+      isDirectory: () => kind === 'dir',
+      isSymbolicLink: () => false,
+    };
+  }
+
+  readdir(p, options) {
+    const resolved = path.resolve(String(p));
+    const kind = this.lookup(resolved);
+    if (kind === null) throw this.notFound('scandir', p);
+    if (kind === 'file') {
+      const error = new Error(`ENOTDIR: not a directory, scandir '${p}'`);
+      error.code = 'ENOTDIR';
+      throw error;
+    }
+
+    const children = new Map(); // name -> 'file' | 'dir' | Dirent
+    // Real children stay visible unless they (or the directory itself) were removed
+    if (this.real('existsSync')(resolved) && this.real('statSync')(resolved).isDirectory()) {
+      for (const dirent of this.real('readdirSync')(resolved, { withFileTypes: true })) {
+        if (this.lookup(path.join(resolved, dirent.name)) === 'real') {
+          children.set(dirent.name, dirent);
+        }
+      }
+    }
+
+    for (const collection of [this.files.keys(), this.dirs]) {
+      for (const entryPath of collection) {
+        if (path.dirname(entryPath) === resolved && entryPath !== resolved) {
+          children.set(path.basename(entryPath), this.files.has(entryPath) ? 'file' : 'dir');
+        }
+      }
+    }
+
+    const names = [...children.keys()].sort();
+    const withFileTypes = typeof options === 'object' && options?.withFileTypes;
+    if (!withFileTypes) return names;
+
+    return names.map((name) => {
+      const child = children.get(name);
+      if (typeof child === 'object') return child;
+      return {
+        name,
+        isFile: () => child === 'file',
+        isDirectory: () => child === 'dir',
+        isSymbolicLink: () => false,
+      };
+    });
+  }
+
+  addAncestors(resolved) {
+    let current = path.dirname(resolved);
+    while (!this.dirs.has(current)) {
+      this.dirs.add(current);
+      const parent = path.dirname(current);
+      if (parent === current) break;
+      current = parent;
+    }
+  }
+
+  writeFile(p, data, options) {
+    if (this.isPassthrough(p)) return this.real('writeFileSync')(p, data, options);
+
+    const resolved = path.resolve(String(p));
+    const encoding = (typeof options === 'string' ? options : options?.encoding) || 'utf8';
+    const content = Buffer.isBuffer(data) ? Buffer.from(data) : Buffer.from(String(data), encoding);
+
+    this.dirs.delete(resolved);
+    this.files.set(resolved, { content });
+    this.addAncestors(resolved);
+  }
+
+  appendFile(p, data, options) {
+    if (this.isPassthrough(p)) return this.real('appendFileSync')(p, data, options);
+
+    const encoding = (typeof options === 'string' ? options : options?.encoding) || 'utf8';
+    const existing = this.exists(p) ? this.readFile(p) : Buffer.alloc(0);
+    const added = Buffer.isBuffer(data) ? data : Buffer.from(String(data), encoding);
+    this.writeFile(p, Buffer.concat([existing, added]));
+  }
+
+  ensureFile(p) {
+    if (!this.exists(p)) this.writeFile(p, '');
+  }
+
+  /**
+   * Record a symbolic link as a copy of what it points at
+   * @param {string} target - Link target, relative to the link's folder or absolute
+   * @param {string} p - Link path
+   */
+  symlink(target, p) {
+    if (this.isPassthrough(p)) return this.real('symlinkSync')(target, p);
+    if (this.exists(p)) {
+      const error = new Error(`EEXIST: file already exists, symlink '${target}' -> '${p}'`);
+      error.code = 'EEXIST';
+      throw error;
+    }
+    this.copy(path.resolve(path.dirname(path.resolve(String(p))), String(target)), p);
+  }
+
+  mkdir(p) {
+    if (this.isPassthrough(p)) return this.real('mkdirSync')(p, { recursive: true });
+
+    const resolved = path.resolve(String(p));
+    if (this.lookup(resolved) === 'real') return;
+    this.dirs.add(resolved);
+    this.addAncestors(resolved);
+  }
+
+  /**
+   * Copy a file or directory into the overlay
+   * Supports the fs-extra options the installer uses: overwrite, errorOnExist and filter.
+   */
+  copy(src, dest, options = {}) {
+    const opts = typeof options === 'function' ? { filter: options } : options || {};
+    const overwrite = opts.overwrite !== false && opts.clobber !== false;
+    const srcResolved = path.resolve(String(src));
+    const destResolved = path.resolve(String(dest));
+
+    const shouldCopy = opts.filter || (() => true);
+    if (!shouldCopy(srcResolved, destResolved)) return;
+
+    const kind = this.lookup(srcResolved);
+    if (kind === null) throw this.notFound('lstat', src);
+
+    const isDir = kind === 'dir' || (kind === 'real' && this.real('statSync')(srcResolved).isDirectory());
+    if (isDir) {
+      this.mkdir(destResolved);
+      for (const name of this.readdir(srcResolved)) {
+        this.copy(path.join(srcResolved, name), path.join(destResolved, name), opts);
+      }
+      return;
+    }
+
+    if (this.exists(destResolved) && !overwrite) {
+      if (opts.errorOnExist) throw new Error(`'${dest}' already exists`);
+      return;
+    }
+
+    if (this.isPassthrough(destResolved)) {
+      this.real('writeFileSync')(destResolved, this.readFile(srcResolved));
+      return;
+    }
+
+    let entry;
+    if (kind === 'file') {
+      entry = { ...this.files.get(srcResolved) };
+    } else if (this.isPassthrough(srcResolved)) {
+      // Passthrough sources can change on disk later; capture them now
+      entry = { content: this.real('readFileSync')(srcResolved) };
+    } else {
+      entry = { source: srcResolved };
+    }
+
+    this.dirs.delete(destResolved);
+    this.files.set(destResolved, entry);
+    this.addAncestors(destResolved);
+  }
+
+  move(src, dest, options = {}) {
+    if (this.exists(dest) && !options.overwrite) {
+      throw new Error('dest already exists.');
+    }
+    if (options.overwrite) this.remove(dest);
+    this.copy(src, dest);
+    this.remove(src);
+  }
+
+  remove(p) {
+    if (this.isPassthrough(p)) return this.real('rmSync')(p, { recursive: true, force: true });
+
+    const resolved = path.resolve(String(p));
+    const prefix = resolved + path.sep;
+    for (const filePath of this.files.keys()) {
+      if (filePath === resolved || filePath.startsWith(prefix)) this.files.delete(filePath);
+    }
+    for (const dirPath of this.dirs) {
+      if (dirPath === resolved || dirPath.startsWith(prefix)) this.dirs.delete(dirPath);
+    }
+    this.removed.add(resolved);
+  }
+
+  emptyDir(p) {
+    if (this.exists(p)) {
+      for (const name of this.readdir(p)) {
+        this.remove(path.join(p, name));
+      }
+    }
+    this.mkdir(p);
+  }
+
+  createWriteStream(p, options) {
+    if (this.isPassthrough(p)) return this.real('createWriteStream')(p, options);
+
+    const chunks = [];
+    return new Writable({
+      write: (chunk, encoding, callback) => {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+        callback();
+      },
+      final: (callback) => {
+        this.writeFile(p, Buffer.concat(chunks));
+        callback();
+      },
+    });
+  }
+
+  createReadStream(p, options) {
+    const resolved = path.resolve(String(p));
+    const kind = this.lookup(resolved);
+    if (kind === 'file') return Readable.from([this.readVirtual(resolved)]);
+    if (kind === null) throw this.notFound('open', p);
+    return this.real('createReadStream')(resolved, options);
+  }
+
+  /**
+   * Summarize what the run would have done on disk
+   * Files whose planned content equals what is already on disk are not reported.
+   * @param {string} baseDir - Directory that reported paths are made relative to
+   * @returns {Object} {created, overwritten, deleted} arrays of relative POSIX paths
+   */
+  getChanges(baseDir) {
+    const toRelative = (p) => path.relative(baseDir, p).replaceAll('\\', '/');
+    const existsSync = this.real('existsSync');
+    const statSync = this.real('statSync');
+    const readFileSync = this.real('readFileSync');
+
+    const created = [];
+    const overwritten = [];
+    for (const [filePath, entry] of this.files) {
+      const onDisk = existsSync(filePath) && statSync(filePath).isFile();
+      if (!onDisk) {
+        created.push(toRelative(filePath));
+        continue;
+      }
+      if (entry.source && path.resolve(entry.source) === filePath) continue;
+      const planned = entry.content || readFileSync(entry.source);
+      if (!planned.equals(readFileSync(filePath))) {
+        overwritten.push(toRelative(filePath));
+      }
+    }
+
+    const deleted = new Set();
+    const walk = (p) => {
+      if (!existsSync(p)) return;
+      if (statSync(p).isDirectory()) {
+        for (const name of this.real('readdirSync')(p)) walk(path.join(p, name));
+      } else if (!this.files.has(p)) {
+        deleted.add(toRelative(p));
+      }
+    };
+    for (const removedPath of this.removed) {
+      walk(removedPath);
+    }
+
+    return {
+      created: created.sort(),
+      overwritten: overwritten.sort(),
+      deleted: [...deleted].sort(),
+    };
+  }
+}
+
+module.exports = { VirtualFileLayer };
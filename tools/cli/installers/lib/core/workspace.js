@@ -0,0 +1,340 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { SKAD_FOLDER_NAME } = require('../ide/shared/path-utils');
+const { loadAnswersFile } = require('./answers-file');
+
+const WORKSPACE_FILE = path.join('_config', 'workspace.yaml');
+const PACKAGE_FILE = 'skad.package.yaml';
+
+/**
+ * Monorepo support: one _skad at the workspace root serving several packages.
+ *
+ * The root installation lists its packages in _skad/_config/workspace.yaml. Each package
+ * gets its own copy of every module config.yaml in <package>/_skad/<module>/config.yaml,
+ * with output folders moved into the package and project_name set to the package's name.
+ * A package can override values in its skad.package.yaml, keyed like an answers file:
+ *
+ *   bmm:
+ *     project_name: api
+ *     planning_artifacts: docs/planning
+ *
+ * Path values in the overlay are relative to the package. Code that reads a module's config
+ * finds the copy for the directory it runs in with Workspace.resolveModuleConfig().
+ *
+ * @example
+ * const workspace = new Workspace(rootDir);
+ * await workspace.addPackage(path.join(rootDir, 'packages/api'));
+ * await workspace.sync();
+ */
+class Workspace {
+  /**
+   * @param {string} projectDir - Workspace root (the directory holding _skad)
+   */
+  constructor(projectDir) {
+    this.projectDir = path.resolve(projectDir);
+    this.skadDir = path.join(this.projectDir, SKAD_FOLDER_NAME);
+    this.filePath = path.join(this.skadDir, WORKSPACE_FILE);
+  }
+
+  /**
+   * Find the project a command should act on
+   * Inside a workspace package this is the workspace root; anywhere else it is the directory itself.
+   * @param {string} startDir - Directory the command runs in
+   * @returns {Promise<string>} Project directory
+   */
+  static async resolveProjectDir(startDir) {
+    const dir = path.resolve(startDir);
+    if (await fs.pathExists(path.join(dir, SKAD_FOLDER_NAME, '_config', 'manifest.yaml'))) {
+      return dir;
+    }
+
+    const found = await Workspace.findPackage(dir);
+    return found ? found.projectDir : dir;
+  }
+
+  /**
+   * Find the workspace package a directory is in
+   * Walks up to the nearest _skad/_config/workspace.yaml that lists a package containing the directory.
+   * @param {string} startDir - Directory the command runs in
+   * @returns {Promise<Object|null>} {projectDir, package} with the package path relative to the root, or null
+   */
+  static async findPackage(startDir) {
+    const dir = path.resolve(startDir);
+    for (let root = path.dirname(dir); root !== path.dirname(root); root = path.dirname(root)) {
+      const workspace = new Workspace(root);
+      if (!(await fs.pathExists(workspace.filePath))) continue;
+      const relativeDir = path.relative(root, dir).split(path.sep).join('/');
+      const match = (await workspace.packages()).find((pkg) => relativeDir === pkg || relativeDir.startsWith(`${pkg}/`));
+      if (match) {
+        return { projectDir: root, package: match };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The config.yaml of a module that applies to a directory
+   * Inside a workspace package this is the package's copy, once synced; elsewhere the installation's own.
+   * @param {string} moduleName - Module code
+   * @param {string} startDir - Directory the command runs in
+   * @returns {Promise<string>} Absolute path of the config.yaml
+   */
+  static async resolveModuleConfig(moduleName, startDir) {
+    const found = await Workspace.findPackage(startDir);
+    if (found) {
+      const packageConfig = path.join(found.projectDir, found.package, SKAD_FOLDER_NAME, moduleName, 'config.yaml');
+      if (await fs.pathExists(packageConfig)) return packageConfig;
+    }
+    const projectDir = found ? found.projectDir : path.resolve(startDir);
+    return path.join(projectDir, SKAD_FOLDER_NAME, moduleName, 'config.yaml');
+  }
+
+  /**
+   * Packages of the workspace
+   * @returns {Promise<Array<string>>} POSIX paths relative to the workspace root
+   */
+  async packages() {
+    if (!(await fs.pathExists(this.filePath))) {
+      return [];
+    }
+    const data = yaml.parse(await fs.readFile(this.filePath, 'utf8')) || {};
+    return Array.isArray(data.packages) ? data.packages.map(String) : [];
+  }
+
+  /**
+   * Write the package list
+   * @param {Array<string>} packages - POSIX paths relative to the workspace root
+   */
+  async savePackages(packages) {
+    const header = '# SKAD workspace packages - manage with: skad workspace add|remove <path>\n';
+    await fs.outputFile(this.filePath, header + yaml.stringify({ packages: [...packages].sort() }));
+  }
+
+  /**
+   * Path of a package relative to the workspace root
+   * @param {string} packageDir - Package directory
+   * @returns {string} POSIX path
+   */
+  relativePackagePath(packageDir) {
+    const relativeDir = path.relative(this.projectDir, path.resolve(packageDir));
+    if (!relativeDir || relativeDir.startsWith('..') || path.isAbsolute(relativeDir)) {
+      throw new Error(`${packageDir} is not a folder inside the workspace root ${this.projectDir}`);
+    }
+    return relativeDir.split(path.sep).join('/');
+  }
+
+  /**
+   * Add a package to the workspace and give it an overlay file if it has none
+   * @param {string} packageDir - Package directory
+   * @returns {Promise<Object>} {package, added, overlayCreated}
+   */
+  async addPackage(packageDir) {
+    const relativeDir = this.relativePackagePath(packageDir);
+    const absoluteDir = path.join(this.projectDir, relativeDir);
+    if (!(await fs.pathExists(absoluteDir))) {
+      throw new Error(`Package folder not found: ${absoluteDir}`);
+    }
+    if (relativeDir.split('/')[0] === SKAD_FOLDER_NAME) {
+      throw new Error(`${relativeDir} is inside the SKAD installation`);
+    }
+
+    const packages = await this.packages();
+    const added = !packages.includes(relativeDir);
+    if (added) {
+      await this.savePackages([...packages, relativeDir]);
+    }
+
+    const overlayPath = path.join(absoluteDir, PACKAGE_FILE);
+    const overlayCreated = !(await fs.pathExists(overlayPath));
+    if (overlayCreated) {
+      const example = yaml.stringify({
+        bmm: { project_name: await this.defaultProjectName(absoluteDir), planning_artifacts: 'docs/planning' },
+      });
+      await fs.writeFile(
+        overlayPath,
+        [
+          "# SKAD workspace package settings, applied over the root installation's config.",
+          '# Keys are module config keys; paths are relative to this package. Apply with: skad workspace sync',
+          '#',
+          ...example
+            .trimEnd()
+            .split('\n')
+            .map((line) => `# ${line}`),
+        ].join('\n') + '\n',
+      );
+    }
+
+    return { package: relativeDir, added, overlayCreated };
+  }
+
+  /**
+   * Remove a package from the workspace and delete its generated config copies
+   * Its skad.package.yaml is kept.
+   * @param {string} packageDir - Package directory
+   * @returns {Promise<boolean>} Whether the package was part of the workspace
+   */
+  async removePackage(packageDir) {
+    const relativeDir = this.relativePackagePath(packageDir);
+    const packages = await this.packages();
+    if (!packages.includes(relativeDir)) {
+      return false;
+    }
+    await this.savePackages(packages.filter((pkg) => pkg !== relativeDir));
+    await this.removePackageConfigs(relativeDir);
+    return true;
+  }
+
+  /**
+   * Delete the config copies generated for one package, or for all of them
+   * @param {string} [relativeDir] - Package path relative to the workspace root
+   */
+  async removePackageConfigs(relativeDir) {
+    for (const pkg of relativeDir ? [relativeDir] : await this.packages()) {
+      const packageSkadDir = path.join(this.projectDir, pkg, SKAD_FOLDER_NAME);
+      if (!(await fs.pathExists(packageSkadDir))) continue;
+
+      for (const entry of await fs.readdir(packageSkadDir, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        const moduleDir = path.join(packageSkadDir, entry.name);
+        await fs.remove(path.join(moduleDir, 'config.yaml'));
+        if ((await fs.readdir(moduleDir)).length === 0) {
+          await fs.remove(moduleDir);
+        }
+      }
+      if ((await fs.readdir(packageSkadDir)).length === 0) {
+        await fs.remove(packageSkadDir);
+      }
+    }
+  }
+
+  /**
+   * Default project name of a package: its package.json name, else its folder name
+   * @param {string} packageDir - Package directory
+   * @returns {Promise<string>}
+   */
+  async defaultProjectName(packageDir) {
+    try {
+      const pkg = await fs.readJson(path.join(packageDir, 'package.json'));
+      if (pkg.name) return String(pkg.name);
+    } catch {
+      // No package.json, or not readable
+    }
+    return path.basename(packageDir);
+  }
+
+  /**
+   * Read the root installation's module configs
+   * @returns {Promise<Object>} Module code to parsed config.yaml
+   */
+  async readRootConfigs() {
+    const configs = {};
+    for (const entry of await fs.readdir(this.skadDir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name.startsWith('_')) continue;
+      const configPath = path.join(this.skadDir, entry.name, 'config.yaml');
+      if (await fs.pathExists(configPath)) {
+        configs[entry.name] = yaml.parse(await fs.readFile(configPath, 'utf8')) || {};
+      }
+    }
+    return configs;
+  }
+
+  /**
+   * Build a package's copy of every module config
+   * Paths under {project-root} move into the package, project_name becomes the package's,
+   * then the overlay is applied. Core values are copied into every module's config, so core
+   * overlay values apply to all of them.
+   * @param {string} relativeDir - Package path relative to the workspace root
+   * @param {Object} rootConfigs - Result of readRootConfigs()
+   * @param {Object} overlay - Parsed skad.package.yaml
+   * @returns {Promise<Object>} Module code to config
+   */
+  async buildPackageConfigs(relativeDir, rootConfigs, overlay) {
+    const packageRoot = `{project-root}/${relativeDir}`;
+    const rebase = (value) =>
+      typeof value === 'string' && value.startsWith('{project-root}/') ? value.replace('{project-root}', packageRoot) : value;
+
+    // Sections for modules that aren't installed are skipped; they apply once the module is added
+    for (const [moduleName, values] of Object.entries(overlay)) {
+      if (!rootConfigs[moduleName]) continue;
+      const unknown = Object.keys(values).filter((key) => !(key in rootConfigs[moduleName]));
+      if (unknown.length > 0) {
+        throw new Error(`${relativeDir}/${PACKAGE_FILE}: unknown config keys ${unknown.map((key) => `${moduleName}.${key}`).join(', ')}`);
+      }
+    }
+
+    const projectName = await this.defaultProjectName(path.join(this.projectDir, relativeDir));
+    const configs = {};
+    for (const [moduleName, installedConfig] of Object.entries(rootConfigs)) {
+      // Installs run with --yes store output_folder without its {project-root} prefix
+      const rootConfig = { ...installedConfig };
+      const folder = rootConfig.output_folder;
+      if (typeof folder === 'string' && !folder.startsWith('{project-root}') && !path.isAbsolute(folder)) {
+        rootConfig.output_folder = `{project-root}/${folder}`;
+      }
+
+      const config = {};
+      for (const [key, value] of Object.entries(rootConfig)) {
+        config[key] = key === 'project_name' ? projectName : rebase(value);
+      }
+
+      // Overlay values are typed like the root's: a root path gets the package path in front
+      const overrides = { ...overlay.core, ...overlay[moduleName] };
+      for (const [key, value] of Object.entries(overrides)) {
+        if (!(key in rootConfig)) continue;
+        const rootValue = rootConfig[key];
+        const isPath = typeof rootValue === 'string' && rootValue.startsWith('{project-root}/');
+        config[key] = isPath ? `${packageRoot}/${String(value).replace(/^\.?\//, '')}` : value;
+      }
+
+      // Paths derived from output_folder follow an overridden output folder
+      const outputFolder = rebase(rootConfig.output_folder);
+      if (typeof outputFolder === 'string' && config.output_folder !== outputFolder) {
+        for (const [key, value] of Object.entries(config)) {
+          if (key in overrides || typeof value !== 'string' || !value.startsWith(`${outputFolder}/`)) continue;
+          config[key] = config.output_folder + value.slice(outputFolder.length);
+        }
+      }
+
+      configs[moduleName] = config;
+    }
+    return configs;
+  }
+
+  /**
+   * Write every package's config copies
+   * @returns {Promise<Array<string>>} Package paths that were synced
+   */
+  async sync() {
+    const packages = await this.packages();
+    if (!(await fs.pathExists(this.skadDir))) {
+      return [];
+    }
+
+    const rootConfigs = await this.readRootConfigs();
+    for (const pkg of packages) {
+      const packageDir = path.join(this.projectDir, pkg);
+      if (!(await fs.pathExists(packageDir))) {
+        throw new Error(`Workspace package folder not found: ${pkg}`);
+      }
+      const overlayPath = path.join(packageDir, PACKAGE_FILE);
+      const overlay = (await fs.pathExists(overlayPath)) ? await loadAnswersFile(overlayPath) : {};
+      const configs = await this.buildPackageConfigs(pkg, rootConfigs, overlay);
+
+      // Start over so copies of removed modules don't linger
+      await this.removePackageConfigs(pkg);
+      for (const [moduleName, config] of Object.entries(configs)) {
+        const header =
+          `# ${moduleName.toUpperCase()} Module Configuration for workspace package ${pkg}\n` +
+          `# Generated by SKAD installer from ${SKAD_FOLDER_NAME}/${moduleName}/config.yaml - edit ${pkg}/${PACKAGE_FILE} instead\n\n`;
+        await fs.outputFile(
+          path.join(packageDir, SKAD_FOLDER_NAME, moduleName, 'config.yaml'),
+          header + yaml.stringify(config, { lineWidth: 0 }),
+        );
+      }
+    }
+    return packages;
+  }
+}
+
+module.exports = { Workspace, WORKSPACE_FILE, PACKAGE_FILE };
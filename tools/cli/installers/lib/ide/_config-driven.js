@@ -7,6 +7,7 @@ const prompts = require('../../../lib/prompts');
 const { AgentCommandGenerator } = require('./shared/agent-command-generator');
 const { WorkflowCommandGenerator } = require('./shared/workflow-command-generator');
 const { TaskToolCommandGenerator } = require('./shared/task-tool-command-generator');
+const { DEFAULT_AGENT_EMITTER, emittedAgentPath } = require('../../../lib/agent/emitters');
 const csv = require('csv-parse/sync');
 
 /**
@@ -65,6 +66,10 @@ class ConfigDrivenIdeSetup extends BaseIdeSetup {
    * @returns {Promise<Object>} Setup result
    */
   async setup(projectDir, skadDir, options = {}) {
+    if (options.scope === 'user') {
+      return this.setupUserScope(projectDir, skadDir, options);
+    }
+
     // Check for SKAD files in ancestor directories that would cause duplicates
     if (this.installerConfig?.ancestor_conflict_check) {
       const conflict = await this.findAncestorConflict(projectDir);
@@ -106,6 +111,25 @@ class ConfigDrivenIdeSetup extends BaseIdeSetup {
     return { success: false, reason: 'invalid-config' };
   }
 
+  /**
+   * Install skills into the platform's user-level folder (global_target_dir), for the global installation
+   * @param {string} projectDir - Global installation directory
+   * @param {string} skadDir - SKAD installation directory
+   * @param {Object} options - Setup options
+   * @returns {Promise<Object>} Setup result
+   */
+  async setupUserScope(projectDir, skadDir, options = {}) {
+    const globalTargetDir = this.installerConfig?.global_target_dir;
+    if (!globalTargetDir) {
+      if (!options.silent) await prompts.log.warn(`${this.name} has no user-level skills folder; configure it per project instead`);
+      return { success: false, reason: 'no-user-scope', error: 'no user-level skills folder' };
+    }
+
+    if (!options.silent) await prompts.log.info(`Setting up ${this.name} for the current user...`);
+    await this.cleanup(projectDir, options);
+    return this.installToTarget(projectDir, skadDir, { ...this.installerConfig, target_dir: globalTargetDir }, options);
+  }
+
   /**
    * Install to a single target directory
    * @param {string} projectDir - Project directory
@@ -124,7 +148,7 @@ class ConfigDrivenIdeSetup extends BaseIdeSetup {
       return { success: true, results: { agents: 0, workflows: 0, tasks: 0, tools: 0, skills: 0 } };
     }
 
-    const targetPath = path.join(projectDir, target_dir);
+    const targetPath = this.resolveTargetPath(projectDir, target_dir);
     await this.ensureDir(targetPath);
 
     const selectedModules = options.selectedModules || [];
@@ -201,10 +225,16 @@ class ConfigDrivenIdeSetup extends BaseIdeSetup {
   async writeAgentArtifacts(targetPath, artifacts, templateType, config = {}) {
     // Try to load platform-specific template, fall back to default-agent
     const { content: template, extension } = await this.loadTemplate(templateType, 'agent', config, 'default-agent');
+    // Launchers point at the compiled agent in the format the platform reads (agent_emitter)
+    const emitterName = config.agent_emitter || this.installerConfig?.agent_emitter || DEFAULT_AGENT_EMITTER;
     let count = 0;
 
     for (const artifact of artifacts) {
-      const content = this.renderTemplate(template, artifact);
+      const launched =
+        emitterName === DEFAULT_AGENT_EMITTER || !artifact.agentPath
+          ? artifact
+          : { ...artifact, agentPath: emittedAgentPath(artifact.agentPath, emitterName) };
+      const content = this.renderTemplate(template, launched);
       const filename = this.generateFilename(artifact, 'agent', extension);
 
       if (config.skill_format) {
@@ -742,6 +772,14 @@ LOAD and execute from: {project-root}/{{skadFolderName}}/{{path}}
    * @param {string} projectDir - Project directory
    */
   async cleanup(projectDir, options = {}) {
+    // User-level skills are only ever written to global_target_dir
+    if (options.scope === 'user') {
+      if (this.installerConfig?.global_target_dir) {
+        await this.cleanupTarget(projectDir, this.installerConfig.global_target_dir, options);
+      }
+      return;
+    }
+
     // Migrate legacy target directories (e.g. .opencode/agent → .opencode/agents)
     if (this.installerConfig?.legacy_targets) {
       if (!options.silent) await prompts.log.message('  Migrating legacy directories...');
@@ -790,6 +828,46 @@ LOAD and execute from: {project-root}/{{skadFolderName}}/{{path}}
     }
   }
 
+  /**
+   * Project-relative paths this platform writes to or cleans up.
+   * Used to snapshot IDE files before an install so they can be restored.
+   * @param {Object} [options] - {scope: 'user'} for the user-level folder a global installation writes to
+   * @returns {Array<string>} Project-relative paths, or the ~/ path of global_target_dir for the user scope
+   */
+  getManagedPaths(options = {}) {
+    const paths = [];
+    const installerConfig = this.installerConfig || {};
+
+    if (options.scope === 'user') {
+      return installerConfig.global_target_dir ? [installerConfig.global_target_dir] : [];
+    }
+
+    for (const legacyDir of installerConfig.legacy_targets || []) {
+      if (!this.isGlobalPath(legacyDir)) {
+        paths.push(legacyDir);
+      }
+    }
+
+    if (installerConfig.targets) {
+      paths.push(...installerConfig.targets.map((target) => target.target_dir));
+    } else if (installerConfig.target_dir) {
+      paths.push(installerConfig.target_dir);
+    }
+
+    // Shared files that cleanup() edits in place
+    if (this.name === 'github-copilot') {
+      paths.push(path.join('.github', 'copilot-instructions.md'), path.join('.github', 'copilot-instructions.md.bak'));
+    }
+    if (this.name === 'kilo') {
+      paths.push('.kilocodemodes');
+    }
+    if (this.name === 'rovo-dev') {
+      paths.push(path.join('.rovodev', 'prompts.yml'));
+    }
+
+    return paths;
+  }
+
   /**
    * Check if a path is global (starts with ~ or is absolute)
    * @param {string} p - Path to check
@@ -799,6 +877,26 @@ LOAD and execute from: {project-root}/{{skadFolderName}}/{{path}}
     return p.startsWith('~') || path.isAbsolute(p);
   }
 
+  /**
+   * Expand a leading ~ in a global path
+   * @param {string} p - Global path
+   * @returns {string}
+   */
+  expandGlobalPath(p) {
+    if (p === '~') return os.homedir();
+    return p.startsWith('~/') ? path.join(os.homedir(), p.slice(2)) : p;
+  }
+
+  /**
+   * Absolute path of a target directory: global paths as-is, others inside the project
+   * @param {string} projectDir - Project directory
+   * @param {string} targetDir - Target directory from platform-codes.yaml
+   * @returns {string}
+   */
+  resolveTargetPath(projectDir, targetDir) {
+    return this.isGlobalPath(targetDir) ? this.expandGlobalPath(targetDir) : path.join(projectDir, targetDir);
+  }
+
   /**
    * Warn about stale SKAD files in a global legacy directory (never auto-deletes)
    * @param {string} legacyDir - Legacy directory path (may start with ~)
@@ -806,11 +904,7 @@ LOAD and execute from: {project-root}/{{skadFolderName}}/{{path}}
    */
   async warnGlobalLegacy(legacyDir, options = {}) {
     try {
-      const expanded = legacyDir.startsWith('~/')
-        ? path.join(os.homedir(), legacyDir.slice(2))
-        : legacyDir === '~'
-          ? os.homedir()
-          : legacyDir;
+      const expanded = this.expandGlobalPath(legacyDir);
 
       if (!(await fs.pathExists(expanded))) return;
 
@@ -831,7 +925,7 @@ LOAD and execute from: {project-root}/{{skadFolderName}}/{{path}}
    * @param {string} targetDir - Target directory to clean
    */
   async cleanupTarget(projectDir, targetDir, options = {}) {
-    const targetPath = path.join(projectDir, targetDir);
+    const targetPath = this.resolveTargetPath(projectDir, targetDir);
 
     if (!(await fs.pathExists(targetPath))) {
       return;
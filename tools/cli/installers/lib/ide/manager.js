@@ -239,6 +239,28 @@ class IdeManager {
     return [...this.handlers.keys()];
   }
 
+  /**
+   * Get the project-relative paths managed by a list of IDEs
+   * @param {Array<string>} ideList - IDE names
+   * @param {Object} [options] - Passed to each handler's getManagedPaths() (scope)
+   * @returns {Promise<Array<string>>} Unique paths, in IDE order
+   */
+  async getManagedPaths(ideList, options = {}) {
+    await this.ensureInitialized();
+    const paths = new Set();
+
+    for (const ideName of ideList || []) {
+      const handler = this.handlers.get(String(ideName).toLowerCase());
+      if (handler && typeof handler.getManagedPaths === 'function') {
+        for (const managedPath of handler.getManagedPaths(options)) {
+          paths.add(managedPath);
+        }
+      }
+    }
+
+    return [...paths];
+  }
+
   /**
    * Check if an IDE is supported
    * @param {string} ideName - Name of the IDE
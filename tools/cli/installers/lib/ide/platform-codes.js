@@ -82,6 +82,26 @@ async function getCustomInstallerPlatforms() {
     .map(([code, _]) => code);
 }
 
+/**
+ * Get the agent emitters a set of platforms select besides the default XML one
+ * Agents are compiled once for all of them, so each of these is written next to the XML agent.
+ * @param {Array<string>} platformCodes - Platforms configured for the installation
+ * @returns {Promise<Array<string>>} Emitter names, e.g. ['markdown']
+ */
+async function getAgentEmittersForPlatforms(platformCodes) {
+  const config = await loadPlatformCodes();
+  const emitters = new Set();
+  for (const code of platformCodes) {
+    const installer = config.platforms[code]?.installer || {};
+    for (const target of [installer, ...(installer.targets || [])]) {
+      if (target.agent_emitter && target.agent_emitter !== 'xml') {
+        emitters.add(target.agent_emitter);
+      }
+    }
+  }
+  return [...emitters].sort();
+}
+
 /**
  * Clear the cached platform codes (useful for testing)
  */
@@ -96,5 +116,6 @@ module.exports = {
   getPlatformsByCategory,
   getConfigDrivenPlatforms,
   getCustomInstallerPlatforms,
+  getAgentEmittersForPlatforms,
   clearCache,
 };
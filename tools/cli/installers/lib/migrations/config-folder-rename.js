@@ -0,0 +1,21 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const { SKAD_FOLDER_NAME } = require('../ide/shared/path-utils');
+
+/**
+ * Early releases kept manifests and IDE configs in _skad/_cfg.
+ */
+module.exports = {
+  id: 'config-folder-rename',
+  description: `Rename ${SKAD_FOLDER_NAME}/_cfg to ${SKAD_FOLDER_NAME}/_config`,
+  versions: '*',
+  paths: [SKAD_FOLDER_NAME],
+
+  async applies({ skadDir }) {
+    return (await fs.pathExists(path.join(skadDir, '_cfg'))) && !(await fs.pathExists(path.join(skadDir, '_config')));
+  },
+
+  async up({ skadDir }) {
+    await fs.move(path.join(skadDir, '_cfg'), path.join(skadDir, '_config'));
+  },
+};
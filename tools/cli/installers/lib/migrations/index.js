@@ -0,0 +1,22 @@
+/**
+ * Registry of installation migrations, oldest first.
+ * MigrationRunner runs the pending ones in this order on update and from `skad migrate`.
+ *
+ * Each migration module exports:
+ *   id           stable identifier, recorded in the manifest once applied
+ *   description  one line saying what changes
+ *   versions     semver range of installed versions the migration upgrades;
+ *                "*" for layout fixes that are detected on disk by applies()
+ *   paths        project-relative paths it may change (snapshotted before it runs)
+ *   optIn        optional; true for migrations that move the user's own files. They never
+ *                run on update, only when asked for (`skad migrate --include <id>`, the v4 prompt)
+ *   applies(ctx) optional; resolves true when there is something to migrate
+ *   up(ctx)      performs the migration with fs-extra
+ *
+ * ctx is {projectDir, skadDir, fromVersion, toVersion, manifest}. A release that renames
+ * folders, CSV columns or config keys adds a migration with `versions: '<X.Y.Z'`, where
+ * X.Y.Z is the first release with the new layout.
+ */
+const MIGRATIONS = [require('./v4-folder-backup'), require('./skad-folder-rename'), require('./config-folder-rename')];
+
+module.exports = { MIGRATIONS };
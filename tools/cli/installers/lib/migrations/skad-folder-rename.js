@@ -0,0 +1,38 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const { SKAD_FOLDER_NAME } = require('../ide/shared/path-utils');
+
+const LEGACY_FOLDERS = ['.skad', 'skad'];
+
+/**
+ * Find a pre-release install folder (.skad or skad holding _cfg or _config)
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<string|null>} Absolute path of the legacy folder
+ */
+async function findLegacyFolder(projectDir) {
+  for (const name of LEGACY_FOLDERS) {
+    const folder = path.join(projectDir, name);
+    if ((await fs.pathExists(path.join(folder, '_cfg'))) || (await fs.pathExists(path.join(folder, '_config')))) {
+      return folder;
+    }
+  }
+  return null;
+}
+
+/**
+ * Early releases installed into .skad or skad instead of _skad.
+ */
+module.exports = {
+  id: 'skad-folder-rename',
+  description: `Rename the .skad or skad installation folder to ${SKAD_FOLDER_NAME}`,
+  versions: '*',
+  paths: [...LEGACY_FOLDERS, SKAD_FOLDER_NAME],
+
+  async applies({ projectDir }) {
+    return !(await fs.pathExists(path.join(projectDir, SKAD_FOLDER_NAME))) && (await findLegacyFolder(projectDir)) !== null;
+  },
+
+  async up({ projectDir }) {
+    await fs.move(await findLegacyFolder(projectDir), path.join(projectDir, SKAD_FOLDER_NAME));
+  },
+};
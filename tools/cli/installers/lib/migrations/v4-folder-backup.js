@@ -0,0 +1,30 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+
+const V4_FOLDER = '.skad-method';
+const BACKUP_FOLDER = '.skad-method-v4-backup';
+
+/**
+ * SKAD v4 kept everything in .skad-method, which the current installer ignores.
+ * Rename it out of the way so nothing picks up v4 files by mistake.
+ * The folder is the user's, so this only runs when they agree to it.
+ */
+module.exports = {
+  id: 'v4-folder-backup',
+  description: `Back up the SKAD v4 ${V4_FOLDER} folder as ${BACKUP_FOLDER}`,
+  versions: '*',
+  paths: [V4_FOLDER, BACKUP_FOLDER],
+  optIn: true,
+
+  async applies({ projectDir }) {
+    return fs.pathExists(path.join(projectDir, V4_FOLDER));
+  },
+
+  async up({ projectDir }) {
+    let backupPath = path.join(projectDir, BACKUP_FOLDER);
+    for (let suffix = 2; await fs.pathExists(backupPath); suffix++) {
+      backupPath = path.join(projectDir, `${BACKUP_FOLDER}-${suffix}`);
+    }
+    await fs.move(path.join(projectDir, V4_FOLDER), backupPath);
+  },
+};
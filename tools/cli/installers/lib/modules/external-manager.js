@@ -2,6 +2,7 @@ const fs = require('fs-extra');
 const path = require('node:path');
 const yaml = require('yaml');
 const prompts = require('../../../lib/prompts');
+const { CLIUtils } = require('../../../lib/cli-utils');
 
 /**
  * Manages external official modules defined in external-official-modules.yaml
@@ -35,6 +36,18 @@ class ExternalModuleManager {
     }
   }
 
+  /**
+   * Resolve an entry's local `source` path (relative paths are relative to external-official-modules.yaml)
+   * @param {string} [source] - Configured source
+   * @returns {string|null} Absolute path or null
+   */
+  resolveLocalSource(source) {
+    if (!source) {
+      return null;
+    }
+    return path.resolve(path.dirname(this.externalModulesConfigPath), CLIUtils.expandPath(source));
+  }
+
   /**
    * Get list of available external modules
    * @returns {Array<Object>} Array of module info objects
@@ -56,6 +69,7 @@ class ExternalModuleManager {
         defaultSelected: moduleConfig.defaultSelected === true,
         type: moduleConfig.type || 'community', // skad-org or community
         npmPackage: moduleConfig.npmPackage || null, // Include npm package name
+        source: this.resolveLocalSource(moduleConfig.source), // Local directory, .tgz or git bundle used instead of cloning
         isExternal: true,
       });
     }
@@ -98,6 +112,7 @@ class ExternalModuleManager {
       defaultSelected: moduleConfig.defaultSelected === true,
       type: moduleConfig.type || 'community', // skad-org or community
       npmPackage: moduleConfig.npmPackage || null, // Include npm package name
+      source: this.resolveLocalSource(moduleConfig.source), // Local directory, .tgz or git bundle used instead of cloning
       isExternal: true,
     };
   }
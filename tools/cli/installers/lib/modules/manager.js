@@ -5,8 +5,45 @@ const prompts = require('../../../lib/prompts');
 const { XmlHandler } = require('../../../lib/xml-handler');
 const { getProjectRoot, getSourcePath, getModulePath } = require('../../../lib/project-root');
 const { filterCustomizationData } = require('../../../lib/agent/compiler');
+const { isAgentOverlayPath, loadAgentOverlays } = require('../../../lib/agent/i18n');
 const { ExternalModuleManager } = require('./external-manager');
 const { SKAD_FOLDER_NAME } = require('../ide/shared/path-utils');
+const { MODULE_COMMANDS_FILE } = require('../../../lib/module-commands');
+
+// External module commits pinned by a lockfile (module code -> commit), shared by every ModuleManager
+const pinnedExternalCommits = new Map();
+
+// Local sources given on the command line (module code -> directory, .tgz or git bundle)
+const localExternalSources = new Map();
+
+/**
+ * Pin external modules to commits; cloneExternalModule checks these out instead of the latest
+ * @param {Object} commits - Module code to commit SHA
+ */
+function pinExternalModules(commits) {
+  for (const [moduleCode, commit] of Object.entries(commits || {})) {
+    pinnedExternalCommits.set(moduleCode, commit);
+  }
+}
+
+/**
+ * Install external modules from local sources instead of cloning them
+ * These override a `source` set in external-official-modules.yaml.
+ * @param {Object} sources - Module code to a directory, `npm pack` tarball or git bundle
+ */
+function setExternalModuleSources(sources) {
+  for (const [moduleCode, sourcePath] of Object.entries(sources || {})) {
+    localExternalSources.set(moduleCode, path.resolve(sourcePath));
+  }
+}
+
+/**
+ * Whether network access is disabled (install --offline or SKAD_OFFLINE)
+ * @returns {boolean}
+ */
+function isOffline() {
+  return process.env.SKAD_OFFLINE === 'true';
+}
 
 /**
  * Manages the installation, updating, and removal of SKAD modules.
@@ -48,6 +85,31 @@ class ModuleManager {
     this.coreConfig = coreConfig;
   }
 
+  /**
+   * Set the IDEs configured for the installation, whose agent formats are compiled next to the XML agent
+   * Without them, the IDEs recorded in the installation manifest are used.
+   * @param {Array<string>} ides - Platform codes
+   */
+  setIdes(ides) {
+    this.ides = ides;
+  }
+
+  /**
+   * Agent emitters to compile with besides xml: the ones the configured IDEs select
+   * @param {string} skadDir - SKAD installation directory
+   * @returns {Promise<Array<string>>} Emitter names
+   */
+  async getAgentEmitterNames(skadDir) {
+    const { getAgentEmittersForPlatforms } = require('../ide/platform-codes');
+    let ides = this.ides;
+    if (!ides) {
+      const manifestPath = path.join(skadDir, '_config', 'manifest.yaml');
+      const manifest = (await fs.pathExists(manifestPath)) ? yaml.parse(await fs.readFile(manifestPath, 'utf8')) : null;
+      ides = manifest?.ides || [];
+    }
+    return getAgentEmittersForPlatforms(ides);
+  }
+
   /**
    * Set custom module paths for priority lookup
    * @param {Map<string, string>} customModulePaths - Map of module ID to source path
@@ -331,9 +393,8 @@ class ModuleManager {
    * @returns {string} Path to the external modules cache directory
    */
   getExternalCacheDir() {
-    const os = require('node:os');
-    const cacheDir = path.join(os.homedir(), '.skad', 'cache', 'external-modules');
-    return cacheDir;
+    const { GlobalInstall } = require('../core/global-install');
+    return path.join(GlobalInstall.cacheDir(), 'external-modules');
   }
 
   /**
@@ -381,8 +442,27 @@ class ModuleManager {
     let needsDependencyInstall = false;
     let wasNewClone = false;
 
-    // Check if already cloned
-    if (await fs.pathExists(moduleCacheDir)) {
+    const pinnedCommit = pinnedExternalCommits.get(moduleCode);
+    const localSource = localExternalSources.get(moduleCode) || moduleInfo.source;
+    const offline = isOffline();
+
+    // Check if already cloned (pinned modules are moved to their commit below instead of updated)
+    const isCached = await fs.pathExists(moduleCacheDir);
+    if (localSource) {
+      // A local source replaces the cached copy every time so the cache matches it
+      const copySpinner = await createSpinner();
+      copySpinner.start(`Copying ${moduleInfo.name} from ${localSource}...`);
+      try {
+        await this.copyLocalExternalModule(localSource, moduleCacheDir);
+        copySpinner.stop(`Copied ${moduleInfo.name} from local source`);
+      } catch (error) {
+        copySpinner.error(`Failed to copy ${moduleInfo.name}`);
+        throw new Error(`Failed to install external module '${moduleCode}' from ${localSource}: ${error.message}`);
+      }
+      needsDependencyInstall = true;
+    } else if (isCached && offline) {
+      // Offline installs use the cached copy as it is
+    } else if (isCached && !pinnedCommit) {
       // Try to update if it's a git repo
       const fetchSpinner = await createSpinner();
       fetchSpinner.start(`Fetching ${moduleInfo.name}...`);
@@ -412,10 +492,17 @@ class ModuleManager {
         await fs.remove(moduleCacheDir);
         wasNewClone = true;
       }
-    } else {
+    } else if (!isCached) {
       wasNewClone = true;
     }
 
+    if (wasNewClone && offline) {
+      throw new Error(
+        `External module '${moduleCode}' is not in the cache (${moduleCacheDir}) and --offline prevents cloning it. ` +
+          `Provide it with --module-source ${moduleCode}=<directory, .tgz or .bundle>.`,
+      );
+    }
+
     // Clone if not exists or was removed
     if (wasNewClone) {
       const fetchSpinner = await createSpinner();
@@ -432,7 +519,36 @@ class ModuleManager {
       }
     }
 
-    // Install dependencies if package.json exists
+    // Check out the commit pinned by the lockfile
+    if (pinnedCommit) {
+      const gitOptions = { cwd: moduleCacheDir, stdio: ['ignore', 'pipe', 'pipe'], env: { ...process.env, GIT_TERMINAL_PROMPT: '0' } };
+      let currentRef = null;
+      try {
+        currentRef = execSync('git rev-parse HEAD', gitOptions).toString().trim();
+      } catch {
+        // Not a git checkout; the fetch below fails with a clear error
+      }
+
+      if (currentRef !== pinnedCommit) {
+        const pinSpinner = await createSpinner();
+        pinSpinner.start(`Checking out locked commit of ${moduleInfo.name}...`);
+        try {
+          // Offline, the commit has to be in the cached history already
+          if (!offline) {
+            execSync(`git fetch --depth 1 origin ${pinnedCommit}`, gitOptions);
+          }
+          execSync(`git reset --hard ${pinnedCommit}`, gitOptions);
+          pinSpinner.stop(`Checked out ${moduleInfo.name} at ${pinnedCommit.slice(0, 12)}`);
+        } catch (error) {
+          pinSpinner.error(`Failed to check out locked commit of ${moduleInfo.name}`);
+          throw new Error(`Failed to check out locked commit ${pinnedCommit} of external module '${moduleCode}': ${error.message}`);
+        }
+        needsDependencyInstall = true;
+      }
+    }
+
+    // Install dependencies if package.json exists (offline, only from the npm cache)
+    const npmInstallCommand = `npm install --omit=dev --no-audit --no-fund --no-progress --legacy-peer-deps${offline ? ' --offline' : ''}`;
     const packageJsonPath = path.join(moduleCacheDir, 'package.json');
     const nodeModulesPath = path.join(moduleCacheDir, 'node_modules');
     if (await fs.pathExists(packageJsonPath)) {
@@ -444,7 +560,7 @@ class ModuleManager {
         const installSpinner = await createSpinner();
         installSpinner.start(`Installing dependencies for ${moduleInfo.name}...`);
         try {
-          execSync('npm install --omit=dev --no-audit --no-fund --no-progress --legacy-peer-deps', {
+          execSync(npmInstallCommand, {
             cwd: moduleCacheDir,
             stdio: ['ignore', 'pipe', 'pipe'],
             timeout: 120_000, // 2 minute timeout
@@ -470,7 +586,7 @@ class ModuleManager {
           const installSpinner = await createSpinner();
           installSpinner.start(`Installing dependencies for ${moduleInfo.name}...`);
           try {
-            execSync('npm install --omit=dev --no-audit --no-fund --no-progress --legacy-peer-deps', {
+            execSync(npmInstallCommand, {
               cwd: moduleCacheDir,
               stdio: ['ignore', 'pipe', 'pipe'],
               timeout: 120_000, // 2 minute timeout
@@ -487,6 +603,36 @@ class ModuleManager {
     return moduleCacheDir;
   }
 
+  /**
+   * Replace a cached external module with a local copy
+   * @param {string} sourcePath - Module directory, `npm pack` tarball (.tgz) or git bundle (.bundle)
+   * @param {string} targetDir - Cache directory for the module
+   */
+  async copyLocalExternalModule(sourcePath, targetDir) {
+    const { execFileSync } = require('node:child_process');
+
+    if (!(await fs.pathExists(sourcePath))) {
+      throw new Error(`Local source not found: ${sourcePath}`);
+    }
+
+    await fs.remove(targetDir);
+
+    if ((await fs.stat(sourcePath)).isDirectory()) {
+      // Dependencies are installed in the cache, so the source's node_modules is left behind
+      await fs.copy(sourcePath, targetDir, {
+        filter: (src) => path.relative(sourcePath, src).split(path.sep)[0] !== 'node_modules',
+      });
+    } else if (/\.(tgz|tar\.gz)$/i.test(sourcePath)) {
+      // npm pack puts everything under package/
+      await fs.ensureDir(targetDir);
+      execFileSync('tar', ['-xzf', sourcePath, '-C', targetDir, '--strip-components=1'], { stdio: 'pipe' });
+    } else if (sourcePath.endsWith('.bundle')) {
+      execFileSync('git', ['clone', sourcePath, targetDir], { stdio: 'pipe', env: { ...process.env, GIT_TERMINAL_PROMPT: '0' } });
+    } else {
+      throw new Error('Expected a directory, a .tgz from npm pack or a .bundle from git bundle');
+    }
+  }
+
   /**
    * Find the source path for an external module
    * @param {string} moduleCode - Code of the external module
@@ -565,6 +711,9 @@ class ModuleManager {
     // Copy module files with filtering
     await this.copyModuleWithFiltering(sourcePath, targetPath, fileTrackingCallback, options.moduleConfig);
 
+    // Record the CLI commands declared in module.yaml (module.yaml itself is not installed)
+    await this.installModuleCommands(sourcePath, targetPath, moduleName, fileTrackingCallback);
+
     // Compile any .agent.yaml files to .md format
     await this.compileModuleAgents(sourcePath, targetPath, moduleName, skadDir, options.installer);
 
@@ -623,6 +772,7 @@ class ModuleManager {
     } else {
       // Selective update - preserve user modifications
       await this.syncModule(sourcePath, targetPath);
+      await this.installModuleCommands(sourcePath, targetPath, moduleName);
 
       // Recompile agents (#1133)
       await this.compileModuleAgents(sourcePath, targetPath, moduleName, skadDir, options.installer);
@@ -746,6 +896,11 @@ class ModuleManager {
         continue;
       }
 
+      // Skip translation overlays - they are merged into the compiled agents
+      if (isAgentOverlayPath(file)) {
+        continue;
+      }
+
       const sourceFile = path.join(sourcePath, file);
       const targetFile = path.join(targetPath, file);
 
@@ -871,20 +1026,72 @@ class ModuleManager {
    * @param {string} moduleName - Module name
    * @param {string} skadDir - SKAD installation directory
    * @param {Object} installer - Installer instance for file tracking
+   * @returns {Promise<Object>} {compiled, skipped} agent counts; skipped agents were unchanged since the last compile
+   */
+  /**
+   * Linter for the agents of a module being installed
+   * Targets in the module resolve against its source; targets in other modules resolve
+   * against their installed copies and are not checked while those are not installed.
+   * @param {string} sourcePath - Module source directory
+   * @param {string} moduleName - Module code
+   * @param {string} skadDir - SKAD installation directory
+   * @returns {Promise<AgentLinter>}
    */
+  async createAgentLinter(sourcePath, moduleName, skadDir) {
+    const { AgentLinter } = require('../../../lib/agent/linter');
+    const { toInstalledPath } = require('../../../../validate-file-refs');
+
+    // Without a module.yaml there is no dependency list to check against
+    const moduleDependencies = new Map();
+    const moduleYamlPath = path.join(sourcePath, 'module.yaml');
+    if (await fs.pathExists(moduleYamlPath)) {
+      try {
+        moduleDependencies.set(moduleName, yaml.parse(await fs.readFile(moduleYamlPath, 'utf8'))?.dependencies || []);
+      } catch {
+        // Reported when the module config is read
+      }
+    }
+
+    return new AgentLinter({
+      moduleDependencies,
+      resolveRef: (refPath) => {
+        const installedPath = toInstalledPath(refPath);
+        if (installedPath === null) return null;
+        const [moduleCode, ...rest] = installedPath.split('/');
+        if (moduleCode === moduleName) return path.join(sourcePath, ...rest);
+        return fs.pathExistsSync(path.join(skadDir, moduleCode)) ? path.join(skadDir, installedPath) : null;
+      },
+    });
+  }
+
   async compileModuleAgents(sourcePath, targetPath, moduleName, skadDir, installer = null) {
     const sourceAgentsPath = path.join(sourcePath, 'agents');
     const targetAgentsPath = path.join(targetPath, 'agents');
     const cfgAgentsDir = path.join(skadDir, '_config', 'agents');
+    const counts = { compiled: 0, skipped: 0 };
 
     // Check if agents directory exists in source
     if (!(await fs.pathExists(sourceAgentsPath))) {
-      return; // No agents to compile
+      return counts; // No agents to compile
     }
 
     // Get all agent YAML files recursively
     const agentFiles = await this.findAgentFiles(sourceAgentsPath);
 
+    // Agents whose inputs are unchanged since the last compile are not rebuilt
+    const { AgentCompileCache } = require('../core/agent-cache');
+    const cache = new AgentCompileCache(skadDir);
+    await cache.load();
+
+    // Agents that are compiled are linted too; findings are warnings, the install goes on
+    const linter = await this.createAgentLinter(sourcePath, moduleName, skadDir);
+
+    // Every agent is tried so all the broken ones are reported; any failure then fails the install
+    const failures = [];
+
+    // Formats the configured IDEs read (agent_emitter in platform-codes.yaml) go next to the XML agent
+    const emitterNames = await this.getAgentEmitterNames(skadDir);
+
     for (const agentFile of agentFiles) {
       if (!agentFile.endsWith('.agent.yaml')) continue;
 
@@ -901,7 +1108,10 @@ class ModuleManager {
       // Read and compile the YAML
       try {
         const yamlContent = await fs.readFile(sourceYamlPath, 'utf8');
-        const { compileAgent } = require('../../../lib/agent/compiler');
+        const { compileAgent, emitAgent } = require('../../../lib/agent/compiler');
+        const { AGENT_EMITTERS, DEFAULT_AGENT_EMITTER, emittedAgentPath } = require('../../../lib/agent/emitters');
+        const { resolveAgentExtends } = require('../../../lib/agent/inheritance');
+        const { provenancePath } = require('../../../lib/agent/provenance');
 
         // Create customize template if it doesn't exist
         if (!(await fs.pathExists(customizePath))) {
@@ -977,20 +1187,75 @@ class ModuleManager {
           }
         }
 
-        // Check if agent has sidecar
-        let hasSidecar = false;
-        try {
-          const agentYaml = yaml.parse(yamlContent);
-          hasSidecar = agentYaml?.agent?.metadata?.hasSidecar === true;
-        } catch {
-          // Continue without sidecar processing
-        }
+        // The resolved agent (so a changed parent counts), translations, customizations, config and formats
+        const { agentYaml: resolvedYaml, sources } = resolveAgentExtends(yaml.parse(yamlContent), sourceYamlPath);
+        const cacheId = `${moduleName}/${relativePath}`;
+        const cacheKey = await AgentCompileCache.key({
+          agent: resolvedYaml,
+          translations: loadAgentOverlays(sources, this.coreConfig?.communication_language),
+          answers,
+          config: this.coreConfig || {},
+          emitters: emitterNames,
+          agentName,
+          relativePath,
+        });
 
-        // Compile with customizations if any
-        const { xml } = await compileAgent(yamlContent, answers, agentName, relativePath, { config: this.coreConfig || {} });
+        let hasSidecar;
+        const skipped = await cache.isFresh(cacheId, cacheKey);
+        if (skipped) {
+          hasSidecar = resolvedYaml.agent?.metadata?.hasSidecar === true;
+          counts.skipped++;
+        } else {
+          // Compile with customizations if any
+          const { xml, processedYaml, customizationWarnings, translationWarnings, provenance } = await compileAgent(
+            yamlContent,
+            answers,
+            agentName,
+            relativePath,
+            {
+              config: this.coreConfig || {},
+              sourcePath: sourceYamlPath,
+              customizePath,
+              projectDir: path.dirname(skadDir),
+            },
+          );
 
-        // Write the compiled agent
-        await fs.writeFile(targetMdPath, xml, 'utf8');
+          // Customizations written against an older version of the agent
+          for (const warning of customizationWarnings) {
+            await prompts.log.warn(`  ${path.basename(customizePath)}: ${warning}`);
+          }
+          for (const warning of translationWarnings) {
+            await prompts.log.warn(`  ${warning}`);
+          }
+
+          // Check if agent has sidecar (possibly declared by an agent it extends)
+          hasSidecar = processedYaml.agent.metadata?.hasSidecar === true;
+
+          // Write the compiled agent, and where each part of it came from ("skad explain agent")
+          await fs.writeFile(targetMdPath, xml, 'utf8');
+          await fs.writeJson(provenancePath(targetMdPath), provenance, { spaces: 2 });
+          const outputPaths = [targetMdPath, provenancePath(targetMdPath)];
+
+          // Formats the configured IDEs read go next to it; formats no IDE reads any more are removed
+          for (const emitterName of Object.keys(AGENT_EMITTERS)) {
+            if (emitterName === DEFAULT_AGENT_EMITTER) continue;
+            const emittedPath = emittedAgentPath(targetMdPath, emitterName);
+            if (!emitterNames.includes(emitterName)) {
+              await fs.remove(emittedPath);
+              continue;
+            }
+            const emitted = await emitAgent(processedYaml, emitterName, agentName, relativePath);
+            await fs.writeFile(emittedPath, emitted, 'utf8');
+            outputPaths.push(emittedPath);
+          }
+
+          await cache.record(cacheId, cacheKey, outputPaths);
+          counts.compiled++;
+
+          for (const finding of linter.lint(sourceYamlPath, yamlContent, { moduleCode: moduleName })) {
+            await prompts.log.warn(`  ${moduleName}/agents/${relativePath}:${finding.line} ${finding.message} [${finding.rule}]`);
+          }
+        }
 
         // Handle sidecar copying if present
         if (hasSidecar) {
@@ -1034,13 +1299,27 @@ class ModuleManager {
         // Only show compilation details in verbose mode
         if (process.env.SKAD_VERBOSE_INSTALL === 'true') {
           await prompts.log.message(
-            `    Compiled agent: ${agentName} -> ${path.relative(targetPath, targetMdPath)}${hasSidecar ? ' (with sidecar)' : ''}`,
+            `    ${skipped ? 'Unchanged' : 'Compiled'} agent: ${agentName} -> ${path.relative(targetPath, targetMdPath)}${hasSidecar ? ' (with sidecar)' : ''}`,
           );
         }
       } catch (error) {
-        await prompts.log.warn(`    Failed to compile agent ${agentName}: ${error.message}`);
+        // Template errors (strict mode, unclosed blocks) already name the agent file and line
+        if (error.file && error.line) throw error;
+        await prompts.log.error(`    Failed to compile agent ${agentName}: ${error.message}`);
+        failures.push({ agentName, error });
       }
     }
+
+    await cache.save();
+
+    if (failures.length > 0) {
+      const error = new Error(
+        `Failed to compile ${failures.length} agent(s) in ${moduleName}: ${failures.map((failure) => failure.agentName).join(', ')}`,
+      );
+      error.failures = failures;
+      throw error;
+    }
+    return counts;
   }
 
   /**
@@ -1246,6 +1525,50 @@ class ModuleManager {
     }
   }
 
+  /**
+   * Record the CLI commands a module declares under `cli_commands` in module.yaml
+   * Writes the list to <module>/cli-commands.yaml, where the CLI finds it at startup
+   * (see lib/module-commands.js). Declared files that were not installed are skipped.
+   * @param {string} sourcePath - Module source path
+   * @param {string} targetPath - Installed module path
+   * @param {string} moduleName - Module code
+   * @param {Function} fileTrackingCallback - Optional callback to track installed files
+   * @returns {Promise<Array<string>>} Command files recorded, relative to the module
+   */
+  async installModuleCommands(sourcePath, targetPath, moduleName, fileTrackingCallback = null) {
+    const listPath = path.join(targetPath, MODULE_COMMANDS_FILE);
+    await fs.remove(listPath);
+
+    let moduleYaml;
+    try {
+      moduleYaml = yaml.parse(await fs.readFile(path.join(sourcePath, 'module.yaml'), 'utf8'));
+    } catch {
+      return [];
+    }
+    if (!Array.isArray(moduleYaml?.cli_commands) || moduleYaml.cli_commands.length === 0) {
+      return [];
+    }
+
+    const files = [];
+    for (const file of moduleYaml.cli_commands) {
+      const commandPath = typeof file === 'string' ? path.resolve(targetPath, file) : null;
+      if (!commandPath || !commandPath.startsWith(targetPath + path.sep) || !(await fs.pathExists(commandPath))) {
+        await prompts.log.warn(`Skipping CLI command ${file} of module ${moduleName}: file not found in the module`);
+        continue;
+      }
+      files.push(path.relative(targetPath, commandPath).replaceAll('\\', '/'));
+    }
+
+    if (files.length > 0) {
+      const header = `# Generated from cli_commands in the ${moduleName} module.yaml. Registers "skad ${moduleName} <command>".\n`;
+      await fs.writeFile(listPath, header + yaml.stringify({ commands: files }));
+      if (fileTrackingCallback) {
+        fileTrackingCallback(listPath);
+      }
+    }
+    return files;
+  }
+
   /**
    * Create directories declared in module.yaml's `directories` key
    * This replaces the security-risky module installer pattern with declarative config
@@ -1495,4 +1818,4 @@ class ModuleManager {
   }
 }
 
-module.exports = { ModuleManager };
+module.exports = { ModuleManager, pinExternalModules, setExternalModuleSources };
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('node:path');
 const { getSourcePath } = require('./project-root');
+const { TracedText } = require('./agent/provenance');
 
 /**
  * Builds activation blocks from fragments based on agent profile
@@ -39,36 +40,52 @@ class ActivationBuilder {
    * @param {Object} metadata - Agent metadata (module, name, etc.)
    * @param {Array} agentSpecificActions - Optional agent-specific critical actions
    * @param {boolean} forWebBundle - Whether this is for a web bundle
+   * @param {TracedText} [trace] - Records which fragment or critical action each line comes from
    * @returns {string} Complete activation block XML
    */
-  async buildActivation(profile, metadata = {}, agentSpecificActions = [], forWebBundle = false) {
-    let activation = '<activation critical="MANDATORY">\n';
+  async buildActivation(profile, metadata = {}, agentSpecificActions = [], forWebBundle = false, trace = null) {
+    const activation = new TracedText(trace);
+    const block = { section: 'activation' };
+
+    activation.add('<activation critical="MANDATORY">\n', block);
 
     // 1. Build sequential steps (use web-specific steps for web bundles)
-    const steps = await this.buildSteps(metadata, agentSpecificActions, forWebBundle);
-    activation += this.indent(steps, 2) + '\n';
+    this.addIndented(activation, await this.buildStepPieces(metadata, agentSpecificActions, forWebBundle), 2);
+    activation.add('\n', block);
 
     // 2. Build menu handlers section with dynamic handlers
     const menuHandlers = await this.loadFragment('menu-handlers.txt');
-
-    // Build handlers (load only needed handlers)
-    const handlers = await this.buildHandlers(profile);
+    const handlersSource = { section: 'activation', fragment: 'menu-handlers.txt' };
 
     // Remove the extract line from the final output - it's just build metadata
     // The extract list tells us which attributes to look for during processing
     // but shouldn't appear in the final agent file
-    const processedHandlers = menuHandlers
+    const [beforeHandlers, ...afterHandlers] = menuHandlers
       .replace('<extract>{DYNAMIC_EXTRACT_LIST}</extract>\n', '') // Remove the entire extract line
-      .replace('{DYNAMIC_HANDLERS}', handlers);
+      .split('{DYNAMIC_HANDLERS}');
 
-    activation += '\n' + this.indent(processedHandlers, 2) + '\n';
+    // Build handlers (load only needed handlers)
+    const handlerPieces = afterHandlers.length > 0 ? await this.buildHandlerPieces(profile) : [];
+
+    activation.add('\n', block);
+    this.addIndented(
+      activation,
+      [
+        { text: beforeHandlers, source: handlersSource },
+        ...handlerPieces,
+        { text: afterHandlers.join('{DYNAMIC_HANDLERS}'), source: handlersSource },
+      ],
+      2,
+    );
+    activation.add('\n', block);
 
     const rules = await this.loadFragment('activation-rules.txt');
-    activation += this.indent(rules, 2) + '\n';
+    this.addIndented(activation, [{ text: rules, source: { section: 'activation', fragment: 'activation-rules.txt' } }], 2);
+    activation.add('\n', block);
 
-    activation += '</activation>';
+    activation.add('</activation>', block);
 
-    return activation;
+    return activation.text;
   }
 
   /**
@@ -77,19 +94,33 @@ class ActivationBuilder {
    * @returns {string} Handlers XML
    */
   async buildHandlers(profile) {
-    const handlerFragments = [];
+    return (await this.buildHandlerPieces(profile)).map((piece) => piece.text).join('');
+  }
+
+  /**
+   * Handler fragments the profile needs, each with the fragment it came from
+   * @param {Object} profile - Agent profile
+   * @returns {Promise<Array<Object>>} [{text, source}]
+   */
+  async buildHandlerPieces(profile) {
+    const handlerPieces = [];
 
     for (const attrType of profile.usedAttributes) {
       const fragmentName = `handler-${attrType}.txt`;
       try {
         const handler = await this.loadFragment(fragmentName);
-        handlerFragments.push(handler);
+        handlerPieces.push({ text: handler, source: { section: 'activation', fragment: fragmentName } });
       } catch {
         console.warn(`Warning: Handler fragment not found: ${fragmentName}`);
       }
     }
 
-    return handlerFragments.join('\n');
+    // Handlers are separated by a newline
+    for (const piece of handlerPieces.slice(0, -1)) {
+      piece.text += '\n';
+    }
+
+    return handlerPieces;
   }
 
   /**
@@ -100,23 +131,36 @@ class ActivationBuilder {
    * @returns {string} Steps XML
    */
   async buildSteps(metadata = {}, agentSpecificActions = [], forWebBundle = false) {
+    return (await this.buildStepPieces(metadata, agentSpecificActions, forWebBundle)).map((piece) => piece.text).join('');
+  }
+
+  /**
+   * Activation steps in pieces: the steps fragment around the agent's critical actions
+   * @param {Object} metadata - Agent metadata
+   * @param {Array} agentSpecificActions - Optional agent-specific actions
+   * @param {boolean} forWebBundle - Whether this is for a web bundle
+   * @returns {Promise<Array<Object>>} [{text, source}]
+   */
+  async buildStepPieces(metadata = {}, agentSpecificActions = [], forWebBundle = false) {
     const stepsTemplate = await this.loadFragment('activation-steps.txt');
+    const stepsSource = { section: 'activation', fragment: 'activation-steps.txt' };
 
     // Extract basename from agent ID (e.g., "skad/bmm/agents/pm.md" → "pm")
     const agentBasename = metadata.id ? metadata.id.split('/').pop().replace('.md', '') : metadata.name || 'agent';
 
     // Build agent-specific steps
-    let agentStepsXml = '';
+    const agentSteps = [];
     let currentStepNum = 4; // Steps 1-3 are standard
 
     if (agentSpecificActions && agentSpecificActions.length > 0) {
-      agentStepsXml = agentSpecificActions
-        .map((action) => {
-          const step = `<step n="${currentStepNum}">${action}</step>`;
-          currentStepNum++;
-          return step;
-        })
-        .join('\n');
+      for (const [index, action] of agentSpecificActions.entries()) {
+        const separator = index < agentSpecificActions.length - 1 ? '\n' : '';
+        agentSteps.push({
+          text: `<step n="${currentStepNum}">${action}</step>${separator}`,
+          source: { section: 'activation', yamlPath: `agent.critical_actions[${index}]` },
+        });
+        currentStepNum++;
+      }
     }
 
     // Calculate final step numbers
@@ -127,17 +171,48 @@ class ActivationBuilder {
     const executeStep = currentStepNum + 4;
 
     // Replace placeholders
-    const processed = stepsTemplate
+    const [beforeSteps, ...afterSteps] = stepsTemplate
       .replace('{agent-file-basename}', agentBasename)
       .replace('{{module}}', metadata.module || 'core') // Fixed to use {{module}}
-      .replace('{AGENT_SPECIFIC_STEPS}', agentStepsXml)
-      .replace('{MENU_STEP}', menuStep.toString())
-      .replace('{HELP_STEP}', helpStep.toString())
-      .replace('{HALT_STEP}', haltStep.toString())
-      .replace('{INPUT_STEP}', inputStep.toString())
-      .replace('{EXECUTE_STEP}', executeStep.toString());
-
-    return processed;
+      .split('{AGENT_SPECIFIC_STEPS}');
+    const numberSteps = (text) =>
+      text
+        .replace('{MENU_STEP}', menuStep.toString())
+        .replace('{HELP_STEP}', helpStep.toString())
+        .replace('{HALT_STEP}', haltStep.toString())
+        .replace('{INPUT_STEP}', inputStep.toString())
+        .replace('{EXECUTE_STEP}', executeStep.toString());
+
+    if (afterSteps.length === 0) {
+      return [{ text: numberSteps(beforeSteps), source: stepsSource }];
+    }
+
+    return [
+      { text: numberSteps(beforeSteps), source: stepsSource },
+      ...agentSteps,
+      { text: numberSteps(afterSteps.join('{AGENT_SPECIFIC_STEPS}')), source: stepsSource },
+    ];
+  }
+
+  /**
+   * Add pieces of text indented as one block
+   * @param {TracedText} output - Output to add to
+   * @param {Array<Object>} pieces - [{text, source}] in order
+   * @param {number} spaces - Number of spaces to indent
+   */
+  addIndented(output, pieces, spaces) {
+    const indentation = ' '.repeat(spaces);
+    let atLineStart = true;
+
+    for (const { text, source } of pieces) {
+      if (!text) continue;
+      const indented = text
+        .split('\n')
+        .map((line, index) => (line && (index > 0 || atLineStart) ? indentation + line : line))
+        .join('\n');
+      output.add(indented, source);
+      atLineStart = text.endsWith('\n');
+    }
   }
 
   /**
@@ -1,7 +1,7 @@
 /**
  * SKAD Agent Compiler
- * Transforms agent YAML to compiled XML (.md) format
- * Uses the existing SKAD builder infrastructure for proper formatting
+ * Transforms agent YAML to a compiled agent: XML in markdown (.md) by default,
+ * or any other format from ./emitters
  */
 
 const yaml = require('yaml');
@@ -9,316 +9,32 @@ const fs = require('node:fs');
 const path = require('node:path');
 const { processAgentYaml, extractInstallConfig, stripInstallConfig, getDefaultValues } = require('./template-engine');
 const { escapeXml } = require('../../../lib/xml-utils');
-const { ActivationBuilder } = require('../activation-builder');
-const { AgentAnalyzer } = require('../agent-analyzer');
+const { buildFrontmatter } = require('./emitters/shared');
+const { compileToXml, buildPersonaXml, buildPromptsXml, buildMemoriesXml, buildMenuXml } = require('./emitters/xml');
+const { getAgentEmitter, DEFAULT_AGENT_EMITTER } = require('./emitters');
+const { resolveAgentExtends, moduleDirOf } = require('./inheritance');
+const { mergeCustomizedList } = require('./customize-merge');
+const { TracedText, traceOrigins, buildProvenance } = require('./provenance');
+const { lineOfYamlPath } = require('./linter');
+const { loadAgentOverlays, applyAgentOverlays } = require('./i18n');
+
+// Bump when the same input compiles to different output; the compiled-agent cache keys on it
+const COMPILER_VERSION = 3;
 
 /**
- * Build frontmatter for agent
- * @param {Object} metadata - Agent metadata
- * @param {string} agentName - Final agent name
- * @returns {string} YAML frontmatter
- */
-function buildFrontmatter(metadata, agentName) {
-  const nameFromFile = agentName.replaceAll('-', ' ');
-  const description = metadata.title || 'SKAD Agent';
-
-  return `---
-name: "${nameFromFile}"
-description: "${description}"
----
-
-You must fully embody this agent's persona and follow all activation instructions exactly as specified. NEVER break character until given an exit command.
-
-`;
-}
-
-// buildSimpleActivation function removed - replaced by ActivationBuilder for proper fragment loading from src/utility/agent-components/
-
-/**
- * Build persona XML section
- * @param {Object} persona - Persona object
- * @returns {string} Persona XML
- */
-function buildPersonaXml(persona) {
-  if (!persona) return '';
-
-  let xml = '  <persona>\n';
-
-  if (persona.role) {
-    const roleText = persona.role.trim().replaceAll(/\n+/g, ' ').replaceAll(/\s+/g, ' ');
-    xml += `    <role>${escapeXml(roleText)}</role>\n`;
-  }
-
-  if (persona.identity) {
-    const identityText = persona.identity.trim().replaceAll(/\n+/g, ' ').replaceAll(/\s+/g, ' ');
-    xml += `    <identity>${escapeXml(identityText)}</identity>\n`;
-  }
-
-  if (persona.communication_style) {
-    const styleText = persona.communication_style.trim().replaceAll(/\n+/g, ' ').replaceAll(/\s+/g, ' ');
-    xml += `    <communication_style>${escapeXml(styleText)}</communication_style>\n`;
-  }
-
-  if (persona.principles) {
-    let principlesText;
-    if (Array.isArray(persona.principles)) {
-      principlesText = persona.principles.join(' ');
-    } else {
-      principlesText = persona.principles.trim().replaceAll(/\n+/g, ' ');
-    }
-    xml += `    <principles>${escapeXml(principlesText)}</principles>\n`;
-  }
-
-  xml += '  </persona>\n';
-
-  return xml;
-}
-
-/**
- * Build prompts XML section
- * @param {Array} prompts - Prompts array
- * @returns {string} Prompts XML
- */
-function buildPromptsXml(prompts) {
-  if (!prompts || prompts.length === 0) return '';
-
-  let xml = '  <prompts>\n';
-
-  for (const prompt of prompts) {
-    xml += `    <prompt id="${prompt.id || ''}">\n`;
-    xml += `      <content>\n`;
-    // Don't escape prompt content - it's meant to be read as-is
-    xml += `${prompt.content || ''}\n`;
-    xml += `      </content>\n`;
-    xml += `    </prompt>\n`;
-  }
-
-  xml += '  </prompts>\n';
-
-  return xml;
-}
-
-/**
- * Build memories XML section
- * @param {Array} memories - Memories array
- * @returns {string} Memories XML
- */
-function buildMemoriesXml(memories) {
-  if (!memories || memories.length === 0) return '';
-
-  let xml = '  <memories>\n';
-
-  for (const memory of memories) {
-    xml += `    <memory>${escapeXml(String(memory))}</memory>\n`;
-  }
-
-  xml += '  </memories>\n';
-
-  return xml;
-}
-
-/**
- * Build menu XML section
- * Supports both legacy and multi format menu items
- * Multi items display as a single menu item with nested handlers
- * @param {Array} menuItems - Menu items
- * @returns {string} Menu XML
- */
-function buildMenuXml(menuItems) {
-  let xml = '  <menu>\n';
-
-  // Always inject menu display option first
-  xml += `    <item cmd="MH or fuzzy match on menu or help">[MH] Redisplay Menu Help</item>\n`;
-  xml += `    <item cmd="CH or fuzzy match on chat">[CH] Chat with the Agent about anything</item>\n`;
-
-  // Add user-defined menu items
-  if (menuItems && menuItems.length > 0) {
-    for (const item of menuItems) {
-      // Handle multi format menu items with nested handlers
-      if (item.multi && item.triggers && Array.isArray(item.triggers)) {
-        xml += `    <item type="multi">${escapeXml(item.multi)}\n`;
-        xml += buildNestedHandlers(item.triggers);
-        xml += `    </item>\n`;
-      }
-      // Handle legacy format menu items
-      else if (item.trigger) {
-        let trigger = item.trigger || '';
-
-        const attrs = [`cmd="${trigger}"`];
-
-        // Add handler attributes
-        if (item.workflow) attrs.push(`workflow="${item.workflow}"`);
-        if (item.exec) attrs.push(`exec="${item.exec}"`);
-        if (item.tmpl) attrs.push(`tmpl="${item.tmpl}"`);
-        if (item.data) attrs.push(`data="${item.data}"`);
-        if (item.action) attrs.push(`action="${item.action}"`);
-
-        xml += `    <item ${attrs.join(' ')}>${escapeXml(item.description || '')}</item>\n`;
-      }
-    }
-  }
-
-  xml += `    <item cmd="PM or fuzzy match on party-mode" exec="{project-root}/_skad/core/workflows/party-mode/workflow.md">[PM] Start Party Mode</item>\n`;
-  xml += `    <item cmd="DA or fuzzy match on exit, leave, goodbye or dismiss agent">[DA] Dismiss Agent</item>\n`;
-
-  xml += '  </menu>\n';
-
-  return xml;
-}
-
-/**
- * Build nested handlers for multi format menu items
- * @param {Array} triggers - Triggers array from multi format
- * @returns {string} Handler XML
- */
-function buildNestedHandlers(triggers) {
-  let xml = '';
-
-  for (const triggerGroup of triggers) {
-    for (const [triggerName, execArray] of Object.entries(triggerGroup)) {
-      // Build trigger with * prefix
-      let trigger = triggerName.startsWith('*') ? triggerName : '*' + triggerName;
-
-      // Extract the relevant execution data
-      const execData = processExecArray(execArray);
-
-      // For nested handlers in multi items, we use match attribute for fuzzy matching
-      const attrs = [`match="${escapeXml(execData.description || '')}"`];
-
-      // Add handler attributes based on exec data
-      if (execData.route) attrs.push(`exec="${execData.route}"`);
-      if (execData.workflow) attrs.push(`workflow="${execData.workflow}"`);
-      if (execData['validate-workflow']) attrs.push(`validate-workflow="${execData['validate-workflow']}"`);
-      if (execData.action) attrs.push(`action="${execData.action}"`);
-      if (execData.data) attrs.push(`data="${execData.data}"`);
-      if (execData.tmpl) attrs.push(`tmpl="${execData.tmpl}"`);
-      // Only add type if it's not 'exec' (exec is already implied by the exec attribute)
-      if (execData.type && execData.type !== 'exec') attrs.push(`type="${execData.type}"`);
-
-      xml += `      <handler ${attrs.join(' ')}></handler>\n`;
-    }
-  }
-
-  return xml;
-}
-
-/**
- * Process the execution array from multi format triggers
- * Extracts relevant data for XML attributes
- * @param {Array} execArray - Array of execution objects
- * @returns {Object} Processed execution data
+ * Line a templated string starts on in the agent file
+ * Strings the file does not hold itself (inherited or customized) point at the nearest key it has.
+ * @param {yaml.Document} doc - Parsed agent file
+ * @param {string} content - Agent file content
+ * @param {Array<string|number>} keyPath - Path of the string
+ * @returns {number} 1-based line
  */
-function processExecArray(execArray) {
-  const result = {
-    description: '',
-    route: null,
-    workflow: null,
-    data: null,
-    action: null,
-    type: null,
-  };
-
-  if (!Array.isArray(execArray)) {
-    return result;
-  }
-
-  for (const exec of execArray) {
-    if (exec.input) {
-      // Use input as description if no explicit description is provided
-      result.description = exec.input;
-    }
-
-    if (exec.route) {
-      // Determine if it's a workflow or exec based on file extension or context
-      if (exec.route.endsWith('.yaml') || exec.route.endsWith('.yml')) {
-        result.workflow = exec.route;
-      } else {
-        result.route = exec.route;
-      }
-    }
-
-    if (exec.data !== null && exec.data !== undefined) {
-      result.data = exec.data;
-    }
-
-    if (exec.action) {
-      result.action = exec.action;
-    }
-
-    if (exec.type) {
-      result.type = exec.type;
-    }
-  }
-
-  return result;
-}
-
-/**
- * Compile agent YAML to proper XML format
- * @param {Object} agentYaml - Parsed and processed agent YAML
- * @param {string} agentName - Final agent name (for ID and frontmatter)
- * @param {string} targetPath - Target path for agent ID
- * @returns {Promise<string>} Compiled XML string with frontmatter
- */
-async function compileToXml(agentYaml, agentName = '', targetPath = '') {
-  const agent = agentYaml.agent;
-  const meta = agent.metadata;
-
-  let xml = '';
-
-  // Build frontmatter
-  xml += buildFrontmatter(meta, agentName || meta.name || 'agent');
-
-  // Start code fence
-  xml += '```xml\n';
-
-  // Agent opening tag
-  const agentAttrs = [
-    `id="${targetPath || meta.id || ''}"`,
-    `name="${meta.name || ''}"`,
-    `title="${meta.title || ''}"`,
-    `icon="${meta.icon || '🤖'}"`,
-  ];
-  if (meta.capabilities) {
-    agentAttrs.push(`capabilities="${escapeXml(meta.capabilities)}"`);
-  }
-
-  xml += `<agent ${agentAttrs.join(' ')}>\n`;
-
-  // Activation block - use ActivationBuilder for proper fragment loading
-  const activationBuilder = new ActivationBuilder();
-  const analyzer = new AgentAnalyzer();
-  const profile = analyzer.analyzeAgentObject(agentYaml);
-  xml += await activationBuilder.buildActivation(
-    profile,
-    meta,
-    agent.critical_actions || [],
-    false, // forWebBundle - set to false for IDE deployment
-  );
-
-  // Persona section
-  xml += buildPersonaXml(agent.persona);
-
-  // Prompts section (if present)
-  if (agent.prompts && agent.prompts.length > 0) {
-    xml += buildPromptsXml(agent.prompts);
-  }
-
-  // Memories section (if present)
-  if (agent.memories && agent.memories.length > 0) {
-    xml += buildMemoriesXml(agent.memories);
-  }
-
-  // Menu section
-  xml += buildMenuXml(agent.menu || []);
-
-  // Closing agent tag
-  xml += '</agent>\n';
-
-  // Close code fence
-  xml += '```\n';
-
-  return xml;
+function templateLine(doc, content, keyPath) {
+  const node = doc.getIn(keyPath, true);
+  if (!yaml.isScalar(node) || !node.range) return lineOfYamlPath(doc, content, keyPath);
+  const line = content.slice(0, node.range[0]).split('\n').length;
+  // Block scalars (| and >) start on the line after their indicator
+  return node.type === 'BLOCK_LITERAL' || node.type === 'BLOCK_FOLDED' ? line + 1 : line;
 }
 
 /**
@@ -327,12 +43,40 @@ async function compileToXml(agentYaml, agentName = '', targetPath = '') {
  * @param {Object} answers - Answers from install_config questions (or defaults)
  * @param {string} agentName - Optional final agent name (user's custom persona name)
  * @param {string} targetPath - Optional target path for agent ID
- * @param {Object} options - Additional options including config
- * @returns {Promise<Object>} { xml: string, metadata: Object }
+ * @param {Object} options - Additional options including config, emitter (default: xml),
+ *   sourcePath (the agent file, needed to resolve agent.extends), customizePath (the customize file
+ *   the answers came from), projectDir (for paths in the provenance) and strictTemplates (fail on
+ *   template variables without an answer; agents can also opt in with install_config.strict: true).
+ *   config.communication_language selects the translation overlay (see ./i18n.js)
+ * @returns {Promise<Object>} { content: string, xml: string, metadata: Object, processedYaml: Object, customizationWarnings: Array,
+ *   translationWarnings: Array, provenance: Object|null }
+ *   xml is the same as content, kept for callers written before emitters existed; customizationWarnings
+ *   lists customize directives whose target no longer exists; provenance records where each block of
+ *   content came from (see ./provenance.js), or is null when the emitter does not trace its output;
+ *   translationWarnings lists text the overlay leaves in English and overlay entries that match nothing
  */
 async function compileAgent(yamlContent, answers = {}, agentName = '', targetPath = '', options = {}) {
   // Parse YAML
   let agentYaml = yaml.parse(yamlContent);
+  let sources = [{ file: options.sourcePath || 'agent YAML', agent: { ...agentYaml?.agent } }];
+
+  // Merge the agents it extends before anything else
+  if (agentYaml?.agent?.extends !== undefined) {
+    if (!options.sourcePath) {
+      throw new Error(`Agent extends ${agentYaml.agent.extends}, but was compiled without its file path (options.sourcePath)`);
+    }
+    ({ agentYaml, sources } = resolveAgentExtends(agentYaml, options.sourcePath));
+  }
+
+  // Text in the configured language, from agents/i18n/<lang>/ overlays; English where there is none
+  const overlays = loadAgentOverlays(sources, options.config?.communication_language);
+  let translation = null;
+  if (overlays.length > 0) {
+    translation = applyAgentOverlays(agentYaml.agent, overlays);
+    agentYaml = { ...agentYaml, agent: translation.agent };
+  }
+  const baseAgent = { ...agentYaml.agent };
+  const customized = {};
 
   // Apply customization merges before template processing
   // Handle metadata overrides (like name)
@@ -341,6 +85,7 @@ async function compileAgent(yamlContent, answers = {}, agentName = '', targetPat
     const filteredMetadata = filterCustomizationData(answers.metadata);
     if (Object.keys(filteredMetadata).length > 0) {
       agentYaml.agent.metadata = { ...agentYaml.agent.metadata, ...filteredMetadata };
+      customized.metadata = filteredMetadata;
     }
     // Remove from answers so it doesn't get processed as template variables
     const { metadata, ...templateAnswers } = answers;
@@ -351,6 +96,7 @@ async function compileAgent(yamlContent, answers = {}, agentName = '', targetPat
   // These should be merged into the agent structure, not processed as template variables
   const customizationKeys = ['persona', 'critical_actions', 'memories', 'menu', 'prompts'];
   const customizations = {};
+  const customizationWarnings = [];
   const remainingAnswers = { ...answers };
 
   for (const key of customizationKeys) {
@@ -371,6 +117,7 @@ async function compileAgent(yamlContent, answers = {}, agentName = '', targetPat
 
       if (hasContent) {
         customizations[key] = filtered;
+        customized[key] = filtered;
       }
       delete remainingAnswers[key];
     }
@@ -383,44 +130,40 @@ async function compileAgent(yamlContent, answers = {}, agentName = '', targetPat
       agentYaml.agent.persona = customizations.persona;
     }
 
-    // For critical_actions: append to existing or create new
-    if (customizations.critical_actions) {
-      const existing = agentYaml.agent.critical_actions || [];
-      agentYaml.agent.critical_actions = [...existing, ...customizations.critical_actions];
-    }
-
-    // For memories: append to existing or create new
-    if (customizations.memories) {
-      const existing = agentYaml.agent.memories || [];
-      agentYaml.agent.memories = [...existing, ...customizations.memories];
-    }
-
-    // For menu: append to existing or create new
-    if (customizations.menu) {
-      const existing = agentYaml.agent.menu || [];
-      agentYaml.agent.menu = [...existing, ...customizations.menu];
-    }
-
-    // For prompts: append to existing or create new (by id)
-    if (customizations.prompts) {
-      const existing = agentYaml.agent.prompts || [];
-      // Merge by id, with customizations taking precedence
-      const mergedPrompts = [...existing];
-      for (const customPrompt of customizations.prompts) {
-        const existingIndex = mergedPrompts.findIndex((p) => p.id === customPrompt.id);
-        if (existingIndex === -1) {
-          mergedPrompts.push(customPrompt);
-        } else {
-          mergedPrompts[existingIndex] = customPrompt;
-        }
+    // Lists: plain entries are appended (prompts by id); $remove/$replace/$before/$after edit single items
+    for (const key of ['critical_actions', 'memories', 'menu', 'prompts']) {
+      if (customizations[key]) {
+        const { items, warnings } = mergeCustomizedList(key, agentYaml.agent[key], customizations[key]);
+        agentYaml.agent[key] = items;
+        customizationWarnings.push(...warnings);
       }
-      agentYaml.agent.prompts = mergedPrompts;
     }
   }
 
   // Use remaining answers for template processing
   answers = remainingAnswers;
 
+  // Which file each part came from; templates below change values but not positions
+  const origins = traceOrigins({
+    agent: agentYaml.agent,
+    baseAgent,
+    sources,
+    customized,
+    customizeFile: options.customizePath,
+  });
+  if (translation) {
+    for (const [key, file] of translation.translated) {
+      if (typeof key === 'string') {
+        origins[key] = file;
+        continue;
+      }
+      for (const list of ['menu', 'prompts']) {
+        const index = (agentYaml.agent[list] || []).indexOf(key);
+        if (index !== -1) origins[`agent.${list}[${index}]`] = file;
+      }
+    }
+  }
+
   // Extract install_config
   const installConfig = extractInstallConfig(agentYaml);
 
@@ -432,25 +175,69 @@ async function compileAgent(yamlContent, answers = {}, agentName = '', targetPat
   }
 
   // Process templates with answers
-  const processedYaml = processAgentYaml(agentYaml, finalAnswers);
+  const sourceDoc = yaml.parseDocument(yamlContent);
+  const processedYaml = processAgentYaml(agentYaml, finalAnswers, {
+    strict: options.strictTemplates === true || installConfig?.strict === true,
+    file: options.sourcePath || 'agent YAML',
+    lineOf: (keyPath) => templateLine(sourceDoc, yamlContent, keyPath),
+  });
 
   // Strip install_config from output
   const cleanYaml = stripInstallConfig(processedYaml);
 
-  let xml = await compileToXml(cleanYaml, agentName, targetPath);
-
-  // Ensure xml is a string before attempting replaceAll
-  if (typeof xml !== 'string') {
-    throw new TypeError('compileToXml did not return a string');
+  const emitterName = options.emitter || DEFAULT_AGENT_EMITTER;
+  const trace = new TracedText();
+  const content = await emitAgent(cleanYaml, emitterName, agentName, targetPath, trace);
+  const provenance =
+    trace.sections.length > 0
+      ? buildProvenance(trace.sections, origins, { agent: targetPath, content, compiler: COMPILER_VERSION, projectDir: options.projectDir })
+      : null;
+
+  // Untranslated text, and overlay entries that no longer match anything in the agent
+  // <module>/agents/i18n/<lang>/<agent>.yaml
+  const overlayName = (file) =>
+    path
+      .relative(path.dirname(moduleDirOf(file)), file)
+      .split(path.sep)
+      .join('/');
+  const translationWarnings = [];
+  if (translation?.untranslated.length > 0) {
+    translationWarnings.push(`${overlayName(overlays.at(-1).file)}: not translated, English used: ${translation.untranslated.join(', ')}`);
+  }
+  for (const { file, path: yamlPath } of translation?.unused || []) {
+    translationWarnings.push(`${overlayName(file)}: ${yamlPath} matches nothing in the agent`);
   }
 
   return {
-    xml,
+    content,
+    xml: content,
+    customizationWarnings,
+    translationWarnings,
     metadata: cleanYaml.agent.metadata,
     processedYaml: cleanYaml,
+    provenance,
   };
 }
 
+/**
+ * Render an already processed agent with one emitter
+ * @param {Object} processedYaml - Agent YAML after customizations and templates (compileAgent().processedYaml)
+ * @param {string} emitterName - Emitter name (xml, markdown, json)
+ * @param {string} agentName - Final agent name
+ * @param {string} targetPath - Target path for agent ID
+ * @param {TracedText} [trace] - Filled with the source of each line by emitters that trace their output
+ * @returns {Promise<string>} Compiled agent
+ */
+async function emitAgent(processedYaml, emitterName = DEFAULT_AGENT_EMITTER, agentName = '', targetPath = '', trace = null) {
+  const content = await getAgentEmitter(emitterName).emit(processedYaml, agentName, targetPath, trace);
+
+  if (typeof content !== 'string') {
+    throw new TypeError(`The ${emitterName} emitter did not return a string`);
+  }
+
+  return content;
+}
+
 /**
  * Filter customization data to remove empty/null values
  * @param {Object} data - Raw customization data
@@ -512,9 +299,11 @@ function compileAgentFile(yamlPath, options = {}) {
 }
 
 module.exports = {
+  COMPILER_VERSION,
   compileToXml,
   compileAgent,
   compileAgentFile,
+  emitAgent,
   escapeXml,
   buildFrontmatter,
   buildPersonaXml,
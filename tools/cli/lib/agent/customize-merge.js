@@ -0,0 +1,162 @@
+/**
+ * Merge customize-file lists (menu, prompts, critical_actions, memories) into an agent
+ *
+ * Plain entries keep their usual meaning: menu items, critical actions and memories are
+ * added at the end, and a prompt replaces the prompt with the same id. An entry can
+ * instead carry one directive naming an existing item:
+ *
+ *   menu:
+ *     - $remove: dev-story            # drop the item with this trigger
+ *     - $replace: code-review         # put this item in its place
+ *       trigger: CR or fuzzy match on code-review
+ *       exec: "{project-root}/_skad/custom/review.md"
+ *       description: "[CR] Code Review"
+ *     - $before: dev-story            # insert before it ($after: insert after it)
+ *       trigger: ...
+ *
+ * Menu items are named by trigger (the kebab part of "XX or fuzzy match on <trigger>",
+ * or the whole trigger), prompts by id, and critical actions and memories by position
+ * (0-based) or exact text, with the new entry in `text`:
+ *
+ *   critical_actions:
+ *     - $before: 0
+ *       text: Read docs/architecture.md first
+ *
+ * A directive whose target no longer exists (removed or renamed upstream) produces a
+ * warning; $replace, $before and $after then add their entry at the end.
+ */
+
+const { menuItemKey } = require('./inheritance');
+
+const DIRECTIVES = ['$remove', '$replace', '$before', '$after'];
+const STRING_SECTIONS = new Set(['critical_actions', 'memories']);
+
+/**
+ * Whether a customize entry carries a directive
+ * @param {*} entry - List entry from a customize file
+ * @returns {boolean}
+ */
+function hasDirective(entry) {
+  return Boolean(entry) && typeof entry === 'object' && !Array.isArray(entry) && DIRECTIVES.some((d) => d in entry);
+}
+
+/**
+ * Find the item a directive targets
+ * @param {string} section - List name (menu, prompts, critical_actions, memories)
+ * @param {Array} items - Current items
+ * @param {string|number} target - Trigger, prompt id, position or text
+ * @returns {number} Index, or -1
+ */
+function findTarget(section, items, target) {
+  if (STRING_SECTIONS.has(section)) {
+    if (typeof target === 'number') {
+      return Number.isInteger(target) && target >= 0 && target < items.length ? target : -1;
+    }
+    return items.indexOf(target);
+  }
+  if (section === 'prompts') {
+    return items.findIndex((prompt) => prompt?.id === target);
+  }
+  const targetKey = menuItemKey({ trigger: String(target) });
+  return items.findIndex((item) => item?.trigger === target || menuItemKey(item) === targetKey);
+}
+
+/**
+ * The entry a directive adds, without its directive keys
+ * @param {string} section - List name
+ * @param {Object} entry - Customize entry
+ * @returns {*} Item to insert
+ */
+function payloadOf(section, entry) {
+  if (STRING_SECTIONS.has(section)) {
+    return entry.text;
+  }
+  return Object.fromEntries(Object.entries(entry).filter(([key]) => !DIRECTIVES.includes(key)));
+}
+
+/**
+ * Add a plain entry the way the section always has
+ * @param {string} section - List name
+ * @param {Array} items - Current items (modified)
+ * @param {*} entry - Plain entry
+ */
+function addPlain(section, items, entry) {
+  if (section === 'prompts' && entry?.id !== undefined) {
+    const index = items.findIndex((prompt) => prompt?.id === entry.id);
+    if (index !== -1) {
+      items[index] = entry;
+      return;
+    }
+  }
+  items.push(entry);
+}
+
+/**
+ * Merge a customize-file list into an agent list
+ * @param {string} section - List name (menu, prompts, critical_actions, memories)
+ * @param {Array} base - The agent's list
+ * @param {Array} entries - The customize file's list
+ * @returns {Object} {items: merged list, warnings: [string]}
+ */
+function mergeCustomizedList(section, base, entries) {
+  const items = [...(base || [])];
+  const warnings = [];
+
+  for (const entry of entries || []) {
+    if (!hasDirective(entry)) {
+      addPlain(section, items, entry);
+      continue;
+    }
+
+    const used = DIRECTIVES.filter((d) => d in entry);
+    if (used.length > 1) {
+      warnings.push(`${section}: an entry uses ${used.join(' and ')}; only ${used[0]} is applied`);
+    }
+    const directive = used[0];
+    const target = entry[directive];
+    const index = findTarget(section, items, target);
+    const payload = directive === '$remove' ? null : payloadOf(section, entry);
+
+    if (directive !== '$remove' && (!payload || Object.keys(payload).length === 0)) {
+      warnings.push(
+        `${section}: ${directive} ${JSON.stringify(target)} has no entry to add${STRING_SECTIONS.has(section) ? ' (set text)' : ''}`,
+      );
+      continue;
+    }
+
+    if (index === -1) {
+      if (directive === '$remove') {
+        warnings.push(`${section}: $remove ${JSON.stringify(target)} matches nothing (removed or renamed upstream?)`);
+      } else {
+        warnings.push(
+          `${section}: ${directive} ${JSON.stringify(target)} matches nothing (removed or renamed upstream?); added at the end`,
+        );
+        items.push(payload);
+      }
+      continue;
+    }
+
+    switch (directive) {
+      case '$remove': {
+        items.splice(index, 1);
+        break;
+      }
+      case '$replace': {
+        items[index] = payload;
+        break;
+      }
+      case '$before': {
+        items.splice(index, 0, payload);
+        break;
+      }
+      case '$after': {
+        items.splice(index + 1, 0, payload);
+        break;
+      }
+    }
+  }
+
+  return { items, warnings };
+}
+
+module.exports = { DIRECTIVES, hasDirective, mergeCustomizedList };
@@ -0,0 +1,58 @@
+/**
+ * Agent emitters
+ * Each emitter turns a processed agent YAML into one output format:
+ *   { name, fileSuffix, emit(agentYaml, agentName, targetPath, trace) => Promise<string> }
+ * trace is an optional TracedText (../provenance.js) an emitter fills with the source of each line.
+ * Platforms pick one with installer.agent_emitter in platform-codes.yaml.
+ */
+
+const { xmlEmitter } = require('./xml');
+const { markdownEmitter } = require('./markdown');
+const { jsonEmitter } = require('./json');
+const { PROVENANCE_SUFFIX } = require('../provenance');
+
+const DEFAULT_AGENT_EMITTER = 'xml';
+
+const AGENT_EMITTERS = {
+  [xmlEmitter.name]: xmlEmitter,
+  [markdownEmitter.name]: markdownEmitter,
+  [jsonEmitter.name]: jsonEmitter,
+};
+
+/**
+ * Look up an emitter by name
+ * @param {string} [name] - Emitter name (default: xml)
+ * @returns {Object} Emitter
+ */
+function getAgentEmitter(name = DEFAULT_AGENT_EMITTER) {
+  const emitter = AGENT_EMITTERS[name || DEFAULT_AGENT_EMITTER];
+  if (!emitter) {
+    throw new Error(`Unknown agent emitter "${name}". Available: ${Object.keys(AGENT_EMITTERS).join(', ')}`);
+  }
+  return emitter;
+}
+
+/**
+ * Path of an emitter's output next to the compiled agent
+ * @param {string} agentPath - Path of the compiled agent (.md)
+ * @param {string} [name] - Emitter name
+ * @returns {string} e.g. bmm/agents/pm.json for the json emitter
+ */
+function emittedAgentPath(agentPath, name = DEFAULT_AGENT_EMITTER) {
+  const emitter = getAgentEmitter(name);
+  return agentPath.replace(/\.md$/, '') + emitter.fileSuffix;
+}
+
+/**
+ * Whether a file in an agents folder is written next to the compiled agent: another format or its provenance
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True for e.g. pm.instructions.md, pm.json or pm.provenance.json, false for pm.md
+ */
+function isAgentCompanionFile(fileName) {
+  return (
+    fileName.endsWith(PROVENANCE_SUFFIX) ||
+    Object.values(AGENT_EMITTERS).some((emitter) => emitter.name !== DEFAULT_AGENT_EMITTER && fileName.endsWith(emitter.fileSuffix))
+  );
+}
+
+module.exports = { AGENT_EMITTERS, DEFAULT_AGENT_EMITTER, getAgentEmitter, emittedAgentPath, isAgentCompanionFile };
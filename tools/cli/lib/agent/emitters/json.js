@@ -0,0 +1,41 @@
+/**
+ * JSON emitter: the compiled agent as structured data
+ * For platforms and tools that build their own prompt from the agent's parts.
+ */
+
+const { buildActivationBlock, parseActivation, buildMenuEntries } = require('./shared');
+
+/**
+ * Compile agent YAML to a JSON document
+ * @param {Object} agentYaml - Parsed and processed agent YAML
+ * @param {string} agentName - Final agent name
+ * @param {string} targetPath - Target path for agent ID
+ * @returns {Promise<string>} Pretty-printed JSON
+ */
+async function compileToJson(agentYaml, agentName = '', targetPath = '') {
+  const agent = agentYaml.agent;
+  const meta = agent.metadata;
+
+  const compiled = {
+    id: targetPath || meta.id || '',
+    name: meta.name || agentName || '',
+    title: meta.title || '',
+    icon: meta.icon || '🤖',
+    capabilities: meta.capabilities || null,
+    activation: parseActivation(await buildActivationBlock(agentYaml)),
+    persona: agent.persona || {},
+    prompts: agent.prompts || [],
+    memories: agent.memories || [],
+    menu: buildMenuEntries(agent.menu || []),
+  };
+
+  return JSON.stringify(compiled, null, 2) + '\n';
+}
+
+const jsonEmitter = {
+  name: 'json',
+  fileSuffix: '.json',
+  emit: compileToJson,
+};
+
+module.exports = { jsonEmitter, compileToJson };
@@ -0,0 +1,162 @@
+/**
+ * Markdown emitter: persona, menu and handlers as plain markdown sections
+ * For platforms that read instruction files and do better without an XML block.
+ */
+
+const { buildFrontmatter, buildActivationBlock, parseActivation, buildMenuEntries, flattenText } = require('./shared');
+
+/**
+ * Indent every line of a block
+ * @param {string} text - Text to indent
+ * @param {string} prefix - Indentation
+ * @returns {string}
+ */
+function indent(text, prefix) {
+  return text
+    .split('\n')
+    .map((line) => (line ? prefix + line : line))
+    .join('\n');
+}
+
+/**
+ * Render handler attributes as inline code pairs
+ * @param {Object} handlers - {workflow: path, exec: path, ...}
+ * @returns {string} e.g. " — workflow: `path`"
+ */
+function formatHandlers(handlers) {
+  const pairs = Object.entries(handlers).map(([key, value]) => `${key}: \`${value}\``);
+  return pairs.length > 0 ? ` — ${pairs.join(', ')}` : '';
+}
+
+/**
+ * Build the persona section
+ * @param {Object} persona - Persona object
+ * @returns {string} Markdown
+ */
+function buildPersonaMarkdown(persona) {
+  if (!persona) return '';
+
+  let md = '## Persona\n\n';
+  const fields = [
+    ['role', 'Role'],
+    ['identity', 'Identity'],
+    ['communication_style', 'Communication Style'],
+  ];
+  for (const [key, label] of fields) {
+    if (persona[key]) {
+      md += `**${label}:** ${flattenText(persona[key])}\n\n`;
+    }
+  }
+
+  if (persona.principles) {
+    const principles = Array.isArray(persona.principles)
+      ? persona.principles
+      : String(persona.principles)
+          .split('\n')
+          .map((line) => line.trim().replace(/^-\s*/, ''))
+          .filter(Boolean);
+    md += '**Principles:**\n\n';
+    md += principles.map((principle) => `- ${principle}`).join('\n') + '\n\n';
+  }
+
+  return md;
+}
+
+/**
+ * Build the prompts section
+ * @param {Array} prompts - Prompts array
+ * @returns {string} Markdown
+ */
+function buildPromptsMarkdown(prompts) {
+  if (!prompts || prompts.length === 0) return '';
+
+  let md = '## Prompts\n\n';
+  for (const prompt of prompts) {
+    md += `### ${prompt.id || 'unnamed'}\n\n${String(prompt.content || '').trim()}\n\n`;
+  }
+  return md;
+}
+
+/**
+ * Build the memories section
+ * @param {Array} memories - Memories array
+ * @returns {string} Markdown
+ */
+function buildMemoriesMarkdown(memories) {
+  if (!memories || memories.length === 0) return '';
+
+  return '## Memories\n\n' + memories.map((memory) => `- ${memory}`).join('\n') + '\n\n';
+}
+
+/**
+ * Build the menu section
+ * @param {Array} menuItems - Menu items from the agent YAML
+ * @returns {string} Markdown
+ */
+function buildMenuMarkdown(menuItems) {
+  let md = '## Menu\n\n';
+  for (const entry of buildMenuEntries(menuItems)) {
+    if (entry.multi) {
+      md += `- ${entry.multi}\n`;
+      for (const { match, ...handlers } of entry.handlers) {
+        md += `  - ${match || '(any)'}${formatHandlers(handlers)}\n`;
+      }
+    } else {
+      md += `- **${entry.description}** (\`${entry.cmd}\`)${formatHandlers(entry.handlers)}\n`;
+    }
+  }
+  return md + '\n';
+}
+
+/**
+ * Compile agent YAML to markdown instructions
+ * @param {Object} agentYaml - Parsed and processed agent YAML
+ * @param {string} agentName - Final agent name (for frontmatter)
+ * @param {string} targetPath - Target path for agent ID
+ * @returns {Promise<string>} Markdown with frontmatter
+ */
+async function compileToMarkdown(agentYaml, agentName = '', targetPath = '') {
+  const agent = agentYaml.agent;
+  const meta = agent.metadata;
+  const activation = parseActivation(await buildActivationBlock(agentYaml));
+
+  let md = buildFrontmatter(meta, agentName || meta.name || 'agent');
+
+  md += `# ${meta.icon || '🤖'} ${meta.name || ''} — ${meta.title || ''}\n\n`;
+  md += `Agent id: \`${targetPath || meta.id || ''}\`\n\n`;
+  if (meta.capabilities) {
+    md += `Capabilities: ${meta.capabilities}\n\n`;
+  }
+
+  md += '## Activation\n\n';
+  for (const step of activation.steps) {
+    md += `${step.n}. ${indent(step.text, '   ').trimStart()}\n`;
+  }
+  md += '\n';
+
+  if (activation.handlers.length > 0) {
+    md += '## Menu Handlers\n\n';
+    for (const handler of activation.handlers) {
+      md += `### ${handler.type}\n\n${handler.text}\n\n`;
+    }
+  }
+
+  if (activation.rules.length > 0) {
+    md += '## Rules\n\n' + activation.rules.map((rule) => `- ${rule}`).join('\n') + '\n\n';
+  }
+
+  md += buildPersonaMarkdown(agent.persona);
+  md += buildPromptsMarkdown(agent.prompts);
+  md += buildMemoriesMarkdown(agent.memories);
+  md += buildMenuMarkdown(agent.menu || []);
+
+  return md.trimEnd() + '\n';
+}
+
+const markdownEmitter = {
+  name: 'markdown',
+  fileSuffix: '.instructions.md',
+  emit: compileToMarkdown,
+};
+
+module.exports = { markdownEmitter, compileToMarkdown };
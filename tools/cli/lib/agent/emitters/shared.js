@@ -0,0 +1,209 @@
+/**
+ * Pieces every agent emitter renders: frontmatter, the activation block and the menu.
+ */
+
+const { ActivationBuilder } = require('../../activation-builder');
+const { AgentAnalyzer } = require('../../agent-analyzer');
+
+// Menu items injected around the agent's own menu, in every output format
+const LEADING_MENU_ITEMS = [
+  { cmd: 'MH or fuzzy match on menu or help', description: '[MH] Redisplay Menu Help' },
+  { cmd: 'CH or fuzzy match on chat', description: '[CH] Chat with the Agent about anything' },
+];
+const TRAILING_MENU_ITEMS = [
+  {
+    cmd: 'PM or fuzzy match on party-mode',
+    exec: '{project-root}/_skad/core/workflows/party-mode/workflow.md',
+    description: '[PM] Start Party Mode',
+  },
+  { cmd: 'DA or fuzzy match on exit, leave, goodbye or dismiss agent', description: '[DA] Dismiss Agent' },
+];
+
+// Handler attributes of a menu item, in output order
+const MENU_HANDLER_KEYS = ['workflow', 'exec', 'tmpl', 'data', 'action'];
+
+/**
+ * Build frontmatter for agent
+ * @param {Object} metadata - Agent metadata
+ * @param {string} agentName - Final agent name
+ * @returns {string} YAML frontmatter
+ */
+function buildFrontmatter(metadata, agentName) {
+  const nameFromFile = agentName.replaceAll('-', ' ');
+  const description = metadata.title || 'SKAD Agent';
+
+  return `---
+name: "${nameFromFile}"
+description: "${description}"
+---
+
+You must fully embody this agent's persona and follow all activation instructions exactly as specified. NEVER break character until given an exit command.
+
+`;
+}
+
+/**
+ * Build the activation block from the fragments in src/utility/agent-components/
+ * @param {Object} agentYaml - Processed agent YAML
+ * @param {TracedText} [trace] - Records the fragment or critical action behind each line
+ * @returns {Promise<string>} Activation XML
+ */
+async function buildActivationBlock(agentYaml, trace = null) {
+  const agent = agentYaml.agent;
+  const activationBuilder = new ActivationBuilder();
+  const analyzer = new AgentAnalyzer();
+  const profile = analyzer.analyzeAgentObject(agentYaml);
+  return activationBuilder.buildActivation(
+    profile,
+    agent.metadata,
+    agent.critical_actions || [],
+    false, // forWebBundle - set to false for IDE deployment
+    trace,
+  );
+}
+
+/**
+ * Remove the common leading indentation of a block of text
+ * @param {string} text - Indented text
+ * @returns {string}
+ */
+function dedent(text) {
+  const lines = text.replace(/^\n+/, '').trimEnd().split('\n');
+  // Text that starts right after the opening tag only indents its continuation lines
+  const measured = lines.length > 1 && !lines[0].startsWith(' ') ? lines.slice(1) : lines;
+  const indents = measured.filter((line) => line.trim()).map((line) => line.match(/^ */)[0].length);
+  const common = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map((line, index) => (index === 0 && measured !== lines ? line : line.slice(common))).join('\n');
+}
+
+/**
+ * Split an activation block into its steps, menu handlers and rules
+ * @param {string} activation - Activation XML from buildActivationBlock()
+ * @returns {Object} {steps: [{n, text}], handlers: [{type, text}], rules: [string]}
+ */
+function parseActivation(activation) {
+  const steps = [...activation.matchAll(/<step n="(\d+)">([\s\S]*?)<\/step>/g)].map((match) => ({
+    n: Number(match[1]),
+    text: dedent(match[2].replaceAll(/<\/?example>/g, '')),
+  }));
+  const handlers = [...activation.matchAll(/<handler type="([^"]+)">([\s\S]*?)<\/handler>/g)].map((match) => ({
+    type: match[1],
+    text: dedent(match[2]),
+  }));
+  const rules = [...activation.matchAll(/<r>([\s\S]*?)<\/r>/g)].map((match) => match[1].trim());
+  return { steps, handlers, rules };
+}
+
+/**
+ * Process the execution array from multi format triggers
+ * Extracts relevant data for XML attributes
+ * @param {Array} execArray - Array of execution objects
+ * @returns {Object} Processed execution data
+ */
+function processExecArray(execArray) {
+  const result = {
+    description: '',
+    route: null,
+    workflow: null,
+    data: null,
+    action: null,
+    type: null,
+  };
+
+  if (!Array.isArray(execArray)) {
+    return result;
+  }
+
+  for (const exec of execArray) {
+    if (exec.input) {
+      // Use input as description if no explicit description is provided
+      result.description = exec.input;
+    }
+
+    if (exec.route) {
+      // Determine if it's a workflow or exec based on file extension or context
+      if (exec.route.endsWith('.yaml') || exec.route.endsWith('.yml')) {
+        result.workflow = exec.route;
+      } else {
+        result.route = exec.route;
+      }
+    }
+
+    if (exec.data !== null && exec.data !== undefined) {
+      result.data = exec.data;
+    }
+
+    if (exec.action) {
+      result.action = exec.action;
+    }
+
+    if (exec.type) {
+      result.type = exec.type;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * The full menu as plain objects, built-in items included
+ * Regular items are {cmd, description, handlers: {workflow, exec, ...}}; multi items are
+ * {multi, handlers: [{match, exec, workflow, ...}]}.
+ * @param {Array} menuItems - Menu items from the agent YAML
+ * @returns {Array<Object>}
+ */
+function buildMenuEntries(menuItems = []) {
+  const regular = (item) => ({
+    cmd: item.cmd,
+    description: item.description,
+    handlers: Object.fromEntries(MENU_HANDLER_KEYS.filter((key) => item[key]).map((key) => [key, item[key]])),
+  });
+
+  const entries = LEADING_MENU_ITEMS.map((item) => regular(item));
+
+  for (const item of menuItems || []) {
+    if (item.multi && Array.isArray(item.triggers)) {
+      const handlers = [];
+      for (const triggerGroup of item.triggers) {
+        for (const execArray of Object.values(triggerGroup)) {
+          const execData = processExecArray(execArray);
+          const handler = { match: execData.description || '' };
+          if (execData.route) handler.exec = execData.route;
+          for (const key of ['workflow', 'validate-workflow', 'action', 'data', 'tmpl']) {
+            if (execData[key]) handler[key] = execData[key];
+          }
+          if (execData.type && execData.type !== 'exec') handler.type = execData.type;
+          handlers.push(handler);
+        }
+      }
+      entries.push({ multi: item.multi, handlers });
+    } else if (item.trigger) {
+      entries.push(regular({ ...item, cmd: item.trigger, description: item.description || '' }));
+    }
+  }
+
+  entries.push(...TRAILING_MENU_ITEMS.map((item) => regular(item)));
+  return entries;
+}
+
+/**
+ * Collapse whitespace in a persona field
+ * @param {string|Array<string>} value - Field value
+ * @returns {string}
+ */
+function flattenText(value) {
+  if (Array.isArray(value)) return value.join(' ');
+  return String(value).trim().replaceAll(/\s+/g, ' ');
+}
+
+module.exports = {
+  LEADING_MENU_ITEMS,
+  TRAILING_MENU_ITEMS,
+  MENU_HANDLER_KEYS,
+  buildFrontmatter,
+  buildActivationBlock,
+  parseActivation,
+  processExecArray,
+  buildMenuEntries,
+  flattenText,
+};
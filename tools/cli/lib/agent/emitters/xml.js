@@ -0,0 +1,265 @@
+/**
+ * XML emitter: the persona block wrapped in a markdown code fence
+ * This is the format compiled agents have always had and the one IDE launchers expect by default.
+ */
+
+const { escapeXml } = require('../../../../lib/xml-utils');
+const { LEADING_MENU_ITEMS, TRAILING_MENU_ITEMS, buildFrontmatter, buildActivationBlock, processExecArray } = require('./shared');
+const { TracedText } = require('../provenance');
+
+/**
+ * Build persona XML section
+ * @param {Object} persona - Persona object
+ * @param {TracedText} [trace] - Records the persona field behind each line
+ * @returns {string} Persona XML
+ */
+function buildPersonaXml(persona, trace = null) {
+  if (!persona) return '';
+
+  const xml = new TracedText(trace);
+  const source = (field) => ({ section: 'persona', yamlPath: field ? `agent.persona.${field}` : 'agent.persona' });
+
+  xml.add('  <persona>\n', source());
+
+  if (persona.role) {
+    const roleText = persona.role.trim().replaceAll(/\n+/g, ' ').replaceAll(/\s+/g, ' ');
+    xml.add(`    <role>${escapeXml(roleText)}</role>\n`, source('role'));
+  }
+
+  if (persona.identity) {
+    const identityText = persona.identity.trim().replaceAll(/\n+/g, ' ').replaceAll(/\s+/g, ' ');
+    xml.add(`    <identity>${escapeXml(identityText)}</identity>\n`, source('identity'));
+  }
+
+  if (persona.communication_style) {
+    const styleText = persona.communication_style.trim().replaceAll(/\n+/g, ' ').replaceAll(/\s+/g, ' ');
+    xml.add(`    <communication_style>${escapeXml(styleText)}</communication_style>\n`, source('communication_style'));
+  }
+
+  if (persona.principles) {
+    let principlesText;
+    if (Array.isArray(persona.principles)) {
+      principlesText = persona.principles.join(' ');
+    } else {
+      principlesText = persona.principles.trim().replaceAll(/\n+/g, ' ');
+    }
+    xml.add(`    <principles>${escapeXml(principlesText)}</principles>\n`, source('principles'));
+  }
+
+  xml.add('  </persona>\n', source());
+
+  return xml.text;
+}
+
+/**
+ * Build prompts XML section
+ * @param {Array} prompts - Prompts array
+ * @param {TracedText} [trace] - Records the prompt behind each line
+ * @returns {string} Prompts XML
+ */
+function buildPromptsXml(prompts, trace = null) {
+  if (!prompts || prompts.length === 0) return '';
+
+  const xml = new TracedText(trace);
+  xml.add('  <prompts>\n', { section: 'prompts', yamlPath: 'agent.prompts' });
+
+  for (const [index, prompt] of prompts.entries()) {
+    let promptXml = `    <prompt id="${prompt.id || ''}">\n`;
+    promptXml += `      <content>\n`;
+    // Don't escape prompt content - it's meant to be read as-is
+    promptXml += `${prompt.content || ''}\n`;
+    promptXml += `      </content>\n`;
+    promptXml += `    </prompt>\n`;
+    xml.add(promptXml, { section: 'prompts', yamlPath: `agent.prompts[${index}]` });
+  }
+
+  xml.add('  </prompts>\n', { section: 'prompts', yamlPath: 'agent.prompts' });
+
+  return xml.text;
+}
+
+/**
+ * Build memories XML section
+ * @param {Array} memories - Memories array
+ * @param {TracedText} [trace] - Records the memory behind each line
+ * @returns {string} Memories XML
+ */
+function buildMemoriesXml(memories, trace = null) {
+  if (!memories || memories.length === 0) return '';
+
+  const xml = new TracedText(trace);
+  xml.add('  <memories>\n', { section: 'memories', yamlPath: 'agent.memories' });
+
+  for (const [index, memory] of memories.entries()) {
+    xml.add(`    <memory>${escapeXml(String(memory))}</memory>\n`, { section: 'memories', yamlPath: `agent.memories[${index}]` });
+  }
+
+  xml.add('  </memories>\n', { section: 'memories', yamlPath: 'agent.memories' });
+
+  return xml.text;
+}
+
+/**
+ * Build menu XML section
+ * Supports both legacy and multi format menu items
+ * Multi items display as a single menu item with nested handlers
+ * @param {Array} menuItems - Menu items
+ * @param {TracedText} [trace] - Records the menu item behind each line (injected items have no yamlPath)
+ * @returns {string} Menu XML
+ */
+function buildMenuXml(menuItems, trace = null) {
+  const xml = new TracedText(trace);
+  const injected = { section: 'menu' };
+
+  xml.add('  <menu>\n', injected);
+
+  // Always inject menu display option first
+  for (const item of LEADING_MENU_ITEMS) {
+    xml.add(`    <item cmd="${item.cmd}">${item.description}</item>\n`, injected);
+  }
+
+  // Add user-defined menu items
+  if (menuItems && menuItems.length > 0) {
+    for (const [index, item] of menuItems.entries()) {
+      const source = { section: 'menu', yamlPath: `agent.menu[${index}]` };
+
+      // Handle multi format menu items with nested handlers
+      if (item.multi && item.triggers && Array.isArray(item.triggers)) {
+        xml.add(`    <item type="multi">${escapeXml(item.multi)}\n` + buildNestedHandlers(item.triggers) + `    </item>\n`, source);
+      }
+      // Handle legacy format menu items
+      else if (item.trigger) {
+        let trigger = item.trigger || '';
+
+        const attrs = [`cmd="${trigger}"`];
+
+        // Add handler attributes
+        if (item.workflow) attrs.push(`workflow="${item.workflow}"`);
+        if (item.exec) attrs.push(`exec="${item.exec}"`);
+        if (item.tmpl) attrs.push(`tmpl="${item.tmpl}"`);
+        if (item.data) attrs.push(`data="${item.data}"`);
+        if (item.action) attrs.push(`action="${item.action}"`);
+
+        xml.add(`    <item ${attrs.join(' ')}>${escapeXml(item.description || '')}</item>\n`, source);
+      }
+    }
+  }
+
+  for (const item of TRAILING_MENU_ITEMS) {
+    const exec = item.exec ? ` exec="${item.exec}"` : '';
+    xml.add(`    <item cmd="${item.cmd}"${exec}>${item.description}</item>\n`, injected);
+  }
+
+  xml.add('  </menu>\n', injected);
+
+  return xml.text;
+}
+
+/**
+ * Build nested handlers for multi format menu items
+ * @param {Array} triggers - Triggers array from multi format
+ * @returns {string} Handler XML
+ */
+function buildNestedHandlers(triggers) {
+  let xml = '';
+
+  for (const triggerGroup of triggers) {
+    for (const [triggerName, execArray] of Object.entries(triggerGroup)) {
+      // Build trigger with * prefix
+      let trigger = triggerName.startsWith('*') ? triggerName : '*' + triggerName;
+
+      // Extract the relevant execution data
+      const execData = processExecArray(execArray);
+
+      // For nested handlers in multi items, we use match attribute for fuzzy matching
+      const attrs = [`match="${escapeXml(execData.description || '')}"`];
+
+      // Add handler attributes based on exec data
+      if (execData.route) attrs.push(`exec="${execData.route}"`);
+      if (execData.workflow) attrs.push(`workflow="${execData.workflow}"`);
+      if (execData['validate-workflow']) attrs.push(`validate-workflow="${execData['validate-workflow']}"`);
+      if (execData.action) attrs.push(`action="${execData.action}"`);
+      if (execData.data) attrs.push(`data="${execData.data}"`);
+      if (execData.tmpl) attrs.push(`tmpl="${execData.tmpl}"`);
+      // Only add type if it's not 'exec' (exec is already implied by the exec attribute)
+      if (execData.type && execData.type !== 'exec') attrs.push(`type="${execData.type}"`);
+
+      xml += `      <handler ${attrs.join(' ')}></handler>\n`;
+    }
+  }
+
+  return xml;
+}
+
+/**
+ * Compile agent YAML to proper XML format
+ * @param {Object} agentYaml - Parsed and processed agent YAML
+ * @param {string} agentName - Final agent name (for ID and frontmatter)
+ * @param {string} targetPath - Target path for agent ID
+ * @param {TracedText} [trace] - Records the source of every line (see ../provenance.js)
+ * @returns {Promise<string>} Compiled XML string with frontmatter
+ */
+async function compileToXml(agentYaml, agentName = '', targetPath = '', trace = null) {
+  const agent = agentYaml.agent;
+  const meta = agent.metadata;
+
+  const xml = new TracedText(trace);
+
+  // Build frontmatter
+  xml.add(buildFrontmatter(meta, agentName || meta.name || 'agent'), { section: 'frontmatter', yamlPath: 'agent.metadata' });
+
+  // Start code fence
+  xml.add('```xml\n', { section: 'agent' });
+
+  // Agent opening tag
+  const agentAttrs = [
+    `id="${targetPath || meta.id || ''}"`,
+    `name="${meta.name || ''}"`,
+    `title="${meta.title || ''}"`,
+    `icon="${meta.icon || '🤖'}"`,
+  ];
+  if (meta.capabilities) {
+    agentAttrs.push(`capabilities="${escapeXml(meta.capabilities)}"`);
+  }
+
+  xml.add(`<agent ${agentAttrs.join(' ')}>\n`, { section: 'agent', yamlPath: 'agent.metadata' });
+
+  // Activation block - built by ActivationBuilder from the shared fragments
+  await buildActivationBlock(agentYaml, xml);
+
+  // Persona section
+  buildPersonaXml(agent.persona, xml);
+
+  // Prompts section (if present)
+  if (agent.prompts && agent.prompts.length > 0) {
+    buildPromptsXml(agent.prompts, xml);
+  }
+
+  // Memories section (if present)
+  if (agent.memories && agent.memories.length > 0) {
+    buildMemoriesXml(agent.memories, xml);
+  }
+
+  // Menu section
+  buildMenuXml(agent.menu || [], xml);
+
+  // Closing agent tag and code fence
+  xml.add('</agent>\n```\n', { section: 'agent' });
+
+  return xml.text;
+}
+
+const xmlEmitter = {
+  name: 'xml',
+  fileSuffix: '.md',
+  emit: compileToXml,
+};
+
+module.exports = {
+  xmlEmitter,
+  compileToXml,
+  buildPersonaXml,
+  buildPromptsXml,
+  buildMemoriesXml,
+  buildMenuXml,
+};
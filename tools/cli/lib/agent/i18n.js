@@ -0,0 +1,205 @@
+/**
+ * Translation overlays for agents
+ * A module can ship agent text in other languages next to its agents:
+ *
+ *   agents/i18n/<lang>/<agent>.yaml
+ *
+ * <lang> is a language code (zh-cn) or name (chinese). When an agent is compiled, the overlay
+ * matching the configured communication_language is merged into it. Text the overlay does not
+ * translate stays in English and is reported. An overlay holds only text:
+ *
+ *   agent:
+ *     metadata: { title, capabilities }
+ *     persona: { role, identity, communication_style, principles }
+ *     menu: { <trigger>: <description> }    (dev-story for "DS or fuzzy match on dev-story")
+ *     prompts: { <id>: <content> }
+ */
+
+const path = require('node:path');
+const fs = require('node:fs');
+const yaml = require('yaml');
+const { moduleDirOf, menuItemKey } = require('./inheritance');
+
+const I18N_DIR = path.join('agents', 'i18n');
+
+// Fields translated as a whole, by section
+const TRANSLATABLE_FIELDS = {
+  metadata: ['title', 'capabilities'],
+  persona: ['role', 'identity', 'communication_style', 'principles'],
+};
+
+// communication_language values mapped to the folder names they can use besides their own name
+const LANGUAGE_CODES = {
+  chinese: ['zh-cn', 'zh'],
+  'simplified chinese': ['zh-cn', 'zh'],
+  中文: ['zh-cn', 'zh'],
+  简体中文: ['zh-cn', 'zh'],
+  'traditional chinese': ['zh-tw'],
+  繁體中文: ['zh-tw'],
+  japanese: ['ja'],
+  日本語: ['ja'],
+  korean: ['ko'],
+  한국어: ['ko'],
+  french: ['fr'],
+  français: ['fr'],
+  german: ['de'],
+  deutsch: ['de'],
+  spanish: ['es'],
+  español: ['es'],
+  portuguese: ['pt-br', 'pt'],
+  português: ['pt-br', 'pt'],
+  russian: ['ru'],
+  русский: ['ru'],
+};
+
+// Agents are written in English, so these need no overlay
+const SOURCE_LANGUAGES = new Set(['english', 'en', 'en-us', 'en-gb']);
+
+/**
+ * Folder names under agents/i18n/ that hold a language
+ * @param {string} language - communication_language, e.g. "Chinese" or "zh-CN"
+ * @returns {Array<string>} Lowercase folder names, best first; empty for English
+ */
+function languageFolders(language) {
+  const name = String(language || '')
+    .trim()
+    .toLowerCase();
+  if (!name || SOURCE_LANGUAGES.has(name)) return [];
+  return [name, name.replaceAll(/[\s_]+/g, '-'), ...(LANGUAGE_CODES[name] || [])];
+}
+
+/**
+ * Overlay for an agent in a language
+ * @param {string} agentFile - Path to the *.agent.yaml file
+ * @param {string} language - communication_language
+ * @returns {string|null} Path of agents/i18n/<lang>/<agent>.yaml, or null when there is none
+ */
+function findAgentOverlay(agentFile, language) {
+  const folders = languageFolders(language);
+  if (folders.length === 0 || !path.isAbsolute(agentFile)) return null;
+
+  const i18nDir = path.join(moduleDirOf(agentFile), I18N_DIR);
+  if (!fs.existsSync(i18nDir)) return null;
+
+  const available = fs
+    .readdirSync(i18nDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+  const agentName = path.basename(agentFile, '.agent.yaml');
+  for (const folder of folders) {
+    const match = available.find((name) => name.toLowerCase() === folder);
+    const overlayFile = match && path.join(i18nDir, match, `${agentName}.yaml`);
+    if (overlayFile && fs.existsSync(overlayFile)) return overlayFile;
+  }
+  return null;
+}
+
+/**
+ * Load the overlays for an agent and the agents it extends
+ * @param {Array<Object>} sources - [{file}] for the agent and its parents, nearest first (resolveAgentExtends())
+ * @param {string} language - communication_language
+ * @returns {Array<Object>} [{file, agent}] farthest parent first, so nearer overlays win
+ */
+function loadAgentOverlays(sources, language) {
+  const overlays = [];
+  for (const source of sources.toReversed()) {
+    const file = findAgentOverlay(source.file, language);
+    if (!file) continue;
+    const overlay = yaml.parse(fs.readFileSync(file, 'utf8'));
+    if (!overlay?.agent || typeof overlay.agent !== 'object') {
+      throw new Error(`${file}: translation overlay has no agent section`);
+    }
+    overlays.push({ file, agent: overlay.agent });
+  }
+  return overlays;
+}
+
+/**
+ * Merge translation overlays into an agent
+ * @param {Object} agent - The `agent` object (not modified)
+ * @param {Array<Object>} overlays - From loadAgentOverlays()
+ * @returns {Object} {agent, translated: Map of YAML path or item to overlay file, untranslated: [path], unused: [{file, path}]}
+ *   Menu items and prompts are named by trigger and id in the paths: agent.menu.dev-story, agent.prompts.intro
+ */
+function applyAgentOverlays(agent, overlays) {
+  const translated = new Map();
+  const unused = [];
+  const result = { ...agent };
+
+  for (const { file, agent: overlay } of overlays) {
+    for (const [section, value] of Object.entries(overlay)) {
+      if (TRANSLATABLE_FIELDS[section] && value && typeof value === 'object') {
+        for (const [field, text] of Object.entries(value)) {
+          if (!TRANSLATABLE_FIELDS[section].includes(field) || result[section]?.[field] === undefined) {
+            unused.push({ file, path: `agent.${section}.${field}` });
+            continue;
+          }
+          result[section] = { ...result[section], [field]: text };
+          translated.set(`agent.${section}.${field}`, file);
+        }
+      } else if (section === 'menu' && value && typeof value === 'object') {
+        for (const [key, description] of Object.entries(value)) {
+          const index = (result.menu || []).findIndex((item) => item.trigger && menuItemKey(item) === key);
+          if (index === -1) {
+            unused.push({ file, path: `agent.menu.${key}` });
+            continue;
+          }
+          result.menu = [...result.menu];
+          const item = result.menu[index];
+          // Keep the [XX] shortcut the menu shows in front of the translated description
+          const shortcut = String(item.description || '').match(/^\[[A-Z]{1,3}\] /)?.[0];
+          const text = String(description);
+          result.menu[index] = { ...item, description: shortcut && !text.startsWith('[') ? shortcut + text : text };
+          translated.set(result.menu[index], file);
+        }
+      } else if (section === 'prompts' && value && typeof value === 'object') {
+        for (const [id, content] of Object.entries(value)) {
+          const index = (result.prompts || []).findIndex((prompt) => prompt.id === id);
+          if (index === -1) {
+            unused.push({ file, path: `agent.prompts.${id}` });
+            continue;
+          }
+          result.prompts = [...result.prompts];
+          result.prompts[index] = { ...result.prompts[index], content };
+          translated.set(result.prompts[index], file);
+        }
+      } else {
+        unused.push({ file, path: `agent.${section}` });
+      }
+    }
+  }
+
+  const untranslated = [];
+  for (const [section, fields] of Object.entries(TRANSLATABLE_FIELDS)) {
+    for (const field of fields) {
+      if (result[section]?.[field] !== undefined && !translated.has(`agent.${section}.${field}`)) {
+        untranslated.push(`agent.${section}.${field}`);
+      }
+    }
+  }
+  for (const item of result.menu || []) {
+    if (item.trigger && item.description && !translated.has(item)) untranslated.push(`agent.menu.${menuItemKey(item)}`);
+  }
+  for (const prompt of result.prompts || []) {
+    if (prompt.content && !translated.has(prompt)) untranslated.push(`agent.prompts.${prompt.id}`);
+  }
+
+  return { agent: result, translated, untranslated, unused };
+}
+
+/**
+ * Whether a module file is a translation overlay (merged into compiled agents, not installed)
+ * @param {string} relativePath - Path inside the module
+ * @returns {boolean}
+ */
+function isAgentOverlayPath(relativePath) {
+  return relativePath.split(path.sep).join('/').startsWith('agents/i18n/');
+}
+
+module.exports = {
+  languageFolders,
+  findAgentOverlay,
+  loadAgentOverlays,
+  applyAgentOverlays,
+  isAgentOverlayPath,
+};
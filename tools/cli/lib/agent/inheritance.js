@@ -0,0 +1,211 @@
+/**
+ * Agent inheritance
+ * An agent can start from another one with `agent.extends: <module>/<agent>` and only
+ * list what differs. The parent chain is resolved and merged, child over parent:
+ *
+ *   metadata, persona      field by field
+ *   critical_actions,
+ *   memories               parent entries first, then the child's
+ *   prompts                by id; a child prompt replaces the parent prompt with the same id
+ *   menu                   by trigger; a child item replaces the parent item in place,
+ *                          new items are added after the parent's
+ *   anything else          the child's value when it has one
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const yaml = require('yaml');
+const { getModulePath } = require('../project-root');
+
+const EXTENDS_PATTERN = /^[\w-]+\/[\w-]+$/;
+const COMPOUND_TRIGGER_PATTERN = /^[A-Z]{1,3} or fuzzy match on (\S+)$/;
+
+/**
+ * Module folder an agent file lives in (the parent of its agents/ folder)
+ * @param {string} agentFile - Path to the *.agent.yaml file
+ * @returns {string} Module directory
+ */
+function moduleDirOf(agentFile) {
+  let dir = path.dirname(path.resolve(agentFile));
+  while (path.basename(dir) !== 'agents') {
+    const parent = path.dirname(dir);
+    if (parent === dir) return path.dirname(path.dirname(path.resolve(agentFile)));
+    dir = parent;
+  }
+  return path.dirname(dir);
+}
+
+/**
+ * The <module>/<agent> name of an agent file, as used in `extends`
+ * @param {string} agentFile - Path to the *.agent.yaml file
+ * @returns {string}
+ */
+function agentRefOf(agentFile) {
+  return `${path.basename(moduleDirOf(agentFile))}/${path.basename(agentFile, '.agent.yaml')}`;
+}
+
+/**
+ * Find the file an `extends` reference points at
+ * Looks next to the child's module first, then in extra module roots, then in the built-in modules.
+ * @param {string} ref - <module>/<agent>
+ * @param {string} fromFile - Agent file that declares the reference
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.moduleDirs] - Module codes mapped to their folders, checked first
+ * @param {Array<string>} [options.moduleRoots] - Extra folders holding module folders (e.g. an installed _skad)
+ * @returns {string|null} Absolute path, or null when not found
+ */
+function findParentAgent(ref, fromFile, { moduleDirs: knownDirs = new Map(), moduleRoots = [] } = {}) {
+  const [moduleName, agentName] = ref.split('/');
+  const moduleDirs = [
+    ...(knownDirs.has(moduleName) ? [knownDirs.get(moduleName)] : []),
+    path.join(path.dirname(moduleDirOf(fromFile)), moduleName),
+    ...moduleRoots.map((root) => path.join(root, moduleName)),
+    getModulePath(moduleName),
+  ];
+
+  for (const moduleDir of moduleDirs) {
+    for (const candidate of [
+      path.join(moduleDir, 'agents', `${agentName}.agent.yaml`),
+      path.join(moduleDir, 'agents', agentName, `${agentName}.agent.yaml`),
+    ]) {
+      if (fs.existsSync(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Key a menu item merges on: the kebab trigger, or the label of a multi item
+ * @param {Object} item - Menu item
+ * @returns {string|null}
+ */
+function menuItemKey(item) {
+  if (item.trigger) {
+    const compound = COMPOUND_TRIGGER_PATTERN.exec(item.trigger);
+    return compound ? compound[1] : item.trigger;
+  }
+  if (item.multi) return `multi:${item.multi}`;
+  return null;
+}
+
+/**
+ * Merge a child agent definition over its parent
+ * @param {Object} parent - Parent `agent` object (already resolved)
+ * @param {Object} child - Child `agent` object
+ * @returns {Object} Merged `agent` object, without `extends`
+ */
+function mergeAgentDefinitions(parent, child) {
+  const merged = { ...parent, ...child };
+  delete merged.extends;
+
+  for (const key of ['metadata', 'persona']) {
+    if (parent[key] || child[key]) {
+      merged[key] = { ...parent[key], ...child[key] };
+    }
+  }
+
+  for (const key of ['critical_actions', 'memories']) {
+    if (parent[key] || child[key]) {
+      merged[key] = [...(parent[key] || []), ...(child[key] || [])];
+    }
+  }
+
+  if (parent.prompts || child.prompts) {
+    const prompts = [...(parent.prompts || [])];
+    for (const prompt of child.prompts || []) {
+      const index = prompts.findIndex((p) => p.id === prompt.id);
+      if (index === -1) {
+        prompts.push(prompt);
+      } else {
+        prompts[index] = prompt;
+      }
+    }
+    merged.prompts = prompts;
+  }
+
+  if (parent.menu || child.menu) {
+    const menu = [...(parent.menu || [])];
+    for (const item of child.menu || []) {
+      const key = menuItemKey(item);
+      const index = key === null ? -1 : menu.findIndex((existing) => menuItemKey(existing) === key);
+      if (index === -1) {
+        menu.push(item);
+      } else {
+        menu[index] = item;
+      }
+    }
+    merged.menu = menu;
+  }
+
+  return merged;
+}
+
+/**
+ * Resolve an agent's parent chain and merge it
+ * Agents without `extends` are returned unchanged.
+ * @param {Object} agentYaml - Parsed agent YAML ({agent: {...}})
+ * @param {string} agentFile - Path the YAML was read from (parents are found relative to it)
+ * @param {Object} [options] - Where else to look for parents, see findParentAgent()
+ * @returns {Object} {agentYaml: merged YAML, chain: [<module>/<agent>, ...] from the agent up to its root,
+ *   sources: [{ref, file, agent}] in the same order, each with its own unmerged `agent` object}
+ * @throws {Error} When a parent is missing, the reference is malformed or the chain has a cycle
+ */
+function resolveAgentExtends(agentYaml, agentFile, options = {}) {
+  const ownRef = agentRefOf(agentFile);
+  const chain = [ownRef];
+  const definitions = [agentYaml?.agent || {}];
+  const files = [agentFile];
+  const seen = new Set([path.resolve(agentFile)]);
+
+  let current = definitions[0];
+  let currentFile = agentFile;
+  while (current.extends !== undefined) {
+    const ref = current.extends;
+    if (typeof ref !== 'string' || !EXTENDS_PATTERN.test(ref)) {
+      throw new Error(`${chain.at(-1)}: agent.extends must look like <module>/<agent>, got ${JSON.stringify(ref)}`);
+    }
+
+    const parentFile = findParentAgent(ref, currentFile, options);
+    if (!parentFile) {
+      throw new Error(`${chain.at(-1)} extends ${ref}, which was not found`);
+    }
+    if (seen.has(parentFile)) {
+      throw new Error(`Agent inheritance cycle: ${[...chain, ref].join(' -> ')}`);
+    }
+
+    const parentYaml = yaml.parse(fs.readFileSync(parentFile, 'utf8'));
+    if (!parentYaml?.agent) {
+      throw new Error(`${chain.at(-1)} extends ${ref}, which has no agent section`);
+    }
+
+    seen.add(parentFile);
+    chain.push(ref);
+    definitions.push(parentYaml.agent);
+    files.push(parentFile);
+    current = parentYaml.agent;
+    currentFile = parentFile;
+  }
+
+  const sources = chain.map((ref, index) => ({ ref, file: files[index], agent: definitions[index] }));
+  if (definitions.length === 1) {
+    return { agentYaml, chain, sources };
+  }
+
+  // Merge from the root of the chain down to the agent itself
+  let agent = definitions.at(-1);
+  for (let i = definitions.length - 2; i >= 0; i--) {
+    agent = mergeAgentDefinitions(agent, definitions[i]);
+  }
+
+  return { agentYaml: { ...agentYaml, agent }, chain, sources };
+}
+
+module.exports = {
+  EXTENDS_PATTERN,
+  resolveAgentExtends,
+  mergeAgentDefinitions,
+  findParentAgent,
+  moduleDirOf,
+  agentRefOf,
+  menuItemKey,
+};
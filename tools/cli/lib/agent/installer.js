@@ -177,6 +177,15 @@ async function promptInstallQuestions(installConfig, defaults, presetAnswers = {
         answers[q.var] = response;
         break;
       }
+      case 'multiselect': {
+        const response = await prompts.multiselect({
+          message: q.prompt,
+          options: q.options.map((o) => ({ value: o.value, label: o.label })),
+          initialValues: Array.isArray(q.default) ? q.default : [],
+        });
+        answers[q.var] = response;
+        break;
+      }
       case 'choice': {
         const response = await prompts.select({
           message: q.prompt,
@@ -203,7 +212,9 @@ async function promptInstallQuestions(installConfig, defaults, presetAnswers = {
  */
 function installAgent(agentInfo, answers, targetPath, options = {}) {
   // Compile the agent
-  const { xml, metadata, processedYaml } = compileAgent(fs.readFileSync(agentInfo.yamlFile, 'utf8'), answers);
+  const { xml, metadata, processedYaml } = compileAgent(fs.readFileSync(agentInfo.yamlFile, 'utf8'), answers, '', '', {
+    sourcePath: agentInfo.yamlFile,
+  });
 
   // Determine target agent folder name
   // Use the folder name from agentInfo, NOT the persona name from metadata
@@ -0,0 +1,281 @@
+/**
+ * Semantic agent linter
+ * The agent schema (tools/schema/agent.js) checks that an agent is well-formed. These rules
+ * catch agents that pass it but break when they run:
+ *
+ *   menu-shortcut     two menu items share a shortcut, or an item takes one the compiler
+ *                     adds to every menu (MH, CH, PM, DA)
+ *   menu-target       a workflow, validate-workflow or exec target that no module provides
+ *   menu-dependency   an exec or workflow target in a module the agent's module does not
+ *                     list under dependencies in its module.yaml
+ *   agent-sidecar     hasSidecar: true without a <agent>-sidecar folder next to the agent
+ *
+ * Agents that extend others are linted as merged; problems in inherited items are reported
+ * at the agent's `extends` line.
+ */
+
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { deriveShortcutFromKebab, parseCompoundTrigger } = require('../../../schema/agent');
+const { toInstalledPath } = require('../../../validate-file-refs');
+const { resolveAgentExtends, moduleDirOf } = require('./inheritance');
+const { LEADING_MENU_ITEMS, TRAILING_MENU_ITEMS } = require('./emitters/shared');
+const { getSourcePath } = require('../project-root');
+
+// Rule ids and their descriptions (ContentValidator adds them to its SARIF rules)
+const LINT_RULES = {
+  'menu-shortcut': 'Menu items must not share a shortcut with each other or with the items every agent menu gets',
+  'menu-target': 'Menu workflow and exec targets must be files a module provides',
+  'menu-dependency': 'Menu targets in other modules need those modules listed under dependencies in module.yaml',
+  'agent-sidecar': 'Agents with hasSidecar: true need a <agent>-sidecar folder next to them',
+};
+
+const TARGET_KEYS = ['workflow', 'validate-workflow', 'exec'];
+const INJECTED_SHORTCUTS = new Map(
+  [...LEADING_MENU_ITEMS, ...TRAILING_MENU_ITEMS].map((item) => [item.cmd.split(' ')[0], item.description.replace(/^\[\w+\] /, '')]),
+);
+
+/**
+ * Line of the deepest key or item that exists along a YAML path
+ * @param {yaml.Document} doc - Parsed document
+ * @param {string} content - Source text
+ * @param {Array<string|number>} keyPath - Path of keys and item indexes
+ * @returns {number} 1-based line
+ */
+function lineOfYamlPath(doc, content, keyPath) {
+  let node = doc.contents;
+  let offset = node?.range?.[0] ?? 0;
+  for (const segment of keyPath) {
+    if (yaml.isMap(node)) {
+      const pair = node.items.find((item) => item.key?.value === segment);
+      if (!pair) break;
+      offset = pair.key.range?.[0] ?? offset;
+      node = pair.value;
+    } else if (yaml.isSeq(node) && node.items[segment]) {
+      node = node.items[segment];
+      offset = node.range?.[0] ?? offset;
+    } else {
+      break;
+    }
+  }
+  return content.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Shortcut a menu item answers to
+ * @param {Object} item - Menu item
+ * @returns {string|null} e.g. "DS" for "DS or fuzzy match on dev-story" and for "dev-story"
+ */
+function menuShortcut(item) {
+  if (typeof item?.trigger !== 'string' || !item.trigger) return null;
+  if (item.trigger.includes(' or ')) {
+    const compound = parseCompoundTrigger(item.trigger);
+    return compound.valid ? compound.shortcut : null;
+  }
+  return deriveShortcutFromKebab(item.trigger);
+}
+
+/**
+ * Lints agent definitions for problems the schema cannot see
+ *
+ * @example
+ * const linter = new AgentLinter({ moduleDependencies: new Map([['mymod', ['bmm']]]) });
+ * const findings = linter.lint(file, content, { moduleCode: 'mymod' });
+ */
+class AgentLinter {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.resolveRef] - Turns a {project-root}/_skad/ reference into an absolute path,
+   *   or null when it cannot be checked (default: the agent's own module, then the built-in modules)
+   * @param {Function} [options.targetExists] - Whether a resolved target exists (default: the file is there)
+   * @param {Map<string, Array<string>>} [options.moduleDependencies] - Module codes mapped to the modules their
+   *   module.yaml lists under dependencies; targets of modules not in the map are not checked for this
+   */
+  constructor({ resolveRef = null, targetExists = fs.pathExistsSync, moduleDependencies = new Map() } = {}) {
+    this.resolveRef = resolveRef;
+    this.targetExists = targetExists;
+    this.moduleDependencies = moduleDependencies;
+  }
+
+  /**
+   * Lint one agent file
+   * Files that do not parse, or whose parents cannot be resolved, return no findings here;
+   * the schema and extends checks report those.
+   * @param {string} file - Absolute path of the *.agent.yaml file
+   * @param {string} content - File content
+   * @param {Object} [context]
+   * @param {string} [context.moduleCode] - Module the agent belongs to
+   * @param {Object} [context.parents] - Where to find agents it extends, see findParentAgent()
+   * @returns {Array<Object>} Findings: [{rule, severity, file, line, message}]
+   */
+  lint(file, content, { moduleCode = null, parents = {} } = {}) {
+    const doc = yaml.parseDocument(content);
+    if (doc.errors.length > 0) return [];
+
+    const ownYaml = doc.toJS();
+    let agentYaml = ownYaml;
+    if (ownYaml?.agent?.extends !== undefined) {
+      try {
+        agentYaml = resolveAgentExtends(ownYaml, file, parents).agentYaml;
+      } catch {
+        return [];
+      }
+    }
+    const agent = agentYaml?.agent;
+    if (!agent || typeof agent !== 'object') return [];
+
+    // Where to point at a menu item: its own line, or the extends line when it is inherited
+    const ownMenu = Array.isArray(ownYaml.agent.menu) ? ownYaml.agent.menu : [];
+    const extendsLine = lineOfYamlPath(doc, content, ['agent', 'extends']);
+    const locate = (item, key) => {
+      const index = ownMenu.indexOf(item);
+      if (index === -1) return { line: extendsLine, inherited: ` (inherited from ${ownYaml.agent.extends})` };
+      return { line: lineOfYamlPath(doc, content, ['agent', 'menu', index, key]), inherited: '' };
+    };
+
+    const context = { file, moduleCode, locate };
+    const findings = [...this.checkShortcuts(agent, context), ...this.checkTargets(agent, context)];
+
+    if (agent.metadata?.hasSidecar === true) {
+      const agentName = path.basename(file, '.agent.yaml');
+      const sidecarDir = path.join(path.dirname(file), `${agentName}-sidecar`);
+      if (!fs.pathExistsSync(sidecarDir)) {
+        const line =
+          ownYaml.agent.metadata?.hasSidecar === true ? lineOfYamlPath(doc, content, ['agent', 'metadata', 'hasSidecar']) : extendsLine;
+        findings.push(
+          this.finding('agent-sidecar', 'error', file, line, `hasSidecar is true but ${agentName}-sidecar/ is missing next to the agent`),
+        );
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Menu items whose shortcuts collide
+   * @param {Object} agent - Merged `agent` object
+   * @param {Object} context - {file, locate}
+   * @returns {Array<Object>} Findings
+   */
+  checkShortcuts(agent, { file, locate }) {
+    const findings = [];
+    const claimed = new Map();
+
+    for (const item of Array.isArray(agent.menu) ? agent.menu : []) {
+      const shortcut = menuShortcut(item);
+      if (!shortcut) continue;
+
+      const { line, inherited } = locate(item, 'trigger');
+      if (INJECTED_SHORTCUTS.has(shortcut)) {
+        findings.push(
+          this.finding(
+            'menu-shortcut',
+            'error',
+            file,
+            line,
+            `Menu item "${item.trigger}"${inherited} uses shortcut ${shortcut}, which every agent menu has for ${INJECTED_SHORTCUTS.get(shortcut)}`,
+          ),
+        );
+      } else if (claimed.has(shortcut)) {
+        findings.push(
+          this.finding(
+            'menu-shortcut',
+            'error',
+            file,
+            line,
+            `Menu item "${item.trigger}"${inherited} has the same shortcut ${shortcut} as "${claimed.get(shortcut)}"`,
+          ),
+        );
+      } else {
+        claimed.set(shortcut, item.trigger);
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Menu targets that are missing or outside the module's dependencies
+   * @param {Object} agent - Merged `agent` object
+   * @param {Object} context - {file, moduleCode, locate}
+   * @returns {Array<Object>} Findings
+   */
+  checkTargets(agent, { file, moduleCode, locate }) {
+    const findings = [];
+    const dependencies = moduleCode ? this.moduleDependencies.get(moduleCode) : undefined;
+    const allowed = new Set([moduleCode, 'core', ...(dependencies || [])]);
+
+    for (const item of Array.isArray(agent.menu) ? agent.menu : []) {
+      for (const key of TARGET_KEYS) {
+        const target = item?.[key];
+        if (typeof target !== 'string') continue;
+
+        // Only {project-root}/_skad/ paths without runtime variables can be checked
+        const installedPath = target.includes('_skad') ? toInstalledPath(target) : null;
+        if (installedPath === null || installedPath.includes('{')) continue;
+
+        const { line, inherited } = locate(item, key);
+        const targetModule = installedPath.split('/')[0];
+        if (dependencies && !allowed.has(targetModule)) {
+          findings.push(
+            this.finding(
+              'menu-dependency',
+              'warning',
+              file,
+              line,
+              `${key} of "${item.trigger}"${inherited} is in module ${targetModule}, which ${moduleCode} does not list under dependencies in module.yaml`,
+            ),
+          );
+        }
+
+        const resolved = this.resolve(target, installedPath, file, moduleCode);
+        if (resolved && !this.targetExists(resolved)) {
+          findings.push(
+            this.finding(
+              'menu-target',
+              'error',
+              file,
+              line,
+              `${key} of "${item.trigger}"${inherited} points at ${target}, which no module provides`,
+            ),
+          );
+        }
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Absolute path of a menu target
+   * @param {string} target - Reference as written
+   * @param {string} installedPath - Path inside _skad
+   * @param {string} file - Agent file
+   * @param {string|null} moduleCode - Agent's module
+   * @returns {string|null} Null when the target's module is not available to check against
+   */
+  resolve(target, installedPath, file, moduleCode) {
+    if (this.resolveRef) return this.resolveRef(target);
+
+    const [targetModule, ...rest] = installedPath.split('/');
+    if (targetModule === moduleCode) return path.join(moduleDirOf(file), ...rest);
+    const builtIn = getSourcePath(targetModule);
+    return fs.pathExistsSync(builtIn) ? path.join(builtIn, ...rest) : null;
+  }
+
+  /**
+   * Build a finding
+   * @param {string} rule - Rule id from LINT_RULES
+   * @param {string} severity - "error" or "warning"
+   * @param {string} file - Absolute file path
+   * @param {number} line - 1-based line
+   * @param {string} message - Description
+   * @returns {Object}
+   */
+  finding(rule, severity, file, line, message) {
+    return { rule, severity, file, line, message };
+  }
+}
+
+module.exports = { AgentLinter, LINT_RULES, lineOfYamlPath, menuShortcut };
@@ -0,0 +1,220 @@
+/**
+ * Provenance of compiled agents
+ * While an agent is emitted, every block of output is recorded with where it came from:
+ *
+ *   yamlPath   the part of the agent it renders (agent.menu[3], agent.persona.role, ...)
+ *   fragment   the activation fragment in src/utility/agent-components it copies
+ *   file       the file that supplied it: the agent, an agent it extends, its customize
+ *              file, or the fragment; no file means the compiler wrote it
+ *
+ * The result is stored next to the compiled agent as <agent>.provenance.json and shown by
+ * "skad explain agent <name>".
+ */
+
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { getProjectRoot, getSourcePath } = require('../project-root');
+
+const PROVENANCE_SUFFIX = '.provenance.json';
+const LIST_SECTIONS = ['critical_actions', 'memories', 'menu', 'prompts'];
+
+/**
+ * Text built from pieces, each recorded with its source and output lines
+ * A TracedText created with a parent passes its pieces on, so builders can write their part
+ * of a larger document without knowing where in it they are.
+ */
+class TracedText {
+  /**
+   * @param {TracedText|null} [parent] - Document this text is part of
+   */
+  constructor(parent = null) {
+    this.parent = parent;
+    this.text = '';
+    this.sections = [];
+    this.newlines = 0;
+  }
+
+  /**
+   * Append a piece of output
+   * @param {string} text - Output text
+   * @param {Object} [source] - {section, yamlPath, fragment}
+   * @returns {TracedText}
+   */
+  add(text, source = {}) {
+    if (!text) return this;
+    this.text += text;
+    if (this.parent) {
+      this.parent.add(text, source);
+      return this;
+    }
+
+    // A piece owns the lines it has content on, not blank lines or indentation around it
+    const countNewlines = (value) => (value.match(/\n/g) || []).length;
+    const start = this.newlines + 1 + countNewlines(text.match(/^(?:[ \t]*\n)*/)[0]);
+    const end = this.newlines + 1 + countNewlines(text.trimEnd());
+    this.newlines += countNewlines(text);
+    if (end < start) return this;
+
+    const previous = this.sections.at(-1);
+    if (previous && sameSource(previous, source) && previous.lines[1] >= start - 1) {
+      previous.lines[1] = Math.max(previous.lines[1], end);
+    } else {
+      this.sections.push({ lines: [start, end], ...source });
+    }
+    return this;
+  }
+}
+
+/**
+ * Whether two sections come from the same place
+ * @param {Object} a - Section
+ * @param {Object} b - Section or source
+ * @returns {boolean}
+ */
+function sameSource(a, b) {
+  return a.section === b.section && a.yamlPath === b.yamlPath && a.fragment === b.fragment && a.file === b.file;
+}
+
+/**
+ * Path to show for a source file: inside the SKAD package relative to it, inside the
+ * project relative to the project, otherwise as given
+ * @param {string} file - File path
+ * @param {string} [projectDir] - Project the agent is installed in
+ * @returns {string}
+ */
+function displayPath(file, projectDir) {
+  if (!path.isAbsolute(file)) return file.split(path.sep).join('/');
+  for (const root of [getProjectRoot(), projectDir].filter(Boolean)) {
+    const relative = path.relative(root, file);
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+      return relative.split(path.sep).join('/');
+    }
+  }
+  return file;
+}
+
+/**
+ * Work out which file each part of a merged agent came from
+ * @param {Object} options
+ * @param {Object} options.agent - Agent after customizations (the `agent` object)
+ * @param {Object} options.baseAgent - Agent before customizations, after agent.extends
+ * @param {Array<Object>} options.sources - [{file, agent}] for the agent and the agents it extends, nearest first
+ * @param {Object} [options.customized] - Customize data applied: {metadata, persona, menu, ...}
+ * @param {string} [options.customizeFile] - Customize file the data came from
+ * @returns {Object} YAML paths (agent.metadata.name, agent.menu[2], ...) mapped to files
+ */
+function traceOrigins({ agent, baseAgent, sources, customized = {}, customizeFile = 'customize file' }) {
+  const agentFile = sources[0]?.file;
+  const nearest = (test) => sources.find((source) => source.agent && test(source.agent))?.file ?? agentFile;
+  const origins = { agent: agentFile };
+
+  origins['agent.metadata'] = customized.metadata ? customizeFile : agentFile;
+  for (const key of Object.keys(agent.metadata || {})) {
+    origins[`agent.metadata.${key}`] =
+      customized.metadata && key in customized.metadata ? customizeFile : nearest((a) => a.metadata && key in a.metadata);
+  }
+
+  origins['agent.persona'] = customized.persona ? customizeFile : nearest((a) => a.persona);
+  for (const key of Object.keys(agent.persona || {})) {
+    origins[`agent.persona.${key}`] = customized.persona ? customizeFile : nearest((a) => a.persona?.[key] !== undefined);
+  }
+
+  for (const key of LIST_SECTIONS) {
+    const base = baseAgent[key] || [];
+    origins[`agent.${key}`] = nearest((a) => a[key]);
+    for (const [index, item] of (agent[key] || []).entries()) {
+      origins[`agent.${key}[${index}]`] = base.includes(item) ? nearest((a) => (a[key] || []).includes(item)) : customizeFile;
+    }
+  }
+
+  return origins;
+}
+
+/**
+ * Provenance document for a compiled agent
+ * @param {Array<Object>} sections - TracedText sections of the output
+ * @param {Object} origins - From traceOrigins()
+ * @param {Object} [options]
+ * @param {string} [options.agent] - Agent id (target path)
+ * @param {string} [options.content] - The compiled output, hashed so later edits to it can be noticed
+ * @param {number} [options.compiler] - Compiler version
+ * @param {string} [options.projectDir] - Project the agent is installed in, for relative paths
+ * @returns {Object} {agent, compiler, hash, sections: [{lines: [start, end], section, yamlPath, fragment, file}]}
+ */
+function buildProvenance(sections, origins, { agent = '', content = '', compiler = null, projectDir = null } = {}) {
+  const fragmentsDir = getSourcePath('utility', 'agent-components');
+
+  const resolved = sections.map((section) => {
+    let file = null;
+    if (section.fragment) {
+      file = path.join(fragmentsDir, section.fragment);
+    } else if (section.yamlPath) {
+      // The closest recorded path: agent.menu[2].exec -> agent.menu[2] -> agent.menu -> agent
+      let yamlPath = section.yamlPath;
+      while (!origins[yamlPath]) {
+        const parent = yamlPath.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+        if (parent === yamlPath) break;
+        yamlPath = parent;
+      }
+      file = origins[yamlPath] || origins.agent || null;
+    }
+    return { ...section, file: file ? displayPath(file, projectDir) : null };
+  });
+
+  return { agent, compiler, hash: hashContent(content), sections: resolved };
+}
+
+/**
+ * Hash recorded with the provenance of a compiled agent
+ * @param {string} content - Compiled agent
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Path of the provenance file for a compiled agent
+ * @param {string} agentPath - Compiled agent (.md)
+ * @returns {string} e.g. bmm/agents/pm.provenance.json
+ */
+function provenancePath(agentPath) {
+  return agentPath.replace(/\.md$/, '') + PROVENANCE_SUFFIX;
+}
+
+/**
+ * Split a compiled agent into runs of lines from the same source
+ * @param {string} content - Compiled agent
+ * @param {Object} provenance - Stored provenance (buildProvenance())
+ * @returns {Array<Object>} [{start, end, source: section or null, lines: [string]}]
+ */
+function annotateAgent(content, provenance) {
+  const lines = content.replace(/\n$/, '').split('\n');
+  const blocks = [];
+
+  for (const [index, text] of lines.entries()) {
+    const lineNumber = index + 1;
+    // Where two pieces share a line, the later one wrote its content
+    const source = provenance.sections.findLast((s) => s.lines[0] <= lineNumber && lineNumber <= s.lines[1]) || null;
+    const current = blocks.at(-1);
+    // Blank lines between blocks stay with the block before them
+    if (current && (current.source === source || (!source && !text.trim()))) {
+      current.end = lineNumber;
+      current.lines.push(text);
+    } else {
+      blocks.push({ start: lineNumber, end: lineNumber, source, lines: [text] });
+    }
+  }
+
+  return blocks;
+}
+
+module.exports = {
+  PROVENANCE_SUFFIX,
+  TracedText,
+  traceOrigins,
+  buildProvenance,
+  provenancePath,
+  hashContent,
+  annotateAgent,
+};
@@ -1,79 +1,448 @@
 /**
  * Template Engine for SKAD Agent Install Configuration
- * Processes {{variable}}, {{#if}}, {{#unless}}, and {{/if}} blocks
+ * Renders install_config answers into agent text:
+ *
+ *   {{name}}                 an answer; {{profile.name}} reads a field of one
+ *   {{name | upper}}         filters, applied left to right: upper, kebab, default "x", join ", "
+ *   {{#if name}} ... {{else if name == "value"}} ... {{else}} ... {{/if}}     (also !=)
+ *   {{#unless name}} ... {{else}} ... {{/unless}}
+ *   {{#each list}} {{this}} {{@index}} ... {{else}} (empty list) {{/each}}
+ *
+ * Blocks nest. Inside {{#each}}, fields of object items can be named directly, and
+ * @index, @first and @last describe the position. A block tag alone on its line takes the
+ * line with it.
+ *
+ * A variable without an answer is left as written (it may be a runtime placeholder) and
+ * counts as false in conditions. In strict mode it is an error naming the file and line.
+ * Malformed blocks and unknown filters are errors in either mode.
  */
 
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+const PATH_PATTERN = /^(?:this|@?\w+)(?:\.\w+)*$/;
+const CONDITION_PATTERN = /^(\S+)(?:\s*(==|!=)\s*(?:\\?"([^"\\]*)\\?"|'([^']*)'))?$/;
+const EXPRESSION_TOKEN_PATTERN = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\|)|([^\s|"']+)/g;
+const BLOCKS = new Set(['if', 'unless', 'each']);
+
+const FILTERS = {
+  upper: (value) => formatValue(value).toUpperCase(),
+  kebab: (value) =>
+    formatValue(value)
+      .replaceAll(/([a-z\d])([A-Z])/g, '$1-$2')
+      .replaceAll(/[^A-Za-z\d]+/g, '-')
+      .replaceAll(/^-+|-+$/g, '')
+      .toLowerCase(),
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+};
+
 /**
  * Process all template syntax in a string
  * @param {string} content - Content with template syntax
  * @param {Object} variables - Key-value pairs from install_config answers
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Throw on variables that have no answer
+ * @param {string} [options.file] - File the content came from, for errors
+ * @param {number} [options.line] - Line of the file the content starts on (default 1)
+ * @param {string} [options.where] - Part of the file, e.g. "agent.persona.role", for errors
  * @returns {string} Processed content
  */
-function processTemplate(content, variables = {}) {
-  let result = content;
+function processTemplate(content, variables = {}, options = {}) {
+  // Clean up any empty lines left by removed conditionals
+  return cleanupEmptyLines(renderTemplate(content, variables, options));
+}
+
+/**
+ * Render template syntax without touching the surrounding whitespace
+ * @param {string} content - Content with template syntax
+ * @param {Object} variables - Answers
+ * @param {Object} [options] - See processTemplate()
+ * @returns {string}
+ */
+function renderTemplate(content, variables = {}, options = {}) {
+  if (typeof content !== 'string' || !content.includes('{{')) return content;
 
-  // Process conditionals first (they may contain variables)
-  result = processConditionals(result, variables);
+  const context = {
+    content,
+    strict: options.strict === true,
+    file: options.file || null,
+    line: options.line || 1,
+    where: options.where || null,
+  };
+  const nodes = parseTemplate(context);
+  return renderNodes(nodes, [{ vars: variables || {} }], context);
+}
 
-  // Then process simple variable replacements
-  result = processVariables(result, variables);
+/**
+ * Split content into text and tags, and build the block tree
+ * @param {Object} context - Render context (content, file, line)
+ * @returns {Array<Object>} Nodes: text, var, if, unless, each
+ */
+function parseTemplate(context) {
+  const { content } = context;
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  const current = () => stack.at(-1);
+  // Nodes are appended to the branch being filled: the body, an else-if body or the else body
+  const target = () => current().target || current().body;
 
-  // Clean up any empty lines left by removed conditionals
-  result = cleanupEmptyLines(result);
+  let cursor = 0;
+  for (const match of content.matchAll(TAG_PATTERN)) {
+    const offset = match.index;
+    if (offset < cursor) continue;
 
-  return result;
+    const source = match[1].trim();
+    const tagEnd = offset + match[0].length;
+    const block = classifyBlockTag(source);
+    let text = content.slice(cursor, offset);
+    cursor = tagEnd;
+
+    if (!block) {
+      const expression = parseExpression(source, context, offset);
+      if (text) target().push({ type: 'text', value: text });
+      target().push(expression ? { type: 'var', expression, raw: match[0], offset } : { type: 'text', value: match[0] });
+      continue;
+    }
+
+    // A block tag alone on its line takes the line (indentation and newline) with it
+    const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+    const lineEnd = content.indexOf('\n', tagEnd);
+    const after = content.slice(tagEnd, lineEnd === -1 ? content.length : lineEnd);
+    if (/^[ \t]*$/.test(content.slice(lineStart, offset)) && /^[ \t]*$/.test(after)) {
+      text = text.replace(/[ \t]*$/, '');
+      cursor = lineEnd === -1 ? content.length : lineEnd + 1;
+    }
+    if (text) target().push({ type: 'text', value: text });
+
+    if (block.kind === 'open') {
+      const node = { type: block.name, body: [], branches: [], elseBody: null, offset, target: null };
+      if (block.name === 'each') {
+        node.path = parsePath(block.argument, `{{#each}}`, context, offset);
+      } else {
+        node.condition = parseCondition(block.argument, `{{#${block.name}}}`, context, offset);
+      }
+      target().push(node);
+      stack.push(node);
+    } else if (block.kind === 'else') {
+      const node = current();
+      if (node === root) throw templateError(context, offset, `{{${source}}} is outside any {{#if}}, {{#unless}} or {{#each}} block`);
+      if (node.elseBody) throw templateError(context, offset, `{{${source}}} comes after the {{else}} of the {{#${node.type}}} block`);
+      if (block.argument === null) {
+        node.elseBody = [];
+        node.target = node.elseBody;
+      } else {
+        if (node.type !== 'if') throw templateError(context, offset, `{{else if}} can only be used in an {{#if}} block`);
+        const branch = { condition: parseCondition(block.argument, '{{else if}}', context, offset), body: [] };
+        node.branches.push(branch);
+        node.target = branch.body;
+      }
+    } else {
+      const node = current();
+      if (node === root) throw templateError(context, offset, `{{/${block.name}}} has no matching {{#${block.name}}}`);
+      if (node.type !== block.name) throw templateError(context, offset, `{{/${block.name}}} closes the {{#${node.type}}} block`);
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 1) {
+    const unclosed = current();
+    throw templateError(context, unclosed.offset, `{{#${unclosed.type}}} is never closed with {{/${unclosed.type}}}`);
+  }
+
+  const rest = content.slice(cursor);
+  if (rest) root.body.push({ type: 'text', value: rest });
+  return root.body;
 }
 
 /**
- * Process {{#if}}, {{#unless}}, {{/if}}, {{/unless}} blocks
+ * Recognize {{#if ...}}, {{else ...}} and {{/if}} style tags
+ * Unknown block names are not template syntax and are left alone.
+ * @param {string} source - Tag content without the braces
+ * @returns {Object|null} {kind: open|else|close, name, argument}
  */
-function processConditionals(content, variables) {
-  let result = content;
+function classifyBlockTag(source) {
+  const open = source.match(/^#(\w+)(?:\s+([\s\S]*))?$/);
+  if (open && BLOCKS.has(open[1])) return { kind: 'open', name: open[1], argument: (open[2] || '').trim() };
 
-  // Process {{#if variable == "value"}} blocks
-  // Handle both regular quotes and JSON-escaped quotes (\")
-  const ifEqualsPattern = /\{\{#if\s+(\w+)\s*==\s*\\?"([^"\\]+)\\?"\s*\}\}([\s\S]*?)\{\{\/if\}\}/g;
-  result = result.replaceAll(ifEqualsPattern, (match, varName, value, block) => {
-    return variables[varName] === value ? block : '';
-  });
+  const close = source.match(/^\/(\w+)$/);
+  if (close && BLOCKS.has(close[1])) return { kind: 'close', name: close[1] };
 
-  // Process {{#if variable}} blocks (boolean or truthy check)
-  const ifBoolPattern = /\{\{#if\s+(\w+)\s*\}\}([\s\S]*?)\{\{\/if\}\}/g;
-  result = result.replaceAll(ifBoolPattern, (match, varName, block) => {
-    const val = variables[varName];
-    // Treat as truthy: true, non-empty string, non-zero number
-    const isTruthy = val === true || (typeof val === 'string' && val.length > 0) || (typeof val === 'number' && val !== 0);
-    return isTruthy ? block : '';
-  });
+  const otherwise = source.match(/^else(?:\s+if\s+([\s\S]+))?$/);
+  if (otherwise) return { kind: 'else', argument: otherwise[1] ? otherwise[1].trim() : null };
 
-  // Process {{#unless variable}} blocks (inverse of if)
-  const unlessPattern = /\{\{#unless\s+(\w+)\s*\}\}([\s\S]*?)\{\{\/unless\}\}/g;
-  result = result.replaceAll(unlessPattern, (match, varName, block) => {
-    const val = variables[varName];
-    const isFalsy = val === false || val === '' || val === null || val === undefined || val === 0;
-    return isFalsy ? block : '';
+  return null;
+}
+
+/**
+ * Parse a variable expression with filters: name | filter "argument" | filter
+ * @param {string} source - Tag content
+ * @param {Object} context - Render context
+ * @param {number} offset - Tag position, for errors
+ * @returns {Object|null} {path, filters: [{name, args}]}, or null when this is not an expression
+ */
+function parseExpression(source, context, offset) {
+  const tokens = [...source.matchAll(EXPRESSION_TOKEN_PATTERN)].map((token) => {
+    if (token[3]) return { pipe: true };
+    if (token[4] !== undefined) return { word: token[4] };
+    return { literal: token[1] === undefined ? token[2] : token[1].replaceAll(/\\(.)/g, '$1') };
   });
 
-  return result;
+  if (!tokens[0]?.word || !PATH_PATTERN.test(tokens[0].word)) return null;
+  const filters = [];
+  let index = 1;
+  while (index < tokens.length) {
+    if (!tokens[index].pipe || !tokens[index + 1]?.word) return null;
+    const name = tokens[index + 1].word;
+    const args = [];
+    index += 2;
+    while (index < tokens.length && !tokens[index].pipe) {
+      args.push(tokens[index].literal ?? tokens[index].word);
+      index++;
+    }
+    if (!Object.hasOwn(FILTERS, name)) {
+      throw templateError(context, offset, `Unknown filter "${name}" (available: ${Object.keys(FILTERS).join(', ')})`);
+    }
+    filters.push({ name, args });
+  }
+
+  return { path: tokens[0].word, filters };
 }
 
 /**
- * Process {{variable}} replacements
+ * Parse the condition of {{#if}}, {{else if}} or {{#unless}}
+ * @param {string} source - Condition text
+ * @param {string} tag - Tag name, for errors
+ * @param {Object} context - Render context
+ * @param {number} offset - Tag position, for errors
+ * @returns {Object} {path, operator, value}
  */
-function processVariables(content, variables) {
-  let result = content;
+function parseCondition(source, tag, context, offset) {
+  const match = source.match(CONDITION_PATTERN);
+  if (!match || !PATH_PATTERN.test(match[1])) {
+    throw templateError(context, offset, `${tag} needs a variable, optionally compared with == "value" or != "value"; got "${source}"`);
+  }
+  return { path: match[1], operator: match[2] || null, value: match[3] ?? match[4] };
+}
 
-  // Replace {{variable}} with value
-  const varPattern = /\{\{(\w+)\}\}/g;
-  result = result.replaceAll(varPattern, (match, varName) => {
-    if (Object.hasOwn(variables, varName)) {
-      return String(variables[varName]);
+/**
+ * Parse the list name of {{#each}}
+ * @param {string} source - Argument text
+ * @param {string} tag - Tag name, for errors
+ * @param {Object} context - Render context
+ * @param {number} offset - Tag position, for errors
+ * @returns {string}
+ */
+function parsePath(source, tag, context, offset) {
+  if (!PATH_PATTERN.test(source)) {
+    throw templateError(context, offset, `${tag} needs the name of a list; got "${source}"`);
+  }
+  return source;
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array<Object>} nodes - From parseTemplate()
+ * @param {Array<Object>} scopes - Innermost first: [{vars, item, meta}]
+ * @param {Object} context - Render context
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes, context) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text': {
+        output += node.value;
+        break;
+      }
+      case 'var': {
+        output += renderVariable(node, scopes, context);
+        break;
+      }
+      case 'if': {
+        const branches = [{ condition: node.condition, body: node.body }, ...node.branches];
+        const chosen = branches.find((branch) => testCondition(branch.condition, scopes, context, node.offset));
+        output += renderNodes(chosen ? chosen.body : node.elseBody || [], scopes, context);
+        break;
+      }
+      case 'unless': {
+        const passes = testCondition(node.condition, scopes, context, node.offset);
+        output += renderNodes(passes ? node.elseBody || [] : node.body, scopes, context);
+        break;
+      }
+      case 'each': {
+        output += renderEach(node, scopes, context);
+        break;
+      }
+      // No default
     }
-    // If variable not found, leave as-is (might be runtime variable like {user_name})
-    return match;
-  });
+  }
 
-  return result;
+  return output;
+}
+
+/**
+ * Render {{name | filters}}
+ * @param {Object} node - var node
+ * @param {Array<Object>} scopes - Variable scopes
+ * @param {Object} context - Render context
+ * @returns {string}
+ */
+function renderVariable(node, scopes, context) {
+  const { path, filters } = node.expression;
+  const { found, value } = lookup(path, scopes);
+
+  if (!found && !filters.some((filter) => filter.name === 'default')) {
+    if (context.strict) throw templateError(context, node.offset, `Undefined variable "${path}"`);
+    return node.raw;
+  }
+
+  let result = found ? value : undefined;
+  for (const filter of filters) {
+    result = FILTERS[filter.name](result, ...filter.args);
+  }
+  return formatValue(result);
+}
+
+/**
+ * Render {{#each list}}
+ * @param {Object} node - each node
+ * @param {Array<Object>} scopes - Variable scopes
+ * @param {Object} context - Render context
+ * @returns {string}
+ */
+function renderEach(node, scopes, context) {
+  const { found, value } = lookup(node.path, scopes);
+  if (!found && context.strict) throw templateError(context, node.offset, `Undefined variable "${node.path}"`);
+  if (found && value !== null && value !== undefined && !Array.isArray(value) && context.strict) {
+    throw templateError(context, node.offset, `{{#each ${node.path}}} needs a list, but "${node.path}" is ${typeof value}`);
+  }
+
+  const items = Array.isArray(value) ? value : [];
+  if (items.length === 0) return renderNodes(node.elseBody || [], scopes, context);
+
+  let output = '';
+  for (const [index, item] of items.entries()) {
+    const frame = {
+      vars: item && typeof item === 'object' && !Array.isArray(item) ? item : {},
+      item,
+      meta: { index, first: index === 0, last: index === items.length - 1 },
+    };
+    output += renderNodes(node.body, [frame, ...scopes], context);
+  }
+  return output;
+}
+
+/**
+ * Evaluate a condition
+ * @param {Object} condition - From parseCondition()
+ * @param {Array<Object>} scopes - Variable scopes
+ * @param {Object} context - Render context
+ * @param {number} offset - Block position, for errors
+ * @returns {boolean}
+ */
+function testCondition(condition, scopes, context, offset) {
+  const { found, value } = lookup(condition.path, scopes);
+  if (!found && context.strict) throw templateError(context, offset, `Undefined variable "${condition.path}"`);
+
+  if (condition.operator === '==') return found && String(value) === condition.value;
+  if (condition.operator === '!=') return !found || String(value) !== condition.value;
+  return found && isTruthy(value);
+}
+
+/**
+ * Find a variable in the scopes, innermost first
+ * @param {string} path - Variable path: name, name.field, this, this.field, @index
+ * @param {Array<Object>} scopes - Variable scopes
+ * @returns {Object} {found, value}
+ */
+function lookup(path, scopes) {
+  const [head, ...rest] = path.split('.');
+  let value;
+
+  if (head === 'this') {
+    const frame = scopes.find((scope) => Object.hasOwn(scope, 'item'));
+    if (!frame) return { found: false };
+    value = frame.item;
+  } else if (head.startsWith('@')) {
+    const frame = scopes.find((scope) => scope.meta);
+    const key = head.slice(1);
+    if (!frame || !Object.hasOwn(frame.meta, key)) return { found: false };
+    value = frame.meta[key];
+  } else {
+    const frame = scopes.find((scope) => scope.vars && Object.hasOwn(scope.vars, head));
+    if (!frame) return { found: false };
+    value = frame.vars[head];
+  }
+
+  for (const key of rest) {
+    if (!value || typeof value !== 'object' || !Object.hasOwn(value, key)) return { found: false };
+    value = value[key];
+  }
+  return { found: true, value };
+}
+
+/**
+ * Treat as truthy: true, non-empty string, non-zero number, non-empty list, any object
+ * @param {*} value - Variable value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === 'object') return true;
+  return value === true || (typeof value === 'string' && value.length > 0) || (typeof value === 'number' && value !== 0);
+}
+
+/**
+ * Whether the default filter replaces a value
+ * @param {*} value - Variable value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Text for a value: lists are joined with ", ", missing values are empty
+ * @param {*} value - Variable value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+/**
+ * Error for a template problem, located by file and line
+ * @param {Object} context - Render context
+ * @param {number} offset - Position in the content
+ * @param {string} message - What is wrong
+ * @returns {Error} With file and line properties
+ */
+function templateError(context, offset, message) {
+  const line = context.line + (context.content.slice(0, offset).match(/\n/g) || []).length;
+  const location = context.file ? `${context.file}:${line}` : `line ${line}`;
+  const where = context.where ? ` (${context.where})` : '';
+  const error = new Error(`${location}${where}: ${message}`);
+  error.file = context.file;
+  error.line = line;
+  return error;
+}
+
+/**
+ * Process {{#if}}, {{#unless}} and {{#each}} blocks
+ * @deprecated processTemplate() handles blocks and variables in one pass
+ */
+function processConditionals(content, variables) {
+  return renderTemplate(content, variables);
+}
+
+/**
+ * Process {{variable}} replacements
+ * @deprecated processTemplate() handles blocks and variables in one pass
+ */
+function processVariables(content, variables) {
+  return renderTemplate(content, variables);
 }
 
 /**
@@ -108,15 +477,39 @@ function stripInstallConfig(agentYaml) {
 
 /**
  * Process entire agent YAML object with template variables
+ * Each string is rendered on its own; install_config itself is left as written.
  * @param {Object} agentYaml - Parsed agent YAML
  * @param {Object} variables - Answers from install_config questions
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Throw on variables that have no answer
+ * @param {string} [options.file] - Agent file, for errors
+ * @param {Function} [options.lineOf] - Line a string starts on, given its key path (['agent', 'persona', 'role'])
  * @returns {Object} Processed agent YAML
  */
-function processAgentYaml(agentYaml, variables) {
-  // Convert to JSON string, process templates, parse back
-  const jsonString = JSON.stringify(agentYaml, null, 2);
-  const processed = processTemplate(jsonString, variables);
-  return JSON.parse(processed);
+function processAgentYaml(agentYaml, variables, options = {}) {
+  const walk = (value, keyPath) => {
+    if (typeof value === 'string') {
+      if (!value.includes('{{')) return value;
+      return renderTemplate(value, variables, {
+        strict: options.strict,
+        file: options.file,
+        line: options.lineOf ? options.lineOf(keyPath) : 1,
+        where: keyPath.map((key, index) => (typeof key === 'number' ? `[${key}]` : `${index > 0 ? '.' : ''}${key}`)).join(''),
+      });
+    }
+    if (Array.isArray(value)) return value.map((item, index) => walk(item, [...keyPath, index]));
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, child] of Object.entries(value)) {
+        const isInstallConfig = keyPath.length === 1 && keyPath[0] === 'agent' && key === 'install_config';
+        result[key] = isInstallConfig ? structuredClone(child) : walk(child, [...keyPath, key]);
+      }
+      return result;
+    }
+    return value;
+  };
+
+  return walk(agentYaml, []);
 }
 
 /**
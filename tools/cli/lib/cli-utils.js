@@ -177,6 +177,21 @@ const CLIUtils = {
 
     return inputPath;
   },
+
+  /**
+   * Parse the --keep-snapshots option
+   * @param {string|undefined} value - Option value as given
+   * @returns {number|undefined} Snapshots to keep, or undefined when the option was not given
+   */
+  parseKeepSnapshots(value) {
+    if (value === undefined) return;
+
+    const keep = Number.parseInt(value, 10);
+    if (Number.isNaN(keep) || keep < 0) {
+      throw new Error(`--keep-snapshots must be a non-negative number, got "${value}"`);
+    }
+    return keep;
+  },
 };
 
 module.exports = { CLIUtils };
@@ -0,0 +1,486 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { validateAgentFile } = require('../../schema/agent');
+const {
+  getSourceFiles,
+  extractYamlRefs,
+  extractMarkdownRefs,
+  extractCsvRefs,
+  toInstalledPath,
+  resolveRef,
+  checkAbsolutePathLeaks,
+} = require('../../validate-file-refs');
+const { getSourcePath, getProjectRoot } = require('./project-root');
+const { resolveAgentExtends } = require('./agent/inheritance');
+const { AgentLinter, LINT_RULES, lineOfYamlPath } = require('./agent/linter');
+const { isAgentCompanionFile } = require('./agent/emitters');
+const { provenancePath } = require('./agent/provenance');
+
+// Rule ids reported in findings, with the description SARIF consumers show for them
+const RULES = {
+  'yaml-parse': 'YAML files must parse',
+  'agent-schema': 'Agent definitions (*.agent.yaml) must match the agent schema',
+  'agent-extends': 'Agents named in agent.extends must exist, and agents must not extend each other in a cycle',
+  'file-ref': 'File references should point at files that exist (some are created at runtime, so these are warnings)',
+  'absolute-path': 'Files must not contain absolute paths from the author machine',
+  'skill-manifest': 'skad-skill-manifest.yaml entries must be well-formed and unique',
+  ...LINT_RULES,
+};
+
+const ARTIFACT_TYPES = new Set(['agent', 'workflow', 'task', 'tool', 'skill']);
+
+// Installed folders holding generated config and user data rather than module content
+const INSTALLED_SKIP_DIRS = new Set(['_config', '_memory']);
+
+/**
+ * Validates module content the way this repo's CI validates src/: agent schema,
+ * file references and skill manifests. Works on an installed _skad folder or on any
+ * directory of module sources (a custom module, or a folder of several).
+ *
+ * In a source directory, module codes come from the module.yaml files below it;
+ * references to other modules resolve against the project's installed _skad (when
+ * given) and the built-in modules shipped with this package. References to modules
+ * found in neither place are not checked.
+ *
+ * @example
+ * const validator = new ContentValidator();
+ * const result = await validator.validate('./my-module');
+ * const sarif = validator.toSarif(result);
+ */
+class ContentValidator {
+  /**
+   * Validate a directory
+   * @param {string} targetDir - Installed _skad folder or module source directory
+   * @param {Object} [options]
+   * @param {boolean} [options.installed] - Whether targetDir is an installed _skad folder
+   * @param {string} [options.skadDir] - Installed _skad folder to resolve references to other modules against
+   * @returns {Promise<Object>} {root, installed, filesChecked, findings: [{rule, severity, file, line, message}]}
+   */
+  async validate(targetDir, options = {}) {
+    const root = path.resolve(targetDir);
+    if (!(await fs.pathExists(root))) {
+      throw new Error(`Nothing to validate at ${root}`);
+    }
+
+    const installed = Boolean(options.installed);
+    const files = getSourceFiles(root).filter(
+      (file) => !installed || (!INSTALLED_SKIP_DIRS.has(this.relative(root, file).split('/')[0]) && !this.isGeneratedAgentOutput(file)),
+    );
+    const moduleDirs = installed ? new Map() : await this.findModuleDirs(files);
+    const mapInstalled = this.createReferenceMapper(root, { installed, moduleDirs, skadDir: options.skadDir });
+    const linter = new AgentLinter({
+      resolveRef: mapInstalled,
+      targetExists: (filePath) => this.targetExists(filePath),
+      moduleDependencies: await this.readModuleDependencies(moduleDirs),
+    });
+
+    const findings = [];
+    for (const file of files) {
+      const content = await fs.readFile(file, 'utf8');
+      const name = path.basename(file);
+      const fileFindings = [];
+
+      if (name.endsWith('.agent.yaml')) {
+        const moduleCode = this.moduleOf(root, file, { installed, moduleDirs });
+        const parents = { moduleDirs, moduleRoots: [options.skadDir].filter(Boolean) };
+        fileFindings.push(...this.checkAgent(file, content, moduleCode, parents), ...linter.lint(file, content, { moduleCode, parents }));
+      }
+      fileFindings.push(...this.checkReferences(file, content, mapInstalled), ...this.checkAbsolutePaths(file, content));
+
+      // A missing menu target is reported once, as the linter's error rather than a file-ref warning
+      const targetLines = new Set(fileFindings.filter((f) => f.rule === 'menu-target').map((f) => f.line));
+      findings.push(...fileFindings.filter((f) => f.rule !== 'file-ref' || !targetLines.has(f.line)));
+    }
+
+    findings.push(...(await this.checkSkillManifests(files.filter((file) => path.basename(file) === 'skad-skill-manifest.yaml'))));
+
+    findings.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+    return { root, installed, filesChecked: files.length, findings };
+  }
+
+  /**
+   * Whether an installed file was generated by the agent compiler
+   * Compiled agents (<name>.md with <name>.provenance.json next to it), their other formats and
+   * provenance come from agent sources, which are validated before they are compiled.
+   * @param {string} file - Absolute file path
+   * @returns {boolean}
+   */
+  isGeneratedAgentOutput(file) {
+    if (!path.dirname(file).split(path.sep).includes('agents')) return false;
+    return isAgentCompanionFile(file) || (file.endsWith('.md') && fs.pathExistsSync(provenancePath(file)));
+  }
+
+  /**
+   * Module codes declared by module.yaml files, mapped to their directories
+   * @param {Array<string>} files - Files being validated
+   * @returns {Promise<Map<string, string>>}
+   */
+  async findModuleDirs(files) {
+    const moduleDirs = new Map();
+    for (const file of files.filter((f) => path.basename(f) === 'module.yaml')) {
+      try {
+        const moduleYaml = yaml.parse(await fs.readFile(file, 'utf8'));
+        if (moduleYaml?.code) moduleDirs.set(moduleYaml.code, path.dirname(file));
+      } catch {
+        // Reported as a YAML parse error by the reference check
+      }
+    }
+    return moduleDirs;
+  }
+
+  /**
+   * Modules each module.yaml lists under dependencies
+   * @param {Map<string, string>} moduleDirs - From findModuleDirs()
+   * @returns {Promise<Map<string, Array<string>>>}
+   */
+  async readModuleDependencies(moduleDirs) {
+    const dependencies = new Map();
+    for (const [code, dir] of moduleDirs) {
+      try {
+        const moduleYaml = yaml.parse(await fs.readFile(path.join(dir, 'module.yaml'), 'utf8'));
+        dependencies.set(code, Array.isArray(moduleYaml?.dependencies) ? moduleYaml.dependencies : []);
+      } catch {
+        // Reported as a YAML parse error by the reference check
+      }
+    }
+    return dependencies;
+  }
+
+  /**
+   * Build the function that turns a {project-root}/_skad/ reference into a file path
+   * @param {string} root - Directory being validated
+   * @param {Object} context - {installed, moduleDirs, skadDir}
+   * @returns {Function} Reference to absolute path, or null when it cannot be checked
+   */
+  createReferenceMapper(root, { installed, moduleDirs, skadDir }) {
+    const fallbackRoots = [skadDir, getSourcePath()].filter(Boolean);
+
+    return (refPath) => {
+      const installedPath = toInstalledPath(refPath);
+      if (installedPath === null) return null;
+      if (installed) return path.join(root, installedPath);
+
+      const [moduleCode, ...rest] = installedPath.split('/');
+      if (moduleDirs.has(moduleCode)) {
+        return path.join(moduleDirs.get(moduleCode), ...rest);
+      }
+      for (const fallbackRoot of fallbackRoots) {
+        if (fs.pathExistsSync(path.join(fallbackRoot, moduleCode))) {
+          return path.join(fallbackRoot, installedPath);
+        }
+      }
+      return null;
+    };
+  }
+
+  /**
+   * Module code a file belongs to
+   * @param {string} root - Directory being validated
+   * @param {string} file - Absolute file path
+   * @param {Object} context - {installed, moduleDirs}
+   * @returns {string}
+   */
+  moduleOf(root, file, { installed, moduleDirs }) {
+    if (installed) {
+      return this.relative(root, file).split('/')[0];
+    }
+    for (const [code, dir] of moduleDirs) {
+      if (file.startsWith(dir + path.sep)) return code;
+    }
+    return 'custom';
+  }
+
+  /**
+   * Validate an agent definition against the agent schema
+   * @param {string} file - Absolute file path
+   * @param {string} content - File content
+   * @param {string} moduleCode - Module the agent belongs to
+   * @param {Object} [parents] - Where to find agents it extends, see findParentAgent()
+   * @returns {Array<Object>} Findings
+   */
+  checkAgent(file, content, moduleCode, parents = {}) {
+    const doc = yaml.parseDocument(content);
+    if (doc.errors.length > 0) {
+      const error = doc.errors[0];
+      return [this.finding('yaml-parse', 'error', file, error.linePos?.[0]?.line || 1, error.message.split('\n')[0])];
+    }
+
+    // Agents that extend others are validated as merged with their parents
+    let agentYaml = doc.toJS();
+    if (agentYaml?.agent?.extends !== undefined) {
+      try {
+        agentYaml = resolveAgentExtends(agentYaml, file, parents).agentYaml;
+      } catch (error) {
+        return [this.finding('agent-extends', 'error', file, this.lineOfPath(doc, content, ['agent', 'extends']), error.message)];
+      }
+    }
+
+    // The schema derives scope from a src/<module>/agents/ path, so present the file that way
+    const result = validateAgentFile(`src/${moduleCode}/agents/${path.basename(file)}`, agentYaml);
+    if (result.success) {
+      return [];
+    }
+
+    return result.error.issues.map((issue) => {
+      const location = issue.path.length > 0 ? `${issue.path.join('.')}: ` : '';
+      return this.finding('agent-schema', 'error', file, this.lineOfPath(doc, content, issue.path), `${location}${issue.message}`);
+    });
+  }
+
+  /**
+   * Check the file references in a file
+   * @param {string} file - Absolute file path
+   * @param {string} content - File content
+   * @param {Function} mapInstalled - From createReferenceMapper()
+   * @returns {Array<Object>} Findings
+   */
+  checkReferences(file, content, mapInstalled) {
+    const ext = path.extname(file);
+    let refs;
+    if (ext === '.yaml' || ext === '.yml') {
+      const doc = yaml.parseDocument(content);
+      if (doc.errors.length > 0 && !file.endsWith('.agent.yaml')) {
+        const error = doc.errors[0];
+        return [this.finding('yaml-parse', 'error', file, error.linePos?.[0]?.line || 1, error.message.split('\n')[0])];
+      }
+      refs = extractYamlRefs(file, content);
+    } else if (ext === '.csv') {
+      refs = extractCsvRefs(file, content);
+    } else {
+      refs = extractMarkdownRefs(file, content);
+    }
+
+    const findings = [];
+    for (const ref of refs) {
+      const resolved = resolveRef(ref, mapInstalled);
+      if (resolved && !this.targetExists(resolved)) {
+        findings.push(
+          this.finding('file-ref', 'warning', file, ref.line || 1, `Reference ${ref.raw} points at a file that does not exist`),
+        );
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Report absolute paths that leaked into a file
+   * @param {string} file - Absolute file path
+   * @param {string} content - File content
+   * @returns {Array<Object>} Findings
+   */
+  checkAbsolutePaths(file, content) {
+    return checkAbsolutePathLeaks(file, content).map((leak) =>
+      this.finding('absolute-path', 'warning', file, leak.line, `Absolute path: ${leak.content}`),
+    );
+  }
+
+  /**
+   * Check skill manifests and the skill names they produce
+   * @param {Array<string>} manifestFiles - Absolute paths of skad-skill-manifest.yaml files
+   * @returns {Promise<Array<Object>>} Findings
+   */
+  async checkSkillManifests(manifestFiles) {
+    const findings = [];
+    const skillNames = new Map();
+    const claimName = (name, file, line) => {
+      if (skillNames.has(name)) {
+        findings.push(this.finding('skill-manifest', 'error', file, line, `Skill name "${name}" is also used by ${skillNames.get(name)}`));
+      } else {
+        skillNames.set(name, file);
+      }
+    };
+
+    for (const file of manifestFiles) {
+      const content = await fs.readFile(file, 'utf8');
+      const doc = yaml.parseDocument(content);
+      if (doc.errors.length > 0) continue; // Reported by the reference check
+      const parsed = doc.toJS();
+      if (!parsed || typeof parsed !== 'object') {
+        findings.push(this.finding('skill-manifest', 'error', file, 1, 'Skill manifest is empty'));
+        continue;
+      }
+
+      const dir = path.dirname(file);
+      const single = Boolean(parsed.canonicalId || parsed.type);
+      const entries = single ? [[null, parsed]] : Object.entries(parsed);
+
+      for (const [key, entry] of entries) {
+        const line = this.lineOfPath(doc, content, key === null ? [] : [key]);
+        const label = key === null ? 'Skill manifest' : `Entry "${key}"`;
+
+        if (key !== null && !this.entryFileExists(dir, key)) {
+          findings.push(this.finding('skill-manifest', 'error', file, line, `${label} names a file that is not in ${path.basename(dir)}/`));
+        }
+        if (!entry || typeof entry !== 'object') {
+          findings.push(this.finding('skill-manifest', 'error', file, line, `${label} must be a mapping`));
+          continue;
+        }
+        if (!ARTIFACT_TYPES.has(entry.type)) {
+          findings.push(
+            this.finding(
+              'skill-manifest',
+              'error',
+              file,
+              line,
+              `${label} has type "${entry.type}"; expected one of ${[...ARTIFACT_TYPES].join(', ')}`,
+            ),
+          );
+          continue;
+        }
+
+        if (entry.type === 'skill') {
+          if (entry.canonicalId) {
+            findings.push(
+              this.finding(
+                'skill-manifest',
+                'warning',
+                file,
+                line,
+                `${label} sets canonicalId, which skills ignore (the folder name is used)`,
+              ),
+            );
+          }
+          if (!(await this.hasSkillWorkflow(dir))) {
+            findings.push(
+              this.finding(
+                'skill-manifest',
+                'error',
+                file,
+                line,
+                `${label} is a skill but workflow.md or workflow.yaml with a name and description is missing`,
+              ),
+            );
+          }
+          claimName(path.basename(dir), file, line);
+        } else if (entry.canonicalId) {
+          claimName(entry.canonicalId, file, line);
+        } else {
+          findings.push(
+            this.finding('skill-manifest', 'warning', file, line, `${label} has no canonicalId, so IDE skills fall back to the file name`),
+          );
+        }
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Whether a skill manifest entry names a file in its directory
+   * @param {string} dir - Manifest directory
+   * @param {string} key - Entry key (source filename)
+   * @returns {boolean}
+   */
+  entryFileExists(dir, key) {
+    return this.targetExists(path.join(dir, key));
+  }
+
+  /**
+   * Whether a referenced file exists
+   * Installed agents are compiled, so foo.agent.yaml is also satisfied by foo.md.
+   * @param {string} filePath - Absolute path
+   * @returns {boolean}
+   */
+  targetExists(filePath) {
+    return (
+      fs.pathExistsSync(filePath) || (filePath.endsWith('.agent.yaml') && fs.pathExistsSync(filePath.replace(/\.agent\.yaml$/, '.md')))
+    );
+  }
+
+  /**
+   * Whether a directory holds a workflow file the manifest generator can turn into a skill
+   * @param {string} dir - Skill directory
+   * @returns {Promise<boolean>}
+   */
+  async hasSkillWorkflow(dir) {
+    for (const workflowFile of ['workflow.md', 'workflow.yaml']) {
+      const workflowPath = path.join(dir, workflowFile);
+      if (!(await fs.pathExists(workflowPath))) continue;
+
+      const content = (await fs.readFile(workflowPath, 'utf8')).replaceAll('\r\n', '\n');
+      const source = workflowFile === 'workflow.yaml' ? content : content.match(/^---\n([\s\S]*?)\n---/)?.[1];
+      try {
+        const workflow = source ? yaml.parse(source) : null;
+        if (workflow?.name && workflow?.description) return true;
+      } catch {
+        // Falls through to "missing"
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Line of the deepest key or item that exists along a YAML path
+   * @param {yaml.Document} doc - Parsed document
+   * @param {string} content - Source text
+   * @param {Array<string|number>} keyPath - Path from a schema issue or manifest key
+   * @returns {number} 1-based line
+   */
+  lineOfPath(doc, content, keyPath) {
+    return lineOfYamlPath(doc, content, keyPath);
+  }
+
+  /**
+   * Build a finding
+   * @param {string} rule - Rule id from RULES
+   * @param {string} severity - "error" or "warning"
+   * @param {string} file - Absolute file path
+   * @param {number} line - 1-based line
+   * @param {string} message - Description
+   * @returns {Object}
+   */
+  finding(rule, severity, file, line, message) {
+    return { rule, severity, file, line, message };
+  }
+
+  /**
+   * POSIX path relative to the validated root
+   * @param {string} root - Directory being validated
+   * @param {string} file - Absolute file path
+   * @returns {string}
+   */
+  relative(root, file) {
+    return path.relative(root, file).replaceAll('\\', '/');
+  }
+
+  /**
+   * Convert a result to SARIF 2.1.0 for editors and code scanning
+   * @param {Object} result - Result of validate()
+   * @returns {Object} SARIF log
+   */
+  toSarif(result) {
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: 'skad validate',
+              version: require(path.join(getProjectRoot(), 'package.json')).version,
+              informationUri: 'https://docs.skad-method.org/',
+              rules: Object.entries(RULES).map(([id, description]) => ({ id, shortDescription: { text: description } })),
+            },
+          },
+          originalUriBaseIds: { ROOT: { uri: `${require('node:url').pathToFileURL(result.root).href}/` } },
+          results: result.findings.map((f) => ({
+            ruleId: f.rule,
+            level: f.severity,
+            message: { text: f.message },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: { uri: this.relative(result.root, f.file), uriBaseId: 'ROOT' },
+                  region: { startLine: f.line },
+                },
+              },
+            ],
+          })),
+        },
+      ],
+    };
+  }
+}
+
+module.exports = { ContentValidator, RULES };
@@ -0,0 +1,122 @@
+const path = require('node:path');
+const fs = require('fs-extra');
+const yaml = require('yaml');
+const { SKAD_FOLDER_NAME } = require('../installers/lib/ide/shared/path-utils');
+
+/**
+ * CLI commands contributed by installed modules.
+ *
+ * A module lists command files in module.yaml:
+ *
+ *   cli_commands:
+ *     - cli/sync.js
+ *
+ * Each file exports the same shape as tools/cli/commands/*.js:
+ * {command, description, options, action}. module.yaml is not installed, so the
+ * installer records the list in _skad/<module>/cli-commands.yaml, and the CLI
+ * registers the commands under the module code: `skad <module> <command>`.
+ */
+
+const MODULE_COMMANDS_FILE = 'cli-commands.yaml';
+
+/**
+ * Find the nearest installation at or above a directory
+ * @param {string} startDir - Directory to start from
+ * @returns {string|null} Path of the _skad folder, or null when there is none
+ */
+function findInstalledSkadDir(startDir) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const skadDir = path.join(dir, SKAD_FOLDER_NAME);
+    if (fs.pathExistsSync(path.join(skadDir, '_config', 'manifest.yaml'))) {
+      return skadDir;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Codes of the modules an installation's manifest lists
+ * @param {string} skadDir - SKAD installation directory
+ * @returns {Array<string>}
+ */
+function readInstalledModules(skadDir) {
+  const manifest = yaml.parse(fs.readFileSync(path.join(skadDir, '_config', 'manifest.yaml'), 'utf8')) || {};
+  return (manifest.modules || []).map((module) => (typeof module === 'string' ? module : module?.name)).filter(Boolean);
+}
+
+/**
+ * Check a command definition's shape
+ * @param {Object} definition - Exported command definition
+ * @returns {string|null} Problem description, or null when it is valid
+ */
+function checkCommandShape(definition) {
+  if (!definition || typeof definition !== 'object') return 'does not export a command object';
+  if (typeof definition.command !== 'string' || definition.command.trim() === '') return 'has no command name';
+  if (typeof definition.action !== 'function') return 'has no action function';
+  if (definition.options !== undefined && !Array.isArray(definition.options)) return 'options must be an array';
+  return null;
+}
+
+/**
+ * Load the commands of every installed module that declares some
+ * Broken command files are reported in `errors` instead of throwing, so one module
+ * cannot stop the CLI from starting.
+ * @param {string} skadDir - SKAD installation directory
+ * @returns {Object} {modules: [{code, commands: [definition]}], errors: [string]}
+ */
+function loadModuleCommands(skadDir) {
+  const result = { modules: [], errors: [] };
+
+  let codes;
+  try {
+    codes = readInstalledModules(skadDir);
+  } catch (error) {
+    result.errors.push(`Could not read the installation manifest: ${error.message}`);
+    return result;
+  }
+
+  for (const code of codes) {
+    const moduleDir = path.join(skadDir, code);
+    const listPath = path.join(moduleDir, MODULE_COMMANDS_FILE);
+    if (!fs.pathExistsSync(listPath)) continue;
+
+    let files;
+    try {
+      files = yaml.parse(fs.readFileSync(listPath, 'utf8'))?.commands || [];
+    } catch (error) {
+      result.errors.push(`${code}: could not read ${MODULE_COMMANDS_FILE}: ${error.message}`);
+      continue;
+    }
+
+    const commands = [];
+    for (const file of files) {
+      const commandPath = path.resolve(moduleDir, file);
+      if (!commandPath.startsWith(moduleDir + path.sep)) {
+        result.errors.push(`${code}: command file ${file} is outside the module`);
+        continue;
+      }
+      try {
+        const definition = require(commandPath);
+        const problem = checkCommandShape(definition);
+        if (problem) {
+          result.errors.push(`${code}: ${file} ${problem}`);
+          continue;
+        }
+        commands.push(definition);
+      } catch (error) {
+        result.errors.push(`${code}: could not load ${file}: ${error.message}`);
+      }
+    }
+
+    if (commands.length > 0) {
+      result.modules.push({ code, commands });
+    }
+  }
+
+  return result;
+}
+
+module.exports = { MODULE_COMMANDS_FILE, findInstalledSkadDir, readInstalledModules, checkCommandShape, loadModuleCommands };
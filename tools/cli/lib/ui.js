@@ -143,28 +143,12 @@ class UI {
         return;
       }
 
-      const s = await prompts.spinner();
-      s.start('Updating folder structure...');
+      // The folder renames are registered migrations (installers/lib/migrations)
       try {
-        // Handle .skad folder
-        if (hasLegacySkadFolder) {
-          const newSkadPath = path.join(confirmedDirectory, '_skad');
-          await fs.move(legacySkadPath, newSkadPath);
-          skadDir = newSkadPath;
-          s.stop(`Renamed "${path.basename(legacySkadPath)}" to "_skad"`);
-        }
-
-        // Handle _cfg folder (either from .skad or standalone)
-        const cfgPath = path.join(skadDir, '_cfg');
-        if (await fs.pathExists(cfgPath)) {
-          s.start('Renaming configuration folder...');
-          const newCfgPath = path.join(skadDir, '_config');
-          await fs.move(cfgPath, newCfgPath);
-          s.stop('Renamed "_cfg" to "_config"');
-        }
+        await installer.runMigrations(confirmedDirectory, { ids: ['skad-folder-rename', 'config-folder-rename'] });
+        skadDir = (await installer.findSkadDir(confirmedDirectory)).skadDir;
       } catch (error) {
-        s.stop('Failed to update folder structure');
-        await prompts.log.error(`Error: ${error.message}`);
+        await prompts.log.error(`Failed to update folder structure: ${error.message}`);
         process.exit(1);
       }
     }
@@ -842,6 +826,26 @@ class UI {
     return { existingInstall, installedModuleIds, skadDir };
   }
 
+  /**
+   * Core configuration used when prompts are skipped
+   * @returns {Object} Core config values
+   */
+  defaultCoreConfig() {
+    let safeUsername;
+    try {
+      safeUsername = os.userInfo().username;
+    } catch {
+      safeUsername = process.env.USER || process.env.USERNAME || 'User';
+    }
+    const defaultUsername = safeUsername.charAt(0).toUpperCase() + safeUsername.slice(1);
+    return {
+      user_name: defaultUsername,
+      communication_language: 'English',
+      document_output_language: 'English',
+      output_folder: '_skad-output',
+    };
+  }
+
   /**
    * Collect core configuration
    * @param {string} directory - Installation directory
@@ -885,6 +889,9 @@ class UI {
         (!options.userName || !options.communicationLanguage || !options.documentOutputLanguage || !options.outputFolder)
       ) {
         await configCollector.collectModuleConfig('core', directory, false, true);
+      } else if (options.yes) {
+        // Values neither given nor installed before fall back to the defaults
+        configCollector.collectedConfig.core = { ...this.defaultCoreConfig(), ...configCollector.collectedConfig.core };
       }
     } else if (options.yes) {
       // Use all defaults when --yes flag is set
@@ -893,19 +900,7 @@ class UI {
 
       // If no existing config, use defaults
       if (Object.keys(existingConfig).length === 0) {
-        let safeUsername;
-        try {
-          safeUsername = os.userInfo().username;
-        } catch {
-          safeUsername = process.env.USER || process.env.USERNAME || 'User';
-        }
-        const defaultUsername = safeUsername.charAt(0).toUpperCase() + safeUsername.slice(1);
-        configCollector.collectedConfig.core = {
-          user_name: defaultUsername,
-          communication_language: 'English',
-          document_output_language: 'English',
-          output_folder: '_skad-output',
-        };
+        configCollector.collectedConfig.core = this.defaultCoreConfig();
         await prompts.log.info('Using default configuration (--yes flag)');
       }
     } else {
@@ -1886,10 +1881,10 @@ class UI {
 
   /**
    * Display status of all installed modules
-   * @param {Object} statusData - Status data with modules, installation info, and available updates
+   * @param {Object} statusData - Status data with modules, installation info, available updates, and configured IDEs
    */
   async displayStatus(statusData) {
-    const { installation, modules, availableUpdates, skadDir } = statusData;
+    const { installation, modules, availableUpdates, ides = [], skadDir, globalInstall = null } = statusData;
 
     // Installation info
     const infoLines = [
@@ -1897,7 +1892,13 @@ class UI {
       `Location:      ${skadDir}`,
       `Installed:     ${new Date(installation.installDate).toLocaleDateString()}`,
       `Last Updated:  ${installation.lastUpdated ? new Date(installation.lastUpdated).toLocaleDateString() : 'unknown'}`,
+      `IDEs:          ${ides.length > 0 ? ides.join(', ') : 'none'}`,
     ];
+    if (globalInstall?.role === 'linked') {
+      infoLines.push(`Linked to:     ${globalInstall.home} (global installation)`);
+    } else if (globalInstall?.role === 'global') {
+      infoLines.push('Scope:         global (projects use it with "skad link")');
+    }
 
     await prompts.note(infoLines.join('\n'), 'SKAD Status');
 
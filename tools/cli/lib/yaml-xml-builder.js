@@ -5,6 +5,9 @@ const crypto = require('node:crypto');
 const { AgentAnalyzer } = require('./agent-analyzer');
 const { ActivationBuilder } = require('./activation-builder');
 const { escapeXml } = require('../../lib/xml-utils');
+const { resolveAgentExtends } = require('./agent/inheritance');
+const { hasDirective, mergeCustomizedList } = require('./agent/customize-merge');
+const prompts = require('./prompts');
 
 /**
  * Converts agent YAML files to XML format with smart activation injection
@@ -33,9 +36,11 @@ class YamlXmlBuilder {
             output[key] = source[key];
           }
         } else if (Array.isArray(source[key])) {
-          // For arrays, append rather than replace (for commands)
+          // For arrays, append rather than replace (for commands); $remove/$replace/$before/$after edit single items
           if (Array.isArray(target[key])) {
-            output[key] = [...target[key], ...source[key]];
+            output[key] = source[key].some((entry) => hasDirective(entry))
+              ? mergeCustomizedList(key, target[key], source[key]).items
+              : [...target[key], ...source[key]];
           } else {
             output[key] = source[key];
           }
@@ -56,15 +61,15 @@ class YamlXmlBuilder {
   }
 
   /**
-   * Load and merge agent YAML with customization
+   * Load and merge agent YAML with its parents (agent.extends) and customization
    * @param {string} agentYamlPath - Path to base agent YAML
    * @param {string} customizeYamlPath - Path to customize YAML (optional)
    * @returns {Object} Merged agent configuration
    */
   async loadAndMergeAgent(agentYamlPath, customizeYamlPath = null) {
-    // Load base agent
+    // Load base agent, merged over the agents it extends
     const agentContent = await fs.readFile(agentYamlPath, 'utf8');
-    const agentYaml = yaml.parse(agentContent);
+    const { agentYaml } = resolveAgentExtends(yaml.parse(agentContent), agentYamlPath);
 
     // Load customization if exists
     let merged = agentYaml;
@@ -102,33 +107,30 @@ class YamlXmlBuilder {
           merged.agent.metadata = { ...merged.agent.metadata, ...nonEmptyMetadata };
         }
 
-        // Append menu items (support both 'menu' and legacy 'commands')
+        // Lists: plain entries are appended (prompts by id); $remove/$replace/$before/$after edit single items
+        const warnings = [];
+        const mergeList = (key, base, entries) => {
+          const result = mergeCustomizedList(key, base, entries);
+          warnings.push(...result.warnings);
+          return result.items;
+        };
+
+        // Menu items (support both 'menu' and legacy 'commands')
         const customMenuItems = customizeYaml.menu || customizeYaml.commands;
         if (customMenuItems) {
-          // Determine if base uses 'menu' or 'commands'
-          if (merged.agent.menu) {
-            merged.agent.menu = [...merged.agent.menu, ...customMenuItems];
-          } else if (merged.agent.commands) {
-            merged.agent.commands = [...merged.agent.commands, ...customMenuItems];
-          } else {
-            // Default to 'menu' for new agents
-            merged.agent.menu = customMenuItems;
-          }
+          // Determine if base uses 'menu' or 'commands'; default to 'menu' for new agents
+          const menuKey = !merged.agent.menu && merged.agent.commands ? 'commands' : 'menu';
+          merged.agent[menuKey] = mergeList('menu', merged.agent[menuKey], customMenuItems);
         }
 
-        // Append critical actions
-        if (customizeYaml.critical_actions) {
-          merged.agent.critical_actions = [...(merged.agent.critical_actions || []), ...customizeYaml.critical_actions];
-        }
-
-        // Append prompts
-        if (customizeYaml.prompts) {
-          merged.agent.prompts = [...(merged.agent.prompts || []), ...customizeYaml.prompts];
+        for (const key of ['critical_actions', 'prompts', 'memories']) {
+          if (customizeYaml[key]) {
+            merged.agent[key] = mergeList(key, merged.agent[key], customizeYaml[key]);
+          }
         }
 
-        // Append memories
-        if (customizeYaml.memories) {
-          merged.agent.memories = [...(merged.agent.memories || []), ...customizeYaml.memories];
+        for (const warning of warnings) {
+          await prompts.log.warn(`${path.basename(customizeYamlPath)}: ${warning}`);
         }
       }
     }
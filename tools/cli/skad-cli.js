@@ -4,6 +4,7 @@ const fs = require('node:fs');
 const { execSync } = require('node:child_process');
 const semver = require('semver');
 const prompts = require('./lib/prompts');
+const { findInstalledSkadDir, loadModuleCommands } = require('./lib/module-commands');
 
 // The installer flow uses many sequential @clack/prompts, each adding keypress
 // listeners to stdin. Raise the limit to avoid spurious EventEmitter warnings.
@@ -20,6 +21,10 @@ checkForUpdate().catch(() => {
 });
 
 async function checkForUpdate() {
+  if (process.env.SKAD_OFFLINE === 'true') {
+    return;
+  }
+
   try {
     // For beta versions, check the beta tag; otherwise check latest
     const isBeta =
@@ -84,9 +89,13 @@ for (const file of commandFiles) {
 // Set up main program
 program.version(packageJson.version).description('SKAD Core CLI - Universal AI agent framework');
 
-// Register all commands
-for (const [name, cmd] of Object.entries(commands)) {
-  const command = program.command(name).description(cmd.description);
+/**
+ * Register a command definition ({command, description, options, action}) on a parent command
+ * @param {Command} parent - Program or module command group
+ * @param {Object} cmd - Command definition
+ */
+function registerCommand(parent, cmd) {
+  const command = parent.command(cmd.command).description(cmd.description || '');
 
   // Add options
   for (const option of cmd.options || []) {
@@ -97,10 +106,55 @@ for (const [name, cmd] of Object.entries(commands)) {
   command.action(cmd.action);
 }
 
-// Parse arguments
-program.parse(process.argv);
+// Register all commands
+for (const cmd of Object.values(commands)) {
+  registerCommand(program, cmd);
+}
+
+// Register commands contributed by the project's installed modules as "skad <module> <command>"
+const coreCommandNames = new Set(Object.keys(commands).map((name) => name.split(' ')[0]));
+const moduleCommandErrors = [];
+const installedSkadDir = findInstalledSkadDir(process.cwd());
+if (installedSkadDir) {
+  const { modules, errors } = loadModuleCommands(installedSkadDir);
+  moduleCommandErrors.push(...errors);
+  for (const { code, commands: moduleCommands } of modules) {
+    if (coreCommandNames.has(code)) {
+      moduleCommandErrors.push(`${code}: module code clashes with the built-in "${code}" command`);
+      continue;
+    }
+    const group = program.command(code).description(`Commands from the ${code} module (see "skad help ${code}")`);
+    for (const cmd of moduleCommands) {
+      registerCommand(group, cmd);
+    }
+  }
+}
+
+/**
+ * Warn about module commands that did not load
+ * Only when the command being run is help or a module command, so built-in commands stay quiet;
+ * SKAD_VERBOSE_INSTALL=true shows them always.
+ * @param {Array<string>} errors - Problems from loadModuleCommands()
+ */
+async function reportModuleCommandErrors(errors) {
+  const requested = process.argv[2];
+  const relevant =
+    process.env.SKAD_VERBOSE_INSTALL === 'true' ||
+    requested === 'help' ||
+    (requested !== undefined && !requested.startsWith('-') && !coreCommandNames.has(requested));
+  if (!relevant) return;
 
-// Show help if no command provided
-if (process.argv.slice(2).length === 0) {
-  program.outputHelp();
+  for (const error of errors) {
+    await prompts.log.warn(`Module commands not loaded: ${error}`);
+  }
 }
+
+reportModuleCommandErrors(moduleCommandErrors).finally(() => {
+  // Parse arguments
+  program.parse(process.argv);
+
+  // Show help if no command provided
+  if (process.argv.slice(2).length === 0) {
+    program.outputHelp();
+  }
+});
@@ -133,6 +133,7 @@ async function compileAgentFile(yamlPath, destMdPath) {
   const { xml } = await compileAgent(yamlContent, {}, agentName, relPath, {
     sourceDir: REPO_ROOT,
     utilityDir: UTILITY,
+    sourcePath: yamlPath,
   });
 
   fs.mkdirSync(path.dirname(destMdPath), { recursive: true });
@@ -5,6 +5,7 @@ const { z } = require('zod');
 const COMMAND_TARGET_KEYS = ['workflow', 'validate-workflow', 'exec', 'action', 'tmpl', 'data'];
 const TRIGGER_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
 const COMPOUND_TRIGGER_PATTERN = /^([A-Z]{1,3}) or fuzzy match on ([a-z0-9]+(?:-[a-z0-9]+)*)$/;
+const EXTENDS_PATTERN = /^[\w-]+\/[\w-]+$/;
 
 /**
  * Derive the expected shortcut from a kebab-case trigger.
@@ -42,7 +43,7 @@ function parseCompoundTrigger(triggerValue) {
 
 /**
  * Validate an agent YAML payload against the schema derived from its file location.
- * Exposed as the single public entry point, so callers do not reach into schema internals.
+ * The entry point for schema checks, so callers do not reach into schema internals.
  *
  * @param {string} filePath Path to the agent file (used to infer module scope).
  * @param {unknown} agentYaml Parsed YAML content.
@@ -54,7 +55,8 @@ function validateAgentFile(filePath, agentYaml) {
   return schema.safeParse(agentYaml);
 }
 
-module.exports = { validateAgentFile };
+// The menu shortcut rule is shared with the semantic agent linter (tools/cli/lib/agent/linter.js)
+module.exports = { validateAgentFile, deriveShortcutFromKebab, parseCompoundTrigger };
 
 // Internal helpers ---------------------------------------------------------
 
@@ -205,6 +207,8 @@ function agentSchema(options = {}) {
 function buildAgentSchema(expectedModule) {
   return z
     .object({
+      // Parent agent (<module>/<agent>); validate the agent after merging it with its parents
+      extends: z.string().regex(EXTENDS_PATTERN, { message: 'agent.extends must look like <module>/<agent>' }).optional(),
       metadata: buildMetadataSchema(expectedModule),
       persona: buildPersonaSchema(),
       critical_actions: z.array(createNonEmptyString('agent.critical_actions[]')).optional(),
@@ -2,7 +2,9 @@
  * Agent Schema Validator CLI
  *
  * Scans all *.agent.yaml files in src/{core,modules/*}/agents/
- * and validates them against the Zod schema.
+ * and validates them against the Zod schema, merged with the agents they extend.
+ * Agents that pass are then linted (tools/cli/lib/agent/linter.js): lint errors fail
+ * the run, lint warnings are printed.
  *
  * Usage: node tools/validate-agent-schema.js [project_root]
  * Exit codes: 0 = success, 1 = validation failures
@@ -16,6 +18,26 @@ const yaml = require('yaml');
 const fs = require('node:fs');
 const path = require('node:path');
 const { validateAgentFile } = require('./schema/agent.js');
+const { resolveAgentExtends } = require('./cli/lib/agent/inheritance.js');
+const { AgentLinter } = require('./cli/lib/agent/linter.js');
+
+/**
+ * Modules each src/<module>/module.yaml lists under dependencies
+ * @param {string} projectRoot - Directory holding src/
+ * @returns {Map<string, Array<string>>}
+ */
+function readModuleDependencies(projectRoot) {
+  const dependencies = new Map();
+  for (const moduleYamlPath of glob.sync('src/*/module.yaml', { cwd: projectRoot, absolute: true })) {
+    try {
+      const moduleYaml = yaml.parse(fs.readFileSync(moduleYamlPath, 'utf8'));
+      if (moduleYaml?.code) dependencies.set(moduleYaml.code, moduleYaml.dependencies || []);
+    } catch {
+      // Module config problems are not this validator's to report
+    }
+  }
+  return dependencies;
+}
 
 /**
  * Main validation routine
@@ -42,6 +64,8 @@ async function main(customProjectRoot) {
   console.log(`Found ${agentFiles.length} agent file(s)\n`);
 
   const errors = [];
+  const warnings = [];
+  const linter = new AgentLinter({ moduleDependencies: readModuleDependencies(project_root) });
 
   // Validate each file
   for (const filePath of agentFiles) {
@@ -49,7 +73,16 @@ async function main(customProjectRoot) {
 
     try {
       const fileContent = fs.readFileSync(filePath, 'utf8');
-      const agentData = yaml.parse(fileContent);
+      const parsed = yaml.parse(fileContent);
+
+      // Agents that extend others are validated as merged with their parents
+      let agentData;
+      try {
+        agentData = resolveAgentExtends(parsed, filePath).agentYaml;
+      } catch (error) {
+        errors.push({ file: relativePath, issues: [{ code: 'extends_error', message: error.message, path: ['agent', 'extends'] }] });
+        continue;
+      }
 
       // Convert absolute path to relative src/ path for module detection
       const srcRelativePath = relativePath.startsWith('src/') ? relativePath : path.relative(project_root, filePath).replaceAll('\\', '/');
@@ -57,7 +90,18 @@ async function main(customProjectRoot) {
       const result = validateAgentFile(srcRelativePath, agentData);
 
       if (result.success) {
-        console.log(`✅ ${relativePath}`);
+        const moduleCode = srcRelativePath.split('/')[1];
+        const findings = linter.lint(filePath, fileContent, { moduleCode });
+        const toIssue = (finding) => ({ code: finding.rule, message: finding.message, path: [], line: finding.line });
+        const lintErrors = findings.filter((finding) => finding.severity === 'error').map((finding) => toIssue(finding));
+        const lintWarnings = findings.filter((finding) => finding.severity !== 'error').map((finding) => toIssue(finding));
+
+        if (lintWarnings.length > 0) warnings.push({ file: relativePath, issues: lintWarnings });
+        if (lintErrors.length > 0) {
+          errors.push({ file: relativePath, issues: lintErrors });
+        } else {
+          console.log(`✅ ${relativePath}`);
+        }
       } else {
         errors.push({
           file: relativePath,
@@ -78,6 +122,14 @@ async function main(customProjectRoot) {
     }
   }
 
+  // Report warnings (these do not fail the run)
+  for (const { file, issues } of warnings) {
+    console.log(`\n⚠️  ${file}`);
+    for (const issue of issues) {
+      console.log(`   Line ${issue.line}: ${issue.message} [${issue.code}]`);
+    }
+  }
+
   // Report errors
   if (errors.length > 0) {
     console.log('\n❌ Validation failed for the following files:\n');
@@ -85,8 +137,12 @@ async function main(customProjectRoot) {
     for (const { file, issues } of errors) {
       console.log(`\n📄 ${file}`);
       for (const issue of issues) {
-        const pathString = issue.path.length > 0 ? issue.path.join('.') : '(root)';
-        console.log(`   Path: ${pathString}`);
+        if (issue.line) {
+          console.log(`   Line: ${issue.line}`);
+        } else {
+          const pathString = issue.path.length > 0 ? issue.path.join('.') : '(root)';
+          console.log(`   Path: ${pathString}`);
+        }
         console.log(`   Error: ${issue.message}`);
         if (issue.code) {
           console.log(`   Code: ${issue.code}`);
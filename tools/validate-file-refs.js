@@ -146,7 +146,7 @@ function stripJsonExampleBlocks(content) {
 
 // --- Path Mapping ---
 
-function mapInstalledToSource(refPath) {
+function toInstalledPath(refPath) {
   // Strip {project-root}/_skad/ or {_skad}/ prefix
   let cleaned = refPath.replace(/^\{project-root\}\/_skad\//, '').replace(/^\{_skad\}\//, '');
 
@@ -154,7 +154,12 @@ function mapInstalledToSource(refPath) {
   cleaned = cleaned.replace(/^_skad\//, '');
 
   // Skip install-only paths (generated at install time, not in source)
-  if (isInstallOnly(cleaned)) return null;
+  return isInstallOnly(cleaned) ? null : cleaned;
+}
+
+function mapInstalledToSource(refPath) {
+  const cleaned = toInstalledPath(refPath);
+  if (cleaned === null) return null;
 
   // core/, bmm/, and utility/ are directly under src/
   if (cleaned.startsWith('core/') || cleaned.startsWith('bmm/') || cleaned.startsWith('utility/')) {
@@ -337,9 +342,11 @@ function extractCsvRefs(filePath, content) {
 
 // --- Reference Resolution ---
 
-function resolveRef(ref) {
+// mapInstalled turns a _skad/ reference into a file path; callers validating
+// something other than this repo's src/ (skad validate) pass their own.
+function resolveRef(ref, mapInstalled = mapInstalledToSource) {
   if (ref.type === 'project-root') {
-    return mapInstalledToSource(ref.raw);
+    return mapInstalled(ref.raw);
   }
 
   if (ref.type === 'relative') {
@@ -349,13 +356,13 @@ function resolveRef(ref) {
   if (ref.type === 'exec-attr') {
     let execPath = ref.raw;
     if (execPath.includes('{project-root}')) {
-      return mapInstalledToSource(execPath);
+      return mapInstalled(execPath);
     }
     if (execPath.includes('{_skad}')) {
-      return mapInstalledToSource(execPath);
+      return mapInstalled(execPath);
     }
     if (execPath.startsWith('_skad/')) {
-      return mapInstalledToSource(execPath);
+      return mapInstalled(execPath);
     }
     // Relative exec path
     return path.resolve(path.dirname(ref.file), execPath);
@@ -364,13 +371,13 @@ function resolveRef(ref) {
   if (ref.type === 'invoke-task') {
     // Extract file path from invoke-task content
     const prMatch = ref.raw.match(/\{project-root\}\/_skad\/([^\s'"<>})\]`]+)/);
-    if (prMatch) return mapInstalledToSource(prMatch[0]);
+    if (prMatch) return mapInstalled(prMatch[0]);
 
     const bmMatch = ref.raw.match(/\{_skad\}\/([^\s'"<>})\]`]+)/);
-    if (bmMatch) return mapInstalledToSource(bmMatch[0]);
+    if (bmMatch) return mapInstalled(bmMatch[0]);
 
     const bareMatch = ref.raw.match(/_skad\/([^\s'"<>})\]`]+)/);
-    if (bareMatch) return mapInstalledToSource(bareMatch[0]);
+    if (bareMatch) return mapInstalled(bareMatch[0]);
 
     return null; // Can't resolve — skip
   }
@@ -394,8 +401,16 @@ function checkAbsolutePathLeaks(filePath, content) {
   return leaks;
 }
 
-// --- Exports (for testing) ---
-module.exports = { extractCsvRefs };
+// --- Exports (for testing and skad validate) ---
+module.exports = {
+  getSourceFiles,
+  extractYamlRefs,
+  extractMarkdownRefs,
+  extractCsvRefs,
+  toInstalledPath,
+  resolveRef,
+  checkAbsolutePathLeaks,
+};
 
 // --- Main ---
 